@@ -1,681 +1,610 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
+import SimulationEngine from '../simulation/SimulationEngine';
+import SimulationView from '../rendering/SimulationView';
+import { CameraSensor, drawCameraView } from '../rendering/cameraSensor';
+import SensorFaultPanel from './SensorFaultPanel';
+import ReplayControls from './ReplayControls';
+import TelemetryPanel from './TelemetryPanel';
+import BatchPanel from './BatchPanel';
+import StatsOverlay from './StatsOverlay';
+import FixedTimestepLoop, { TIME_SCALES, STEP_RATES } from '../simulation/fixedTimestep';
+import { VEHICLE_MODELS } from '../simulation/vehicleModel';
+import { CONTROLLERS, DEFAULT_CONTROLLER, defaultControllerParameters } from '../simulation/controllers';
+import { randomSeed, parseSeed, readSeedFromUrl, buildSeedUrl } from '../simulation/random';
+import { OUTCOMES } from '../simulation/episodeStats';
+import { parseScenario, exportScenario } from '../simulation/scenario';
+import { DEFAULT_LIDAR_CONFIG } from '../simulation/lidar';
+import { detectLanes, DEFAULT_CAMERA_MODEL } from '../simulation/laneDetection';
+import { isFaultActive } from '../simulation/sensorFaults';
+import { AEB_PHASES } from '../simulation/emergencyBraking';
+import { SIGNAL_PHASES } from '../simulation/trafficSignals';
+import { WEATHER_CONDITIONS } from '../simulation/weather';
+import { TIME_GAPS, MAX_SET_SPEED } from '../simulation/adaptiveCruiseControl';
+import {
+  DRIVING_MODES,
+  ASSIST_MODES,
+  KEY_BINDINGS,
+  createDriverInput,
+  updateKeyboardInput,
+  readGamepad,
+  combineInputs
+} from '../simulation/manualDriving';
+import { parseRecording, recordingToJson, recordingToNdjson, recordingEvents } from '../simulation/recording';
+import { createReplay } from '../simulation/replay';
+
+const formatNumber = (value, digits = 1) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+
+// First connected gamepad, if the browser supports the Gamepad API
+const connectedGamepad = () => {
+  if (!navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+};
+
+// Keyboard focus on a form control: keys belong to it, not to the car
+const isEditing = (target) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+
+// HUD colors of the emergency braking phases
+const AEB_COLORS = {
+  standby: '',
+  warning: 'text-yellow-300',
+  partial: 'text-orange-400',
+  full: 'text-red-500',
+  hold: 'text-red-400'
+};
+
+const SIGNAL_COLORS = {
+  green: 'text-green-400',
+  amber: 'text-yellow-300',
+  red: 'text-red-500'
+};
+
+// The HUD shows the signal ahead from this distance to its stop line (m)
+const SIGNAL_HUD_RANGE = 150;
+
+// Offer text as a file download
+const downloadFile = (fileName, text, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 const AutonomousDrivingSimulation = () => {
   const mountRef = useRef(null);
   const requestRef = useRef(null);
+  const viewRef = useRef(null);
+  const runningRef = useRef(false);
+  const scenarioInputRef = useRef(null);
+  const cameraRef = useRef(null);
+  const cameraCanvasRef = useRef(null);
+  const cameraViewRef = useRef(false);
+  const activeFaultsRef = useRef('');
+  const heldKeysRef = useRef(new Set());
+  const keyboardInputRef = useRef(createDriverInput());
+  const recordingInputRef = useRef(null);
+  const replayRef = useRef(null);
   const [isSimulationRunning, setIsSimulationRunning] = useState(false);
   const [laneKeepingActive, setLaneKeepingActive] = useState(true);
   const [adaptiveCruiseActive, setAdaptiveCruiseActive] = useState(true);
+  const [setSpeedInput, setSetSpeedInput] = useState('6');
+  const [timeGap, setTimeGap] = useState(1.5);
+  const [accStatus, setAccStatus] = useState(null);
+  const [laneChangeActive, setLaneChangeActive] = useState(true);
+  const [emergencyBrakingActive, setEmergencyBrakingActive] = useState(false);
+  const [drivingMode, setDrivingMode] = useState('autonomous');
+  const [assistMode, setAssistMode] = useState('assist');
+  const [takeover, setTakeover] = useState({ steering: false, speed: false });
+  const [gamepadName, setGamepadName] = useState('');
+  const [replayState, setReplayState] = useState(null);
+  const [replayEvents, setReplayEvents] = useState([]);
+  const [recordingFormat, setRecordingFormat] = useState('json');
+  const [recordingError, setRecordingError] = useState('');
+  const [aebPhase, setAebPhase] = useState('standby');
+  const [lidarActive, setLidarActive] = useState(true);
+  const [lidarConfig, setLidarConfig] = useState(DEFAULT_LIDAR_CONFIG);
+  const [laneSource, setLaneSource] = useState('groundTruth');
+  const [cameraViewVisible, setCameraViewVisible] = useState(false);
+  const [sensorPanelOpen, setSensorPanelOpen] = useState(false);
+  const [batchPanelOpen, setBatchPanelOpen] = useState(false);
+  const [activeFaults, setActiveFaults] = useState([]);
+  const [frontReading, setFrontReading] = useState(Infinity);
+  const [tracksVisible, setTracksVisible] = useState(true);
+  const [lead, setLead] = useState(null);
+  const [laneCount, setLaneCount] = useState(2);
+  const [laneWidth, setLaneWidth] = useState(4);
+  const [laneStatus, setLaneStatus] = useState('');
+  const [trafficDensity, setTrafficDensity] = useState(6);
+  const [infiniteRoad, setInfiniteRoad] = useState(false);
+  const [intersectionSpacing, setIntersectionSpacing] = useState(0);
+  const [crosswalkSpacing, setCrosswalkSpacing] = useState(0);
+  const [weather, setWeather] = useState('clear');
+  const [signal, setSignal] = useState(null);
   const [speed, setSpeed] = useState(0);
   const [distance, setDistance] = useState(0);
-  
-  const simulationRef = useRef({
-    scene: null,
-    camera: null,
-    renderer: null,
-    car: null,
-    road: null,
-    roadLength: 500, // Reduced road length for better performance
-    roadWidth: 12,
-    laneWidth: 4,
-    roadCurves: [],
-    carSpeed: 0.3,
-    targetSpeed: 0.3,
-    carPosition: new THREE.Vector3(0, 0.5, 0),
-    carRotation: 0,
-    clock: new THREE.Clock(),
-    obstacles: [],
-    sensors: {
-      front: null,
-      left: null,
-      right: null
-    },
-    sensorReadings: {
-      front: Infinity,
-      left: Infinity,
-      right: Infinity
-    },
-    distance: 0,
-    initialized: false,
-    debugHelpers: []
+  const [summary, setSummary] = useState(null);
+  const [scenario, setScenario] = useState(null);
+  const [scenarioError, setScenarioError] = useState('');
+  const [timeScale, setTimeScale] = useState(1);
+  const [stepRate, setStepRate] = useState(60);
+  const [vehicleModel, setVehicleModel] = useState('kinematic');
+  const [controllerType, setControllerType] = useState(DEFAULT_CONTROLLER);
+  const [controllerParameters, setControllerParameters] = useState(() => defaultControllerParameters(DEFAULT_CONTROLLER));
+  const [seedInput, setSeedInput] = useState(() => {
+    const urlSeed = readSeedFromUrl(window.location.search);
+    return String(urlSeed !== null ? urlSeed : randomSeed());
   });
-
-  // Create a single road segment with realistic asphalt texture
-  const createRoadSegment = useCallback((width, length, angle) => {
-    const group = new THREE.Group();
-    
-    // Road surface - asphalt (dark gray)
-    const roadGeometry = new THREE.PlaneGeometry(width, length);
-    const roadMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x1a1a1a,  // Very dark gray for asphalt
-      roughness: 0.8,
-      metalness: 0.1,
-      side: THREE.DoubleSide,
-    });
-    
-    const road = new THREE.Mesh(roadGeometry, roadMaterial);
-    road.rotation.x = Math.PI / 2;
-    road.position.z = length / 2;
-    road.receiveShadow = true;
-    group.add(road);
-    
-    // Road lane markings - bright white
-    const laneWidth = 0.3;
-    const leftLaneGeometry = new THREE.PlaneGeometry(laneWidth, length);
-    const rightLaneGeometry = new THREE.PlaneGeometry(laneWidth, length);
-    const laneMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xffffff,
-      side: THREE.DoubleSide
-    });
-    
-    const leftLane = new THREE.Mesh(leftLaneGeometry, laneMaterial);
-    leftLane.rotation.x = Math.PI / 2;
-    leftLane.position.set(-(width / 2) + 0.5, 0.01, length / 2);
-    
-    const rightLane = new THREE.Mesh(rightLaneGeometry, laneMaterial);
-    rightLane.rotation.x = Math.PI / 2;
-    rightLane.position.set((width / 2) - 0.5, 0.01, length / 2);
-    
-    group.add(leftLane);
-    group.add(rightLane);
-    
-    // Add center dashed line (yellow)
-    const centerLineMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xffcc00, // Yellow
-      side: THREE.DoubleSide
-    });
-    
-    const dashLength = 3;
-    const dashGap = 2;
-    const numDashes = Math.floor(length / (dashLength + dashGap));
-    
-    for (let i = 0; i < numDashes; i++) {
-      const dashGeometry = new THREE.PlaneGeometry(laneWidth, dashLength);
-      const dash = new THREE.Mesh(dashGeometry, centerLineMaterial);
-      dash.rotation.x = Math.PI / 2;
-      
-      // Position each dash along the road
-      const startPos = i * (dashLength + dashGap);
-      dash.position.set(0, 0.01, startPos + dashLength/2);
-      
-      group.add(dash);
-    }
-    
-    return group;
-  }, []);
-
-  // Create an obstacle
-  const createObstacle = useCallback(() => {
-    // Create a car-like shape instead of a simple cube
-    const obstacleGroup = new THREE.Group();
-    
-    // Car body
-    const bodyGeometry = new THREE.BoxGeometry(2, 1, 4);
-    const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0xff0000 });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.5;
-    body.castShadow = true;
-    obstacleGroup.add(body);
-    
-    // Car roof
-    const roofGeometry = new THREE.BoxGeometry(1.8, 0.7, 2);
-    const roofMaterial = new THREE.MeshPhongMaterial({ color: 0xbb0000 });
-    const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-    roof.position.y = 1.35;
-    roof.position.z = -0.5;
-    roof.castShadow = true;
-    obstacleGroup.add(roof);
-    
-    // Wheels
-    const wheelGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.3, 16);
-    const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x111111 });
-    
-    // Front-left wheel
-    const wheelFL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFL.rotation.z = Math.PI / 2;
-    wheelFL.position.set(-1.1, 0.4, 1.2);
-    obstacleGroup.add(wheelFL);
-    
-    // Front-right wheel
-    const wheelFR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFR.rotation.z = Math.PI / 2;
-    wheelFR.position.set(1.1, 0.4, 1.2);
-    obstacleGroup.add(wheelFR);
-    
-    // Back-left wheel
-    const wheelBL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBL.rotation.z = Math.PI / 2;
-    wheelBL.position.set(-1.1, 0.4, -1.2);
-    obstacleGroup.add(wheelBL);
-    
-    // Back-right wheel
-    const wheelBR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBR.rotation.z = Math.PI / 2;
-    wheelBR.position.set(1.1, 0.4, -1.2);
-    obstacleGroup.add(wheelBR);
-    
-    return obstacleGroup;
-  }, []);
-
-  // Setup car object
-  const setupCar = useCallback(() => {
-    const simulation = simulationRef.current;
-    
-    // Create a car group
-    const carGroup = new THREE.Group();
-    simulation.car = carGroup;
-    simulation.scene.add(carGroup);
-    
-    // Car body
-    const bodyGeometry = new THREE.BoxGeometry(2, 1, 4);
-    const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x00ff00 });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.5;
-    body.castShadow = true;
-    carGroup.add(body);
-    
-    // Car roof
-    const roofGeometry = new THREE.BoxGeometry(1.8, 0.7, 2);
-    const roofMaterial = new THREE.MeshPhongMaterial({ color: 0x00aa00 });
-    const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-    roof.position.y = 1.35;
-    roof.position.z = -0.5;
-    roof.castShadow = true;
-    carGroup.add(roof);
-    
-    // Wheels
-    const wheelGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.3, 16);
-    const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x111111 });
-    
-    // Front-left wheel
-    const wheelFL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFL.rotation.z = Math.PI / 2;
-    wheelFL.position.set(-1.1, 0.4, 1.2);
-    carGroup.add(wheelFL);
-    
-    // Front-right wheel
-    const wheelFR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFR.rotation.z = Math.PI / 2;
-    wheelFR.position.set(1.1, 0.4, 1.2);
-    carGroup.add(wheelFR);
-    
-    // Back-left wheel
-    const wheelBL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBL.rotation.z = Math.PI / 2;
-    wheelBL.position.set(-1.1, 0.4, -1.2);
-    carGroup.add(wheelBL);
-    
-    // Back-right wheel
-    const wheelBR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBR.rotation.z = Math.PI / 2;
-    wheelBR.position.set(1.1, 0.4, -1.2);
-    carGroup.add(wheelBR);
-    
-    // Add sensors
-    const sensorGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-    const sensorMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    
-    // Front sensor
-    simulation.sensors.front = new THREE.Mesh(sensorGeometry, sensorMaterial);
-    simulation.sensors.front.position.set(0, 0.5, 2);
-    carGroup.add(simulation.sensors.front);
-    
-    // Left sensor
-    simulation.sensors.left = new THREE.Mesh(sensorGeometry, sensorMaterial);
-    simulation.sensors.left.position.set(-1, 0.5, 0);
-    carGroup.add(simulation.sensors.left);
-    
-    // Right sensor
-    simulation.sensors.right = new THREE.Mesh(sensorGeometry, sensorMaterial);
-    simulation.sensors.right.position.set(1, 0.5, 0);
-    carGroup.add(simulation.sensors.right);
-    
-    // Position car
-    carGroup.position.copy(simulation.carPosition);
-    carGroup.rotation.y = simulation.carRotation;
-  }, []);
-
-  // Generate random road
-  const generateRoad = useCallback(() => {
-    console.log("Generating road...");
-    const simulation = simulationRef.current;
-    
-    // Remove existing road if any
-    if (simulation.road) {
-      simulation.scene.remove(simulation.road);
-    }
-    
-    // Clear obstacles
-    if (simulation.obstacles && simulation.obstacles.length > 0) {
-      simulation.obstacles.forEach(obstacle => {
-        simulation.scene.remove(obstacle);
-      });
-      simulation.obstacles = [];
-    }
-    
-    // Clear debug helpers
-    if (simulation.debugHelpers && simulation.debugHelpers.length > 0) {
-      simulation.debugHelpers.forEach(helper => {
-        simulation.scene.remove(helper);
-      });
-      simulation.debugHelpers = [];
-    }
-    
-    // Create a road group to hold all road segments
-    simulation.road = new THREE.Group();
-    simulation.scene.add(simulation.road);
-    
-    // Road parameters
-    const roadLength = simulation.roadLength;
-    const roadWidth = simulation.roadWidth;
-    const segments = 20; // Fewer segments for better performance
-    const segmentLength = roadLength / segments;
-    
-    // Generate road curves
-    simulation.roadCurves = [];
-    let currentX = 0;
-    let currentZ = 0;
-    let currentAngle = 0;
-    
-    for (let i = 0; i < segments; i++) {
-      // Random curve intensity (positive = right, negative = left)
-      // Start with straight segments and then add gentle curves
-      const curvature = (i < 3) ? 0 : (Math.random() * 0.03 - 0.015);
-      
-      simulation.roadCurves.push({
-        position: { x: currentX, z: currentZ },
-        angle: currentAngle,
-        curvature: curvature
-      });
-      
-      // Update position and angle for next segment
-      currentAngle += curvature;
-      currentX += Math.sin(currentAngle) * segmentLength;
-      currentZ += Math.cos(currentAngle) * segmentLength;
-    }
-    
-    // Create road segments
-    for (let i = 0; i < segments; i++) {
-      const curve = simulation.roadCurves[i];
-      const roadSegment = createRoadSegment(roadWidth, segmentLength, curve.angle);
-      roadSegment.position.set(curve.position.x, 0, curve.position.z);
-      roadSegment.rotation.y = curve.angle;
-      simulation.road.add(roadSegment);
-      
-      // Add debug marker at each segment start point (small red sphere)
-      const markerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-      const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-      marker.position.set(curve.position.x, 0.2, curve.position.z);
-      simulation.scene.add(marker);
-      simulation.debugHelpers.push(marker);
-      
-      // Randomly add obstacles but not in the first few segments
-      if (Math.random() < 0.2 && i > 3) {
-        const obstacle = createObstacle();
-        const laneOffset = (Math.random() > 0.5 ? 1 : -1) * (roadWidth / 4);
-        
-        // Position obstacle on the road with correct orientation
-        obstacle.position.set(
-          curve.position.x + Math.sin(curve.angle) * laneOffset,
-          0,
-          curve.position.z + Math.cos(curve.angle) * laneOffset
-        );
-        obstacle.rotation.y = curve.angle;
-        
-        simulation.scene.add(obstacle);
-        simulation.obstacles.push(obstacle);
-      }
-    }
-    
-    // Reset car position to start of road
-    simulation.carPosition = new THREE.Vector3(0, 0.5, 0);
-    simulation.carRotation = 0;
-    
-    // Update car position and rotation
-    if (simulation.car) {
-      simulation.car.position.copy(simulation.carPosition);
-      simulation.car.rotation.y = simulation.carRotation;
+  const seed = parseSeed(seedInput);
+  
+  // The headless engine holds all simulation state; this component only
+  // drives it and shows it
+  const [engine] = useState(() => new SimulationEngine({ seed: seed !== null ? seed : 0 }));
+  const [sensorModels, setSensorModels] = useState(engine.config.sensors);
+  const [faults, setFaults] = useState(engine.config.faults);
+  const [loop] = useState(() => new FixedTimestepLoop());
+  
+  // Regenerate the road for a seed and rebuild the scene from it
+  const loadRoad = (roadSeed) => {
+    engine.reset(roadSeed);
+    if (viewRef.current) {
+      viewRef.current.buildWorld(engine);
     }
-    
-    // Reset counters
-    simulation.distance = 0;
     setDistance(0);
     setSpeed(0);
-    
-    console.log("Road generated with", segments, "segments");
-  }, [createRoadSegment, createObstacle]);
-
-  // Update camera position
-  const updateCamera = useCallback(() => {
-    const simulation = simulationRef.current;
-    if (!simulation.car) return;
-    
-    // Set camera position above and behind the car
-    const cameraOffsetY = 7;
-    const cameraOffsetZ = -15;
-    
-    const cameraPosition = new THREE.Vector3();
-    
-    // Rotate camera position around car based on car rotation
-    cameraPosition.x = simulation.car.position.x - Math.sin(simulation.carRotation) * Math.abs(cameraOffsetZ);
-    cameraPosition.y = simulation.car.position.y + cameraOffsetY;
-    cameraPosition.z = simulation.car.position.z - Math.cos(simulation.carRotation) * Math.abs(cameraOffsetZ);
-    
-    simulation.camera.position.copy(cameraPosition);
-    simulation.camera.lookAt(simulation.car.position);
-  }, []);
-
-  // Update sensor readings
-  const updateSensors = useCallback(() => {
-    const simulation = simulationRef.current;
-    if (!simulation.car || !simulation.sensors.front || !simulation.obstacles) return;
-    
-    // Raycaster for sensor detection
-    const raycaster = new THREE.Raycaster();
-    
-    // Front sensor
-    const frontSensorPosition = new THREE.Vector3();
-    simulation.sensors.front.getWorldPosition(frontSensorPosition);
-    
-    const frontDirection = new THREE.Vector3(0, 0, 1)
-      .applyQuaternion(simulation.car.quaternion)
-      .normalize();
-    
-    raycaster.set(frontSensorPosition, frontDirection);
-    const frontIntersects = raycaster.intersectObjects(simulation.obstacles, true);
-    
-    simulation.sensorReadings.front = frontIntersects.length > 0 
-      ? frontIntersects[0].distance 
-      : Infinity;
-    
-    // Left sensor
-    const leftSensorPosition = new THREE.Vector3();
-    simulation.sensors.left.getWorldPosition(leftSensorPosition);
-    
-    const leftDirection = new THREE.Vector3(-1, 0, 0)
-      .applyQuaternion(simulation.car.quaternion)
-      .normalize();
-    
-    raycaster.set(leftSensorPosition, leftDirection);
-    const leftIntersects = raycaster.intersectObjects(simulation.obstacles, true);
-    
-    simulation.sensorReadings.left = leftIntersects.length > 0 
-      ? leftIntersects[0].distance 
-      : Infinity;
-    
-    // Right sensor
-    const rightSensorPosition = new THREE.Vector3();
-    simulation.sensors.right.getWorldPosition(rightSensorPosition);
-    
-    const rightDirection = new THREE.Vector3(1, 0, 0)
-      .applyQuaternion(simulation.car.quaternion)
-      .normalize();
-    
-    raycaster.set(rightSensorPosition, rightDirection);
-    const rightIntersects = raycaster.intersectObjects(simulation.obstacles, true);
-    
-    simulation.sensorReadings.right = rightIntersects.length > 0 
-      ? rightIntersects[0].distance 
-      : Infinity;
+    setSummary(null);
+  };
+  
+  // Keep the engine's driver assistance settings in sync with the checkboxes
+  useEffect(() => {
+    engine.settings.laneKeeping = laneKeepingActive;
+    engine.settings.adaptiveCruise = adaptiveCruiseActive;
+    engine.settings.laneChange = laneChangeActive;
+    engine.settings.lidar = lidarActive;
+    engine.settings.laneSource = laneSource;
+    engine.settings.emergencyBraking = emergencyBrakingActive;
+    engine.settings.timeGap = timeGap;
+    engine.settings.drivingMode = drivingMode;
+    engine.settings.assistMode = assistMode;
+  }, [engine, laneKeepingActive, adaptiveCruiseActive, laneChangeActive, lidarActive, laneSource, emergencyBrakingActive, timeGap,
+    drivingMode, assistMode]);
+  
+  // Keyboard driving: remember the held keys while in manual mode
+  useEffect(() => {
+    if (drivingMode !== 'manual') return undefined;
+    const held = heldKeysRef.current;
+    const handleKeyDown = (event) => {
+      const action = KEY_BINDINGS[event.code];
+      if (!action || isEditing(event.target)) return;
+      event.preventDefault();
+      held.add(action);
+    };
+    const handleKeyUp = (event) => {
+      const action = KEY_BINDINGS[event.code];
+      if (action) held.delete(action);
+    };
+    const handleBlur = () => held.clear();
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      held.clear();
+    };
+  }, [drivingMode]);
+  
+  // Show which gamepad drives the car
+  useEffect(() => {
+    const updateGamepad = () => {
+      const gamepad = connectedGamepad();
+      setGamepadName(gamepad ? gamepad.id : '');
+    };
+    updateGamepad();
+    window.addEventListener('gamepadconnected', updateGamepad);
+    window.addEventListener('gamepaddisconnected', updateGamepad);
+    return () => {
+      window.removeEventListener('gamepadconnected', updateGamepad);
+      window.removeEventListener('gamepaddisconnected', updateGamepad);
+    };
   }, []);
-
-  // Adaptive cruise control algorithm
-  const updateAdaptiveCruiseControl = useCallback(() => {
-    const simulation = simulationRef.current;
-    const frontDistance = simulation.sensorReadings.front;
-    
-    // Base target speed
-    const baseSpeed = 0.3;
-    
-    if (frontDistance < 10) {
-      // Slow down if obstacle detected ahead
-      const slowdownFactor = Math.max(0.1, frontDistance / 10);
-      simulation.targetSpeed = baseSpeed * slowdownFactor;
-    } else {
-      // Otherwise maintain normal speed
-      simulation.targetSpeed = baseSpeed;
+  
+  // Take the set speed once it is a valid number
+  useEffect(() => {
+    const value = Number(setSpeedInput);
+    if (setSpeedInput !== '' && value >= 0 && value <= MAX_SET_SPEED) {
+      engine.settings.setSpeed = value;
     }
-  }, []);
-
-  // Lane keeping algorithm
-  const updateLaneKeeping = useCallback(() => {
-    const simulation = simulationRef.current;
-    if (!simulation.car || !simulation.roadCurves || simulation.roadCurves.length === 0) return;
-    
-    // Get car position
-    const carPosition = new THREE.Vector3();
-    carPosition.copy(simulation.car.position);
-    
-    // Find the nearest road segment
-    let nearestSegmentIndex = 0;
-    let minDistance = Infinity;
-    
-    for (let i = 0; i < simulation.roadCurves.length; i++) {
-      const segment = simulation.roadCurves[i];
-      const distance = Math.sqrt(
-        Math.pow(carPosition.x - segment.position.x, 2) +
-        Math.pow(carPosition.z - segment.position.z, 2)
-      );
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestSegmentIndex = i;
-      }
+  }, [engine, setSpeedInput]);
+  
+  useEffect(() => {
+    cameraViewRef.current = cameraViewVisible;
+  }, [cameraViewVisible]);
+  
+  useEffect(() => {
+    if (viewRef.current) {
+      viewRef.current.showTracks = tracksVisible;
     }
-    
-    // Get current segment for path prediction
-    const currentSegment = simulation.roadCurves[nearestSegmentIndex];
-    
-    // Calculate offset from road center
-    const roadAngle = currentSegment.angle;
-    const roadCenterX = currentSegment.position.x;
-    const roadCenterZ = currentSegment.position.z;
-    
-    // Calculate the car's offset from the road center
-    const relativeX = carPosition.x - roadCenterX;
-    const relativeZ = carPosition.z - roadCenterZ;
-    
-    // Rotate to road's coordinate system
-    const rotatedX = relativeX * Math.cos(-roadAngle) - relativeZ * Math.sin(-roadAngle);
-    
-    // Calculate desired steering based on lateral offset and road curvature
-    const lateralOffset = rotatedX;
-    const steeringCorrection = -lateralOffset * 0.5;
-    
-    // Add predictive steering based on upcoming road curvature
-    const predictiveSteering = currentSegment.curvature * 10;
-    
-    // Apply steering
-    simulation.carRotation += (steeringCorrection + predictiveSteering) * simulation.carSpeed;
-    simulation.car.rotation.y = simulation.carRotation;
-  }, []);
+  }, [tracksVisible]);
+  
+  useEffect(() => {
+    engine.lidar.configure(lidarConfig);
+  }, [engine, lidarConfig]);
+  
+  useEffect(() => {
+    engine.config.sensors = sensorModels;
+    engine.config.faults = faults;
+  }, [engine, sensorModels, faults]);
+  
+  const updateLidarConfig = (key, value) => {
+    if (Number.isFinite(value) && value >= 0) {
+      setLidarConfig({ ...lidarConfig, [key]: value });
+    }
+  };
+  
+  useEffect(() => {
+    engine.vehicleParams.model = vehicleModel;
+  }, [engine, vehicleModel]);
+  
+  useEffect(() => {
+    engine.setWeather(weather);
+  }, [engine, weather]);
+  
+  useEffect(() => {
+    engine.setController(controllerType, controllerParameters);
+  }, [engine, controllerType, controllerParameters]);
+  
+  const handleControllerChange = (type) => {
+    setControllerType(type);
+    setControllerParameters(defaultControllerParameters(type));
+  };
+  
+  useEffect(() => {
+    runningRef.current = isSimulationRunning;
+  }, [isSimulationRunning]);
+  
+  useEffect(() => {
+    loop.timeScale = timeScale;
+    loop.stepRate = stepRate;
+  }, [loop, timeScale, stepRate]);
+  
+  // Take a camera image when one is due and pass the detected lane to the
+  // engine; the scene is brought to the current step before rendering
+  const captureCamera = useCallback(() => {
+    const view = viewRef.current;
+    const camera = cameraRef.current;
+    if (!view || !camera || !camera.isDue(engine.time)) return;
+    if (engine.settings.laneSource !== 'camera' && !cameraViewRef.current) return;
 
-  // Update simulation state
-  const updateSimulation = useCallback(() => {
-    const simulation = simulationRef.current;
-    if (!simulation.car || !simulation.initialized) return;
-    
-    const delta = simulation.clock.getDelta();
-    
-    // Update car's target speed based on adaptive cruise control
-    if (adaptiveCruiseActive) {
-      updateAdaptiveCruiseControl();
+    view.update(engine, 1);
+    const image = camera.capture(view, engine);
+    const estimate = detectLanes(image, camera.model, { laneWidth: engine.lanes.laneWidth });
+    engine.updateLaneEstimate(estimate);
+    if (cameraCanvasRef.current) {
+      drawCameraView(cameraCanvasRef.current, image, estimate, camera.model);
     }
-    
-    // Smoothly adjust current speed toward target speed
-    simulation.carSpeed += (simulation.targetSpeed - simulation.carSpeed) * 0.1;
-    
-    // Move car forward
-    const distanceStep = simulation.carSpeed * delta * 20; 
-    
-    // Calculate new position based on car's forward direction
-    const forward = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), simulation.carRotation);
-    
-    simulation.carPosition.x += forward.x * distanceStep;
-    simulation.carPosition.z += forward.z * distanceStep;
-    
-    // Update car mesh position
-    simulation.car.position.copy(simulation.carPosition);
-    
-    // Update distance traveled
-    simulation.distance += distanceStep;
-    setDistance(Math.floor(simulation.distance));
-    setSpeed(Math.floor(simulation.carSpeed * 100));
-    
-    // Lane keeping
-    if (laneKeepingActive) {
-      updateLaneKeeping();
+  }, [engine]);
+  
+  // Pass the driver's keyboard and gamepad input to the engine
+  const readDriverInput = useCallback((dt) => {
+    if (engine.settings.drivingMode !== 'manual') return;
+    keyboardInputRef.current = updateKeyboardInput(keyboardInputRef.current, heldKeysRef.current, dt);
+    engine.setDriverInput(combineInputs(keyboardInputRef.current, readGamepad(connectedGamepad())));
+  }, [engine]);
+  
+  // Advance the engine through the fixed-timestep loop and refresh the HUD
+  const runSteps = useCallback((advance) => {
+    const alpha = advance(dt => {
+      captureCamera();
+      readDriverInput(dt);
+      engine.step(dt);
+    });
+    setDistance(engine.distance);
+    setSpeed(engine.vehicle.speed);
+    setAccStatus({ ...engine.acc, targetSpeed: engine.targetSpeed });
+    setTakeover(engine.takeover);
+    
+    const lane = engine.getLanePosition().laneIndex;
+    const { phase, targetLane } = engine.laneChange.state;
+    setLaneStatus(lane === -1 ? 'off road' : `${lane + 1}${phase !== 'keep' ? ` → ${targetLane + 1}` : ''}`);
+    setFrontReading(engine.sensorReadings.front);
+    setLead(engine.leadTrack && { gap: engine.leadTrack.gap, ttc: engine.leadTrack.ttc });
+    setSignal(engine.signal && { phase: engine.signal.phase, distance: engine.signal.distance });
+    
+    // Show the emergency braking phase
+    setAebPhase(engine.emergencyBraking.state.phase);
+    
+    // Highlight the injected faults while they are active
+    const progress = { time: engine.time, distance: engine.distance };
+    const active = engine.config.faults
+      .map((fault, i) => (isFaultActive(fault, progress) ? i : -1))
+      .filter(i => i !== -1);
+    if (active.join() !== activeFaultsRef.current) {
+      activeFaultsRef.current = active.join();
+      setActiveFaults(active);
     }
     
-    // Update sensors and readings
-    updateSensors();
-    
-    // Update camera position to follow car
-    updateCamera();
-    
-    // End simulation if we've reached the end of the road
-    if (simulation.distance > simulation.roadLength) {
+    // End simulation on any outcome and show the run summary
+    if (engine.finished && runningRef.current) {
+      runningRef.current = false;
       setIsSimulationRunning(false);
-      console.log("End of road reached");
-    }
-  }, [adaptiveCruiseActive, laneKeepingActive, updateAdaptiveCruiseControl, updateCamera, updateLaneKeeping, updateSensors]);
-
-  // Animation loop
-  const animate = useCallback(() => {
-    const simulation = simulationRef.current;
-    
-    if (isSimulationRunning) {
-      updateSimulation();
-    }
-    
-    if (simulation.renderer && simulation.scene && simulation.camera) {
-      simulation.renderer.render(simulation.scene, simulation.camera);
+      setSummary(engine.summary);
     }
-    
-    requestRef.current = requestAnimationFrame(animate);
-  }, [isSimulationRunning, updateSimulation]);
-
-  // Handle scene initialization
+    return alpha;
+  }, [engine, captureCamera, readDriverInput]);
+  
+  // Show the replayed frame in the HUD and the timeline
+  const showReplayFrame = useCallback((replay) => {
+    const { frame } = replay.view;
+    setSpeed(frame.ego.speed);
+    setDistance(frame.distance);
+    setLaneStatus(frame.lane === -1 ? 'off road' : String(frame.lane + 1));
+    setFrontReading(frame.sensors.front === null ? Infinity : frame.sensors.front);
+    setAebPhase(frame.aeb || 'standby');
+    setSignal(frame.signal || null);
+    setReplayState({
+      time: replay.time,
+      duration: replay.duration,
+      playing: replay.playing,
+      speed: replay.speed,
+      index: replay.index,
+      frameCount: replay.recording.frames.length
+    });
+  }, []);
+  
+  // Handle scene initialization and the animation loop
   useEffect(() => {
-    const simulation = simulationRef.current;
     const mount = mountRef.current;
-    
     if (!mount) return;
-
-    // Create scene
-    simulation.scene = new THREE.Scene();
-    simulation.scene.background = new THREE.Color(0x87CEEB); // Sky blue
-    
-    // Create camera
-    simulation.camera = new THREE.PerspectiveCamera(
-      75, 
-      mount.clientWidth / mount.clientHeight, 
-      0.1, 
-      2000
-    );
-    
-    // Create renderer
-    simulation.renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      powerPreference: "high-performance"
-    });
-    simulation.renderer.setSize(mount.clientWidth, mount.clientHeight);
-    simulation.renderer.setPixelRatio(window.devicePixelRatio);
-    simulation.renderer.shadowMap.enabled = true;
-    simulation.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    mount.appendChild(simulation.renderer.domElement);
-    
-    // Add ambient light
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    simulation.scene.add(ambientLight);
-    
-    // Add directional light (sun)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(50, 100, 50);
-    directionalLight.castShadow = true;
-    
-    // Set up shadow properties
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 500;
-    directionalLight.shadow.camera.left = -100;
-    directionalLight.shadow.camera.right = 100;
-    directionalLight.shadow.camera.top = 100;
-    directionalLight.shadow.camera.bottom = -100;
-    
-    simulation.scene.add(directionalLight);
-    
-    // Add ground plane
-    const groundGeometry = new THREE.PlaneGeometry(500, 500);
-    const groundMaterial = new THREE.MeshStandardMaterial({
-      color: 0x228B22, // Forest green
-      roughness: 1.0,
-      metalness: 0.0,
-      side: THREE.DoubleSide
-    });
-    
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = Math.PI / 2;
-    ground.position.y = -0.1; // Slightly below road level
-    ground.receiveShadow = true;
-    simulation.scene.add(ground);
     
-    // Setup car
-    setupCar();
+    const view = new SimulationView(mount);
+    viewRef.current = view;
+    view.buildWorld(engine);
+    const camera = new CameraSensor();
+    cameraRef.current = camera;
     
-    // Set camera initial position
-    simulation.camera.position.set(0, 10, -15);
-    simulation.camera.lookAt(simulation.car.position);
+    const clock = new THREE.Clock();
     
-    // Create initial road
-    generateRoad();
+    let alpha = 1;
     
-    // Mark as initialized
-    simulation.initialized = true;
-    
-    // Handle window resize
-    const handleResize = () => {
-      simulation.camera.aspect = mount.clientWidth / mount.clientHeight;
-      simulation.camera.updateProjectionMatrix();
-      simulation.renderer.setSize(mount.clientWidth, mount.clientHeight);
+    const animate = () => {
+      const delta = clock.getDelta();
+      
+      const replay = replayRef.current;
+      if (replay) {
+        replay.advance(delta);
+        showReplayFrame(replay);
+        view.update(replay.view, 1);
+        view.render();
+        requestRef.current = requestAnimationFrame(animate);
+        return;
+      }
+      
+      if (runningRef.current) {
+        alpha = runSteps(step => loop.advance(delta, step));
+      }
+      
+      view.update(engine, alpha);
+      view.render();
+      requestRef.current = requestAnimationFrame(animate);
     };
     
+    // Handle window resize
+    const handleResize = () => view.resize();
     window.addEventListener('resize', handleResize);
     
     // Start animation loop
-    simulation.clock.start();
     requestRef.current = requestAnimationFrame(animate);
     
     // Cleanup on unmount
     return () => {
       window.removeEventListener('resize', handleResize);
       cancelAnimationFrame(requestRef.current);
-      if (mount.contains(simulation.renderer.domElement)) {
-        mount.removeChild(simulation.renderer.domElement);
-      }
-      simulation.scene.clear();
+      camera.dispose();
+      cameraRef.current = null;
+      view.dispose();
+      viewRef.current = null;
     };
-  }, [animate, setupCar, generateRoad]);
+  }, [engine, loop, runSteps, showReplayFrame]);
 
+  // Preview the road for the current seed while the simulation is stopped
+  useEffect(() => {
+    if (seed === null || seed === engine.seed || isSimulationRunning || scenario || replayRef.current) return;
+    engine.reset(seed);
+    if (viewRef.current) {
+      viewRef.current.buildWorld(engine);
+    }
+  }, [engine, seed, isSimulationRunning, scenario]);
+
+  // Lane layout, traffic and road length changes rebuild the road while the
+  // simulation is stopped
+  useEffect(() => {
+    if (isSimulationRunning || scenario || replayRef.current || !(laneWidth >= 2.5)) return;
+    const { config } = engine;
+    if (
+      config.laneCount === laneCount &&
+      config.laneWidth === laneWidth &&
+      config.traffic.density === trafficDensity &&
+      config.infiniteRoad === infiniteRoad &&
+      config.intersections.every === intersectionSpacing &&
+      config.pedestrians.every === crosswalkSpacing
+    ) return;
+    config.laneCount = laneCount;
+    config.laneWidth = laneWidth;
+    config.traffic.density = trafficDensity;
+    config.infiniteRoad = infiniteRoad;
+    config.intersections = { ...config.intersections, every: intersectionSpacing };
+    config.pedestrians = { ...config.pedestrians, every: crosswalkSpacing };
+    engine.reset();
+    if (viewRef.current) {
+      viewRef.current.buildWorld(engine);
+    }
+  }, [engine, laneCount, laneWidth, trafficDensity, infiniteRoad, intersectionSpacing, crosswalkSpacing, isSimulationRunning, scenario]);
+
+  // Load a scenario file: the engine takes its road, vehicles and settings,
+  // and the controls show them
+  const handleScenarioFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const loaded = parseScenario(await file.text());
+      const { settings, lanes } = loaded;
+      engine.loadScenario(loaded);
+      if (viewRef.current) {
+        viewRef.current.buildWorld(engine);
+      }
+      setScenario(loaded);
+      setScenarioError('');
+      setSummary(null);
+      setSeedInput(String(loaded.seed));
+      setLaneCount(lanes.laneCount);
+      setLaneWidth(lanes.laneWidth);
+      setLaneKeepingActive(settings.laneKeeping);
+      setAdaptiveCruiseActive(settings.adaptiveCruise);
+      setSetSpeedInput(String(settings.setSpeed));
+      setTimeGap(settings.timeGap);
+      setLaneChangeActive(settings.laneChange);
+      setLidarActive(settings.lidar);
+      setLaneSource(settings.laneSource);
+      setEmergencyBrakingActive(settings.emergencyBraking);
+      setSensorModels(engine.config.sensors);
+      setFaults(engine.config.faults);
+      setWeather(loaded.weather);
+      setVehicleModel(settings.vehicleModel);
+      setControllerType(settings.controller);
+      setControllerParameters({
+        ...defaultControllerParameters(settings.controller),
+        ...settings.controllerParameters
+      });
+    } catch (error) {
+      setScenarioError(error.message);
+    }
+  };
+
+  // Back to generated roads, and the controls back to the lanes and
+  // settings from before the scenario
+  const handleClearScenario = () => {
+    engine.unloadScenario();
+    if (viewRef.current) {
+      viewRef.current.buildWorld(engine);
+    }
+    const { settings } = engine;
+    setScenario(null);
+    setSeedInput(String(engine.seed));
+    setLaneCount(engine.config.laneCount);
+    setLaneWidth(engine.config.laneWidth);
+    setLaneKeepingActive(settings.laneKeeping);
+    setAdaptiveCruiseActive(settings.adaptiveCruise);
+    setSetSpeedInput(String(settings.setSpeed));
+    setTimeGap(settings.timeGap);
+    setLaneChangeActive(settings.laneChange);
+    setLidarActive(settings.lidar);
+    setLaneSource(settings.laneSource);
+    setEmergencyBrakingActive(settings.emergencyBraking);
+    setSensorModels(engine.config.sensors);
+    setFaults(engine.config.faults);
+    setWeather(engine.weather);
+    setVehicleModel(engine.vehicleParams.model);
+    setControllerType(settings.controller);
+    setControllerParameters({
+      ...defaultControllerParameters(settings.controller),
+      ...settings.controllerParameters
+    });
+  };
+
+  // Save the current road, vehicles and settings as a scenario file
+  const handleExportScenario = () => {
+    const exported = exportScenario(engine, scenario ? scenario.name : undefined);
+    downloadFile(`scenario-${engine.seed}.json`, JSON.stringify(exported, null, 2));
+  };
+
+  // Replay a recording in the scene; the simulation stops meanwhile
+  const startReplay = (recording) => {
+    runningRef.current = false;
+    setIsSimulationRunning(false);
+    const replay = createReplay(recording);
+    replayRef.current = replay;
+    if (viewRef.current) {
+      viewRef.current.buildWorld(replay.world);
+    }
+    setReplayEvents(recordingEvents(recording));
+    setSummary(null);
+    showReplayFrame(replay);
+  };
+  
+  const handleExitReplay = () => {
+    replayRef.current = null;
+    setReplayState(null);
+    if (viewRef.current) {
+      viewRef.current.buildWorld(engine);
+    }
+  };
+  
+  // Run the replay through one of its controls and refresh the timeline
+  const controlReplay = (action) => {
+    const replay = replayRef.current;
+    if (!replay) return;
+    action(replay);
+    showReplayFrame(replay);
+  };
+  
+  const handleRecordingFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      startReplay(parseRecording(await file.text()));
+      setRecordingError('');
+    } catch (error) {
+      setRecordingError(error.message);
+    }
+  };
+  
+  // Save the last run's recording
+  const handleExportRecording = () => {
+    const { recording } = engine;
+    if (recordingFormat === 'ndjson') {
+      downloadFile(`recording-${engine.seed}.ndjson`, recordingToNdjson(recording), 'application/x-ndjson');
+    } else {
+      downloadFile(`recording-${engine.seed}.json`, recordingToJson(recording));
+    }
+  };
+  
   // Handle start simulation button
   const handleStartSimulation = () => {
     console.log("Starting simulation...");
-    if (!isSimulationRunning) {
-      // Regenerate road for a new simulation
-      generateRoad();
+    if (!isSimulationRunning && seed !== null) {
+      // Regenerate road for a new simulation (or replay the loaded scenario)
+      loadRoad(seed);
+      
+      // Make the current road shareable as a link
+      if (!scenario) {
+        window.history.replaceState(null, '', buildSeedUrl(window.location.href, seed));
+      }
       
-      // Reset clock and start simulation
-      simulationRef.current.clock.start();
+      loop.reset();
+      runningRef.current = true;
       setIsSimulationRunning(true);
     }
   };
   
+  // Advance exactly one fixed step while paused
+  const handleSingleStep = () => {
+    runSteps(step => {
+      loop.stepOnce(step);
+      return 1;
+    });
+  };
+  
   // Handle stop simulation button
   const handleStopSimulation = () => {
     if (isSimulationRunning) {
+      runningRef.current = false;
       setIsSimulationRunning(false);
     }
   };
@@ -688,7 +617,7 @@ const AutonomousDrivingSimulation = () => {
           <button 
             className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded"
             onClick={handleStartSimulation}
-            disabled={isSimulationRunning}
+            disabled={isSimulationRunning || seed === null || replayState !== null}
           >
             Start Simulation
           </button>
@@ -700,6 +629,277 @@ const AutonomousDrivingSimulation = () => {
             Stop Simulation
           </button>
           
+          <div className="flex items-center gap-2">
+            <label htmlFor="seed">Seed</label>
+            <input 
+              type="text" 
+              id="seed" 
+              className={`w-32 px-2 py-1 rounded text-black ${seed === null ? 'bg-red-200' : 'bg-white'}`}
+              value={seedInput} 
+              onChange={(e) => setSeedInput(e.target.value)}
+              disabled={isSimulationRunning || scenario !== null}
+            />
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={() => setSeedInput(String(randomSeed()))}
+              disabled={isSimulationRunning || scenario !== null}
+              title="New random seed"
+            >
+              Random
+            </button>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="file" 
+              accept=".json,application/json" 
+              ref={scenarioInputRef} 
+              className="hidden" 
+              onChange={handleScenarioFile}
+            />
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={() => scenarioInputRef.current.click()}
+              disabled={isSimulationRunning}
+              title="Load a scenario file"
+            >
+              Load Scenario
+            </button>
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={handleExportScenario}
+              disabled={isSimulationRunning}
+              title="Save the current road as a scenario file"
+            >
+              Export Scenario
+            </button>
+            {scenario && (
+              <>
+                <span className="text-sm" title={scenario.description}>{scenario.name}</span>
+                <button 
+                  className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+                  onClick={handleClearScenario}
+                  disabled={isSimulationRunning}
+                  title="Back to generated roads"
+                >
+                  Clear
+                </button>
+              </>
+            )}
+            {scenarioError && <span className="text-sm text-red-400">{scenarioError}</span>}
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="file" 
+              accept=".json,.ndjson,application/json,application/x-ndjson" 
+              ref={recordingInputRef} 
+              className="hidden" 
+              onChange={handleRecordingFile}
+            />
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={() => startReplay(engine.recording)}
+              disabled={isSimulationRunning || replayState !== null || engine.recording.frames.length < 2}
+              title="Replay the last run"
+            >
+              Replay
+            </button>
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={() => recordingInputRef.current.click()}
+              disabled={isSimulationRunning}
+              title="Load a recording file and replay it"
+            >
+              Load Recording
+            </button>
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={handleExportRecording}
+              disabled={isSimulationRunning || engine.recording.frames.length < 2}
+              title="Save the last run, every tick"
+            >
+              Export Recording
+            </button>
+            <select 
+              className="px-2 py-1 rounded text-black"
+              value={recordingFormat} 
+              onChange={(e) => setRecordingFormat(e.target.value)}
+              title="Recording file format"
+            >
+              <option value="json">JSON</option>
+              <option value="ndjson">NDJSON</option>
+            </select>
+            {recordingError && <span className="text-sm text-red-400">{recordingError}</span>}
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="timeScale">Time</label>
+            <select 
+              id="timeScale" 
+              className="px-2 py-1 rounded text-black"
+              value={timeScale} 
+              onChange={(e) => setTimeScale(Number(e.target.value))}
+            >
+              {TIME_SCALES.map(scale => (
+                <option key={scale} value={scale}>{scale === 0 ? 'Paused' : `${scale}x`}</option>
+              ))}
+            </select>
+            <button 
+              className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+              onClick={handleSingleStep}
+              disabled={!isSimulationRunning || timeScale !== 0}
+              title="Advance one physics step"
+            >
+              Step
+            </button>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="stepRate">Physics</label>
+            <select 
+              id="stepRate" 
+              className="px-2 py-1 rounded text-black"
+              value={stepRate} 
+              onChange={(e) => setStepRate(Number(e.target.value))}
+              disabled={isSimulationRunning}
+            >
+              {STEP_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate} Hz</option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="laneCount">Lanes</label>
+            <select 
+              id="laneCount" 
+              className="px-2 py-1 rounded text-black"
+              value={laneCount} 
+              onChange={(e) => setLaneCount(Number(e.target.value))}
+              disabled={isSimulationRunning || scenario !== null}
+            >
+              {[1, 2, 3, 4].map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+            <label htmlFor="laneWidth">Width (m)</label>
+            <input 
+              type="number" 
+              id="laneWidth" 
+              className="w-16 px-1 py-1 rounded text-black"
+              min={2.5}
+              step={0.25}
+              value={laneWidth} 
+              onChange={(e) => setLaneWidth(Number(e.target.value))}
+              disabled={isSimulationRunning || scenario !== null}
+            />
+            <label htmlFor="trafficDensity">Traffic</label>
+            <select 
+              id="trafficDensity" 
+              className="px-2 py-1 rounded text-black"
+              value={trafficDensity} 
+              onChange={(e) => setTrafficDensity(Number(e.target.value))}
+              disabled={isSimulationRunning || scenario !== null}
+            >
+              <option value={0}>None</option>
+              <option value={6}>Light</option>
+              <option value={15}>Heavy</option>
+            </select>
+            <label htmlFor="roadLength" title="Endless: the road is generated ahead of the car, with no time limit">Road</label>
+            <select 
+              id="roadLength" 
+              className="px-2 py-1 rounded text-black"
+              value={infiniteRoad ? 'endless' : 'finite'} 
+              onChange={(e) => setInfiniteRoad(e.target.value === 'endless')}
+              disabled={isSimulationRunning || scenario !== null}
+            >
+              <option value="finite">{engine.config.roadLength} m</option>
+              <option value="endless">Endless</option>
+            </select>
+            <label htmlFor="intersections" title="Intersections with traffic signals, every so many road segments">Signals</label>
+            <select 
+              id="intersections" 
+              className="px-2 py-1 rounded text-black"
+              value={intersectionSpacing} 
+              onChange={(e) => setIntersectionSpacing(Number(e.target.value))}
+              disabled={isSimulationRunning || scenario !== null}
+            >
+              <option value={0}>None</option>
+              <option value={8}>Sparse</option>
+              <option value={4}>Dense</option>
+            </select>
+            <label htmlFor="crosswalks" title="Crosswalks with a pedestrian crossing at random, every so many road segments">Pedestrians</label>
+            <select 
+              id="crosswalks" 
+              className="px-2 py-1 rounded text-black"
+              value={crosswalkSpacing} 
+              onChange={(e) => setCrosswalkSpacing(Number(e.target.value))}
+              disabled={isSimulationRunning || scenario !== null}
+            >
+              <option value={0}>None</option>
+              <option value={6}>Few</option>
+              <option value={3}>Many</option>
+            </select>
+            <label htmlFor="weather" title="Fog shortens the sensor range, rain adds range noise and makes the road slippery, night lowers the camera contrast">Weather</label>
+            <select 
+              id="weather" 
+              className="px-2 py-1 rounded text-black"
+              value={weather} 
+              onChange={(e) => setWeather(e.target.value)}
+              disabled={isSimulationRunning}
+            >
+              {Object.entries(WEATHER_CONDITIONS).map(([name, condition]) => (
+                <option key={name} value={name}>{condition.label}</option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="vehicleModel">Vehicle</label>
+            <select 
+              id="vehicleModel" 
+              className="px-2 py-1 rounded text-black"
+              value={vehicleModel} 
+              onChange={(e) => setVehicleModel(e.target.value)}
+              disabled={isSimulationRunning}
+            >
+              {VEHICLE_MODELS.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="drivingMode" title="Manual: arrow keys or WASD, or a gamepad (left stick, triggers)">Driving</label>
+            <select 
+              id="drivingMode" 
+              className="px-2 py-1 rounded text-black"
+              value={drivingMode} 
+              onChange={(e) => setDrivingMode(e.target.value)}
+            >
+              {Object.entries(DRIVING_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+            {drivingMode === 'manual' && (
+              <select 
+                id="assistMode" 
+                className="px-2 py-1 rounded text-black"
+                value={assistMode} 
+                onChange={(e) => setAssistMode(e.target.value)}
+                title="Who wins when the driver and lane keeping or ACC disagree"
+              >
+                {Object.entries(ASSIST_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+            )}
+            {drivingMode === 'manual' && gamepadName && (
+              <span className="text-sm text-gray-300" title={gamepadName}>🎮</span>
+            )}
+          </div>
+          
           <div className="flex items-center gap-2">
             <input 
               type="checkbox" 
@@ -708,6 +908,55 @@ const AutonomousDrivingSimulation = () => {
               onChange={() => setLaneKeepingActive(!laneKeepingActive)}
             />
             <label htmlFor="laneKeeping">Lane Keeping</label>
+            <select 
+              id="laneSource" 
+              className="px-2 py-1 rounded text-black"
+              value={laneSource} 
+              onChange={(e) => setLaneSource(e.target.value)}
+              title="Where lane keeping gets the lane from"
+            >
+              <option value="groundTruth">Ground truth</option>
+              <option value="camera">Camera</option>
+            </select>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="checkbox" 
+              id="cameraView" 
+              checked={cameraViewVisible} 
+              onChange={() => setCameraViewVisible(!cameraViewVisible)}
+            />
+            <label htmlFor="cameraView">Camera View</label>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <label htmlFor="controller">Controller</label>
+            <select 
+              id="controller" 
+              className="px-2 py-1 rounded text-black"
+              value={controllerType} 
+              onChange={(e) => handleControllerChange(e.target.value)}
+            >
+              {Object.keys(CONTROLLERS).map(type => (
+                <option key={type} value={type}>{CONTROLLERS[type].label}</option>
+              ))}
+            </select>
+            {CONTROLLERS[controllerType].parameters.map(parameter => (
+              <label key={parameter.key} className="flex items-center gap-1 text-sm">
+                {parameter.label}
+                <input 
+                  type="number" 
+                  className="w-16 px-1 py-1 rounded text-black"
+                  step={parameter.step}
+                  value={controllerParameters[parameter.key]} 
+                  onChange={(e) => setControllerParameters({
+                    ...controllerParameters,
+                    [parameter.key]: Number(e.target.value)
+                  })}
+                />
+              </label>
+            ))}
           </div>
           
           <div className="flex items-center gap-2">
@@ -718,22 +967,283 @@ const AutonomousDrivingSimulation = () => {
               onChange={() => setAdaptiveCruiseActive(!adaptiveCruiseActive)}
             />
             <label htmlFor="adaptiveCruise">Adaptive Cruise Control</label>
+            <label htmlFor="setSpeed" title="Cruise speed on a free road">Set (m/s)</label>
+            <input 
+              type="number" 
+              id="setSpeed" 
+              className="w-16 px-1 py-1 rounded text-black"
+              min={0}
+              max={MAX_SET_SPEED}
+              step={0.5}
+              value={setSpeedInput} 
+              onChange={(e) => setSetSpeedInput(e.target.value)}
+            />
+            <label htmlFor="timeGap" title="Following distance to the vehicle ahead">Gap</label>
+            <select 
+              id="timeGap" 
+              className="px-2 py-1 rounded text-black"
+              value={timeGap}
+              onChange={(e) => setTimeGap(Number(e.target.value))}
+              disabled={!adaptiveCruiseActive}
+            >
+              {TIME_GAPS.map(gap => <option key={gap} value={gap}>{gap.toFixed(1)} s</option>)}
+            </select>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="checkbox" 
+              id="emergencyBraking" 
+              checked={emergencyBrakingActive} 
+              onChange={() => setEmergencyBrakingActive(!emergencyBrakingActive)}
+            />
+            <label htmlFor="emergencyBraking" title="Forward collision warning and automatic braking">Emergency Braking</label>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="checkbox" 
+              id="laneChange" 
+              checked={laneChangeActive} 
+              onChange={() => setLaneChangeActive(!laneChangeActive)}
+            />
+            <label htmlFor="laneChange">Lane Change</label>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="checkbox" 
+              id="lidar" 
+              checked={lidarActive} 
+              onChange={() => setLidarActive(!lidarActive)}
+            />
+            <label htmlFor="lidar" title="Scanning LiDAR; ACC and lane change use it for the distance ahead">LiDAR</label>
+            <select 
+              className="px-2 py-1 rounded text-black"
+              value={lidarConfig.channels} 
+              onChange={(e) => updateLidarConfig('channels', Number(e.target.value))}
+              disabled={!lidarActive}
+              title="Channels"
+            >
+              {[1, 4, 16, 32].map(count => (
+                <option key={count} value={count}>{count} ch</option>
+              ))}
+            </select>
+            <select 
+              className="px-2 py-1 rounded text-black"
+              value={lidarConfig.horizontalFov} 
+              onChange={(e) => updateLidarConfig('horizontalFov', Number(e.target.value))}
+              disabled={!lidarActive}
+              title="Horizontal field of view"
+            >
+              {[90, 180, 360].map(fov => (
+                <option key={fov} value={fov}>{fov}°</option>
+              ))}
+            </select>
+            <select 
+              className="px-2 py-1 rounded text-black"
+              value={lidarConfig.angularResolution} 
+              onChange={(e) => updateLidarConfig('angularResolution', Number(e.target.value))}
+              disabled={!lidarActive}
+              title="Angular resolution"
+            >
+              {[0.5, 1, 2].map(resolution => (
+                <option key={resolution} value={resolution}>{resolution}° res</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1 text-sm">
+              Range
+              <input 
+                type="number" 
+                className="w-16 px-1 py-1 rounded text-black"
+                min={5}
+                step={10}
+                value={lidarConfig.maxRange} 
+                onChange={(e) => updateLidarConfig('maxRange', Number(e.target.value))}
+                disabled={!lidarActive}
+              />
+            </label>
+            <label className="flex items-center gap-1 text-sm">
+              Noise σ
+              <input 
+                type="number" 
+                className="w-16 px-1 py-1 rounded text-black"
+                min={0}
+                step={0.01}
+                value={lidarConfig.rangeNoise} 
+                onChange={(e) => updateLidarConfig('rangeNoise', Number(e.target.value))}
+                disabled={!lidarActive}
+              />
+            </label>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            <input 
+              type="checkbox" 
+              id="tracks" 
+              checked={tracksVisible} 
+              onChange={() => setTracksVisible(!tracksVisible)}
+            />
+            <label htmlFor="tracks" title="Tracked objects with gap and time to collision">Tracks</label>
           </div>
           
+          <button 
+            className="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded"
+            onClick={() => setSensorPanelOpen(!sensorPanelOpen)}
+          >
+            Sensors &amp; Faults{faults.length > 0 ? ` (${faults.length})` : ''}
+          </button>
+          
+          <button 
+            className="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded"
+            onClick={() => setBatchPanelOpen(!batchPanelOpen)}
+            title="Run many seeded episodes headless and compare KPIs"
+          >
+            Batch
+          </button>
+          
           <div className="ml-4">
-            <span className="font-semibold">Speed:</span> {speed} km/h
+            <span className="font-semibold">Speed:</span> {formatNumber(speed)} m/s
+          </div>
+          {adaptiveCruiseActive && accStatus && (
+            <div title="Adaptive cruise control: target speed, and the gap to the vehicle ahead with the gap it keeps">
+              <span className="font-semibold">ACC:</span> {{
+                follow: `following at ${formatNumber(accStatus.targetSpeed)} m/s, gap ${formatNumber(accStatus.gap)} / ${formatNumber(accStatus.desiredGap)} m`,
+                stop: 'stopping for the signal',
+                yield: 'yielding to a pedestrian'
+              }[accStatus.mode] || `cruising at ${formatNumber(accStatus.targetSpeed)} m/s`}
+            </div>
+          )}
+          {signal && signal.distance < SIGNAL_HUD_RANGE && (
+            <div className={SIGNAL_COLORS[signal.phase]} title="Traffic signal ahead and the distance to its stop line">
+              <span className="font-semibold">Signal:</span> {SIGNAL_PHASES[signal.phase]} in {formatNumber(signal.distance, 0)} m
+            </div>
+          )}
+          <div className={activeFaults.length > 0 ? 'text-red-400' : ''}>
+            <span className="font-semibold">Front:</span> {Number.isFinite(frontReading) ? `${formatNumber(frontReading)} m` : 'clear'}
+          </div>
+          <div>
+            <span className="font-semibold">Lead:</span> {lead ? `${formatNumber(lead.gap)} m, TTC ${Number.isFinite(lead.ttc) ? `${formatNumber(lead.ttc)} s` : '–'}` : 'none'}
           </div>
+          {drivingMode === 'manual' && (takeover.steering || takeover.speed) && (
+            <div className={`font-bold ${assistMode === 'override' ? 'text-orange-400' : 'text-cyan-300'}`}>
+              {assistMode === 'override' ? 'System override' : 'Driver takeover'}: {
+                [takeover.steering && 'steering', takeover.speed && 'speed'].filter(Boolean).join(', ')
+              }
+            </div>
+          )}
+          {emergencyBrakingActive && (
+            <div className={`${AEB_COLORS[aebPhase]} ${aebPhase !== 'standby' ? 'font-bold' : ''}`}>
+              <span className="font-semibold">AEB:</span> {AEB_PHASES[aebPhase]}
+            </div>
+          )}
           <div>
-            <span className="font-semibold">Distance:</span> {distance} m
+            <span className="font-semibold">Distance:</span> {formatNumber(distance)} m
+          </div>
+          <div>
+            <span className="font-semibold">Lane:</span> {laneStatus}
           </div>
         </div>
       </div>
       
-      <div 
-        ref={mountRef} 
-        className="flex-grow bg-black"
-        style={{ height: "calc(100vh - 100px)" }}
-      />
+      <div className="relative flex-grow">
+        <div 
+          ref={mountRef} 
+          className="w-full bg-black"
+          style={{ height: "calc(100vh - 100px)" }}
+        />
+        
+        <canvas 
+          ref={cameraCanvasRef} 
+          width={DEFAULT_CAMERA_MODEL.width} 
+          height={DEFAULT_CAMERA_MODEL.height} 
+          className={`absolute bottom-4 left-4 border-2 border-gray-200 rounded ${cameraViewVisible ? '' : 'hidden'}`}
+          style={{ width: DEFAULT_CAMERA_MODEL.width * 2, height: DEFAULT_CAMERA_MODEL.height * 2 }}
+        />
+        
+        {!replayState && <TelemetryPanel engine={engine} />}
+        
+        {replayState && (
+          <ReplayControls 
+            replay={replayState}
+            events={replayEvents}
+            onPlayPause={() => controlReplay(replay => (replay.playing ? replay.pause() : replay.play()))}
+            onSeek={(time) => controlReplay(replay => replay.seek(time))}
+            onStep={(count) => controlReplay(replay => replay.stepFrames(count))}
+            onSpeedChange={(speed) => controlReplay(replay => { replay.speed = speed; })}
+            onExit={handleExitReplay}
+          />
+        )}
+        
+        {sensorPanelOpen && (
+          <SensorFaultPanel 
+            sensorModels={sensorModels}
+            onSensorModelsChange={setSensorModels}
+            faults={faults}
+            onFaultsChange={setFaults}
+            activeFaults={activeFaults}
+            onClose={() => setSensorPanelOpen(false)}
+          />
+        )}
+        
+        {batchPanelOpen && (
+          <BatchPanel 
+            engine={engine}
+            stepRate={stepRate}
+            defaultSeed={seed !== null ? seed : engine.seed}
+            disabled={isSimulationRunning || scenario !== null || replayState !== null}
+            onDownload={downloadFile}
+            onSelectSeed={(batchSeed) => setSeedInput(String(batchSeed))}
+            onClose={() => setBatchPanelOpen(false)}
+          />
+        )}
+        
+        {/* Rendering stats above the run summary, both in the top right corner */}
+        <div className="absolute top-4 right-4 flex flex-col items-end gap-2">
+          <StatsOverlay viewRef={viewRef} />
+          {summary && (
+            <div className="bg-gray-900 bg-opacity-90 text-white p-4 rounded w-72">
+              <div className="flex justify-between items-center mb-2">
+                <h2 className={`text-lg font-bold ${summary.outcome === 'completed' ? 'text-green-400' : 'text-red-400'}`}>
+                  {OUTCOMES[summary.outcome]}
+                </h2>
+                <button 
+                  className="bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+                  onClick={() => setSummary(null)}
+                  title="Close summary"
+                >
+                  ×
+                </button>
+              </div>
+              <p className="text-sm mb-2">{summary.reason}</p>
+              {summary.criteria && (
+                <div className={`text-sm mb-2 ${summary.criteria.passed ? 'text-green-400' : 'text-red-400'}`}>
+                  <span className="font-semibold">Scenario {summary.criteria.passed ? 'passed' : 'failed'}</span>
+                  {summary.criteria.failures.map(failure => <div key={failure}>{failure}</div>)}
+                </div>
+              )}
+              <table className="w-full text-sm">
+                <tbody>
+                  <tr><td>Time</td><td className="text-right">{formatNumber(summary.time)} s</td></tr>
+                  <tr><td>Distance</td><td className="text-right">{formatNumber(summary.distance)} m</td></tr>
+                  <tr><td>Average speed</td><td className="text-right">{formatNumber(summary.averageSpeed)} m/s</td></tr>
+                  <tr><td>Max speed</td><td className="text-right">{formatNumber(summary.maxSpeed)} m/s</td></tr>
+                  <tr><td>Mean lateral error</td><td className="text-right">{formatNumber(summary.meanLateralError, 2)} m</td></tr>
+                  <tr><td>Max lateral error</td><td className="text-right">{formatNumber(summary.maxLateralError, 2)} m</td></tr>
+                  <tr><td>RMS lateral error</td><td className="text-right">{formatNumber(summary.rmsLateralError, 2)} m</td></tr>
+                  <tr><td>Min front distance</td><td className="text-right">{formatNumber(summary.minFrontDistance)} m</td></tr>
+                  <tr><td>Min time to collision</td><td className="text-right">{formatNumber(summary.minTtc)} s</td></tr>
+                  <tr><td>RMS jerk</td><td className="text-right">{formatNumber(summary.rmsJerk)} m/s³</td></tr>
+                  <tr><td>Lane changes</td><td className="text-right">{summary.laneChanges}</td></tr>
+                  <tr><td>Lane departures</td><td className="text-right">{summary.laneDepartures}</td></tr>
+                  <tr><td>Red lights run</td><td className="text-right">{summary.redLightViolations}</td></tr>
+                  <tr><td>Emergency brakings</td><td className="text-right">{summary.emergencyBrakings}</td></tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
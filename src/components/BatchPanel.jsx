@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { OUTCOMES } from '../simulation/episodeStats';
+import { parseSeed } from '../simulation/random';
+import { runBatch, batchOptionsFrom, batchReportToJson, batchReportToCsv } from '../simulation/batchRunner';
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+const formatPercent = (value) => `${(value * 100).toFixed(0)} %`;
+
+// Aggregated KPIs as table rows
+const KPI_ROWS = [
+  { label: 'Completion rate', value: kpis => formatPercent(kpis.completionRate) },
+  { label: 'Collision rate', value: kpis => formatPercent(kpis.collisionRate) },
+  { label: 'Pedestrian strike rate', value: kpis => formatPercent(kpis.pedestrianStrikeRate) },
+  { label: 'Lane departures', value: kpis => `${kpis.laneDepartures} (${formatNumber(kpis.laneDeparturesPerEpisode)} / episode)` },
+  { label: 'Red lights run', value: kpis => String(kpis.redLightViolations) },
+  { label: 'Mean lateral error', value: kpis => `${formatNumber(kpis.meanLateralError)} m` },
+  { label: 'Max lateral error', value: kpis => `${formatNumber(kpis.maxLateralError)} m` },
+  { label: 'Mean speed', value: kpis => `${formatNumber(kpis.meanSpeed, 1)} m/s` },
+  { label: 'Min time to collision', value: kpis => `${formatNumber(kpis.minTtc)} s` },
+  { label: 'RMS jerk', value: kpis => `${formatNumber(kpis.rmsJerk, 1)} m/s³` },
+  { label: 'Max jerk', value: kpis => `${formatNumber(kpis.maxJerk, 1)} m/s³` }
+];
+
+// Runs a batch of seeded episodes headless with the current settings
+// (see simulation/batchRunner.js) and shows the aggregated KPIs, with the
+// report as JSON or CSV download. Clicking an episode's seed puts it in
+// the control bar to watch that road.
+const BatchPanel = ({ engine, stepRate, defaultSeed, disabled, onDownload, onSelectSeed, onClose }) => {
+  const [episodesInput, setEpisodesInput] = useState('10');
+  const [firstSeedInput, setFirstSeedInput] = useState(String(defaultSeed));
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  // Stop a running batch when the panel closes
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const episodes = Number(episodesInput);
+  const firstSeed = parseSeed(firstSeedInput);
+  const valid = Number.isInteger(episodes) && episodes > 0 && firstSeed !== null;
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setReport(null);
+    setError('');
+    try {
+      const result = await runBatch({
+        episodes,
+        firstSeed,
+        ...batchOptionsFrom(engine),
+        dt: 1 / stepRate,
+        onProgress: setReport,
+        signal: controller.signal
+      });
+      if (!controller.signal.aborted) setReport(result);
+    } catch (problem) {
+      setError(problem.message);
+    }
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const fileName = report && `batch-${report.firstSeed}-${report.runs.length}`;
+  // Episodes finished so far
+  const done = report ? report.runs.length : 0;
+
+  return (
+    <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-gray-900 bg-opacity-90 text-white p-4 rounded text-sm w-96">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-bold">Batch Evaluation</h2>
+        <button
+          className="bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+          onClick={onClose}
+          title="Close batch evaluation"
+        >
+          ×
+        </button>
+      </div>
+      <div className="flex items-center gap-2 mb-2">
+        <label htmlFor="batchEpisodes">Episodes</label>
+        <input
+          type="number"
+          id="batchEpisodes"
+          className="w-16 px-1 py-1 rounded text-black"
+          min={1}
+          value={episodesInput}
+          onChange={(e) => setEpisodesInput(e.target.value)}
+          disabled={running}
+        />
+        <label htmlFor="batchSeed" title="Episode i drives the road of seed first + i">First seed</label>
+        <input
+          type="text"
+          id="batchSeed"
+          className={`w-28 px-1 py-1 rounded text-black ${firstSeed === null ? 'bg-red-200' : 'bg-white'}`}
+          value={firstSeedInput}
+          onChange={(e) => setFirstSeedInput(e.target.value)}
+          disabled={running}
+        />
+      </div>
+      <div className="flex items-center gap-2 mb-2">
+        {running ? (
+          <button
+            className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded"
+            onClick={() => abortRef.current.abort()}
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            className="bg-green-500 hover:bg-green-600 text-white px-3 py-1 rounded"
+            onClick={handleRun}
+            disabled={!valid || disabled}
+            title="Run the episodes headless with the current settings, autonomously and with the map lane"
+          >
+            Run Batch
+          </button>
+        )}
+        <button
+          className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+          onClick={() => onDownload(`${fileName}.json`, batchReportToJson(report))}
+          disabled={!report || running}
+        >
+          JSON
+        </button>
+        <button
+          className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-1 rounded"
+          onClick={() => onDownload(`${fileName}.csv`, batchReportToCsv(report), 'text/csv')}
+          disabled={!report || running}
+        >
+          CSV
+        </button>
+        {(running || report) && <span className="tabular-nums">{done} / {report ? report.episodes : episodes}</span>}
+      </div>
+      {running && (
+        <div className="h-1 bg-gray-700 mb-2">
+          <div className="h-1 bg-green-500" style={{ width: `${done / episodes * 100}%` }} />
+        </div>
+      )}
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+      {report && (
+        <>
+          <table className="w-full mb-2">
+            <tbody>
+              {KPI_ROWS.map(row => (
+                <tr key={row.label}><td>{row.label}</td><td className="text-right tabular-nums">{row.value(report.kpis)}</td></tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="max-h-40 overflow-y-auto">
+            <table className="w-full tabular-nums">
+              <thead>
+                <tr className="text-gray-300">
+                  <th className="text-left">Seed</th>
+                  <th className="text-left">Outcome</th>
+                  <th className="text-right">Time</th>
+                  <th className="text-right">Lat. err</th>
+                  <th className="text-right">Min TTC</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.runs.map(run => (
+                  <tr key={run.seed} className={run.outcome === 'completed' ? '' : 'text-red-400'}>
+                    <td>
+                      <button
+                        className="underline"
+                        onClick={() => onSelectSeed(run.seed)}
+                        disabled={running}
+                        title="Watch this road"
+                      >
+                        {run.seed}
+                      </button>
+                    </td>
+                    <td>{OUTCOMES[run.outcome]}</td>
+                    <td className="text-right">{formatNumber(run.time, 1)} s</td>
+                    <td className="text-right">{formatNumber(run.meanLateralError)} m</td>
+                    <td className="text-right">{formatNumber(run.minTtc, 1)} s</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { REPLAY_SPEEDS } from '../simulation/replay';
+
+const EVENT_COLORS = {
+  laneChange: 'bg-blue-400',
+  emergencyBraking: 'bg-red-500',
+  fault: 'bg-yellow-400',
+  takeover: 'bg-cyan-300',
+  redLight: 'bg-orange-500',
+  pedestrian: 'bg-pink-400',
+  outcome: 'bg-white'
+};
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'laneChange':
+      return `Lane change ${event.phase} (${event.from + 1} → ${event.to + 1})`;
+    case 'emergencyBraking':
+      return `Emergency braking: ${event.phase}`;
+    case 'fault':
+      return `Fault: ${event.fault.sensor} ${event.fault.type}`;
+    case 'takeover':
+      return `Driver takeover: ${event.axis}`;
+    case 'redLight':
+      return 'Red light run';
+    case 'pedestrian':
+      return `Pedestrian ${event.id} crossing`;
+    case 'outcome':
+      return `Outcome: ${event.outcome} (${event.reason})`;
+    default:
+      return event.type;
+  }
+};
+
+// Timeline of a replayed recording (see simulation/replay.js): scrubber
+// with the recorded events marked on it, play/pause, frame stepping and
+// playback speed
+const ReplayControls = ({ replay, events, onPlayPause, onSeek, onStep, onSpeedChange, onExit }) => (
+  <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 w-2/3 bg-gray-900 bg-opacity-90 text-white p-3 rounded text-sm">
+    <div className="relative h-3 mb-1">
+      {events.map((event, i) => (
+        <button
+          key={i}
+          className={`absolute top-0 w-1 h-3 ${EVENT_COLORS[event.type] || 'bg-gray-400'}`}
+          style={{ left: `${replay.duration > 0 ? event.time / replay.duration * 100 : 0}%` }}
+          onClick={() => onSeek(event.time)}
+          title={`${event.time.toFixed(2)} s: ${describeEvent(event)}`}
+        />
+      ))}
+    </div>
+    <input
+      type="range"
+      className="w-full"
+      min={0}
+      max={replay.duration}
+      step={0.001}
+      value={replay.time}
+      onChange={(e) => onSeek(Number(e.target.value))}
+    />
+    <div className="flex items-center gap-2 mt-1">
+      <button
+        className="bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+        onClick={() => onStep(-1)}
+        title="Previous frame"
+      >
+        ⏮
+      </button>
+      <button
+        className="bg-blue-500 hover:bg-blue-600 text-white px-3 rounded"
+        onClick={onPlayPause}
+      >
+        {replay.playing ? 'Pause' : 'Play'}
+      </button>
+      <button
+        className="bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+        onClick={() => onStep(1)}
+        title="Next frame"
+      >
+        ⏭
+      </button>
+      <select
+        className="px-1 rounded text-black"
+        value={replay.speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        title="Playback speed"
+      >
+        {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+      </select>
+      <span className="ml-2 tabular-nums">
+        {replay.time.toFixed(2)} / {replay.duration.toFixed(2)} s, frame {replay.index + 1} / {replay.frameCount}
+      </span>
+      <button
+        className="ml-auto bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+        onClick={onExit}
+        title="Back to the simulation"
+      >
+        Exit Replay
+      </button>
+    </div>
+  </div>
+);
+
+export default ReplayControls;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { SENSORS, FAULT_TYPES, FAULT_TRIGGERS, validateFault } from '../simulation/sensorFaults';
+
+const MODEL_FIELDS = [
+  { key: 'noise', label: 'Noise σ', step: 0.1, min: 0 },
+  { key: 'bias', label: 'Bias', step: 0.1 },
+  { key: 'latency', label: 'Latency', step: 1, min: 0 },
+  { key: 'dropout', label: 'Dropout', step: 0.05, min: 0, max: 1 }
+];
+
+const EMPTY_FAULT = { sensor: 'front', type: 'stuck', value: '', trigger: 'time', at: '10', duration: '' };
+
+// Fault as entered in the form, with numbers parsed and blanks left out
+const parseFault = (form) => {
+  const fault = { sensor: form.sensor, type: form.type, trigger: form.trigger, at: Number(form.at) };
+  if (form.value !== '') fault.value = Number(form.value);
+  if (form.duration !== '') fault.duration = Number(form.duration);
+  return fault;
+};
+
+const describeFault = (fault) => {
+  const unit = FAULT_TRIGGERS[fault.trigger];
+  const value = fault.value === undefined ? '' : ` ${fault.value}`;
+  const window = fault.duration === undefined ? `from ${fault.at} ${unit}` : `${fault.at}–${fault.at + fault.duration} ${unit}`;
+  return `${SENSORS[fault.sensor].label}: ${FAULT_TYPES[fault.type]}${value}, ${window}`;
+};
+
+// Noise models per sensor and the list of scheduled faults (see
+// simulation/sensorFaults.js). Faults active in the current run are
+// highlighted.
+const SensorFaultPanel = ({ sensorModels, onSensorModelsChange, faults, onFaultsChange, activeFaults, onClose }) => {
+  const [form, setForm] = useState(EMPTY_FAULT);
+  const [error, setError] = useState('');
+
+  const updateModel = (sensor, changes) => {
+    onSensorModelsChange({ ...sensorModels, [sensor]: { ...sensorModels[sensor], ...changes } });
+  };
+
+  const updateNumber = (sensor, key, text) => {
+    const value = Number(text);
+    if (text !== '' && Number.isFinite(value)) updateModel(sensor, { [key]: value });
+  };
+
+  const handleAddFault = () => {
+    const fault = parseFault(form);
+    const problem = validateFault(fault);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onFaultsChange([...faults, fault]);
+    setError('');
+  };
+
+  return (
+    <div className="absolute top-4 left-4 bg-gray-900 bg-opacity-90 text-white p-4 rounded text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-bold">Sensors &amp; Faults</h2>
+        <button
+          className="bg-gray-600 hover:bg-gray-500 text-white px-2 rounded"
+          onClick={onClose}
+          title="Close panel"
+        >
+          ×
+        </button>
+      </div>
+
+      <table className="mb-3">
+        <thead>
+          <tr>
+            <th className="text-left pr-2">Sensor</th>
+            {MODEL_FIELDS.map(field => <th key={field.key} className="px-1">{field.label}</th>)}
+            <th className="px-1">Stuck at</th>
+            <th className="px-1">Failed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(SENSORS).map(sensor => {
+            const model = sensorModels[sensor];
+            return (
+              <tr key={sensor}>
+                <td className="pr-2">{SENSORS[sensor].label}</td>
+                {MODEL_FIELDS.map(field => (
+                  <td key={field.key} className="px-1">
+                    <input
+                      type="number"
+                      className="w-16 px-1 rounded text-black"
+                      step={field.step}
+                      min={field.min}
+                      max={field.max}
+                      value={model[field.key]}
+                      onChange={(e) => updateNumber(sensor, field.key, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td className="px-1 whitespace-nowrap">
+                  <input
+                    type="checkbox"
+                    checked={model.stuck}
+                    onChange={() => updateModel(sensor, { stuck: !model.stuck })}
+                    title="Freeze the reading"
+                  />
+                  <input
+                    type="number"
+                    className="w-16 px-1 ml-1 rounded text-black"
+                    placeholder="last"
+                    value={model.stuckAt === null ? '' : model.stuckAt}
+                    onChange={(e) => updateModel(sensor, { stuckAt: e.target.value === '' ? null : Number(e.target.value) })}
+                    title="Value to freeze at; empty freezes the last reading"
+                  />
+                </td>
+                <td className="px-1 text-center">
+                  <input
+                    type="checkbox"
+                    checked={model.failed}
+                    onChange={() => updateModel(sensor, { failed: !model.failed })}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <h3 className="font-semibold mb-1">Fault injection</h3>
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        <select
+          className="px-1 rounded text-black"
+          value={form.sensor}
+          onChange={(e) => setForm({ ...form, sensor: e.target.value })}
+        >
+          {Object.keys(SENSORS).map(sensor => <option key={sensor} value={sensor}>{SENSORS[sensor].label}</option>)}
+        </select>
+        <select
+          className="px-1 rounded text-black"
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+        >
+          {Object.keys(FAULT_TYPES).map(type => <option key={type} value={type}>{FAULT_TYPES[type]}</option>)}
+        </select>
+        <input
+          type="number"
+          className="w-16 px-1 rounded text-black"
+          placeholder="value"
+          value={form.value}
+          onChange={(e) => setForm({ ...form, value: e.target.value })}
+          title="Fault value; stuck faults without one freeze the last reading"
+        />
+        <select
+          className="px-1 rounded text-black"
+          value={form.trigger}
+          onChange={(e) => setForm({ ...form, trigger: e.target.value })}
+        >
+          <option value="time">at time (s)</option>
+          <option value="distance">at distance (m)</option>
+        </select>
+        <input
+          type="number"
+          className="w-16 px-1 rounded text-black"
+          min={0}
+          value={form.at}
+          onChange={(e) => setForm({ ...form, at: e.target.value })}
+        />
+        <input
+          type="number"
+          className="w-20 px-1 rounded text-black"
+          placeholder="duration"
+          min={0}
+          value={form.duration}
+          onChange={(e) => setForm({ ...form, duration: e.target.value })}
+          title="Empty lasts until the end of the run"
+        />
+        <button
+          className="bg-blue-500 hover:bg-blue-600 text-white px-2 rounded"
+          onClick={handleAddFault}
+        >
+          Add
+        </button>
+      </div>
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+
+      <ul>
+        {faults.map((fault, i) => (
+          <li key={i} className={`flex justify-between gap-2 ${activeFaults.includes(i) ? 'text-red-400 font-semibold' : ''}`}>
+            {describeFault(fault)}
+            <button
+              className="text-gray-400 hover:text-white"
+              onClick={() => onFaultsChange(faults.filter((_, j) => j !== i))}
+              title="Remove fault"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+        {faults.length === 0 && <li className="text-gray-400">No faults scheduled</li>}
+      </ul>
+    </div>
+  );
+};
+
+export default SensorFaultPanel;
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+
+// Stats are refreshed this often (ms)
+const REFRESH_INTERVAL = 500;
+
+const formatCount = (value) => value.toLocaleString('en-US');
+
+// Collapsible overlay with the renderer's frame rate, draw calls,
+// triangles and GPU resources (see SimulationView.getStats), to check that
+// they stay flat over long runs. The parent places it.
+const StatsOverlay = ({ viewRef }) => {
+  const [open, setOpen] = useState(false);
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const refresh = () => setStats(viewRef.current ? viewRef.current.getStats() : null);
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [viewRef, open]);
+
+  return (
+    <div className="bg-gray-900 bg-opacity-90 text-white p-2 rounded text-xs">
+      <button
+        className="font-bold text-sm w-full text-left"
+        onClick={() => setOpen(!open)}
+        title="Rendering statistics"
+      >
+        {open ? '▾' : '▸'} Stats
+      </button>
+      {open && stats && (
+        <table className="mt-1 tabular-nums">
+          <tbody>
+            <tr><td className="pr-3">FPS</td><td className="text-right">{stats.fps.toFixed(0)}</td></tr>
+            <tr><td className="pr-3">Draw calls</td><td className="text-right">{formatCount(stats.calls)}</td></tr>
+            <tr><td className="pr-3">Triangles</td><td className="text-right">{formatCount(stats.triangles)}</td></tr>
+            <tr><td className="pr-3">Geometries</td><td className="text-right">{formatCount(stats.geometries)}</td></tr>
+            <tr><td className="pr-3">Textures</td><td className="text-right">{formatCount(stats.textures)}</td></tr>
+            <tr>
+              <td className="pr-3">JS heap</td>
+              <td className="text-right">{stats.heap === null ? '–' : `${(stats.heap / 1048576).toFixed(0)} MB`}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default StatsOverlay;
@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { TELEMETRY_CHANNELS, SIGNAL_LABELS } from '../simulation/telemetry';
+import { drawTelemetryChart, SIGNAL_COLORS } from '../rendering/telemetryCharts';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 60;
+
+// Statistics are refreshed this often (ms); the charts every frame
+const STATS_INTERVAL = 250;
+
+const formatStat = (value) => (value === null ? '–' : value.toFixed(2));
+
+// Collapsible panel with live charts of the engine's telemetry and min,
+// max and RMS of every signal over the run
+const TelemetryPanel = ({ engine }) => {
+  const [open, setOpen] = useState(false);
+  const [stats, setStats] = useState(() => engine.telemetry.summary());
+  const canvasRefs = useRef({});
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let frame;
+    let lastStats = 0;
+    const draw = (now) => {
+      TELEMETRY_CHANNELS.forEach(channel => {
+        const canvas = canvasRefs.current[channel.key];
+        if (canvas) drawTelemetryChart(canvas, engine.telemetry, channel);
+      });
+      if (now - lastStats > STATS_INTERVAL) {
+        lastStats = now;
+        setStats(engine.telemetry.summary());
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [engine, open]);
+
+  return (
+    <div className="absolute bottom-4 right-4 bg-gray-900 bg-opacity-90 text-white p-2 rounded text-xs">
+      <button
+        className="font-bold text-sm w-full text-left"
+        onClick={() => setOpen(!open)}
+        title="Live charts for tuning lane keeping and cruise control"
+      >
+        {open ? '▾' : '▸'} Telemetry
+      </button>
+      {open && TELEMETRY_CHANNELS.map(channel => (
+        <div key={channel.key} className="mt-2">
+          <div className="flex justify-between">
+            <span>{channel.label} ({channel.unit})</span>
+            <span>
+              {channel.signals.map(signal => (
+                <span key={signal} className="ml-2" style={{ color: SIGNAL_COLORS[signal] }}>
+                  {SIGNAL_LABELS[signal]}
+                </span>
+              ))}
+            </span>
+          </div>
+          <canvas
+            ref={(canvas) => { canvasRefs.current[channel.key] = canvas; }}
+            width={CHART_WIDTH}
+            height={CHART_HEIGHT}
+          />
+          {channel.signals.map(signal => (
+            <div key={signal} className="tabular-nums text-gray-300">
+              {channel.signals.length > 1 && `${SIGNAL_LABELS[signal]}: `}
+              min {formatStat(stats[signal].min)} · max {formatStat(stats[signal].max)} · RMS {formatStat(stats[signal].rms)}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TelemetryPanel;
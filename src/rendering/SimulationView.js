@@ -0,0 +1,410 @@
+import * as THREE from 'three';
+import { createRoadMesh, createSegmentMarkers } from './roadMeshes';
+import { createCar, createVehicleInstances, updateWheels, CAR_HEIGHT } from './vehicleMeshes';
+import { createTrackMarker, updateTrackMarker, disposeTrackMarker } from './trackMeshes';
+import { createIntersectionMesh, updateSignalLights } from './intersectionMeshes';
+import { createCrosswalkMesh, createPedestrianInstances } from './pedestrianMeshes';
+import { applyWeatherLook } from './weatherEffects';
+import { disposeObject } from './disposal';
+import { signalPhase } from '../simulation/trafficSignals';
+import { disposeSharedResources } from './sharedResources';
+
+// Frame statistics are averaged over this long (ms)
+const STATS_WINDOW = 500;
+
+// Three.js view over a SimulationEngine. Owns the scene, camera and renderer
+// and mirrors the engine state into meshes; it never changes the simulation.
+// The road is meshed per chunk of the engine's roadChunks (a single chunk
+// for a finite road), and meshes are disposed as soon as their chunk is
+// gone, so an endless road keeps a flat memory and draw count. Other
+// vehicles and pedestrians are instances of a few shared meshes (see
+// vehicleMeshes.js and pedestrianMeshes.js).
+class SimulationView {
+  constructor(mount) {
+    this.mount = mount;
+    this.lanes = null;
+    this.roadChunks = new Map();
+    this.intersections = new Map();
+    this.crosswalks = new Map();
+    this.pointCloud = null;
+    this.trackMarkers = new Map();
+    this.showTracks = true;
+    this.weather = null;
+
+    // Create scene
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x87CEEB); // Sky blue
+
+    // Create camera
+    this.camera = new THREE.PerspectiveCamera(
+      75,
+      mount.clientWidth / mount.clientHeight,
+      0.1,
+      2000
+    );
+
+    // Create renderer
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      powerPreference: "high-performance"
+    });
+    this.renderer.setSize(mount.clientWidth, mount.clientHeight);
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    // Counted over whole frames, camera sensor renders included
+    this.renderer.info.autoReset = false;
+    this.frameStats = { frames: 0, since: performance.now(), fps: 0, calls: 0, triangles: 0 };
+    mount.appendChild(this.renderer.domElement);
+
+    // Add ambient light
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    this.scene.add(ambientLight);
+    this.ambient = ambientLight;
+
+    // Add directional light (sun)
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(50, 100, 50);
+    directionalLight.castShadow = true;
+
+    // Set up shadow properties
+    directionalLight.shadow.mapSize.width = 2048;
+    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.camera.near = 0.5;
+    directionalLight.shadow.camera.far = 500;
+    directionalLight.shadow.camera.left = -100;
+    directionalLight.shadow.camera.right = 100;
+    directionalLight.shadow.camera.top = 100;
+    directionalLight.shadow.camera.bottom = -100;
+
+    this.scene.add(directionalLight);
+    this.scene.add(directionalLight.target);
+    this.sun = directionalLight;
+
+    // Add ground plane, moved along with the car
+    const groundGeometry = new THREE.PlaneGeometry(1000, 1000);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+      color: 0x228B22, // Forest green
+      roughness: 1.0,
+      metalness: 0.0,
+      side: THREE.DoubleSide
+    });
+
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground.rotation.x = Math.PI / 2;
+    ground.position.y = -0.1; // Slightly below road level
+    ground.receiveShadow = true;
+    this.scene.add(ground);
+    this.ground = ground;
+
+    // Setup car
+    this.car = createCar();
+    this.scene.add(this.car);
+
+    this.vehicles = createVehicleInstances();
+    this.scene.add(this.vehicles.group);
+
+    this.pedestrians = createPedestrianInstances();
+    this.scene.add(this.pedestrians.group);
+
+    // Set camera initial position
+    this.camera.position.set(0, 10, -15);
+    this.camera.lookAt(this.car.position);
+  }
+
+  // Rebuild road and obstacle meshes after the engine generated a new road
+  buildWorld(engine) {
+    this.roadChunks.forEach(chunk => this.removeObject(chunk.road, chunk.markers));
+    this.roadChunks.clear();
+    this.intersections.forEach(mesh => this.removeObject(mesh));
+    this.intersections.clear();
+    this.crosswalks.forEach(mesh => this.removeObject(mesh));
+    this.crosswalks.clear();
+
+    this.lanes = engine.lanes;
+    this.update(engine);
+  }
+
+  removeObject(...objects) {
+    objects.forEach(object => {
+      this.scene.remove(object);
+      disposeObject(object);
+    });
+  }
+
+  // Mesh the road chunks that were loaded and drop the ones that were
+  // unloaded
+  syncRoad(engine) {
+    const present = new Set();
+    engine.roadChunks.forEach(chunk => {
+      present.add(chunk.id);
+      if (this.roadChunks.has(chunk.id)) return;
+
+      const road = createRoadMesh(chunk.centerline, this.lanes, chunk.from);
+      const markers = createSegmentMarkers(chunk.roadCurves);
+      this.scene.add(road, markers);
+      this.roadChunks.set(chunk.id, { road, markers });
+    });
+
+    this.roadChunks.forEach((chunk, id) => {
+      if (!present.has(id)) {
+        this.removeObject(chunk.road, chunk.markers);
+        this.roadChunks.delete(id);
+      }
+    });
+  }
+
+  // Mesh the intersections on the loaded road, drop the ones that went and
+  // show the signal phases at the engine's time. Intersections are built
+  // on the road chunk they are on and known by their station.
+  syncIntersections(engine) {
+    const present = new Set();
+    engine.intersections.forEach(intersection => {
+      present.add(intersection.station);
+      let mesh = this.intersections.get(intersection.station);
+      if (!mesh) {
+        const chunk = engine.roadChunks.find(({ from, to }) => intersection.station >= from && intersection.station <= to);
+        if (!chunk) return;
+        mesh = createIntersectionMesh(intersection, chunk.centerline, this.lanes, chunk.from);
+        this.scene.add(mesh);
+        this.intersections.set(intersection.station, mesh);
+      }
+      updateSignalLights(mesh, signalPhase(intersection, engine.time));
+    });
+
+    this.intersections.forEach((mesh, station) => {
+      if (!present.has(station)) {
+        this.removeObject(mesh);
+        this.intersections.delete(station);
+      }
+    });
+  }
+
+  // Mesh the crosswalks on the loaded road and drop the ones that went,
+  // like the intersections
+  syncCrosswalks(engine) {
+    const present = new Set();
+    engine.crosswalks.forEach(crosswalk => {
+      present.add(crosswalk.station);
+      if (this.crosswalks.has(crosswalk.station)) return;
+      const chunk = engine.roadChunks.find(({ from, to }) => crosswalk.station >= from && crosswalk.station <= to);
+      if (!chunk) return;
+      const mesh = createCrosswalkMesh(crosswalk, chunk.centerline, this.lanes, chunk.from);
+      this.scene.add(mesh);
+      this.crosswalks.set(crosswalk.station, mesh);
+    });
+
+    this.crosswalks.forEach((mesh, station) => {
+      if (!present.has(station)) {
+        this.removeObject(mesh);
+        this.crosswalks.delete(station);
+      }
+    });
+  }
+
+  // Sky, light, fog and headlights of the engine's weather, changed only
+  // when the weather does
+  syncWeather(engine) {
+    const weather = engine.weather || 'clear';
+    if (weather === this.weather) return;
+    this.weather = weather;
+    applyWeatherLook(this, weather);
+  }
+
+  // Place the pedestrians, interpolated like the ego car
+  syncPedestrians(engine, alpha) {
+    this.pedestrians.update(engine.pedestrians.map(data => {
+      const previous = data.previousPosition || data.position;
+      return {
+        position: {
+          x: previous.x + (data.position.x - previous.x) * alpha,
+          z: previous.z + (data.position.z - previous.z) * alpha
+        },
+        rotation: data.rotation
+      };
+    }));
+  }
+
+  // Place the other vehicles, interpolated like the ego car
+  syncObstacles(engine, alpha) {
+    this.vehicles.update(engine.obstacles.map(data => {
+      const previous = data.previousPosition || data.position;
+      const previousRotation = data.previousRotation === undefined ? data.rotation : data.previousRotation;
+      return {
+        position: {
+          x: previous.x + (data.position.x - previous.x) * alpha,
+          z: previous.z + (data.position.z - previous.z) * alpha
+        },
+        rotation: previousRotation + (data.rotation - previousRotation) * alpha,
+        wheelRotation: data.wheelRotation || 0,
+        parked: data.parked
+      };
+    }));
+  }
+
+  // Show the LiDAR point cloud: vehicle hits in orange, ground hits shaded
+  // from cyan (near) to blue (far)
+  syncPointCloud(engine) {
+    const { points, config } = engine.lidar;
+    const capacity = points.ranges.length;
+
+    if (!this.pointCloud || this.pointCloud.geometry.attributes.position.count !== capacity) {
+      if (this.pointCloud) {
+        this.scene.remove(this.pointCloud);
+        this.pointCloud.geometry.dispose();
+        this.pointCloud.material.dispose();
+      }
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+      geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+      this.pointCloud = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.15, vertexColors: true }));
+      // Points move every frame; skip the bounding sphere
+      this.pointCloud.frustumCulled = false;
+      this.scene.add(this.pointCloud);
+    }
+
+    const { position, color } = this.pointCloud.geometry.attributes;
+    position.array.set(points.positions.subarray(0, points.count * 3));
+    for (let i = 0; i < points.count; i++) {
+      if (points.objectIds[i] >= 0) {
+        color.setXYZ(i, 1, 0.45, 0.1);
+      } else {
+        const t = Math.min(points.ranges[i] / config.maxRange, 1);
+        color.setXYZ(i, 0.1, 1 - 0.7 * t, 1);
+      }
+    }
+    position.needsUpdate = true;
+    color.needsUpdate = true;
+    this.pointCloud.geometry.setDrawRange(0, points.count);
+    this.pointCloud.visible = engine.settings.lidar;
+  }
+
+  // Boxes with labels for the confirmed object tracks
+  syncTracks(engine) {
+    const tracks = this.showTracks ? engine.tracks : [];
+    const present = new Set();
+
+    tracks.forEach(track => {
+      present.add(track.id);
+      let marker = this.trackMarkers.get(track.id);
+      if (!marker) {
+        marker = createTrackMarker();
+        this.scene.add(marker);
+        this.trackMarkers.set(track.id, marker);
+      }
+      updateTrackMarker(marker, track, engine.carPosition);
+    });
+
+    this.trackMarkers.forEach((marker, id) => {
+      if (!present.has(id)) {
+        this.scene.remove(marker);
+        disposeTrackMarker(marker);
+        this.trackMarkers.delete(id);
+      }
+    });
+  }
+
+  // Mirror the car pose and follow it with the camera. alpha blends between
+  // the last two fixed simulation steps.
+  update(engine, alpha = 1) {
+    const pose = engine.getInterpolatedPose(alpha);
+    this.car.position.set(pose.position.x, CAR_HEIGHT, pose.position.z);
+    this.car.rotation.y = pose.rotation;
+    updateWheels(this.car, engine.vehicle.steeringAngle, engine.vehicle.wheelRotation);
+    this.syncWeather(engine);
+    this.syncRoad(engine);
+    this.syncIntersections(engine);
+    this.syncCrosswalks(engine);
+    this.syncObstacles(engine, alpha);
+    this.syncPedestrians(engine, alpha);
+
+    // Keep the ground under the car and its shadows lit
+    this.ground.position.set(pose.position.x, this.ground.position.y, pose.position.z);
+    this.sun.position.set(pose.position.x + 50, 100, pose.position.z + 50);
+    this.sun.target.position.set(pose.position.x, 0, pose.position.z);
+    if (engine.lidar) {
+      this.syncPointCloud(engine);
+    } else if (this.pointCloud) {
+      this.pointCloud.visible = false;
+    }
+    this.syncTracks(engine);
+
+    // Set camera position above and behind the car
+    const cameraOffsetY = 7;
+    const cameraOffsetZ = -15;
+
+    // Rotate camera position around car based on car rotation
+    this.camera.position.set(
+      this.car.position.x - Math.sin(pose.rotation) * Math.abs(cameraOffsetZ),
+      this.car.position.y + cameraOffsetY,
+      this.car.position.z - Math.cos(pose.rotation) * Math.abs(cameraOffsetZ)
+    );
+    this.camera.lookAt(this.car.position);
+  }
+
+  render() {
+    this.renderer.render(this.scene, this.camera);
+
+    // Draw calls and triangles of the last frame, frames per second over
+    // the stats window
+    const { info } = this.renderer;
+    const stats = this.frameStats;
+    stats.calls = info.render.calls;
+    stats.triangles = info.render.triangles;
+    info.reset();
+    stats.frames++;
+    const now = performance.now();
+    if (now - stats.since >= STATS_WINDOW) {
+      stats.fps = stats.frames * 1000 / (now - stats.since);
+      stats.frames = 0;
+      stats.since = now;
+    }
+  }
+
+  // Rendering statistics for the stats overlay. The JavaScript heap size
+  // is only known in browsers that report it (null otherwise).
+  getStats() {
+    const { memory } = this.renderer.info;
+    return {
+      fps: this.frameStats.fps,
+      calls: this.frameStats.calls,
+      triangles: this.frameStats.triangles,
+      geometries: memory.geometries,
+      textures: memory.textures,
+      heap: performance.memory ? performance.memory.usedJSHeapSize : null
+    };
+  }
+
+  // Render the scene from another camera into a render target, without the
+  // ego car (its headlights still shine) and the debug overlays (for camera
+  // sensors mounted on the car)
+  renderToTarget(camera, target) {
+    const markers = [...this.roadChunks.values()].map(chunk => chunk.markers);
+    const carParts = this.car.children.filter(child => !child.isLight);
+    const hidden = [...carParts, this.pointCloud, ...markers, ...this.trackMarkers.values()]
+      .filter(object => object && object.visible);
+    hidden.forEach(object => { object.visible = false; });
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.scene, camera);
+    this.renderer.setRenderTarget(null);
+    hidden.forEach(object => { object.visible = true; });
+  }
+
+  resize() {
+    this.camera.aspect = this.mount.clientWidth / this.mount.clientHeight;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(this.mount.clientWidth, this.mount.clientHeight);
+  }
+
+  dispose() {
+    if (this.mount.contains(this.renderer.domElement)) {
+      this.mount.removeChild(this.renderer.domElement);
+    }
+    disposeObject(this.scene);
+    this.scene.clear();
+    disposeSharedResources();
+    this.renderer.dispose();
+  }
+}
+
+export default SimulationView;
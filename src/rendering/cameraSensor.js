@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { localToWorld } from '../simulation/geometry';
+import { groundToPixel, DEFAULT_CAMERA_MODEL } from '../simulation/laneDetection';
+import { applyCameraContrast, weatherOf } from '../simulation/weather';
+
+// Forward camera on the ego car. Renders the SimulationView's scene from
+// the camera mount into an offscreen render target and reads the pixels
+// back as an image for lane detection (see simulation/laneDetection.js).
+// The scene shows the weather; the camera's own contrast drops at night.
+export class CameraSensor {
+  constructor(model = DEFAULT_CAMERA_MODEL) {
+    this.model = model;
+    this.camera = new THREE.PerspectiveCamera(model.verticalFov, model.width / model.height, 0.1, 300);
+    this.target = new THREE.WebGLRenderTarget(model.width, model.height);
+    this.pixels = new Uint8Array(model.width * model.height * 4);
+    this.image = {
+      width: model.width,
+      height: model.height,
+      data: new Uint8ClampedArray(model.width * model.height * 4)
+    };
+    this.lastCapture = -Infinity;
+  }
+
+  // Whether the next image is due at a simulation time (a new run starts
+  // over)
+  isDue(time) {
+    if (time < this.lastCapture) this.lastCapture = -Infinity;
+    return time - this.lastCapture >= 1 / this.model.rate - 1e-9;
+  }
+
+  // Render the view's scene from the engine's car pose and return the image,
+  // with the contrast of the engine's weather
+  capture(view, engine) {
+    const { model } = this;
+    const pose = { position: engine.carPosition, rotation: engine.carRotation };
+    const mount = localToWorld(pose, { x: 0, z: model.mountForward });
+    const pitch = model.pitch * Math.PI / 180;
+
+    this.camera.position.set(mount.x, model.mountHeight, mount.z);
+    this.camera.lookAt(
+      mount.x + Math.sin(pose.rotation) * Math.cos(pitch),
+      model.mountHeight - Math.sin(pitch),
+      mount.z + Math.cos(pose.rotation) * Math.cos(pitch)
+    );
+    view.renderToTarget(this.camera, this.target);
+    view.renderer.readRenderTargetPixels(this.target, 0, 0, model.width, model.height, this.pixels);
+
+    // Render targets are stored bottom row first
+    const rowLength = model.width * 4;
+    for (let row = 0; row < model.height; row++) {
+      const from = (model.height - 1 - row) * rowLength;
+      this.image.data.set(this.pixels.subarray(from, from + rowLength), row * rowLength);
+    }
+    this.lastCapture = engine.time;
+    return applyCameraContrast(this.image, weatherOf(engine));
+  }
+
+  dispose() {
+    this.target.dispose();
+  }
+}
+
+// Boundary fit x = a + b·z + c·z² as image points
+const boundaryPixels = (model, fit) => {
+  const pixels = [];
+  for (let z = 3; z <= 30; z += 1) {
+    const pixel = groundToPixel(model, { x: fit.a + fit.b * z + fit.c * z * z, z });
+    if (pixel) pixels.push(pixel);
+  }
+  return pixels;
+};
+
+// Draw a camera image with the detected lane boundaries on a canvas of the
+// image's size (the picture-in-picture view)
+export const drawCameraView = (canvas, image, estimate, model = DEFAULT_CAMERA_MODEL) => {
+  const context = canvas.getContext('2d');
+  context.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+  context.lineWidth = 2;
+  [estimate.left, estimate.right].filter(Boolean).forEach(fit => {
+    context.strokeStyle = fit.type === 'edge' ? '#22d3ee' : '#a3e635';
+    context.beginPath();
+    boundaryPixels(model, fit).forEach((pixel, i) => (
+      i === 0 ? context.moveTo(pixel.u, pixel.v) : context.lineTo(pixel.u, pixel.v)
+    ));
+    context.stroke();
+  });
+
+  context.font = '10px sans-serif';
+  context.fillStyle = estimate.valid ? '#ffffff' : '#f87171';
+  context.fillText(estimate.valid
+    ? `offset ${estimate.offsetInLane.toFixed(2)} m  heading ${(estimate.headingError * 180 / Math.PI).toFixed(1)}°`
+    : 'No lane detected', 4, 12);
+};
@@ -0,0 +1,19 @@
+// Free the GPU resources of an object tree once it has left the scene.
+// Geometries and materials shared within the tree are disposed once, and
+// the ones from the shared cache (see sharedResources.js) not at all.
+export const disposeObject = (root) => {
+  const resources = new Set();
+  root.traverse(object => {
+    if (object.geometry) resources.add(object.geometry);
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      if (!material) return;
+      resources.add(material);
+      if (material.map) resources.add(material.map);
+    });
+    if (object.isInstancedMesh) resources.add(object);
+  });
+  resources.forEach(resource => {
+    if (!(resource.userData && resource.userData.shared)) resource.dispose();
+  });
+};
@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import { createCenterline } from '../simulation/roadGeometry';
+import { createRibbonGeometry, asphaltMaterial } from './roadMeshes';
+import { sharedResource } from './sharedResources';
+
+// Intersections (see simulation/trafficSignals.js): side roads running off
+// at right angles, the stop line across the carriageway and a signal head
+// on a pole at the right of the stop line, facing the oncoming cars
+
+// Length of the side roads shown (m)
+const SIDE_ROAD_LENGTH = 60;
+const STOP_LINE_WIDTH = 0.5;
+const POLE_HEIGHT = 4.2;
+
+const LAMPS = [
+  { phase: 'red', on: 0xff2020, off: 0x401010, height: 0.4 },
+  { phase: 'amber', on: 0xffb000, off: 0x403010, height: 0 },
+  { phase: 'green', on: 0x20ff40, off: 0x104018, height: -0.4 }
+];
+
+const lampMaterial = (color) => sharedResource(`lamp-${color}`, () => new THREE.MeshBasicMaterial({ color }));
+
+const createSignalHead = () => {
+  const group = new THREE.Group();
+  const poleMaterial = sharedResource('signalPole', () => new THREE.MeshPhongMaterial({ color: 0x555555 }));
+
+  const pole = new THREE.Mesh(
+    sharedResource('signalPoleGeometry', () => new THREE.CylinderGeometry(0.08, 0.08, POLE_HEIGHT, 8)),
+    poleMaterial
+  );
+  pole.position.y = POLE_HEIGHT / 2;
+  group.add(pole);
+
+  const housing = new THREE.Mesh(
+    sharedResource('signalHousingGeometry', () => new THREE.BoxGeometry(0.45, 1.3, 0.35)),
+    sharedResource('signalHousing', () => new THREE.MeshPhongMaterial({ color: 0x202020 }))
+  );
+  housing.position.y = POLE_HEIGHT + 0.5;
+  group.add(housing);
+
+  // Lamps on the side of the housing facing the oncoming cars (-z)
+  const lampGeometry = sharedResource('signalLampGeometry', () => new THREE.SphereGeometry(0.15, 12, 8));
+  group.userData.lamps = LAMPS.map(lamp => {
+    const mesh = new THREE.Mesh(lampGeometry, lampMaterial(lamp.off));
+    mesh.position.set(0, housing.position.y + lamp.height, -0.18);
+    group.add(mesh);
+    return { ...lamp, mesh };
+  });
+  return group;
+};
+
+// Build the meshes of an intersection on a piece of road whose centerline
+// starts at station `stationOffset`
+export const createIntersectionMesh = (intersection, centerline, lanes, stationOffset = 0) => {
+  const group = new THREE.Group();
+  const station = intersection.station - stationOffset;
+  const center = centerline.pointAt(station);
+
+  const sides = intersection.type === 'cross' ? ['left', 'right'] : [intersection.side];
+  sides.forEach(side => {
+    const sign = side === 'right' ? 1 : -1;
+    const start = centerline.pointAt(station, sign * lanes.roadWidth / 2);
+    const sideRoad = createCenterline([0], SIDE_ROAD_LENGTH, {
+      x: start.x,
+      z: start.z,
+      heading: center.heading + sign * Math.PI / 2
+    });
+    const mesh = new THREE.Mesh(createRibbonGeometry(sideRoad, [{
+      from: 0,
+      to: SIDE_ROAD_LENGTH,
+      left: -intersection.width / 2,
+      right: intersection.width / 2
+    }]), asphaltMaterial());
+    mesh.receiveShadow = true;
+    group.add(mesh);
+  });
+
+  const stopLine = intersection.stopLine - stationOffset;
+  const markings = sharedResource('stopLine', () => new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide }));
+  group.add(new THREE.Mesh(createRibbonGeometry(centerline, [{
+    from: stopLine - STOP_LINE_WIDTH,
+    to: stopLine,
+    left: -lanes.carriagewayWidth / 2,
+    right: lanes.carriagewayWidth / 2
+  }], 0.012), markings));
+
+  const head = createSignalHead();
+  const pole = centerline.pointAt(stopLine, lanes.roadWidth / 2 + 0.5);
+  head.position.set(pole.x, 0, pole.z);
+  head.rotation.y = pole.heading;
+  group.add(head);
+  group.userData.lamps = head.userData.lamps;
+  group.userData.phase = null;
+
+  return group;
+};
+
+// Light the lamp of the signal's phase
+export const updateSignalLights = (mesh, phase) => {
+  if (mesh.userData.phase === phase) return;
+  mesh.userData.phase = phase;
+  mesh.userData.lamps.forEach(lamp => {
+    lamp.mesh.material = lampMaterial(lamp.phase === phase ? lamp.on : lamp.off);
+  });
+};
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { createRibbonGeometry } from './roadMeshes';
+import { sharedResource } from './sharedResources';
+
+// Crosswalks and pedestrians (see simulation/pedestrians.js). A crosswalk
+// is drawn as zebra stripes across the carriageway, merged into one mesh;
+// pedestrians are instances of a body and a head, like the other vehicles.
+
+// Width of a zebra stripe and of the gap after it (m)
+const STRIPE_WIDTH = 0.5;
+const STRIPE_GAP = 0.5;
+const BODY_HEIGHT = 1.3;
+const HEAD_RADIUS = 0.16;
+
+// Build the stripes of a crosswalk on a piece of road whose centerline
+// starts at station `stationOffset`
+export const createCrosswalkMesh = (crosswalk, centerline, lanes, stationOffset = 0) => {
+  const station = crosswalk.station - stationOffset;
+  const half = lanes.carriagewayWidth / 2;
+  const strips = [];
+  for (let left = -half; left + STRIPE_WIDTH <= half; left += STRIPE_WIDTH + STRIPE_GAP) {
+    strips.push({
+      from: station - crosswalk.width / 2,
+      to: station + crosswalk.width / 2,
+      left,
+      right: left + STRIPE_WIDTH
+    });
+  }
+  const material = sharedResource('stopLine', () => new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide }));
+  return new THREE.Mesh(createRibbonGeometry(centerline, strips, 0.012), material);
+};
+
+// All pedestrians drawn with one instanced mesh for the bodies and one for
+// the heads. The meshes grow when more pedestrians come than they have
+// room for.
+export const createPedestrianInstances = () => {
+  const group = new THREE.Group();
+  const matrix = new THREE.Matrix4();
+  const rotation = new THREE.Quaternion();
+  const scale = new THREE.Vector3(1, 1, 1);
+  const up = new THREE.Vector3(0, 1, 0);
+  const position = new THREE.Vector3();
+  let meshes = null;
+  let capacity = 0;
+
+  const allocate = (count) => {
+    if (meshes) meshes.forEach(mesh => {
+      group.remove(mesh);
+      mesh.dispose();
+    });
+    capacity = Math.max(16, count * 2);
+    meshes = [
+      new THREE.InstancedMesh(
+        sharedResource('pedestrianBodyGeometry', () => new THREE.CylinderGeometry(0.2, 0.25, BODY_HEIGHT, 10)),
+        sharedResource('pedestrianBody', () => new THREE.MeshPhongMaterial({ color: 0xffd000 })),
+        capacity
+      ),
+      new THREE.InstancedMesh(
+        sharedResource('pedestrianHeadGeometry', () => new THREE.SphereGeometry(HEAD_RADIUS, 12, 8)),
+        sharedResource('pedestrianHead', () => new THREE.MeshPhongMaterial({ color: 0xe0ac69 })),
+        capacity
+      )
+    ];
+    meshes.forEach(mesh => {
+      mesh.castShadow = true;
+      // Instances move all over the road, the mesh bounds would not follow
+      mesh.frustumCulled = false;
+      group.add(mesh);
+    });
+  };
+
+  // Place the pedestrians, given as { position, rotation }
+  const update = (pedestrians) => {
+    if (!meshes || pedestrians.length > capacity) allocate(pedestrians.length);
+    const [body, head] = meshes;
+
+    pedestrians.forEach((pedestrian, i) => {
+      rotation.setFromAxisAngle(up, pedestrian.rotation);
+      position.set(pedestrian.position.x, BODY_HEIGHT / 2, pedestrian.position.z);
+      body.setMatrixAt(i, matrix.compose(position, rotation, scale));
+      position.y = BODY_HEIGHT + HEAD_RADIUS;
+      head.setMatrixAt(i, matrix.compose(position, rotation, scale));
+    });
+
+    meshes.forEach(mesh => {
+      mesh.count = pedestrians.length;
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  };
+
+  return { group, update };
+};
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { sharedResource } from './sharedResources';
+
+// Spacing of the ribbon vertices along the road (m)
+const RIBBON_STEP = 2;
+
+// Build one geometry made of strips that follow the centerline. Each strip
+// covers [from, to] along the road and [left, right] across it (lateral
+// offsets, see roadGeometry.js). Strips with a `color` (THREE.Color) give
+// the geometry vertex colors, for differently colored strips in one mesh.
+export const createRibbonGeometry = (centerline, strips, height = 0) => {
+  const positions = [];
+  const uvs = [];
+  const colors = [];
+  const indices = [];
+  const colored = strips.some(strip => strip.color);
+
+  strips.forEach(({ from, to, left, right, color }) => {
+    const steps = Math.max(1, Math.ceil((to - from) / RIBBON_STEP));
+    const firstVertex = positions.length / 3;
+
+    for (let i = 0; i <= steps; i++) {
+      const station = from + (to - from) * i / steps;
+      const leftPoint = centerline.pointAt(station, left);
+      const rightPoint = centerline.pointAt(station, right);
+      positions.push(leftPoint.x, height, leftPoint.z, rightPoint.x, height, rightPoint.z);
+      uvs.push(0, station, 1, station);
+      if (colored) colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+
+      if (i > 0) {
+        // Two triangles per quad, wound so that the normal points up
+        const a = firstVertex + (i - 1) * 2;
+        indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+      }
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  if (colored) geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Road surface material, shared by every piece of road
+export const asphaltMaterial = () => sharedResource('asphalt', () => new THREE.MeshStandardMaterial({
+  color: 0x1a1a1a,  // Very dark gray for asphalt
+  roughness: 0.8,
+  metalness: 0.1,
+  side: THREE.DoubleSide,
+}));
+
+// Build the whole road (or one chunk of an endless road) as continuous
+// ribbons along the centerline, with markings on every lane boundary of the
+// lane layout. `stationOffset` is the road station where the centerline
+// starts, which keeps the dashes in step across chunks.
+export const createRoadMesh = (centerline, lanes, stationOffset = 0) => {
+  const group = new THREE.Group();
+  const length = centerline.length;
+  const roadWidth = lanes.roadWidth;
+
+  // Road surface - asphalt (dark gray)
+  const road = new THREE.Mesh(
+    createRibbonGeometry(centerline, [{ from: 0, to: length, left: -roadWidth / 2, right: roadWidth / 2 }]),
+    asphaltMaterial()
+  );
+  road.receiveShadow = true;
+  group.add(road);
+
+  // All markings in one geometry, colored per strip
+  const markingMaterial = sharedResource('marking', () => new THREE.MeshBasicMaterial({
+    vertexColors: true,
+    side: THREE.DoubleSide
+  }));
+  const lineWidth = 0.3;
+  const lineStrip = (offset, from, to, color) => ({
+    from,
+    to,
+    left: offset - lineWidth / 2,
+    right: offset + lineWidth / 2,
+    color
+  });
+
+  // Road edge markings - bright white
+  const edgeColor = new THREE.Color(0xffffff);
+  const markings = lanes.boundaries
+    .filter(boundary => boundary.type === 'edge')
+    .map(boundary => lineStrip(boundary.offset, 0, length, edgeColor));
+
+  // Dashed lines between lanes (yellow)
+  const dashColor = new THREE.Color(0xffcc00);
+  const dashLength = 3;
+  const dashGap = 2;
+  const dashPeriod = dashLength + dashGap;
+  const firstDash = Math.floor(stationOffset / dashPeriod) * dashPeriod - stationOffset;
+  lanes.boundaries
+    .filter(boundary => boundary.type === 'dashed')
+    .forEach(boundary => {
+      // Dashes crossing the ends of the piece are cut there
+      for (let start = firstDash; start < length; start += dashPeriod) {
+        const from = Math.max(start, 0);
+        const to = Math.min(start + dashLength, length);
+        if (to > from) markings.push(lineStrip(boundary.offset, from, to, dashColor));
+      }
+    });
+  group.add(new THREE.Mesh(createRibbonGeometry(centerline, markings, 0.01), markingMaterial));
+
+  return group;
+};
+
+// Debug markers at each segment start point (small red spheres), in one
+// instanced mesh
+export const createSegmentMarkers = (roadCurves) => {
+  const markerGeometry = sharedResource('segmentMarkerGeometry', () => new THREE.SphereGeometry(0.2, 8, 8));
+  const markerMaterial = sharedResource('segmentMarkerMaterial', () => new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+
+  const markers = new THREE.InstancedMesh(markerGeometry, markerMaterial, roadCurves.length);
+  const matrix = new THREE.Matrix4();
+  roadCurves.forEach((curve, i) => {
+    markers.setMatrixAt(i, matrix.makeTranslation(curve.position.x, 0.2, curve.position.z));
+  });
+  return markers;
+};
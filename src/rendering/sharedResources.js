@@ -0,0 +1,20 @@
+// Geometries and materials used by many meshes, created on first use and
+// then shared instead of being built again for every mesh. Shared
+// resources are marked so that disposeObject leaves them alone when a mesh
+// using them goes; disposeSharedResources frees them with the view.
+
+const cache = new Map();
+
+export const sharedResource = (key, create) => {
+  if (!cache.has(key)) {
+    const resource = create();
+    resource.userData.shared = true;
+    cache.set(key, resource);
+  }
+  return cache.get(key);
+};
+
+export const disposeSharedResources = () => {
+  cache.forEach(resource => resource.dispose());
+  cache.clear();
+};
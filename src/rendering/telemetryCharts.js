@@ -0,0 +1,86 @@
+// Scrolling line charts of the telemetry signals (see
+// simulation/telemetry.js) on a 2D canvas. The newest sample is at the
+// right edge and the chart spans the telemetry window.
+
+export const SIGNAL_COLORS = {
+  speed: '#4ade80',
+  targetSpeed: '#facc15',
+  lateralOffset: '#60a5fa',
+  headingError: '#c084fc',
+  steering: '#f472b6',
+  frontDistance: '#fb923c',
+  ttc: '#f87171'
+};
+
+const BACKGROUND = 'rgba(17, 24, 39, 0.9)';
+const GRID = 'rgba(255, 255, 255, 0.15)';
+const TEXT = 'rgba(255, 255, 255, 0.7)';
+
+// Value range shown for a channel: the samples' range (at least a small
+// span), around zero for symmetric channels and capped at maxValue
+const valueRange = (telemetry, channel, start) => {
+  let min = Infinity;
+  let max = -Infinity;
+  channel.signals.forEach(signal => {
+    telemetry.series[signal].forEach((time, value) => {
+      if (time < start || !Number.isFinite(value)) return;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+  });
+  if (min > max) return { min: 0, max: 1 };
+  if (channel.maxValue !== undefined) max = Math.min(max, channel.maxValue);
+  if (channel.symmetric) {
+    const extent = Math.max(Math.abs(min), Math.abs(max), 1e-3);
+    return { min: -extent, max: extent };
+  }
+  min = Math.min(min, 0);
+  return { min, max: Math.max(max, min + 1e-3) };
+};
+
+export const drawTelemetryChart = (canvas, telemetry, channel) => {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const end = telemetry.time;
+  const start = end - telemetry.window;
+  const { min, max } = valueRange(telemetry, channel, start);
+  const x = (time) => (time - start) / telemetry.window * width;
+  const y = (value) => height - (Math.min(value, max) - min) / (max - min) * height;
+
+  context.fillStyle = BACKGROUND;
+  context.fillRect(0, 0, width, height);
+
+  // Zero line and the range limits
+  context.strokeStyle = GRID;
+  context.lineWidth = 1;
+  if (min < 0 && max > 0) {
+    context.beginPath();
+    context.moveTo(0, y(0));
+    context.lineTo(width, y(0));
+    context.stroke();
+  }
+  context.fillStyle = TEXT;
+  context.font = '10px sans-serif';
+  context.textBaseline = 'top';
+  context.fillText(max.toFixed(2), 2, 2);
+  context.textBaseline = 'bottom';
+  context.fillText(min.toFixed(2), 2, height - 2);
+
+  // One polyline per signal, broken where there is no value
+  channel.signals.forEach(signal => {
+    context.strokeStyle = SIGNAL_COLORS[signal];
+    context.lineWidth = 1.5;
+    context.beginPath();
+    let drawing = false;
+    telemetry.series[signal].forEach((time, value) => {
+      if (time < start || !Number.isFinite(value)) {
+        drawing = false;
+        return;
+      }
+      if (drawing) context.lineTo(x(time), y(value));
+      else context.moveTo(x(time), y(value));
+      drawing = true;
+    });
+    context.stroke();
+  });
+};
@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import { VEHICLE_HALF_WIDTH, VEHICLE_HALF_LENGTH } from '../simulation/sensors';
+
+// Tracked objects: a wireframe box around the vehicle, colored by time to
+// collision, with a label showing the track id, gap and TTC
+
+const TTC_WARNING = 4;  // s
+const TTC_CRITICAL = 2; // s
+
+const boxGeometry = new THREE.EdgesGeometry(
+  new THREE.BoxGeometry(VEHICLE_HALF_WIDTH * 2 + 0.2, 1.9, VEHICLE_HALF_LENGTH * 2 + 0.2)
+);
+
+const ttcColor = (ttc) => {
+  if (ttc < TTC_CRITICAL) return 0xff3030;
+  if (ttc < TTC_WARNING) return 0xffb020;
+  return 0x30ff60;
+};
+
+export const createTrackMarker = () => {
+  const group = new THREE.Group();
+
+  const box = new THREE.LineSegments(boxGeometry, new THREE.LineBasicMaterial({ color: 0x30ff60 }));
+  box.position.y = 0.95;
+  group.add(box);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+  label.scale.set(4, 1, 1);
+  label.position.y = 2.8;
+  group.add(label);
+
+  group.userData = { box, label, canvas, text: '' };
+  return group;
+};
+
+// Place a marker for a track. Tracks sit on the surface facing the ego
+// car, so the box is pushed back by half the vehicle along the line of
+// sight.
+export const updateTrackMarker = (marker, track, egoPosition) => {
+  const { box, label, canvas } = marker.userData;
+  const dx = track.position.x - egoPosition.x;
+  const dz = track.position.z - egoPosition.z;
+  const distance = Math.hypot(dx, dz) || 1;
+  const along = Math.abs((dx * Math.sin(track.heading) + dz * Math.cos(track.heading)) / distance);
+  const shift = along * VEHICLE_HALF_LENGTH + (1 - along) * VEHICLE_HALF_WIDTH;
+
+  marker.position.set(track.position.x + dx / distance * shift, 0, track.position.z + dz / distance * shift);
+  marker.rotation.y = track.heading;
+  box.material.color.setHex(ttcColor(track.ttc));
+
+  const ttc = Number.isFinite(track.ttc) ? `${track.ttc.toFixed(1)} s` : '–';
+  const text = `#${track.id} ${track.gap.toFixed(1)} m TTC ${ttc}`;
+  if (text !== marker.userData.text) {
+    marker.userData.text = text;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 28px sans-serif';
+    context.fillStyle = `#${box.material.color.getHexString()}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    label.material.map.needsUpdate = true;
+  }
+};
+
+export const disposeTrackMarker = (marker) => {
+  const { box, label } = marker.userData;
+  box.material.dispose();
+  label.material.map.dispose();
+  label.material.dispose();
+};
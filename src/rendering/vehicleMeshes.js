@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { SENSOR_LAYOUT } from '../simulation/sensors';
+import { sharedResource } from './sharedResources';
+
+// Height of the car group above the ground
+export const CAR_HEIGHT = 0.5;
+
+const BODY_COLORS = {
+  ego: [0x00ff00, 0x00aa00],
+  parked: [0xff0000, 0xbb0000],
+  traffic: [0x2266ff, 0x1144bb]
+};
+
+const bodyGeometry = () => sharedResource('carBody', () => new THREE.BoxGeometry(2, 1, 4));
+const roofGeometry = () => sharedResource('carRoof', () => new THREE.BoxGeometry(1.8, 0.7, 2));
+const wheelGeometry = () => sharedResource('wheelGeometry', () => new THREE.CylinderGeometry(0.4, 0.4, 0.3, 16));
+const wheelMaterial = () => sharedResource('wheelMaterial', () => new THREE.MeshPhongMaterial({ color: 0x111111 }));
+const paint = (color) => sharedResource(`paint-${color}`, () => new THREE.MeshPhongMaterial({ color }));
+
+// Car-like shape shared by the ego car and obstacles: body, roof and
+// wheels, as meshes or, without paint, as empty nodes placing the parts of
+// instanced vehicles
+const createCarBody = (colors = null) => {
+  const part = (geometry, material) => (colors ? new THREE.Mesh(geometry(), material) : new THREE.Object3D());
+  const carGroup = new THREE.Group();
+  
+  // Car body
+  const body = part(bodyGeometry, colors && paint(colors[0]));
+  body.position.y = 0.5;
+  body.castShadow = true;
+  carGroup.add(body);
+  
+  // Car roof
+  const roof = part(roofGeometry, colors && paint(colors[1]));
+  roof.position.y = 1.35;
+  roof.position.z = -0.5;
+  roof.castShadow = true;
+  carGroup.add(roof);
+  
+  // Wheels: front-left, front-right, back-left, back-right. Each wheel sits
+  // in a pivot so the front ones can steer (pivot yaw) while all of them
+  // spin (wheel roll about the axle).
+  const wheelPositions = [
+    [-1.1, 0.4, 1.2],
+    [1.1, 0.4, 1.2],
+    [-1.1, 0.4, -1.2],
+    [1.1, 0.4, -1.2]
+  ];
+  
+  carGroup.userData.body = body;
+  carGroup.userData.roof = roof;
+  carGroup.userData.wheels = [];
+  carGroup.userData.steeringPivots = [];
+  
+  wheelPositions.forEach(([x, y, z]) => {
+    const pivot = new THREE.Group();
+    pivot.position.set(x, y, z);
+    
+    const wheel = part(wheelGeometry, colors && wheelMaterial());
+    wheel.rotation.z = Math.PI / 2;
+    pivot.add(wheel);
+    carGroup.add(pivot);
+    
+    carGroup.userData.wheels.push(wheel);
+    if (z > 0) {
+      carGroup.userData.steeringPivots.push(pivot);
+    }
+  });
+  
+  return carGroup;
+};
+
+// Steer the front wheels and spin all wheels (angles in radians)
+export const updateWheels = (carGroup, steeringAngle, wheelRotation) => {
+  carGroup.userData.steeringPivots.forEach(pivot => {
+    pivot.rotation.y = steeringAngle;
+  });
+  carGroup.userData.wheels.forEach(wheel => {
+    wheel.rotation.x = wheelRotation;
+  });
+};
+
+// All other vehicles drawn with one instanced mesh per car part (body,
+// roof, wheels), so their draw calls stay the same however many there
+// are. Parts are placed from a car body of empty nodes and get the
+// colors of their vehicle (red parked, blue moving). The meshes grow when
+// more vehicles come than they have room for.
+export const createVehicleInstances = () => {
+  const group = new THREE.Group();
+  const template = createCarBody();
+  const color = new THREE.Color();
+  let meshes = null;
+  let capacity = 0;
+
+  const allocate = (count) => {
+    if (meshes) meshes.forEach(mesh => {
+      group.remove(mesh);
+      mesh.dispose();
+    });
+    capacity = Math.max(16, count * 2);
+    const white = sharedResource('paint-instanced', () => new THREE.MeshPhongMaterial({ color: 0xffffff }));
+    meshes = {
+      body: new THREE.InstancedMesh(bodyGeometry(), white, capacity),
+      roof: new THREE.InstancedMesh(roofGeometry(), white, capacity),
+      wheels: new THREE.InstancedMesh(wheelGeometry(), wheelMaterial(), capacity * 4)
+    };
+    Object.values(meshes).forEach(mesh => {
+      mesh.castShadow = true;
+      // Instances move all over the road, the mesh bounds would not follow
+      mesh.frustumCulled = false;
+      group.add(mesh);
+    });
+  };
+
+  // Place the vehicles, given as { position, rotation, wheelRotation, parked }
+  const update = (vehicles) => {
+    if (!meshes || vehicles.length > capacity) allocate(vehicles.length);
+    const { body, roof, wheels } = meshes;
+    const parts = template.userData;
+
+    vehicles.forEach((vehicle, i) => {
+      template.position.set(vehicle.position.x, 0, vehicle.position.z);
+      template.rotation.y = vehicle.rotation;
+      updateWheels(template, 0, vehicle.wheelRotation);
+      template.updateMatrixWorld(true);
+
+      const [bodyColor, roofColor] = BODY_COLORS[vehicle.parked ? 'parked' : 'traffic'];
+      body.setMatrixAt(i, parts.body.matrixWorld);
+      body.setColorAt(i, color.setHex(bodyColor));
+      roof.setMatrixAt(i, parts.roof.matrixWorld);
+      roof.setColorAt(i, color.setHex(roofColor));
+      parts.wheels.forEach((wheel, w) => wheels.setMatrixAt(i * 4 + w, wheel.matrixWorld));
+    });
+
+    body.count = vehicles.length;
+    roof.count = vehicles.length;
+    wheels.count = vehicles.length * 4;
+    Object.values(meshes).forEach(mesh => {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    });
+  };
+
+  return { group, update };
+};
+
+// Headlight beams (local x of each lamp, m) and how far they reach
+const HEADLIGHT_X = [-0.7, 0.7];
+const HEADLIGHT_RANGE = 70;          // m
+const HEADLIGHT_INTENSITY = 30;      // cd
+const HEADLIGHT_ANGLE = 0.45;        // rad, half angle of the beam
+
+// Lamps on the front of a car with a spot light each, off until
+// setHeadlights switches them on
+const addHeadlights = (carGroup) => {
+  const lampGeometry = sharedResource('headlightGeometry', () => new THREE.BoxGeometry(0.4, 0.2, 0.05));
+  const lampMaterial = sharedResource('headlightMaterial', () => new THREE.MeshBasicMaterial({ color: 0xfff4d6 }));
+  carGroup.userData.headlights = HEADLIGHT_X.map(x => {
+    const lamp = new THREE.Mesh(lampGeometry, lampMaterial);
+    lamp.position.set(x, 0.6, 2.01);
+    carGroup.add(lamp);
+
+    const light = new THREE.SpotLight(0xfff4d6, HEADLIGHT_INTENSITY, HEADLIGHT_RANGE, HEADLIGHT_ANGLE, 0.4, 1);
+    light.position.set(x, 0.6, 2.1);
+    light.target.position.set(x, -CAR_HEIGHT, 25);
+    light.visible = false;
+    carGroup.add(light, light.target);
+    return light;
+  });
+};
+
+// Switch the headlights of a car from createCar on or off
+export const setHeadlights = (carGroup, on) => {
+  carGroup.userData.headlights.forEach(light => {
+    light.visible = on;
+  });
+};
+
+// Create the ego car with its sensor markers and headlights
+export const createCar = () => {
+  const carGroup = createCarBody(BODY_COLORS.ego);
+  
+  const sensorGeometry = sharedResource('sensorGeometry', () => new THREE.SphereGeometry(0.1, 8, 8));
+  const sensorMaterial = sharedResource('sensorMaterial', () => new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+  
+  Object.values(SENSOR_LAYOUT).forEach(({ offset }) => {
+    const sensor = new THREE.Mesh(sensorGeometry, sensorMaterial);
+    sensor.position.set(offset.x, 0.5, offset.z);
+    carGroup.add(sensor);
+  });
+  addHeadlights(carGroup);
+  
+  return carGroup;
+};
@@ -0,0 +1,24 @@
+import * as THREE from 'three';
+import { WEATHER_CONDITIONS } from '../simulation/weather';
+import { setHeadlights } from './vehicleMeshes';
+
+// How each weather condition (see simulation/weather.js) looks: sky color,
+// ambient and sun light intensity, scene fog from a near to a far
+// distance (m) and whether the ego car has its headlights on. Thick fog
+// ends at the condition's visibility, where the sensors stop seeing too.
+const LOOKS = {
+  clear: { sky: 0x87ceeb, ambient: 0.6, sun: 0.8, fog: null, headlights: false },
+  rain: { sky: 0x6e7781, ambient: 0.45, sun: 0.25, fog: [30, 250], headlights: true },
+  fog: { sky: 0xbfc4c8, ambient: 0.6, sun: 0.15, fog: [0, WEATHER_CONDITIONS.fog.visibility], headlights: true },
+  night: { sky: 0x070b16, ambient: 0.06, sun: 0.04, fog: null, headlights: true }
+};
+
+// Set the sky, light and fog of a scene and the ego car's headlights
+export const applyWeatherLook = ({ scene, ambient, sun, car }, weather) => {
+  const look = LOOKS[weather];
+  scene.background = new THREE.Color(look.sky);
+  scene.fog = look.fog ? new THREE.Fog(look.sky, look.fog[0], look.fog[1]) : null;
+  ambient.intensity = look.ambient;
+  sun.intensity = look.sun;
+  setHeadlights(car, look.headlights);
+};
@@ -0,0 +1,599 @@
+import { generateRoadData, createRoad } from './roadGenerator';
+import { updateSensors, VEHICLE_HALF_LENGTH } from './sensors';
+import {
+  updateAdaptiveCruiseControl,
+  updateCruiseControl,
+  createAccState,
+  DEFAULT_ACC_PARAMS
+} from './adaptiveCruiseControl';
+import { updateLaneKeeping } from './laneKeeping';
+import { createVehicleState, stepVehicle, DEFAULT_VEHICLE_PARAMS } from './vehicleModel';
+import { createController, DEFAULT_CONTROLLER } from './controllers';
+import { createLaneLayout, locateInLanes, DEFAULT_LANE_CONFIG } from './lanes';
+import { createLaneChangePlanner } from './laneChangePlanner';
+import { generateTraffic, updateTraffic, createTrafficVehicle, DEFAULT_TRAFFIC_CONFIG } from './traffic';
+import { createRandom } from './random';
+import { findCollision, findPedestrianStrike, isOffRoad } from './collision';
+import { createEpisodeStats, updateEpisodeStats, summarizeEpisode } from './episodeStats';
+import { evaluateCriteria } from './scenario';
+import { createLidar } from './lidar';
+import { createLanePerception } from './lanePerception';
+import { defaultSensorModels, createSensorChannels, readSensor } from './sensorFaults';
+import { createTracker, updateTracking } from './tracking';
+import { createEmergencyBraking } from './emergencyBraking';
+import { createDriverInput, applyDriverInput } from './manualDriving';
+import { createRecorder } from './recording';
+import { createTelemetry } from './telemetry';
+import { createRoadStream } from './roadStream';
+import { DEFAULT_INTERSECTION_CONFIG, approachSignal, createIntersection, describeIntersection } from './trafficSignals';
+import {
+  DEFAULT_PEDESTRIAN_CONFIG,
+  PEDESTRIAN_ID_BASE,
+  approachCrosswalk,
+  createCrosswalk,
+  createPedestrian,
+  describeCrosswalk,
+  describePedestrian,
+  updatePedestrians
+} from './pedestrians';
+import { WEATHER_CONDITIONS, weatherOf, withRoadFriction } from './weather';
+
+const DEFAULT_CONFIG = {
+  roadLength: 500,
+  segments: 20,
+  ...DEFAULT_LANE_CONFIG,
+  egoLane: 0,
+  maxTime: 300, // s before a run ends with a timeout
+  // Endless road streamed in chunks (see roadStream.js) instead of
+  // roadLength meters; the run then has no time limit and only ends in a
+  // collision or off the road
+  infiniteRoad: false,
+  roadStream: {},
+  // Signalized intersections on generated roads (see trafficSignals.js)
+  intersections: DEFAULT_INTERSECTION_CONFIG,
+  // Crosswalks and their pedestrians on generated roads (see pedestrians.js)
+  pedestrians: DEFAULT_PEDESTRIAN_CONFIG,
+  // Weather and time of day (see weather.js)
+  weather: 'clear'
+};
+
+const checkWeather = (weather) => {
+  if (!WEATHER_CONDITIONS[weather]) throw new Error(`Unknown weather "${weather}"`);
+};
+
+// Parked cars and initial traffic on newly loaded chunks of an endless
+// road, with ids from firstId on
+const populateChunks = ({ chunks, centerline, lanes, config, vehicles, firstId }) => {
+  const added = [];
+  let id = firstId;
+  chunks.forEach(chunk => {
+    const parked = chunk.parkedCars.map(placement => createTrafficVehicle(centerline, { id: id++, ...placement }));
+    const traffic = generateTraffic({
+      random: createRandom((chunk.seed ^ 0x9e3779b9) >>> 0),
+      centerline,
+      lanes,
+      config,
+      obstacles: vehicles.concat(added, parked),
+      firstId: id,
+      from: Math.max(chunk.from, config.spawnGap),
+      to: chunk.to
+    });
+    id += traffic.length;
+    added.push(...parked, ...traffic);
+  });
+  return added;
+};
+
+// Default noise models with the given changes per sensor
+const mergeSensorModels = (changes = {}) => {
+  const models = defaultSensorModels();
+  Object.keys(changes).forEach(name => {
+    models[name] = { ...models[name], ...changes[name] };
+  });
+  return models;
+};
+
+// Headless simulation of the road, the ego car, obstacles and sensors.
+// Has no dependency on React or a renderer so it can run in Node (Jest, CLI)
+// as well as behind the 3D view.
+class SimulationEngine {
+  constructor({ seed = 0, config = {}, settings = {} } = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      traffic: { ...DEFAULT_TRAFFIC_CONFIG, ...config.traffic },
+      intersections: { ...DEFAULT_INTERSECTION_CONFIG, ...config.intersections },
+      pedestrians: { ...DEFAULT_PEDESTRIAN_CONFIG, ...config.pedestrians },
+      // Noise model per sensor and scheduled faults (see sensorFaults.js)
+      sensors: mergeSensorModels(config.sensors),
+      faults: config.faults || []
+    };
+    checkWeather(this.config.weather);
+    this.vehicleParams = { ...DEFAULT_VEHICLE_PARAMS, ...config.vehicle };
+    this.settings = {
+      laneKeeping: true,
+      adaptiveCruise: true,
+      setSpeed: 6,   // m/s, cruise speed on a free road
+      timeGap: 1.5,  // s, ACC following distance (see TIME_GAPS)
+      laneChange: true,
+      lidar: true,
+      // Where lane keeping gets the lane from: 'groundTruth' (the map) or
+      // 'camera' (lane detections passed to updateLaneEstimate)
+      laneSource: 'groundTruth',
+      emergencyBraking: false,
+      // 'autonomous', or 'manual' with the driver's input from
+      // setDriverInput; assistMode decides whether the driver or the
+      // assistance systems win in manual mode (see manualDriving.js)
+      drivingMode: 'autonomous',
+      assistMode: 'assist',
+      controller: DEFAULT_CONTROLLER,
+      controllerParameters: {},
+      ...settings
+    };
+    this.controller = createController(this.settings.controller, this.settings.controllerParameters);
+    this.laneChange = createLaneChangePlanner();
+    this.lidar = createLidar(config.lidar);
+    this.lanePerception = createLanePerception();
+    this.tracker = createTracker(config.tracker);
+    this.emergencyBraking = createEmergencyBraking(config.emergencyBraking);
+    this.telemetry = createTelemetry();
+    this.scenario = null;
+    this.reset(seed);
+  }
+
+  // Build the road and its vehicles from the loaded scenario, or generate
+  // them from the seed
+  buildRoad(seed) {
+    if (!this.scenario && this.config.infiniteRoad) {
+      const { roadLength, segments } = this.config;
+      const segmentLength = roadLength / segments;
+      const stream = createRoadStream({
+        seed,
+        segmentLength,
+        lanes: this.lanes,
+        intersections: this.config.intersections,
+        pedestrians: this.config.pedestrians,
+        config: this.config.roadStream
+      });
+      const { added } = stream.update(0);
+      return {
+        stream,
+        segmentLength,
+        // The first chunks stand for the road when it is exported
+        curvatures: added.flatMap(chunk => chunk.curvatures),
+        centerline: stream.centerline,
+        vehicles: populateChunks({
+          chunks: added,
+          centerline: stream.centerline,
+          lanes: this.lanes,
+          config: this.config.traffic,
+          vehicles: [],
+          firstId: 0
+        }),
+        pedestrians: added.flatMap(chunk => chunk.pedestrians)
+      };
+    }
+
+    if (!this.scenario) {
+      const { roadLength, segments, intersections, pedestrians } = this.config;
+      const road = generateRoadData({ seed, roadLength, segments, lanes: this.lanes, intersections, pedestrians });
+      const traffic = generateTraffic({
+        random: createRandom((seed ^ 0x9e3779b9) >>> 0),
+        centerline: road.centerline,
+        lanes: this.lanes,
+        config: this.config.traffic,
+        obstacles: road.obstacles,
+        firstId: road.obstacles.length
+      });
+      return { ...road, vehicles: road.obstacles.concat(traffic) };
+    }
+
+    const road = createRoad(this.scenario.road.curvatures, this.scenario.road.segmentLength);
+    const vehicles = this.scenario.vehicles.map((vehicle, id) => createTrafficVehicle(road.centerline, {
+      ...vehicle,
+      id,
+      lateralOffset: vehicle.lateralOffset === undefined ? this.lanes.lanes[vehicle.lane].center : vehicle.lateralOffset
+    }));
+    const intersections = (this.scenario.road.intersections || []).map(createIntersection);
+    const crosswalks = (this.scenario.road.crosswalks || []).map(createCrosswalk);
+    return { ...road, vehicles, intersections, crosswalks, pedestrians: this.scenario.pedestrians || [] };
+  }
+
+  // Generate the road for a seed (or rebuild the loaded scenario) and put
+  // the car back at the start
+  reset(seed = this.seed) {
+    this.lanes = createLaneLayout(this.config);
+    const road = this.buildRoad(seed);
+
+    this.seed = seed;
+    this.roadStream = road.stream || null;
+    this.segmentLength = road.segmentLength;
+    this.curvatures = road.curvatures;
+    this.centerline = road.centerline;
+    if (this.roadStream) {
+      this.updateRoadChunks();
+    } else {
+      this.roadCurves = road.roadCurves;
+      this.roadChunks = [{ id: 0, from: 0, to: this.centerline.length, centerline: this.centerline, roadCurves: this.roadCurves }];
+      this.intersections = road.intersections;
+      this.crosswalks = road.crosswalks;
+    }
+    this.obstacles = road.vehicles;
+    this.nextObstacleId = this.obstacles.length;
+    this.pedestrians = this.createPedestrians(road.pedestrians, PEDESTRIAN_ID_BASE);
+
+    // Separate random stream for traffic entering during the run, so the
+    // road itself only depends on the seed
+    this.random = createRandom((seed ^ 0x85ebca6b) >>> 0);
+    this.lidar.reset(createRandom((seed ^ 0x27d4eb2f) >>> 0));
+    this.sensorChannels = createSensorChannels((seed ^ 0x165667b1) >>> 0);
+    this.pedestrianRandom = createRandom((seed ^ 0x7feb352d) >>> 0);
+
+    // Start in the ego lane
+    const ego = this.scenario ? this.scenario.ego : { lane: this.config.egoLane, speed: this.settings.setSpeed };
+    const egoLane = Math.min(ego.lane, this.lanes.laneCount - 1);
+    const egoOffset = ego.lateralOffset === undefined ? this.lanes.lanes[egoLane].center : ego.lateralOffset;
+    const start = this.centerline.pointAt(0, egoOffset);
+    // Speed the speed control aims for (m/s) and the ACC state for the HUD
+    this.targetSpeed = this.settings.setSpeed;
+    this.acc = createAccState();
+    this.vehicle = createVehicleState({
+      x: start.x,
+      z: start.z,
+      heading: start.heading,
+      speed: ego.speed
+    });
+    this.laneChange.reset(egoLane);
+    this.lanePerception.reset(egoLane);
+    this.targetLateralOffset = this.lanes.lanes[egoLane].center;
+
+    // Initial state of the run, for exporting it as a scenario
+    this.initialState = {
+      ego: { lane: egoLane, lateralOffset: egoOffset, speed: ego.speed },
+      intersections: this.intersections.map(describeIntersection),
+      crosswalks: this.crosswalks.map(describeCrosswalk),
+      pedestrians: this.pedestrians.map(describePedestrian),
+      vehicles: this.obstacles.map(({ lane, station, lateralOffset, speed, desiredSpeed }) => ({
+        lane, station, lateralOffset, speed, desiredSpeed
+      }))
+    };
+    this.controls = { steeringAngle: 0, acceleration: 0 };
+    // Manual mode: the driver's input and the axes taken over from the systems
+    this.driverInput = createDriverInput();
+    this.takeover = { steering: false, speed: false };
+    this.previousPose = this.getPose();
+    // What the sensors measure, and the exact values behind the readings
+    this.sensorReadings = {
+      front: Infinity,
+      left: Infinity,
+      right: Infinity
+    };
+    this.trueSensorReadings = { ...this.sensorReadings };
+    // Confirmed object tracks and the one ahead in the car's path
+    this.tracker.reset();
+    this.tracks = [];
+    this.leadTrack = null;
+    this.emergencyBraking.reset();
+    this.distance = 0;
+    this.time = 0;
+    this.finished = false;
+    this.outcome = null;
+    this.summary = null;
+    this.stats = createEpisodeStats();
+
+    this.controller.reset();
+    updateSensors(this);
+    this.updateSignal();
+    this.updateCrosswalk();
+
+    // Record the run from its initial state, one frame per tick
+    this.recorder = createRecorder(this);
+    this.recorder.record();
+    this.telemetry.reset();
+    this.telemetry.record(this);
+  }
+
+  // Pieces of road for the view, each with a centerline from its `from`
+  // station; one piece for fixed roads, the loaded chunks for endless ones
+  updateRoadChunks() {
+    this.roadChunks = this.roadStream.chunks;
+    this.roadCurves = this.roadChunks.flatMap(chunk => chunk.roadCurves);
+    this.intersections = this.roadChunks.flatMap(chunk => chunk.intersections);
+    this.crosswalks = this.roadChunks.flatMap(chunk => chunk.crosswalks);
+  }
+
+  // Pedestrians from their descriptions, with ids from firstId on
+  createPedestrians(descriptions, firstId) {
+    this.nextPedestrianId = firstId + descriptions.length;
+    return descriptions.map((description, i) => createPedestrian(this.centerline, this.lanes, {
+      ...description,
+      id: firstId + i
+    }));
+  }
+
+  // Load the endless road's chunks around a station and drop the others
+  loadRoadAround(station) {
+    const changes = this.roadStream.update(station);
+    if (changes.added.length > 0 || changes.removed.length > 0) {
+      this.updateRoadChunks();
+    }
+    return changes;
+  }
+
+  // Keep the endless road loaded around the car: vehicles and pedestrians
+  // come with new chunks ahead and go with the chunks dropped behind
+  streamRoad() {
+    const { station } = this.centerline.project(this.vehicle.position);
+    const { added, removed } = this.loadRoadAround(station);
+    if (added.length === 0 && removed.length === 0) return;
+
+    const vehicles = populateChunks({
+      chunks: added,
+      centerline: this.centerline,
+      lanes: this.lanes,
+      config: this.config.traffic,
+      vehicles: this.obstacles,
+      firstId: this.nextObstacleId
+    });
+    this.nextObstacleId += vehicles.length;
+    this.obstacles = this.obstacles
+      .filter(vehicle => vehicle.station >= this.centerline.start)
+      .concat(vehicles);
+    this.pedestrians = this.pedestrians
+      .filter(pedestrian => pedestrian.station >= this.centerline.start)
+      .concat(this.createPedestrians(added.flatMap(chunk => chunk.pedestrians), this.nextPedestrianId));
+  }
+
+  // The traffic signal ahead of the car and whether speed control stops
+  // for it (see trafficSignals.js)
+  updateSignal() {
+    const front = this.centerline.project(this.vehicle.position).station + VEHICLE_HALF_LENGTH;
+    this.signal = approachSignal(
+      this.intersections, this.time, front, this.vehicle.speed, DEFAULT_ACC_PARAMS.comfortDeceleration
+    );
+  }
+
+  // The crosswalk ahead of the car and whether speed control yields there
+  // to a pedestrian (see pedestrians.js)
+  updateCrosswalk() {
+    const ego = this.centerline.project(this.vehicle.position);
+    this.crosswalk = approachCrosswalk(
+      this.crosswalks, this.pedestrians, ego.station + VEHICLE_HALF_LENGTH, ego.lateralOffset, this.vehicle.speed
+    );
+  }
+
+  // Recording of the current run (see recording.js)
+  get recording() {
+    return this.recorder.recording;
+  }
+
+  // End the run with an outcome (completed, collision, pedestrianStrike,
+  // offroad, timeout)
+  finish(type, details = {}) {
+    this.finished = true;
+    this.outcome = { type, time: this.time, distance: this.distance, ...details };
+    this.summary = summarizeEpisode(this.stats, this.outcome);
+    if (this.scenario) {
+      this.summary.criteria = evaluateCriteria(this.scenario.criteria, this.summary);
+    }
+  }
+
+  // Run a validated scenario (see scenario.js): its lanes, traffic,
+  // settings and criteria replace the current ones until it is unloaded
+  loadScenario(scenario) {
+    if (!this.scenario) {
+      this.generator = {
+        seed: this.seed,
+        config: { ...this.config, traffic: { ...this.config.traffic } },
+        settings: { ...this.settings },
+        vehicleModel: this.vehicleParams.model
+      };
+    }
+    const { road, lanes, traffic, settings, criteria } = scenario;
+
+    this.scenario = scenario;
+    this.config = {
+      ...this.config,
+      ...lanes,
+      roadLength: road.segmentLength * road.curvatures.length,
+      segments: road.curvatures.length,
+      maxTime: criteria.maxTime,
+      traffic: { ...this.config.traffic, ...traffic },
+      sensors: mergeSensorModels(scenario.sensors),
+      faults: scenario.faults || [],
+      weather: scenario.weather
+    };
+    this.settings.laneKeeping = settings.laneKeeping;
+    this.settings.adaptiveCruise = settings.adaptiveCruise;
+    this.settings.setSpeed = settings.setSpeed;
+    this.settings.timeGap = settings.timeGap;
+    this.settings.laneChange = settings.laneChange;
+    this.settings.lidar = settings.lidar;
+    this.settings.laneSource = settings.laneSource;
+    this.settings.emergencyBraking = settings.emergencyBraking;
+    this.vehicleParams.model = settings.vehicleModel;
+    this.setController(settings.controller, settings.controllerParameters);
+    this.reset(scenario.seed);
+  }
+
+  // Go back to generated roads with the seed, configuration, settings and
+  // vehicle model from before the scenario was loaded
+  unloadScenario() {
+    if (!this.scenario) return;
+    const { seed, config, settings, vehicleModel } = this.generator;
+    this.scenario = null;
+    this.config = config;
+    Object.assign(this.settings, settings);
+    this.vehicleParams.model = vehicleModel;
+    this.setController(settings.controller, settings.controllerParameters);
+    this.reset(seed);
+  }
+
+  // Lane detection from the camera image taken at the current pose (see
+  // laneDetection.js). The camera is rendered outside the engine, so the
+  // caller captures and detects between steps.
+  // The offset in the lane passes through the 'lane' sensor's noise model.
+  updateLaneEstimate(estimate) {
+    let measured = estimate;
+    if (estimate.valid) {
+      const offsetInLane = readSensor(this, 'lane', estimate.offsetInLane);
+      measured = offsetInLane === null ? { ...estimate, valid: false } : { ...estimate, offsetInLane };
+    }
+    this.lanePerception.update(measured, { position: this.carPosition, heading: this.carRotation }, this.lanes, this.time);
+  }
+
+  // Driver input for manual mode (see manualDriving.js), held until the
+  // next call; the input devices are read outside the engine
+  setDriverInput(input) {
+    this.driverInput = { ...this.driverInput, ...input };
+  }
+
+  // Change the weather, also during a run: it takes effect on the sensors
+  // and the road grip from the next step
+  setWeather(weather) {
+    checkWeather(weather);
+    this.config.weather = weather;
+  }
+
+  // Switch the lane keeping controller, e.g. to compare them on one road
+  setController(type, parameters = {}) {
+    this.settings.controller = type;
+    this.settings.controllerParameters = parameters;
+    this.controller = createController(type, parameters);
+  }
+
+  get roadLength() {
+    return this.config.roadLength;
+  }
+
+  get weather() {
+    return this.config.weather;
+  }
+
+  get roadWidth() {
+    return this.lanes.roadWidth;
+  }
+
+  // Lane the car is in (-1 when off the carriageway) and where along the road
+  getLanePosition() {
+    return locateInLanes(this.centerline, this.lanes, this.vehicle.position);
+  }
+
+  get carPosition() {
+    return this.vehicle.position;
+  }
+
+  get carRotation() {
+    return this.vehicle.heading;
+  }
+
+  getPose() {
+    return {
+      position: { ...this.carPosition },
+      rotation: this.carRotation
+    };
+  }
+
+  // Car pose blended between the previous and the current step, for
+  // rendering in between fixed steps (alpha in [0, 1])
+  getInterpolatedPose(alpha) {
+    const previous = this.previousPose;
+    return {
+      position: {
+        x: previous.position.x + (this.carPosition.x - previous.position.x) * alpha,
+        z: previous.position.z + (this.carPosition.z - previous.position.z) * alpha
+      },
+      rotation: previous.rotation + (this.carRotation - previous.rotation) * alpha
+    };
+  }
+
+  // Advance the simulation by dt seconds. Meant to be called with a fixed dt
+  // (see FixedTimestepLoop) so that runs are reproducible.
+  step(dt) {
+    if (this.finished) return;
+
+    this.previousPose = this.getPose();
+    this.time += dt;
+
+    // Speed control: follow the vehicle ahead with adaptive cruise control,
+    // otherwise hold the set speed; both stop at red lights and yield to
+    // pedestrians on crosswalks
+    this.updateSignal();
+    this.updateCrosswalk();
+    if (this.settings.adaptiveCruise) {
+      updateAdaptiveCruiseControl(this);
+    } else {
+      updateCruiseControl(this);
+    }
+
+    // Lane keeping sets the steering command, otherwise hold the wheel straight.
+    // The lane change planner decides which lateral offset to track.
+    if (this.settings.laneKeeping) {
+      if (this.settings.laneChange) {
+        this.targetLateralOffset = this.laneChange.update({
+          sensors: this.sensorReadings,
+          speed: this.vehicle.speed,
+          lateralOffset: this.centerline.project(this.vehicle.position).lateralOffset,
+          layout: this.lanes,
+          leadTrack: this.leadTrack,
+          tracks: this.tracks,
+          yielding: Boolean(this.crosswalk && this.crosswalk.pedestrian)
+        }, dt);
+      }
+      updateLaneKeeping(this, dt);
+    } else {
+      this.controls.steeringAngle = 0;
+    }
+
+    if (this.settings.drivingMode === 'manual') {
+      applyDriverInput(this);
+    }
+
+    // Emergency braking overrides the acceleration command of the systems above
+    if (this.settings.emergencyBraking) {
+      this.emergencyBraking.update(this, dt);
+    } else {
+      this.emergencyBraking.disengage();
+    }
+
+    // Move the car with the vehicle model, within the grip of the road
+    const previousSpeed = this.vehicle.speed;
+    stepVehicle(this.vehicle, this.controls, withRoadFriction(this.vehicleParams, weatherOf(this)), dt);
+
+    // Update distance traveled
+    this.distance += (previousSpeed + this.vehicle.speed) / 2 * dt;
+
+    if (this.roadStream) {
+      this.streamRoad();
+    }
+
+    // Move the other vehicles and the pedestrians
+    updateTraffic(this, dt);
+    updatePedestrians(this, dt);
+
+    // Update sensors and readings, and track the objects they detect
+    updateSensors(this, dt);
+    updateTracking(this, dt);
+    updateEpisodeStats(this.stats, this, dt);
+
+    // End conditions
+    const collision = findCollision(this);
+    const strike = collision ? null : findPedestrianStrike(this);
+    if (collision) {
+      this.finish('collision', { reason: `Hit vehicle ${collision.id}`, obstacleId: collision.id });
+    } else if (strike) {
+      this.finish('pedestrianStrike', { reason: `Hit pedestrian ${strike.id}`, pedestrianId: strike.id });
+    } else if (isOffRoad(this)) {
+      this.finish('offroad', { reason: 'Left the road' });
+    } else if (!this.roadStream && this.distance > this.roadLength) {
+      this.finish('completed', { reason: 'End of road reached' });
+    } else if (!this.roadStream && this.time >= this.config.maxTime) {
+      this.finish('timeout', { reason: `No result after ${this.config.maxTime} s` });
+    }
+
+    this.recorder.record();
+    this.telemetry.record(this);
+  }
+}
+
+export default SimulationEngine;
@@ -0,0 +1,63 @@
+import SimulationEngine from './SimulationEngine';
+import { createTrafficVehicle } from './traffic';
+import { updateSensors } from './sensors';
+
+const runToEnd = (engine, dt = 1 / 60, maxSteps = 100000) => {
+  let steps = 0;
+  while (!engine.finished && steps < maxSteps) {
+    engine.step(dt);
+    steps++;
+  }
+  return steps;
+};
+
+// Parked car in the ego lane, `station` meters down the road
+const parkedCarAhead = (engine, station) => createTrafficVehicle(engine.centerline, {
+  id: 0,
+  station,
+  lane: 0,
+  lateralOffset: engine.lanes.lanes[0].center
+});
+
+test('runs headless until the end of the road', () => {
+  const engine = new SimulationEngine({ seed: 1 });
+  runToEnd(engine);
+
+  expect(engine.finished).toBe(true);
+  expect(engine.distance).toBeGreaterThan(engine.roadLength);
+});
+
+test('same seed gives the same road and trajectory', () => {
+  const a = new SimulationEngine({ seed: 42 });
+  const b = new SimulationEngine({ seed: 42 });
+
+  expect(a.roadCurves).toEqual(b.roadCurves);
+  expect(a.obstacles).toEqual(b.obstacles);
+
+  for (let i = 0; i < 500; i++) {
+    a.step(1 / 60);
+    b.step(1 / 60);
+  }
+  expect(a.carPosition).toEqual(b.carPosition);
+  expect(a.carRotation).toBe(b.carRotation);
+});
+
+test('front sensor measures the distance to an obstacle ahead', () => {
+  const engine = new SimulationEngine({ seed: 1, settings: { lidar: false } });
+  engine.obstacles = [parkedCarAhead(engine, 30)];
+  engine.step(0);
+
+  // Sensor sits 2 m ahead of the car center, obstacle rear is 2 m behind its center
+  expect(engine.sensorReadings.front).toBeCloseTo(26);
+  expect(engine.sensorReadings.left).toBe(Infinity);
+});
+
+test('adaptive cruise control slows down behind an obstacle', () => {
+  const engine = new SimulationEngine({ seed: 1, settings: { laneKeeping: false } });
+  engine.obstacles = [parkedCarAhead(engine, 12)];
+  updateSensors(engine);
+  engine.step(1 / 60);
+
+  expect(engine.targetSpeed).toBeLessThan(engine.settings.setSpeed);
+  expect(engine.acc.mode).toBe('follow');
+});
@@ -0,0 +1,141 @@
+// Adaptive cruise control (ACC). On a free road it holds the driver's set
+// speed; behind a vehicle it keeps a constant time gap, a standstill gap
+// plus the distance covered in timeGap seconds. Following is a
+// proportional law on the gap error and the relative speed:
+//   a = speedGain * (leadSpeed - speed) + gapGain * (gap - desiredGap)
+// which is the same as tracking a follow speed of
+//   leadSpeed + gapGain / speedGain * (gap - desiredGap).
+// The lower of set speed and follow speed is the target speed. The gap law
+// brakes at most comfortDeceleration. Once the gap would close to the
+// standstill gap within brakingHorizon seconds, ACC brakes at least hard
+// enough to be down to the lead's speed there, beyond comfortDeceleration
+// if that is what it takes. The gap is the front reading and the
+// lead's speed comes from its track; an object ahead without a track is
+// taken to be standing still. All speeds in m/s.
+//
+// Both ACC and plain cruise control stop at the stop line of a signal the
+// car has to stop for (simulation.signal, see trafficSignals.js) and yield
+// at the stop line of a crosswalk with a pedestrian crossing
+// (simulation.crosswalk, see pedestrians.js), along a speed profile of
+// constant deceleration that ends at the line.
+
+// Time gaps the driver can choose (s)
+export const TIME_GAPS = [1.0, 1.5, 2.0];
+
+// Highest set speed (m/s)
+export const MAX_SET_SPEED = 40;
+
+export const DEFAULT_ACC_PARAMS = {
+  standstillGap: 4,          // m kept to a stopped vehicle
+  speedGain: 0.8,            // 1/s, acceleration per m/s of speed error
+  gapGain: 0.25,             // 1/s², acceleration per m of gap error
+  maxAcceleration: 1.5,      // m/s²
+  comfortDeceleration: 3,    // m/s²
+  brakingHorizon: 4          // s, closing time to the standstill gap within which braking matches the lead
+};
+
+// Smallest remaining gap (m) used for the braking needed to match the lead
+const MIN_STOPPING_GAP = 0.5;
+
+// Distance the car stops before a stop line (m)
+const STOP_LINE_MARGIN = 0.5;
+// Deceleration of the speed profile for stopping at a stop line (m/s²)
+const STOP_LINE_DECELERATION = 1.5;
+// Smallest room (m) used for the braking needed to stop at the line
+const MIN_STOP_LINE_ROOM = 0.05;
+
+// Driver-visible state: cruising, following, stopping at a signal or
+// yielding to a pedestrian, with the gap measured ahead and the gap ACC
+// aims for
+export const createAccState = () => ({
+  mode: 'cruise',
+  gap: Infinity,
+  desiredGap: 0,
+  leadSpeed: null
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Slow down for a stop line `distance` m ahead once its speed profile is
+// below the target speed or the car's speed (a lower target from following
+// brakes comfortably only): track the profile, braking at least as hard as
+// stopping in the room left takes. `mode` is the ACC mode shown meanwhile.
+const applyStopLine = (simulation, params, distance, mode) => {
+  const { vehicle } = simulation;
+  const room = Math.max(0, distance - STOP_LINE_MARGIN);
+  const targetSpeed = Math.sqrt(2 * STOP_LINE_DECELERATION * room);
+  if (targetSpeed >= simulation.targetSpeed && targetSpeed >= vehicle.speed) return;
+
+  const needed = vehicle.speed * vehicle.speed / (2 * Math.max(MIN_STOP_LINE_ROOM, room));
+  const acceleration = Math.min(
+    clamp(params.speedGain * (targetSpeed - vehicle.speed), -params.comfortDeceleration, params.maxAcceleration),
+    -needed
+  );
+
+  simulation.targetSpeed = Math.min(simulation.targetSpeed, targetSpeed);
+  simulation.controls.acceleration = Math.min(simulation.controls.acceleration, acceleration);
+  simulation.acc = { ...simulation.acc, mode };
+};
+
+// Stop for the signal and yield at the crosswalk ahead, whichever is closer
+const applyStops = (simulation, params) => {
+  const { signal, crosswalk } = simulation;
+  if (signal && signal.stop) applyStopLine(simulation, params, signal.distance, 'stop');
+  if (crosswalk && crosswalk.stop) applyStopLine(simulation, params, crosswalk.distance, 'yield');
+};
+
+// Plain cruise control: accelerate or brake toward the set speed
+export const updateCruiseControl = (simulation, params = DEFAULT_ACC_PARAMS) => {
+  const { setSpeed } = simulation.settings;
+  simulation.targetSpeed = setSpeed;
+  simulation.acc = { ...createAccState(), desiredGap: params.standstillGap };
+  simulation.controls.acceleration = clamp(
+    params.speedGain * (setSpeed - simulation.vehicle.speed),
+    -params.comfortDeceleration,
+    params.maxAcceleration
+  );
+  applyStops(simulation, params);
+};
+
+// Set the target speed and acceleration command from the gap ahead
+export const updateAdaptiveCruiseControl = (simulation, params = DEFAULT_ACC_PARAMS) => {
+  const { setSpeed, timeGap } = simulation.settings;
+  const speed = simulation.vehicle.speed;
+  const gap = simulation.sensorReadings.front;
+  const desiredGap = params.standstillGap + timeGap * speed;
+
+  let targetSpeed = setSpeed;
+  let leadSpeed = null;
+  if (Number.isFinite(gap)) {
+    leadSpeed = simulation.leadTrack ? Math.max(0, speed + simulation.leadTrack.relativeSpeed) : 0;
+    const followSpeed = leadSpeed + params.gapGain / params.speedGain * (gap - desiredGap);
+    targetSpeed = clamp(followSpeed, 0, setSpeed);
+  }
+
+  let acceleration = clamp(
+    params.speedGain * (targetSpeed - speed),
+    -params.comfortDeceleration,
+    params.maxAcceleration
+  );
+
+  // Once the gap would close to the standstill gap within brakingHorizon
+  // seconds, brake at least hard enough to be down to the lead's speed by
+  // then, however gentle that is
+  if (leadSpeed !== null && speed > leadSpeed) {
+    const closing = speed - leadSpeed;
+    const room = Math.max(MIN_STOPPING_GAP, gap - params.standstillGap);
+    if (room < closing * params.brakingHorizon) {
+      acceleration = Math.min(acceleration, -closing * closing / (2 * room));
+    }
+  }
+
+  simulation.targetSpeed = targetSpeed;
+  simulation.controls.acceleration = acceleration;
+  simulation.acc = {
+    mode: targetSpeed < setSpeed ? 'follow' : 'cruise',
+    gap,
+    desiredGap,
+    leadSpeed
+  };
+  applyStops(simulation, params);
+};
@@ -0,0 +1,118 @@
+import SimulationEngine from './SimulationEngine';
+import { createTrafficVehicle } from './traffic';
+import { DEFAULT_ACC_PARAMS, updateAdaptiveCruiseControl } from './adaptiveCruiseControl';
+import { VEHICLE_HALF_LENGTH } from './sensors';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+// Ego car in lane 0 with one vehicle ahead of it in the same lane
+const followScenario = (settings, { station = 40, speed = 0 } = {}) => {
+  const engine = new SimulationEngine({
+    seed: 1,
+    config: noTraffic,
+    settings: { laneChange: false, ...settings }
+  });
+  engine.obstacles = [createTrafficVehicle(engine.centerline, {
+    id: 5,
+    station,
+    lane: 0,
+    lateralOffset: engine.lanes.lanes[0].center,
+    speed,
+    desiredSpeed: speed
+  })];
+  return engine;
+};
+
+const drive = (engine, seconds, dt = 1 / 60) => {
+  for (let steps = 0; steps < seconds / dt && !engine.finished; steps++) {
+    engine.step(dt);
+  }
+};
+
+describe('adaptive cruise control', () => {
+  test('holds the set speed on a free road', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { setSpeed: 9 } });
+    engine.obstacles = [];
+    drive(engine, 15);
+
+    expect(engine.vehicle.speed).toBeCloseTo(9, 1);
+    expect(engine.acc.mode).toBe('cruise');
+  });
+
+  test.each([1.0, 1.5, 2.0])('settles at a %p s time gap behind a slower vehicle', (timeGap) => {
+    const engine = followScenario({ setSpeed: 8, timeGap }, { speed: 4 });
+    drive(engine, 40);
+
+    expect(engine.finished).toBe(false);
+    expect(engine.acc.mode).toBe('follow');
+    expect(engine.vehicle.speed).toBeCloseTo(4, 0);
+    const desiredGap = DEFAULT_ACC_PARAMS.standstillGap + timeGap * 4;
+    expect(Math.abs(engine.acc.gap - desiredGap)).toBeLessThan(1);
+  });
+
+  test('stops at the standstill gap behind a parked car', () => {
+    const engine = followScenario({ setSpeed: 10 });
+    drive(engine, 25);
+
+    expect(engine.finished).toBe(false);
+    expect(engine.vehicle.speed).toBeLessThan(0.1);
+    expect(Math.abs(engine.acc.gap - DEFAULT_ACC_PARAMS.standstillGap)).toBeLessThan(1);
+  });
+
+  test('closes in on a stopped vehicle and comes to rest at the standstill gap', () => {
+    // Starting 40 m behind it from the set speed
+    const engine = followScenario({ setSpeed: 6 }, { station: 40 + 2 * VEHICLE_HALF_LENGTH });
+    let hardestBraking = 0;
+    for (let steps = 0; steps < 25 * 60 && !engine.finished; steps++) {
+      engine.step(1 / 60);
+      hardestBraking = Math.min(hardestBraking, engine.controls.acceleration);
+    }
+
+    expect(engine.finished).toBe(false);
+    expect(hardestBraking).toBeGreaterThanOrEqual(-DEFAULT_ACC_PARAMS.comfortDeceleration);
+    expect(engine.vehicle.speed).toBeLessThan(0.05);
+    expect(Math.abs(engine.trueSensorReadings.front - DEFAULT_ACC_PARAMS.standstillGap)).toBeLessThan(0.3);
+  });
+
+  test('brakes smoothly while closing in', () => {
+    const engine = followScenario({ setSpeed: 8 }, { speed: 3 });
+    let hardestBraking = 0;
+    for (let steps = 0; steps < 20 * 60 && !engine.finished; steps++) {
+      engine.step(1 / 60);
+      hardestBraking = Math.min(hardestBraking, engine.controls.acceleration);
+    }
+
+    expect(engine.finished).toBe(false);
+    expect(hardestBraking).toBeGreaterThanOrEqual(-DEFAULT_ACC_PARAMS.comfortDeceleration);
+  });
+
+  test('brakes to match a stopped vehicle within the braking horizon, gently when that is enough', () => {
+    // At 10 m/s with a 1 s time gap, a stopped vehicle without a track
+    const accelerationAt = (front) => {
+      const simulation = {
+        settings: { setSpeed: 10, timeGap: 1 },
+        vehicle: { speed: 10 },
+        sensorReadings: { front },
+        leadTrack: null,
+        controls: {}
+      };
+      updateAdaptiveCruiseControl(simulation);
+      return simulation.controls.acceleration;
+    };
+
+    // 46 m of room closes in 4.6 s: the gap law alone, which holds speed here
+    expect(accelerationAt(50)).toBe(0);
+    // 39 m of room closes in 3.9 s: down to standstill over those 39 m
+    const braking = accelerationAt(43);
+    expect(braking).toBeCloseTo(-100 / 78);
+    expect(braking).toBeGreaterThan(-DEFAULT_ACC_PARAMS.comfortDeceleration);
+  });
+
+  test('without ACC holds the set speed regardless of the vehicle ahead', () => {
+    const engine = followScenario({ adaptiveCruise: false, setSpeed: 5 }, { station: 80 });
+    drive(engine, 2);
+
+    expect(engine.targetSpeed).toBe(5);
+    expect(engine.vehicle.speed).toBeCloseTo(5, 1);
+  });
+});
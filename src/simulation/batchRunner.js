@@ -0,0 +1,186 @@
+import SimulationEngine from './SimulationEngine';
+import { OUTCOMES } from './episodeStats';
+
+// Batch evaluation: run many seeded episodes headless with the same
+// settings and aggregate their KPIs, to compare controllers on more than
+// one road. Episode i uses seed firstSeed + i, so a batch is reproduced
+// from its first seed, episode count, step and settings.
+
+export const BATCH_REPORT_VERSION = 1;
+
+// Engine configuration and settings for batch episodes taken from a live
+// engine. Batches drive autonomously on generated roads of finite length,
+// as endless ones have no end, and the lane comes from the map because
+// nothing renders a camera image headless.
+export const batchOptionsFrom = (engine) => ({
+  config: {
+    ...engine.config,
+    infiniteRoad: false,
+    traffic: { ...engine.config.traffic },
+    vehicle: { ...engine.vehicleParams },
+    lidar: { ...engine.lidar.config }
+  },
+  settings: {
+    ...engine.settings,
+    drivingMode: 'autonomous',
+    laneSource: 'groundTruth'
+  }
+});
+
+// Run one episode to its outcome and return its summary with the seed
+export const runEpisode = ({ seed, config = {}, settings = {}, dt = 1 / 60 }) => {
+  const engine = new SimulationEngine({ seed, config, settings });
+  while (!engine.finished) {
+    engine.step(dt);
+  }
+  return { seed, ...engine.summary };
+};
+
+const sum = (runs, value) => runs.reduce((total, run) => total + value(run), 0);
+
+// Mean of a per-episode value weighted by episode duration
+const timeWeighted = (runs, value) => {
+  const time = sum(runs, run => run.time);
+  return time > 0 ? sum(runs, run => value(run) * run.time) / time : 0;
+};
+
+// KPIs over all episodes. Means over time are weighted by episode
+// duration, extremes are taken over all episodes.
+export const aggregateKpis = (runs) => {
+  const count = runs.length;
+  const time = sum(runs, run => run.time);
+  const rate = (outcome) => (count > 0 ? runs.filter(run => run.outcome === outcome).length / count : 0);
+
+  return {
+    episodes: count,
+    outcomes: Object.fromEntries(Object.keys(OUTCOMES).map(outcome => [
+      outcome, runs.filter(run => run.outcome === outcome).length
+    ])),
+    collisionRate: rate('collision'),
+    pedestrianStrikeRate: rate('pedestrianStrike'),
+    completionRate: rate('completed'),
+    laneDepartures: sum(runs, run => run.laneDepartures),
+    laneDeparturesPerEpisode: count > 0 ? sum(runs, run => run.laneDepartures) / count : 0,
+    redLightViolations: sum(runs, run => run.redLightViolations),
+    meanLateralError: timeWeighted(runs, run => run.meanLateralError),
+    maxLateralError: Math.max(0, ...runs.map(run => run.maxLateralError)),
+    meanSpeed: time > 0 ? sum(runs, run => run.distance) / time : 0,
+    minTtc: Math.min(Infinity, ...runs.map(run => run.minTtc)),
+    rmsJerk: Math.sqrt(timeWeighted(runs, run => run.rmsJerk * run.rmsJerk)),
+    maxJerk: Math.max(0, ...runs.map(run => run.maxJerk))
+  };
+};
+
+const createReport = ({ firstSeed, episodes, dt, settings }, runs) => ({
+  version: BATCH_REPORT_VERSION,
+  firstSeed,
+  episodes,
+  dt,
+  settings,
+  kpis: aggregateKpis(runs),
+  runs
+});
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Steps between yields to the event loop within an episode (10 s of
+// driving at 60 steps/s)
+const STEPS_PER_TASK = 600;
+
+// Run one episode like runEpisode, yielding to the event loop every
+// STEPS_PER_TASK steps. Returns null when the signal aborts it.
+const runEpisodeInTasks = async ({ seed, config, settings, dt, signal }) => {
+  const engine = new SimulationEngine({ seed, config, settings });
+  while (!engine.finished) {
+    for (let i = 0; i < STEPS_PER_TASK && !engine.finished; i++) {
+      engine.step(dt);
+    }
+    await nextTask();
+    if (signal && signal.aborted) return null;
+  }
+  return { seed, ...engine.summary };
+};
+
+// Run `episodes` episodes from firstSeed. Yields to the event loop within
+// and between episodes so a page stays responsive; onProgress gets the
+// report so far after each one and an aborted signal stops the batch
+// early, dropping the episode it was in.
+export const runBatch = async ({
+  episodes,
+  firstSeed = 0,
+  config = {},
+  settings = {},
+  dt = 1 / 60,
+  onProgress,
+  signal
+}) => {
+  if (!(Number.isInteger(episodes) && episodes > 0)) {
+    throw new Error(`Episode count must be a positive integer, got ${episodes}`);
+  }
+  const batch = { firstSeed, episodes, dt, settings };
+  const runs = [];
+  for (let i = 0; i < episodes && !(signal && signal.aborted); i++) {
+    const run = await runEpisodeInTasks({ seed: (firstSeed + i) >>> 0, config, settings, dt, signal });
+    if (!run) break;
+    runs.push(run);
+    if (onProgress) onProgress(createReport(batch, runs));
+  }
+  return createReport(batch, runs);
+};
+
+// Infinite values (no vehicle ahead) are written as null, like JSON.stringify does
+export const batchReportToJson = (report) => JSON.stringify(report, null, 2);
+
+// Per-episode columns of the CSV report
+export const CSV_COLUMNS = [
+  'seed',
+  'outcome',
+  'time',
+  'distance',
+  'averageSpeed',
+  'maxSpeed',
+  'meanLateralError',
+  'maxLateralError',
+  'rmsLateralError',
+  'laneDepartures',
+  'laneChanges',
+  'redLightViolations',
+  'minFrontDistance',
+  'minTtc',
+  'rmsJerk',
+  'maxJerk',
+  'emergencyBrakings'
+];
+
+const csvValue = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(Number(value.toFixed(4))) : '';
+  return String(value);
+};
+
+// One row per episode and a last row 'all' with the aggregated KPIs in the
+// matching columns
+export const batchReportToCsv = (report) => {
+  const { kpis } = report;
+  const all = {
+    seed: 'all',
+    outcome: `${kpis.outcomes.completed}/${kpis.episodes} completed`,
+    time: sum(report.runs, run => run.time),
+    distance: sum(report.runs, run => run.distance),
+    averageSpeed: kpis.meanSpeed,
+    maxSpeed: Math.max(0, ...report.runs.map(run => run.maxSpeed)),
+    meanLateralError: kpis.meanLateralError,
+    maxLateralError: kpis.maxLateralError,
+    rmsLateralError: Math.sqrt(timeWeighted(report.runs, run => run.rmsLateralError * run.rmsLateralError)),
+    laneDepartures: kpis.laneDepartures,
+    laneChanges: sum(report.runs, run => run.laneChanges),
+    redLightViolations: kpis.redLightViolations,
+    minFrontDistance: Math.min(Infinity, ...report.runs.map(run => run.minFrontDistance)),
+    minTtc: kpis.minTtc,
+    rmsJerk: kpis.rmsJerk,
+    maxJerk: kpis.maxJerk,
+    emergencyBrakings: sum(report.runs, run => run.emergencyBrakings)
+  };
+  return [CSV_COLUMNS, ...[...report.runs, all].map(row => CSV_COLUMNS.map(column => csvValue(row[column])))]
+    .map(cells => cells.join(','))
+    .join('\n') + '\n';
+};
@@ -0,0 +1,127 @@
+import SimulationEngine from './SimulationEngine';
+import {
+  runEpisode,
+  runBatch,
+  aggregateKpis,
+  batchOptionsFrom,
+  batchReportToCsv,
+  batchReportToJson,
+  CSV_COLUMNS
+} from './batchRunner';
+
+// Short roads without LiDAR keep the episodes quick
+const options = {
+  config: { roadLength: 120, traffic: { density: 0, spawnRate: 0 } },
+  settings: { lidar: false }
+};
+
+describe('batch runner', () => {
+  test('runs seeded episodes reproducibly', async () => {
+    const first = await runBatch({ episodes: 3, firstSeed: 6, ...options });
+    const second = await runBatch({ episodes: 3, firstSeed: 6, ...options });
+
+    expect(first.runs.map(run => run.seed)).toEqual([6, 7, 8]);
+    expect(second).toEqual(first);
+    expect(first.kpis.episodes).toBe(3);
+    expect(first.kpis.completionRate).toBe(1);
+    expect(first.kpis.collisionRate).toBe(0);
+    expect(first.kpis.laneDepartures).toBe(0);
+    expect(first.kpis.meanLateralError).toBeLessThan(first.kpis.maxLateralError);
+    expect(first.kpis.meanSpeed).toBeGreaterThan(4);
+  });
+
+  test('reports progress and stops when aborted', async () => {
+    const controller = new AbortController();
+    const progress = [];
+    const report = await runBatch({
+      episodes: 5,
+      ...options,
+      onProgress: (partial) => {
+        progress.push(partial.runs.length);
+        if (partial.runs.length === 2) controller.abort();
+      },
+      signal: controller.signal
+    });
+
+    expect(progress).toEqual([1, 2]);
+    expect(report.runs).toHaveLength(2);
+    expect(report.episodes).toBe(5);
+  });
+
+  test('stops within an episode when aborted', async () => {
+    const controller = new AbortController();
+    const running = runBatch({ episodes: 1, ...options, config: { ...options.config, roadLength: 1000 }, signal: controller.signal });
+    setTimeout(() => controller.abort(), 0);
+    const report = await running;
+
+    expect(report.runs).toHaveLength(0);
+  });
+
+  test('rejects an invalid episode count', async () => {
+    await expect(runBatch({ episodes: 0 })).rejects.toThrow('positive integer');
+  });
+
+  test('aggregates outcomes and extremes over the episodes', () => {
+    const completed = runEpisode({ seed: 4, ...options });
+    const collided = {
+      seed: 3, outcome: 'collision', time: 5, distance: 30, laneDepartures: 1,
+      meanLateralError: 0.1, maxLateralError: 0.2, minTtc: 0, rmsJerk: 1, maxJerk: 50
+    };
+
+    const kpis = aggregateKpis([completed, collided]);
+    expect(kpis.collisionRate).toBe(0.5);
+    expect(kpis.completionRate).toBe(0.5);
+    expect(kpis.outcomes).toEqual({ completed: 1, collision: 1, pedestrianStrike: 0, offroad: 0, timeout: 0 });
+    expect(kpis.laneDepartures).toBe(completed.laneDepartures + 1);
+    expect(kpis.meanSpeed).toBeCloseTo((completed.distance + 30) / (completed.time + 5));
+    expect(kpis.minTtc).toBe(0);
+    expect(kpis.maxJerk).toBe(Math.max(completed.maxJerk, 50));
+  });
+
+  test('counts leaving the lane but not lane changes as lane departures', () => {
+    // Lane changes around the parked cars, all ending in the new lane
+    const changing = runEpisode({ seed: 7, ...options });
+    expect(changing.laneChanges).toBeGreaterThan(0);
+    expect(changing.laneDepartures).toBe(0);
+
+    // Pointed out of the lane without lane keeping, the car leaves it once
+    const engine = new SimulationEngine({ seed: 7, ...options, settings: { lidar: false, laneKeeping: false } });
+    engine.vehicle.heading += 0.1;
+    while (!engine.finished) engine.step(1 / 60);
+    expect(engine.outcome.type).not.toBe('completed');
+    expect(engine.summary.laneDepartures).toBe(1);
+  });
+
+  test('measures jerk from the change in acceleration', () => {
+    const { maxJerk, rmsJerk } = runEpisode({ seed: 7, ...options });
+    expect(maxJerk).toBeGreaterThan(0);
+    expect(rmsJerk).toBeGreaterThan(0);
+    expect(rmsJerk).toBeLessThan(maxJerk);
+  });
+
+  test('takes the configuration of a live engine for autonomous ground truth runs', () => {
+    const engine = new SimulationEngine({ seed: 1, settings: { drivingMode: 'manual', laneSource: 'camera' } });
+    engine.vehicleParams.model = 'dynamic';
+    engine.lidar.configure({ channels: 4 });
+
+    const { config, settings } = batchOptionsFrom(engine);
+    expect(settings.drivingMode).toBe('autonomous');
+    expect(settings.laneSource).toBe('groundTruth');
+    expect(config.vehicle.model).toBe('dynamic');
+    expect(config.lidar.channels).toBe(4);
+    expect(new SimulationEngine({ seed: 1, config, settings }).vehicleParams.model).toBe('dynamic');
+  });
+
+  test('writes JSON and CSV reports', async () => {
+    const report = await runBatch({ episodes: 2, firstSeed: 7, ...options });
+
+    expect(JSON.parse(batchReportToJson(report)).kpis.episodes).toBe(2);
+
+    const lines = batchReportToCsv(report).trim().split('\n');
+    expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+    expect(lines).toHaveLength(4);
+    expect(lines[1].split(',').slice(0, 2)).toEqual(['7', 'completed']);
+    expect(lines[3].split(',').slice(0, 2)).toEqual(['all', '2/2 completed']);
+    lines.forEach(line => expect(line.split(',')).toHaveLength(CSV_COLUMNS.length));
+  });
+});
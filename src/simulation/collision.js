@@ -0,0 +1,72 @@
+import { VEHICLE_HALF_WIDTH, VEHICLE_HALF_LENGTH, footprintOf } from './sensors';
+
+// Corners of an oriented box in the ground plane
+export const boxCorners = ({ position, rotation, halfWidth, halfLength }) => {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => {
+    const x = sx * halfWidth;
+    const z = sz * halfLength;
+    return {
+      x: position.x + x * cos + z * sin,
+      z: position.z - x * sin + z * cos
+    };
+  });
+};
+
+// Separating axis test between two oriented boxes
+export const boxesOverlap = (a, b) => {
+  const cornersA = boxCorners(a);
+  const cornersB = boxCorners(b);
+  const axes = [a.rotation, b.rotation].flatMap(rotation => [
+    { x: Math.cos(rotation), z: -Math.sin(rotation) },
+    { x: Math.sin(rotation), z: Math.cos(rotation) }
+  ]);
+
+  return axes.every(axis => {
+    const projectA = cornersA.map(corner => corner.x * axis.x + corner.z * axis.z);
+    const projectB = cornersB.map(corner => corner.x * axis.x + corner.z * axis.z);
+    return Math.max(...projectA) >= Math.min(...projectB) && Math.max(...projectB) >= Math.min(...projectA);
+  });
+};
+
+export const vehicleBox = (position, rotation) => ({
+  position,
+  rotation,
+  halfWidth: VEHICLE_HALF_WIDTH,
+  halfLength: VEHICLE_HALF_LENGTH
+});
+
+// First obstacle overlapping the ego car, or null
+export const findCollision = (simulation) => {
+  const ego = vehicleBox(simulation.vehicle.position, simulation.vehicle.heading);
+
+  // Cheap distance check before the exact test
+  const reach = 2 * Math.hypot(VEHICLE_HALF_WIDTH, VEHICLE_HALF_LENGTH);
+  return simulation.obstacles.find(obstacle =>
+    Math.abs(obstacle.position.x - ego.position.x) < reach &&
+    Math.abs(obstacle.position.z - ego.position.z) < reach &&
+    boxesOverlap(ego, vehicleBox(obstacle.position, obstacle.rotation))
+  ) || null;
+};
+
+// First pedestrian the ego car runs into, or null
+export const findPedestrianStrike = (simulation) => {
+  const ego = vehicleBox(simulation.vehicle.position, simulation.vehicle.heading);
+  const reach = 2 * Math.hypot(VEHICLE_HALF_WIDTH, VEHICLE_HALF_LENGTH);
+  return simulation.pedestrians.find(pedestrian =>
+    Math.abs(pedestrian.position.x - ego.position.x) < reach &&
+    Math.abs(pedestrian.position.z - ego.position.z) < reach &&
+    boxesOverlap(ego, { position: pedestrian.position, rotation: pedestrian.rotation, ...footprintOf(pedestrian) })
+  ) || null;
+};
+
+// True when any corner of the ego car is beyond the road edge
+export const isOffRoad = (simulation) => {
+  const ego = vehicleBox(simulation.vehicle.position, simulation.vehicle.heading);
+  const edge = simulation.roadWidth / 2;
+
+  return boxCorners(ego).some(corner =>
+    Math.abs(simulation.centerline.project(corner).lateralOffset) > edge
+  );
+};
@@ -0,0 +1,94 @@
+import SimulationEngine from './SimulationEngine';
+import { boxesOverlap, vehicleBox } from './collision';
+import { createTrafficVehicle } from './traffic';
+
+const runToEnd = (engine, dt = 1 / 60, maxSteps = 100000) => {
+  for (let steps = 0; !engine.finished && steps < maxSteps; steps++) {
+    engine.step(dt);
+  }
+};
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+describe('boxesOverlap', () => {
+  test('separates boxes side by side', () => {
+    const a = vehicleBox({ x: 0, z: 0 }, 0);
+    expect(boxesOverlap(a, vehicleBox({ x: 2.5, z: 0 }, 0))).toBe(false);
+    expect(boxesOverlap(a, vehicleBox({ x: 1.5, z: 0 }, 0))).toBe(true);
+  });
+
+  test('accounts for rotation', () => {
+    const a = vehicleBox({ x: 0, z: 0 }, 0);
+    // Turned sideways the other car reaches 2 m across instead of 1 m
+    expect(boxesOverlap(a, vehicleBox({ x: 2.8, z: 0 }, Math.PI / 2))).toBe(true);
+    expect(boxesOverlap(a, vehicleBox({ x: 2.8, z: 0 }, 0))).toBe(false);
+    // Diagonal boxes whose bounding squares overlap but the boxes do not
+    expect(boxesOverlap(
+      vehicleBox({ x: 0, z: 0 }, Math.PI / 4),
+      vehicleBox({ x: 2.6, z: -2.6 }, Math.PI / 4)
+    )).toBe(false);
+  });
+});
+
+describe('episode outcomes', () => {
+  test('completes the road without incidents', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+    runToEnd(engine);
+
+    expect(engine.outcome.type).toBe('completed');
+    expect(engine.summary.distance).toBeGreaterThan(engine.roadLength);
+    // Cruising at 6 m/s, slowing briefly when closing in on parked cars
+    expect(engine.summary.averageSpeed).toBeGreaterThan(5.5);
+    expect(engine.summary.averageSpeed).toBeLessThanOrEqual(engine.settings.setSpeed);
+    // Passing the parked cars on this road takes lane changes, which the
+    // controller tracks with some lag
+    expect(engine.summary.laneChanges).toBeGreaterThan(0);
+    expect(engine.summary.rmsLateralError).toBeLessThan(1);
+  });
+
+  // Default settings and traffic: following, braking for and passing the
+  // cars on the road must not end a run early
+  test.each([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])('completes the road with default settings (seed %p)', (seed) => {
+    const engine = new SimulationEngine({ seed });
+    runToEnd(engine);
+
+    expect(engine.outcome.type).toBe('completed');
+  }, 60000);
+
+  test('ends with a collision when driving into a parked car', () => {
+    const engine = new SimulationEngine({
+      seed: 1,
+      config: noTraffic,
+      settings: { adaptiveCruise: false, laneChange: false }
+    });
+    engine.obstacles = [createTrafficVehicle(engine.centerline, {
+      id: 7,
+      station: 20,
+      lane: 0,
+      lateralOffset: engine.lanes.lanes[0].center
+    })];
+    runToEnd(engine);
+
+    expect(engine.outcome.type).toBe('collision');
+    expect(engine.outcome.obstacleId).toBe(7);
+    expect(engine.summary.minFrontDistance).toBeLessThan(1);
+  });
+
+  test('ends off road when the car leaves the carriageway', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { laneKeeping: false } });
+    engine.vehicle.heading = -0.3;
+    runToEnd(engine);
+
+    expect(engine.outcome.type).toBe('offroad');
+    expect(engine.distance).toBeLessThan(30);
+  });
+
+  test('ends with a timeout after the time limit', () => {
+    const engine = new SimulationEngine({ seed: 1, config: { ...noTraffic, maxTime: 2 } });
+    runToEnd(engine);
+
+    expect(engine.outcome.type).toBe('timeout');
+    expect(engine.time).toBeGreaterThanOrEqual(2);
+    expect(engine.summary.time).toBeCloseTo(2, 1);
+  });
+});
@@ -0,0 +1,45 @@
+import SimulationEngine from '../SimulationEngine';
+import { CONTROLLERS, createController } from '.';
+
+const maxLateralError = (controller, seed) => {
+  const engine = new SimulationEngine({ seed, settings: { controller, laneChange: false, adaptiveCruise: false } });
+  let maxError = 0;
+  while (!engine.finished) {
+    engine.step(1 / 60);
+    const lateralOffset = engine.centerline.project(engine.carPosition).lateralOffset;
+    maxError = Math.max(maxError, Math.abs(lateralOffset - engine.targetLateralOffset));
+  }
+  return maxError;
+};
+
+test.each(['purePursuit', 'stanley', 'pid'])('%s keeps the car near the lane center', (controller) => {
+  [3, 11].forEach(seed => {
+    expect(maxLateralError(controller, seed)).toBeLessThan(0.5);
+  });
+});
+
+test('every controller steers back toward the center', () => {
+  Object.keys(CONTROLLERS).forEach(type => {
+    const engine = new SimulationEngine({ seed: 1, settings: { controller: type } });
+    engine.vehicle.position.x = 1;
+    engine.step(0);
+
+    // Offset toward +x (of both the road center and the lane) must steer toward -x
+    expect(engine.controls.steeringAngle).toBeLessThan(0);
+  });
+});
+
+test('the heuristic steers toward the target lane, not the road center', () => {
+  const engine = new SimulationEngine({ seed: 1, settings: { controller: 'heuristic' } });
+  engine.step(0);
+  expect(engine.controls.steeringAngle).toBeCloseTo(0);
+
+  // On the road center, right of the lane 0 target
+  engine.vehicle.position.x = 0;
+  engine.step(0);
+  expect(engine.controls.steeringAngle).toBeLessThan(0);
+});
+
+test('rejects unknown controllers', () => {
+  expect(() => createController('nope')).toThrow('Unknown lane keeping controller');
+});
@@ -0,0 +1,60 @@
+// The original lane keeping heuristic: proportional steering on the offset
+// from the target lane offset, measured across the nearest segment start
+// point, plus a curvature feed-forward, applied as a yaw rate.
+
+// Steering gain per second; the correction used to be applied once per
+// frame at 60 frames per second
+const STEERING_RATE = 60;
+
+// Speed unit the gains were tuned in (meters per second per unit)
+const LEGACY_SPEED_UNIT = 20;
+
+export const HEURISTIC_PARAMETERS = [
+  { key: 'gain', label: 'P gain', step: 0.05, defaultValue: 0.5 },
+  { key: 'curvatureGain', label: 'Curvature gain', step: 1, defaultValue: 10 }
+];
+
+export const createHeuristicController = ({ gain, curvatureGain }) => ({
+  reset() {},
+
+  update(observation) {
+    const { pose, speed, lane, road, vehicle } = observation;
+    const roadCurves = road.roadCurves;
+
+    // Find the nearest road segment
+    let nearestSegmentIndex = 0;
+    let minDistance = Infinity;
+
+    for (let i = 0; i < roadCurves.length; i++) {
+      const segment = roadCurves[i];
+      const distance = Math.sqrt(
+        Math.pow(pose.position.x - segment.position.x, 2) +
+        Math.pow(pose.position.z - segment.position.z, 2)
+      );
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearestSegmentIndex = i;
+      }
+    }
+
+    // Calculate the car's offset from the road center, rotated to the
+    // segment's coordinate system
+    const currentSegment = roadCurves[nearestSegmentIndex];
+    const roadAngle = currentSegment.angle;
+    const relativeX = pose.position.x - currentSegment.position.x;
+    const relativeZ = pose.position.z - currentSegment.position.z;
+    const lateralOffset = relativeX * Math.cos(roadAngle) - relativeZ * Math.sin(roadAngle);
+
+    // Desired steering based on the offset from the target and road curvature
+    const steeringCorrection = -(lateralOffset - lane.targetOffset) * gain;
+    const predictiveSteering = currentSegment.curvature * curvatureGain;
+
+    // Steering angle giving that yaw rate with the kinematic bicycle model
+    const legacySpeed = speed / LEGACY_SPEED_UNIT;
+    const desiredYawRate = (steeringCorrection + predictiveSteering) * legacySpeed * STEERING_RATE;
+    return {
+      steeringAngle: Math.atan(vehicle.wheelbase * desiredYawRate / Math.max(speed, 0.1))
+    };
+  }
+});
@@ -0,0 +1,49 @@
+import { createHeuristicController, HEURISTIC_PARAMETERS } from './heuristic';
+import { createPurePursuitController, PURE_PURSUIT_PARAMETERS } from './purePursuit';
+import { createStanleyController, STANLEY_PARAMETERS } from './stanley';
+import { createPidController, PID_PARAMETERS } from './pid';
+
+// Lane keeping controllers. Each one is created from its parameters and
+// exposes:
+//   update(observation, dt) -> { steeringAngle, acceleration? }
+//   reset()
+// steeringAngle is the requested road wheel angle in radians. acceleration
+// (m/s²) is optional; when omitted the longitudinal control decides.
+export const CONTROLLERS = {
+  purePursuit: {
+    label: 'Pure pursuit',
+    parameters: PURE_PURSUIT_PARAMETERS,
+    create: createPurePursuitController
+  },
+  stanley: {
+    label: 'Stanley',
+    parameters: STANLEY_PARAMETERS,
+    create: createStanleyController
+  },
+  pid: {
+    label: 'PID',
+    parameters: PID_PARAMETERS,
+    create: createPidController
+  },
+  heuristic: {
+    label: 'Heuristic (original)',
+    parameters: HEURISTIC_PARAMETERS,
+    create: createHeuristicController
+  }
+};
+
+export const DEFAULT_CONTROLLER = 'purePursuit';
+
+export const defaultControllerParameters = (type) =>
+  CONTROLLERS[type].parameters.reduce((values, parameter) => ({
+    ...values,
+    [parameter.key]: parameter.defaultValue
+  }), {});
+
+export const createController = (type, parameters = {}) => {
+  const definition = CONTROLLERS[type];
+  if (!definition) {
+    throw new Error(`Unknown lane keeping controller "${type}"`);
+  }
+  return definition.create({ ...defaultControllerParameters(type), ...parameters });
+};
@@ -0,0 +1,37 @@
+import { steeringForCurvature } from '../vehicleModel';
+
+// PID on the lateral offset from the lane center, with the road curvature
+// as steering feed-forward.
+
+export const PID_PARAMETERS = [
+  { key: 'kp', label: 'Kp', step: 0.01, defaultValue: 0.15 },
+  { key: 'ki', label: 'Ki', step: 0.01, defaultValue: 0.01 },
+  { key: 'kd', label: 'Kd', step: 0.01, defaultValue: 0.12 },
+  { key: 'integralLimit', label: 'Integral limit', step: 0.5, defaultValue: 5 }
+];
+
+export const createPidController = ({ kp, ki, kd, integralLimit }) => {
+  let integral = 0;
+  let previousError = null;
+
+  return {
+    reset() {
+      integral = 0;
+      previousError = null;
+    },
+
+    update(observation, dt) {
+      const { lane, vehicle } = observation;
+      const error = lane.lateralOffset - lane.targetOffset;
+
+      integral = Math.min(Math.max(integral + error * dt, -integralLimit), integralLimit);
+      const derivative = previousError === null || dt === 0 ? 0 : (error - previousError) / dt;
+      previousError = error;
+
+      const feedForward = steeringForCurvature(vehicle, lane.curvature);
+      return {
+        steeringAngle: feedForward - (kp * error + ki * integral + kd * derivative)
+      };
+    }
+  };
+};
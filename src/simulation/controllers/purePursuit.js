@@ -0,0 +1,35 @@
+// Pure pursuit: steer the rear axle onto a circular arc through a target
+// point on the lane center, a lookahead distance ahead.
+
+export const PURE_PURSUIT_PARAMETERS = [
+  { key: 'lookaheadDistance', label: 'Lookahead (m)', step: 0.5, defaultValue: 6 },
+  { key: 'lookaheadTime', label: 'Lookahead time (s)', step: 0.1, defaultValue: 0.8 }
+];
+
+export const createPurePursuitController = ({ lookaheadDistance, lookaheadTime }) => ({
+  reset() {},
+
+  update(observation) {
+    const { pose, speed, road, lane, vehicle } = observation;
+    const lookahead = lookaheadDistance + lookaheadTime * speed;
+
+    // Rear axle position
+    const rearOffset = vehicle.wheelbase - vehicle.centerToFrontAxle;
+    const rearX = pose.position.x - Math.sin(pose.heading) * rearOffset;
+    const rearZ = pose.position.z - Math.cos(pose.heading) * rearOffset;
+
+    // Target point on the lane center, in the car's frame
+    const target = road.pointAt(lane.station + lookahead, lane.targetOffset);
+    const dx = target.x - rearX;
+    const dz = target.z - rearZ;
+    const forward = dx * Math.sin(pose.heading) + dz * Math.cos(pose.heading);
+    const lateral = dx * Math.cos(pose.heading) - dz * Math.sin(pose.heading);
+
+    // Angle to the target and the arc that reaches it
+    const alpha = Math.atan2(lateral, forward);
+    const distance = Math.max(Math.hypot(forward, lateral), 0.1);
+    return {
+      steeringAngle: Math.atan(2 * vehicle.wheelbase * Math.sin(alpha) / distance)
+    };
+  }
+});
@@ -0,0 +1,31 @@
+// Stanley controller: align with the lane heading and correct the cross
+// track error measured at the front axle.
+
+export const STANLEY_PARAMETERS = [
+  { key: 'gain', label: 'Cross-track gain', step: 0.1, defaultValue: 1.5 },
+  { key: 'softening', label: 'Softening (m/s)', step: 0.5, defaultValue: 1 }
+];
+
+export const createStanleyController = ({ gain, softening }) => ({
+  reset() {},
+
+  update(observation) {
+    const { pose, speed, road, vehicle } = observation;
+
+    // Project the front axle onto the lane center
+    const frontAxle = {
+      x: pose.position.x + Math.sin(pose.heading) * vehicle.centerToFrontAxle,
+      z: pose.position.z + Math.cos(pose.heading) * vehicle.centerToFrontAxle
+    };
+    const projection = road.project(frontAxle);
+    const crossTrackError = projection.lateralOffset - observation.lane.targetOffset;
+    const headingError = Math.atan2(
+      Math.sin(projection.heading - pose.heading),
+      Math.cos(projection.heading - pose.heading)
+    );
+
+    return {
+      steeringAngle: headingError + Math.atan2(-gain * crossTrackError, softening + speed)
+    };
+  }
+});
@@ -0,0 +1,125 @@
+// Autonomous emergency braking (AEB). Independent of adaptive cruise
+// control, it watches the time to collision (TTC) with the vehicle ahead
+// and escalates in stages:
+//   warning  forward collision warning, no braking
+//   partial  moderate braking
+//   full     maximum braking
+//   hold     keeps the car stopped for a moment after braking to a halt
+// Once braking, AEB does not ease off until the car has stopped or the
+// object ahead no longer closes in: the TTC of a stationary obstacle grows
+// as the car slows down, so releasing on it would roll into the obstacle.
+// Every escalation is logged.
+
+export const DEFAULT_AEB_CONFIG = {
+  warningTtc: 2.5,           // s
+  partialTtc: 1.6,           // s
+  fullTtc: 0.9,              // s
+  partialDeceleration: 4,    // m/s²
+  fullDeceleration: 10,      // m/s², capped by the vehicle's braking limit
+  holdTime: 2,               // s at standstill before releasing the brakes
+  stoppedSpeed: 0.1          // m/s
+};
+
+export const AEB_PHASES = {
+  standby: 'Standby',
+  warning: 'Collision warning',
+  partial: 'Partial braking',
+  full: 'Full braking',
+  hold: 'Holding'
+};
+
+const LEVELS = { standby: 0, warning: 1, partial: 2, full: 3 };
+
+const isBraking = (phase) => phase === 'partial' || phase === 'full';
+
+// TTC with the vehicle ahead: from its track, or from the front distance
+// as if it stood still while no track is confirmed yet
+export const forwardTtc = (simulation) => {
+  if (simulation.leadTrack) return simulation.leadTrack.ttc;
+  const front = simulation.sensorReadings.front;
+  const speed = simulation.vehicle.speed;
+  return Number.isFinite(front) && speed > 0 ? front / speed : Infinity;
+};
+
+export const createEmergencyBraking = (params = {}) => {
+  const config = { ...DEFAULT_AEB_CONFIG, ...params };
+  const state = {
+    phase: 'standby',
+    ttc: Infinity,
+    holdTimer: 0,
+    activations: 0,   // times braking started
+    log: []           // { time, distance, phase, ttc, speed, gap }
+  };
+
+  const reset = () => {
+    state.phase = 'standby';
+    state.ttc = Infinity;
+    state.holdTimer = 0;
+    state.activations = 0;
+    state.log = [];
+  };
+
+  // Switched off: no warning and no braking, history kept
+  const disengage = () => {
+    state.phase = 'standby';
+    state.holdTimer = 0;
+  };
+
+  const enter = (phase, simulation) => {
+    if (isBraking(phase) && !isBraking(state.phase)) state.activations++;
+    state.phase = phase;
+    state.log.push({
+      time: simulation.time,
+      distance: simulation.distance,
+      phase,
+      ttc: state.ttc,
+      speed: simulation.vehicle.speed,
+      gap: simulation.leadTrack ? simulation.leadTrack.gap : simulation.sensorReadings.front
+    });
+  };
+
+  // Decide the phase for this tick and brake by overriding the
+  // acceleration command when needed
+  const update = (simulation, dt) => {
+    state.ttc = forwardTtc(simulation);
+    const { controls, vehicle } = simulation;
+
+    if (isBraking(state.phase) && vehicle.speed < config.stoppedSpeed) {
+      state.holdTimer = 0;
+      enter('hold', simulation);
+    }
+
+    if (state.phase === 'hold') {
+      state.holdTimer += dt;
+      if (state.holdTimer < config.holdTime) {
+        controls.acceleration = Math.min(controls.acceleration, -config.fullDeceleration);
+        return;
+      }
+      state.phase = 'standby';
+    }
+
+    let phase = 'standby';
+    if (state.ttc < config.fullTtc) phase = 'full';
+    else if (state.ttc < config.partialTtc) phase = 'partial';
+    else if (state.ttc < config.warningTtc) phase = 'warning';
+
+    // Keep braking at least as hard while still closing in
+    if (isBraking(state.phase) && Number.isFinite(state.ttc) && LEVELS[phase] < LEVELS[state.phase]) {
+      phase = state.phase;
+    }
+
+    if (LEVELS[phase] > LEVELS[state.phase]) {
+      enter(phase, simulation);
+    } else {
+      state.phase = phase;
+    }
+
+    if (state.phase === 'partial') {
+      controls.acceleration = Math.min(controls.acceleration, -config.partialDeceleration);
+    } else if (state.phase === 'full' || state.phase === 'hold') {
+      controls.acceleration = Math.min(controls.acceleration, -config.fullDeceleration);
+    }
+  };
+
+  return { config, state, reset, disengage, update };
+};
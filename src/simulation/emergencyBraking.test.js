@@ -0,0 +1,147 @@
+import SimulationEngine from './SimulationEngine';
+import { createTrafficVehicle } from './traffic';
+import { createEmergencyBraking, forwardTtc } from './emergencyBraking';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+// Cruise without adaptive cruise control toward a car parked in the lane
+const approachParkedCar = (emergencyBraking) => {
+  const engine = new SimulationEngine({
+    seed: 1,
+    config: noTraffic,
+    settings: { adaptiveCruise: false, laneChange: false, emergencyBraking }
+  });
+  engine.obstacles = [createTrafficVehicle(engine.centerline, {
+    id: 7,
+    station: 30,
+    lane: 0,
+    lateralOffset: engine.lanes.lanes[0].center
+  })];
+  return engine;
+};
+
+const run = (engine, seconds, until = () => false, dt = 1 / 60) => {
+  for (let steps = 0; steps < seconds / dt && !engine.finished && !until(); steps++) {
+    engine.step(dt);
+  }
+};
+
+// Minimal simulation for driving the AEB state machine directly
+const stubSimulation = (speed, front) => ({
+  time: 0,
+  distance: 0,
+  vehicle: { speed },
+  sensorReadings: { front },
+  leadTrack: null,
+  controls: { acceleration: 1 }
+});
+
+// One tick with the controllers asking for a gentle acceleration
+const tick = (aeb, simulation, dt = 0.1) => {
+  simulation.controls.acceleration = 1;
+  aeb.update(simulation, dt);
+};
+
+describe('forwardTtc', () => {
+  test('prefers the lead track and falls back to the front distance', () => {
+    const simulation = stubSimulation(10, 20);
+    expect(forwardTtc(simulation)).toBeCloseTo(2);
+    simulation.leadTrack = { ttc: 5 };
+    expect(forwardTtc(simulation)).toBe(5);
+    expect(forwardTtc(stubSimulation(10, Infinity))).toBe(Infinity);
+    expect(forwardTtc(stubSimulation(0, 5))).toBe(Infinity);
+  });
+});
+
+describe('createEmergencyBraking', () => {
+  test('escalates from warning to partial and full braking', () => {
+    const aeb = createEmergencyBraking();
+    const simulation = stubSimulation(10, 40);
+
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('standby');
+    expect(simulation.controls.acceleration).toBe(1);
+
+    simulation.sensorReadings.front = 20;
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('warning');
+    expect(simulation.controls.acceleration).toBe(1);
+
+    simulation.sensorReadings.front = 12;
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('partial');
+    expect(simulation.controls.acceleration).toBe(-aeb.config.partialDeceleration);
+
+    simulation.sensorReadings.front = 5;
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('full');
+    expect(simulation.controls.acceleration).toBe(-aeb.config.fullDeceleration);
+
+    expect(aeb.state.log.map(entry => entry.phase)).toEqual(['warning', 'partial', 'full']);
+    expect(aeb.state.activations).toBe(1);
+  });
+
+  test('keeps braking while closing in', () => {
+    const aeb = createEmergencyBraking();
+    const simulation = stubSimulation(10, 5);
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('full');
+
+    // Slower and farther away: no easing off to partial braking or a warning
+    simulation.vehicle.speed = 2;
+    simulation.sensorReadings.front = 25;
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('full');
+
+    // The lead car pulls away
+    simulation.leadTrack = { ttc: Infinity, gap: 25 };
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('standby');
+    expect(simulation.controls.acceleration).toBe(1);
+  });
+
+  test('holds the car after braking to a stop, then releases', () => {
+    const aeb = createEmergencyBraking({ holdTime: 1 });
+    const simulation = stubSimulation(10, 5);
+    tick(aeb, simulation);
+
+    simulation.vehicle.speed = 0;
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('hold');
+
+    for (let i = 0; i < 9; i++) tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('hold');
+    expect(simulation.controls.acceleration).toBeLessThan(0);
+
+    tick(aeb, simulation);
+    expect(aeb.state.phase).toBe('standby');
+    expect(simulation.controls.acceleration).toBe(1);
+  });
+});
+
+describe('emergency braking in the simulation', () => {
+  test('stops short of a parked car without adaptive cruise control', () => {
+    const engine = approachParkedCar(true);
+    run(engine, 15, () => engine.emergencyBraking.state.phase === 'hold');
+
+    expect(engine.finished).toBe(false);
+    expect(engine.vehicle.speed).toBeLessThan(0.5);
+    expect(engine.trueSensorReadings.front).toBeGreaterThan(0.5);
+
+    // Warned before braking, and logged it
+    const phases = engine.emergencyBraking.state.log.map(entry => entry.phase);
+    expect(phases[0]).toBe('warning');
+    expect(phases).toContain('hold');
+    expect(engine.emergencyBraking.state.activations).toBe(1);
+    expect(engine.stats.emergencyBrakings).toBe(1);
+  });
+
+  test('drives into the parked car when switched off', () => {
+    const engine = approachParkedCar(false);
+    run(engine, 15);
+
+    expect(engine.outcome.type).toBe('collision');
+    expect(engine.emergencyBraking.state.log).toEqual([]);
+    expect(engine.summary.emergencyBrakings).toBe(0);
+  });
+});
@@ -0,0 +1,118 @@
+import { VEHICLE_HALF_WIDTH } from './sensors';
+
+// Running statistics of one run, summarized when it ends
+
+export const OUTCOMES = {
+  completed: 'Completed',
+  collision: 'Collision',
+  pedestrianStrike: 'Pedestrian strike',
+  offroad: 'Off road',
+  timeout: 'Timeout'
+};
+
+export const createEpisodeStats = () => ({
+  time: 0,
+  distance: 0,
+  maxSpeed: 0,
+  maxLateralError: 0,
+  lateralErrorSum: 0,
+  lateralErrorSquaredSum: 0,
+  samples: 0,
+  minFrontDistance: Infinity,
+  minTtc: Infinity,
+  laneChanges: 0,
+  laneDepartures: 0,
+  inLane: false,
+  jerkSquaredSum: 0,
+  maxJerk: 0,
+  jerkSamples: 0,
+  acceleration: null,
+  emergencyBrakings: 0,
+  lane: null,
+  redLightViolations: 0,
+  signal: null
+});
+
+// The car's body is within the lines of the lane it keeps to, with no
+// lane change under way
+const isInLane = (simulation) => {
+  const { phase, currentLane } = simulation.laneChange.state;
+  if (phase !== 'keep') return false;
+  const { lateralOffset } = simulation.centerline.project(simulation.vehicle.position);
+  const offsetInLane = lateralOffset - simulation.lanes.lanes[currentLane].center;
+  return Math.abs(offsetInLane) + VEHICLE_HALF_WIDTH <= simulation.lanes.laneWidth / 2;
+};
+
+// Accumulate one step; lateral error is measured from the tracked lane offset
+export const updateEpisodeStats = (stats, simulation, dt) => {
+  const lateralError = Math.abs(
+    simulation.centerline.project(simulation.vehicle.position).lateralOffset - simulation.targetLateralOffset
+  );
+
+  stats.time += dt;
+  stats.distance = simulation.distance;
+  stats.maxSpeed = Math.max(stats.maxSpeed, simulation.vehicle.speed);
+  stats.maxLateralError = Math.max(stats.maxLateralError, lateralError);
+  stats.lateralErrorSum += lateralError;
+  stats.lateralErrorSquaredSum += lateralError * lateralError;
+  stats.samples++;
+  stats.minFrontDistance = Math.min(stats.minFrontDistance, simulation.trueSensorReadings.front);
+
+  // Time to collision with whatever is ahead at the current speed
+  const { speed, acceleration } = simulation.vehicle;
+  if (speed > 0) {
+    stats.minTtc = Math.min(stats.minTtc, simulation.trueSensorReadings.front / speed);
+  }
+
+  // Jerk from the change of the actual acceleration between steps
+  if (stats.acceleration !== null && dt > 0) {
+    const jerk = (acceleration - stats.acceleration) / dt;
+    stats.jerkSquaredSum += jerk * jerk;
+    stats.maxJerk = Math.max(stats.maxJerk, Math.abs(jerk));
+    stats.jerkSamples++;
+  }
+  stats.acceleration = acceleration;
+
+  // A lane departure is leaving the lane while keeping it; the end of a
+  // lane change, before the car has settled in the new lane, is not one
+  const inLane = isInLane(simulation);
+  if (stats.inLane && !inLane && simulation.laneChange.state.phase === 'keep') {
+    stats.laneDepartures++;
+  }
+  stats.inLane = inLane;
+
+  const lane = simulation.laneChange.state.currentLane;
+  if (stats.lane !== null && lane !== stats.lane) {
+    stats.laneChanges++;
+  }
+  stats.lane = lane;
+
+  // Passing a stop line shows as the next signal ahead changing; it was
+  // run when it was red
+  const { signal } = simulation;
+  if (stats.signal && (!signal || signal.intersection !== stats.signal.intersection) && stats.signal.phase === 'red') {
+    stats.redLightViolations++;
+  }
+  stats.signal = signal;
+  stats.emergencyBrakings = simulation.emergencyBraking.state.activations;
+};
+
+export const summarizeEpisode = (stats, outcome) => ({
+  outcome: outcome.type,
+  reason: outcome.reason,
+  time: stats.time,
+  distance: stats.distance,
+  averageSpeed: stats.time > 0 ? stats.distance / stats.time : 0,
+  maxSpeed: stats.maxSpeed,
+  meanLateralError: stats.samples > 0 ? stats.lateralErrorSum / stats.samples : 0,
+  maxLateralError: stats.maxLateralError,
+  rmsLateralError: stats.samples > 0 ? Math.sqrt(stats.lateralErrorSquaredSum / stats.samples) : 0,
+  minFrontDistance: stats.minFrontDistance,
+  minTtc: stats.minTtc,
+  rmsJerk: stats.jerkSamples > 0 ? Math.sqrt(stats.jerkSquaredSum / stats.jerkSamples) : 0,
+  maxJerk: stats.maxJerk,
+  laneChanges: stats.laneChanges,
+  laneDepartures: stats.laneDepartures,
+  redLightViolations: stats.redLightViolations,
+  emergencyBrakings: stats.emergencyBrakings
+});
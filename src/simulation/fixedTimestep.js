@@ -0,0 +1,51 @@
+// Fixed-timestep driver for the simulation. Real frame time is collected in
+// an accumulator and consumed in steps of exactly 1 / stepRate seconds, so the
+// physics is identical whatever the display refresh rate. The leftover
+// fraction of a step is returned for interpolated rendering.
+
+// Time scales offered in the UI (0 = paused)
+export const TIME_SCALES = [0, 0.25, 1, 4];
+
+// Step rates offered in the UI, in Hz
+export const STEP_RATES = [30, 60, 120, 240];
+
+// Largest real frame time fed into the accumulator, so a throttled or
+// backgrounded tab does not try to catch up with hundreds of steps at once
+const MAX_FRAME_DELTA = 0.25;
+
+class FixedTimestepLoop {
+  constructor({ stepRate = 60, timeScale = 1 } = {}) {
+    this.stepRate = stepRate;
+    this.timeScale = timeScale;
+    this.accumulator = 0;
+  }
+
+  get stepDelta() {
+    return 1 / this.stepRate;
+  }
+
+  // Feed real elapsed time, run as many fixed steps as it covers and return
+  // the interpolation factor between the previous and the current state
+  advance(frameDelta, step) {
+    this.accumulator += Math.min(frameDelta, MAX_FRAME_DELTA) * this.timeScale;
+
+    while (this.accumulator >= this.stepDelta) {
+      step(this.stepDelta);
+      this.accumulator -= this.stepDelta;
+    }
+
+    return this.accumulator / this.stepDelta;
+  }
+
+  // Run exactly one step, used for frame-by-frame debugging while paused
+  stepOnce(step) {
+    step(this.stepDelta);
+    this.accumulator = 0;
+  }
+
+  reset() {
+    this.accumulator = 0;
+  }
+}
+
+export default FixedTimestepLoop;
@@ -0,0 +1,54 @@
+import FixedTimestepLoop from './fixedTimestep';
+import SimulationEngine from './SimulationEngine';
+
+// Feed wall-clock time at a given frame rate, then top up to an exact
+// number of fixed steps (the last one may still be in the accumulator)
+const runAtFrameRate = (frameRate, totalSteps) => {
+  const engine = new SimulationEngine({ seed: 7 });
+  const loop = new FixedTimestepLoop({ stepRate: 60 });
+  const step = (dt) => engine.step(dt);
+  const frames = Math.floor((totalSteps - 1) / 60 * frameRate);
+
+  for (let i = 0; i < frames; i++) {
+    loop.advance(1 / frameRate, step);
+  }
+  while (Math.round(engine.time * 60) < totalSteps) {
+    loop.stepOnce(step);
+  }
+  return engine;
+};
+
+test('runs whole fixed steps and returns the interpolation factor', () => {
+  const loop = new FixedTimestepLoop({ stepRate: 10 });
+  const steps = [];
+
+  const alpha = loop.advance(0.25, dt => steps.push(dt));
+
+  expect(steps).toEqual([0.1, 0.1]);
+  expect(alpha).toBeCloseTo(0.5);
+});
+
+test('time scale slows down, speeds up and pauses the simulation', () => {
+  const count = (timeScale) => {
+    const loop = new FixedTimestepLoop({ stepRate: 60, timeScale });
+    const steps = [];
+    for (let i = 0; i < 60; i++) {
+      loop.advance(1 / 60, dt => steps.push(dt));
+    }
+    return steps.length;
+  };
+
+  expect(count(0)).toBe(0);
+  expect(count(0.25)).toBeGreaterThanOrEqual(14);
+  expect(count(0.25)).toBeLessThanOrEqual(15);
+  expect(count(4)).toBeGreaterThanOrEqual(239);
+});
+
+test('results do not depend on the display frame rate', () => {
+  const at30 = runAtFrameRate(30, 240);
+  const at144 = runAtFrameRate(144, 240);
+
+  expect(at30.carPosition).toEqual(at144.carPosition);
+  expect(at30.carRotation).toBe(at144.carRotation);
+  expect(at30.vehicle.speed).toBe(at144.vehicle.speed);
+});
@@ -0,0 +1,61 @@
+// Small 2D geometry helpers working in the ground (x/z) plane.
+// Rotations follow Three.js: a rotation r about the Y axis maps the local
+// forward axis (0, 0, 1) to (sin r, cos r).
+
+// Transform a local (x, z) offset into world space for a pose
+export const localToWorld = (pose, local) => {
+  const cos = Math.cos(pose.rotation);
+  const sin = Math.sin(pose.rotation);
+  return {
+    x: pose.position.x + local.x * cos + local.z * sin,
+    z: pose.position.z - local.x * sin + local.z * cos
+  };
+};
+
+// Rotate a local direction into world space
+export const rotateDirection = (rotation, direction) => {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return {
+    x: direction.x * cos + direction.z * sin,
+    z: -direction.x * sin + direction.z * cos
+  };
+};
+
+// Distance along a ray to an oriented box, or Infinity if it misses.
+// The box is described by its center, rotation and half extents
+// (halfWidth along local x, halfLength along local z).
+export const intersectRayBox = (origin, direction, box) => {
+  const cos = Math.cos(box.rotation);
+  const sin = Math.sin(box.rotation);
+  const dx = origin.x - box.position.x;
+  const dz = origin.z - box.position.z;
+  
+  // Ray in the box's local frame
+  const ox = dx * cos - dz * sin;
+  const oz = dx * sin + dz * cos;
+  const rx = direction.x * cos - direction.z * sin;
+  const rz = direction.x * sin + direction.z * cos;
+  
+  let tMin = 0;
+  let tMax = Infinity;
+  const slabs = [
+    [ox, rx, box.halfWidth],
+    [oz, rz, box.halfLength]
+  ];
+  
+  for (const [o, r, half] of slabs) {
+    if (Math.abs(r) < 1e-12) {
+      if (o < -half || o > half) return Infinity;
+    } else {
+      let t1 = (-half - o) / r;
+      let t2 = (half - o) / r;
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      tMin = Math.max(tMin, t1);
+      tMax = Math.min(tMax, t2);
+      if (tMin > tMax) return Infinity;
+    }
+  }
+  
+  return tMin;
+};
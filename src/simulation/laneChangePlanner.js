@@ -0,0 +1,175 @@
+// Lane change planner. While following a slow or stopped vehicle it moves
+// the lane keeping target into a free adjacent lane, checking with the side
+// sensors that nothing is alongside in that lane and with the tracked
+// objects that the lane does not end behind something slow just past the
+// lead. It does not pass a pedestrian the car yields to at a crosswalk.
+// A change aborted for something alongside carries on once the lane is
+// free again. The change is done when the car itself, not just the
+// target, has reached the new lane, and it neither starts nor ends at
+// standstill.
+
+export const DEFAULT_LANE_CHANGE_PARAMS = {
+  triggerDistance: 35,     // m, look for a lane change below this front distance
+  slowSpeedRatio: 0.8,     // lead slower than this fraction of our speed is "slow"
+  stoppedSpeed: 1,         // m/s, below this a lead is stopped, and so are we
+  sideClearance: 3,        // m, side sensor reading needed to call the lane free
+  passRoom: 15,            // m past the lead the target lane must be free of slow objects
+  duration: 4,             // s for the lateral move of the target
+  arrivalTolerance: 1,     // m from the lane center within which the car has arrived
+  cooldown: 3,             // s before another change can start, unless the lead is stopped
+  leadSpeedFilter: 1,      // s, time constant of the lead speed estimate from front distance changes
+  leadJump: 5              // m, a larger step in the front distance is a different lead
+};
+
+// Smooth 0 -> 1 profile with zero lateral speed at both ends
+const smoothStep = (t) => (1 - Math.cos(Math.PI * Math.min(Math.max(t, 0), 1))) / 2;
+
+export const createLaneChangePlanner = (params = {}) => {
+  const config = { ...DEFAULT_LANE_CHANGE_PARAMS, ...params };
+  // progress is how far the car has come from the current to the target
+  // lane (0 -> 1)
+  const state = {
+    phase: 'keep',
+    currentLane: 0,
+    targetLane: 0,
+    progress: 0,
+    cooldown: 0,
+    leadSpeed: null
+  };
+  // How far the lane keeping target has moved over (0 -> 1)
+  let shift = 0;
+  let previousFront = Infinity;
+  // Lead speed estimated from the front distance, and how long (s) it has
+  // been estimated for
+  let estimate = null;
+  let estimateAge = 0;
+
+  const reset = (lane) => {
+    state.phase = 'keep';
+    state.currentLane = lane;
+    state.targetLane = lane;
+    state.progress = 0;
+    state.cooldown = 0;
+    state.leadSpeed = null;
+    shift = 0;
+    previousFront = Infinity;
+    estimate = null;
+    estimateAge = 0;
+  };
+
+  // Side sensor facing a lane index relative to the current one
+  const sideReading = (sensors, direction) => (direction < 0 ? sensors.left : sensors.right);
+
+  const isLaneFree = (sensors, direction) => sideReading(sensors, direction) > config.sideClearance;
+
+  // A lane is worth changing into only if no slow or stopped track ahead in
+  // it comes before the lead plus passRoom
+  const isLaneOpen = (tracks, lane, layout, front, speed) => !tracks.some(track =>
+    track.longitudinal > 0 &&
+    track.gap < front + config.passRoom &&
+    layout.laneAt(track.lateralOffset) === lane &&
+    (track.speed < config.stoppedSpeed || track.speed < speed * config.slowSpeedRatio)
+  );
+
+  // Lead vehicle speed: the tracked lead's when there is one, otherwise
+  // from the change in front distance. Differencing noisy ranges over one
+  // step is too noisy to use, so the differences are averaged, over the
+  // last leadSpeedFilter seconds at most, and only used once they span
+  // that long. A new lead starts the average over.
+  const estimateLeadSpeed = (front, speed, leadTrack, dt) => {
+    const change = front - previousFront;
+    const sameLead = Number.isFinite(change) && Math.abs(change) <= config.leadJump;
+    previousFront = front;
+
+    if (leadTrack) {
+      estimate = null;
+      estimateAge = 0;
+      return Math.max(0, speed + leadTrack.relativeSpeed);
+    }
+    if (!sameLead) {
+      estimate = null;
+      estimateAge = 0;
+      return null;
+    }
+    if (dt > 0) {
+      const measured = speed + change / dt;
+      estimateAge += dt;
+      const weight = Math.max(dt / estimateAge, dt / config.leadSpeedFilter);
+      estimate = estimate === null ? measured : estimate + (measured - estimate) * weight;
+    }
+    return estimateAge >= config.leadSpeedFilter ? estimate : null;
+  };
+
+  // Called every step with the sensor readings, our speed (m/s) and
+  // lateral offset on the road (m), the tracked lead vehicle and all
+  // tracked objects (see tracking.js) and whether a pedestrian is crossing
+  // at the crosswalk ahead. Returns the lateral offset lane keeping should
+  // track.
+  const update = ({ sensors, speed, lateralOffset, layout, leadTrack = null, tracks = [], yielding = false }, dt) => {
+    const front = sensors.front;
+    state.leadSpeed = estimateLeadSpeed(front, speed, leadTrack, dt);
+
+    state.cooldown = Math.max(0, state.cooldown - dt);
+
+    const moving = speed >= config.stoppedSpeed;
+    const arrived = (lane) => Math.abs(lateralOffset - layout.lanes[lane].center) <= config.arrivalTolerance;
+    const from = layout.lanes[state.currentLane].center;
+    const to = layout.lanes[state.targetLane].center;
+    state.progress = to === from ? 0 : Math.min(Math.max((lateralOffset - from) / (to - from), 0), 1);
+
+    if (state.phase === 'keep' && !yielding && moving && front < config.triggerDistance && state.leadSpeed !== null) {
+      const stopped = state.leadSpeed < config.stoppedSpeed;
+      const slow = stopped || state.leadSpeed < speed * config.slowSpeedRatio;
+      if (slow && (stopped || state.cooldown === 0)) {
+        // Prefer overtaking toward lane 0, fall back to the other side
+        const candidates = [-1, 1].filter(direction => {
+          const lane = state.currentLane + direction;
+          return lane >= 0 && lane < layout.laneCount && isLaneFree(sensors, direction) &&
+            isLaneOpen(tracks, lane, layout, front, speed);
+        });
+        if (candidates.length > 0) {
+          state.phase = 'changing';
+          state.targetLane = state.currentLane + candidates[0];
+          state.progress = 0;
+          shift = 0;
+        }
+      }
+    } else if (state.phase === 'changing') {
+      const direction = Math.sign(state.targetLane - state.currentLane);
+
+      // Abort early in the maneuver if the target lane is no longer free
+      if (state.progress < 0.5 && !isLaneFree(sensors, direction)) {
+        state.phase = 'aborting';
+      } else {
+        shift = Math.min(1, shift + dt / config.duration);
+        if (shift === 1 && moving && arrived(state.targetLane)) {
+          state.phase = 'keep';
+          state.currentLane = state.targetLane;
+          state.progress = 0;
+          state.cooldown = config.cooldown;
+        }
+      }
+    } else if (state.phase === 'aborting') {
+      // Carry on once the target lane is free again rather than steer back
+      // toward whatever the change was going around
+      const direction = Math.sign(state.targetLane - state.currentLane);
+      if (isLaneFree(sensors, direction)) {
+        state.phase = 'changing';
+      } else {
+        shift = Math.max(0, shift - dt / config.duration);
+        if (shift === 0 && moving && arrived(state.currentLane)) {
+          state.phase = 'keep';
+          state.targetLane = state.currentLane;
+          state.progress = 0;
+          state.cooldown = config.cooldown;
+        }
+      }
+    }
+
+    const start = layout.lanes[state.currentLane].center;
+    const end = layout.lanes[state.targetLane].center;
+    return start + (end - start) * smoothStep(shift);
+  };
+
+  return { state, reset, update };
+};
@@ -0,0 +1,151 @@
+import { createLaneChangePlanner } from './laneChangePlanner';
+import { createLaneLayout } from './lanes';
+import { createGaussian, createRandom } from './random';
+
+const layout = createLaneLayout({ laneCount: 2, laneWidth: 4, shoulderWidth: 2 });
+const dt = 0.1;
+
+// Approach a stopped car at `speed` (10 m/s by default) in lane 0, with
+// the given side sensor readings and tracked objects. The car follows the
+// returned target exactly.
+const approachStoppedCar = (planner, side, speed = 10, tracks = []) => {
+  let offset = -2;
+  for (let front = 40; front > 10; front -= 10 * dt) {
+    offset = planner.update({ sensors: { front, left: side.left, right: side.right }, speed, lateralOffset: offset, layout, tracks }, dt);
+  }
+  return offset;
+};
+
+const clearRoad = { front: Infinity, left: Infinity, right: Infinity };
+
+test('lane layout places lanes and boundaries across the road', () => {
+  expect(layout.roadWidth).toBe(12);
+  expect(layout.lanes.map(lane => lane.center)).toEqual([-2, 2]);
+  expect(layout.boundaries.map(boundary => boundary.type)).toEqual(['edge', 'dashed', 'edge']);
+  expect(layout.laneAt(-3)).toBe(0);
+  expect(layout.laneAt(1)).toBe(1);
+  expect(layout.laneAt(5)).toBe(-1);
+});
+
+test('changes into a free lane behind a stopped car', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+
+  approachStoppedCar(planner, { left: Infinity, right: Infinity });
+  expect(planner.state.phase).toBe('changing');
+  expect(planner.state.targetLane).toBe(1);
+
+  let offset = -2;
+  for (let t = 0; t < 5; t += dt) {
+    offset = planner.update({ sensors: clearRoad, speed: 10, lateralOffset: offset, layout }, dt);
+  }
+  expect(planner.state.phase).toBe('keep');
+  expect(planner.state.currentLane).toBe(1);
+  expect(offset).toBeCloseTo(2);
+});
+
+test('finishes a change only once the car has reached the target lane', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+  approachStoppedCar(planner, { left: Infinity, right: Infinity });
+
+  // The car lags behind the target
+  for (let t = 0; t < 10; t += dt) {
+    planner.update({ sensors: clearRoad, speed: 10, lateralOffset: 0.4, layout }, dt);
+  }
+  expect(planner.state.phase).toBe('changing');
+  expect(planner.state.currentLane).toBe(0);
+  expect(planner.state.progress).toBeCloseTo(0.6);
+
+  planner.update({ sensors: clearRoad, speed: 10, lateralOffset: 1.9, layout }, dt);
+  expect(planner.state.phase).toBe('keep');
+  expect(planner.state.currentLane).toBe(1);
+});
+
+test('neither starts nor finishes a change at standstill', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+  expect(approachStoppedCar(planner, { left: Infinity, right: Infinity }, 0)).toBe(-2);
+  expect(planner.state.phase).toBe('keep');
+
+  approachStoppedCar(planner, { left: Infinity, right: Infinity });
+  for (let t = 0; t < 10; t += dt) {
+    planner.update({ sensors: clearRoad, speed: 0, lateralOffset: 2, layout }, dt);
+  }
+  expect(planner.state.phase).toBe('changing');
+
+  planner.update({ sensors: clearRoad, speed: 5, lateralOffset: 2, layout }, dt);
+  expect(planner.state.phase).toBe('keep');
+  expect(planner.state.currentLane).toBe(1);
+});
+
+test('stays in lane when the side sensor sees a car in the target lane', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+
+  const offset = approachStoppedCar(planner, { left: Infinity, right: 1.5 });
+  expect(planner.state.phase).toBe('keep');
+  expect(offset).toBeCloseTo(-2);
+});
+
+test('stays in lane when a stopped car in the target lane lies just past the lead', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+  const track = { longitudinal: 28, gap: 24, lateralOffset: 2, speed: 0 };
+
+  approachStoppedCar(planner, { left: Infinity, right: Infinity }, 10, [track]);
+  expect(planner.state.phase).toBe('keep');
+
+  // Far enough past the lead to pull in in front of it
+  approachStoppedCar(planner, { left: Infinity, right: Infinity }, 10, [{ ...track, longitudinal: 60, gap: 56 }]);
+  expect(planner.state.phase).toBe('changing');
+});
+
+test('carries on with an aborted change once the target lane is free again', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+  approachStoppedCar(planner, { left: Infinity, right: Infinity });
+
+  planner.update({ sensors: { front: 10, left: Infinity, right: 1.5 }, speed: 5, lateralOffset: -1.5, layout }, dt);
+  expect(planner.state.phase).toBe('aborting');
+
+  planner.update({ sensors: { front: 10, left: Infinity, right: Infinity }, speed: 5, lateralOffset: -1.5, layout }, dt);
+  expect(planner.state.phase).toBe('changing');
+  expect(planner.state.targetLane).toBe(1);
+});
+
+test('estimates a steady lead speed from noisy front distances', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+  const gaussian = createGaussian(createRandom(1));
+  const step = 1 / 60;
+
+  // Lead 20 m ahead at our speed, ranges with 0.1 m of noise
+  const estimates = [];
+  for (let t = 0; t < 10; t += step) {
+    planner.update({ sensors: { front: 20 + 0.1 * gaussian(), left: Infinity, right: Infinity }, speed: 10, lateralOffset: -2, layout }, step);
+    if (planner.state.leadSpeed !== null) estimates.push(planner.state.leadSpeed);
+  }
+  expect(estimates.length).toBeGreaterThan(8 * 60);
+  expect(Math.max(...estimates.map(estimate => Math.abs(estimate - 10)))).toBeLessThan(1.5);
+  expect(planner.state.phase).toBe('keep');
+});
+
+test('takes the lead speed from the tracked lead when there is one', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+
+  planner.update({ sensors: { front: 20, left: Infinity, right: Infinity }, speed: 10, lateralOffset: -2, layout, leadTrack: { relativeSpeed: -10 } }, dt);
+  expect(planner.state.leadSpeed).toBe(0);
+  expect(planner.state.phase).toBe('changing');
+});
+
+test('does not change lanes behind a car moving at our speed', () => {
+  const planner = createLaneChangePlanner();
+  planner.reset(0);
+
+  for (let i = 0; i < 50; i++) {
+    planner.update({ sensors: { front: 20, left: Infinity, right: Infinity }, speed: 10, lateralOffset: -2, layout }, dt);
+  }
+  expect(planner.state.phase).toBe('keep');
+});
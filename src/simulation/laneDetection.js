@@ -0,0 +1,233 @@
+// Lane-line detection on images from the forward camera. Marking pixels
+// (white edge lines, yellow dashes) are found row by row and mapped onto
+// the ground with the camera model (flat road, inverse perspective). The
+// markings are parallel: a vote finds the direction in which they line up
+// best and the nearest line on each side of the car, whose points are then
+// fitted with x = a + b·z + c·z² in the car's frame (z forward
+// from the car center, x toward local +x). From the fit follow the offset
+// in the lane, the heading error and the curvature.
+//
+// Images are { width, height, data } with RGBA bytes, rows top to bottom.
+
+export const DEFAULT_CAMERA_MODEL = {
+  width: 200,          // px
+  height: 120,         // px
+  verticalFov: 50,     // deg
+  mountHeight: 1.4,    // m above the ground
+  mountForward: 1.0,   // m ahead of the car center
+  pitch: 10,           // deg, looking down
+  rate: 15             // images per second
+};
+
+// Markings farther away than this are too few pixels to be useful (m)
+const MAX_DISTANCE = 30;
+const MIN_POINTS = 4;
+
+// Voting over lines x = a + b·z
+const MAX_SLOPE = 0.4;
+const SLOPE_STEP = 0.01;
+const INTERCEPT_BIN = 0.25;    // m
+// Lines with fewer votes than this share of the strongest one are ignored
+const MIN_VOTE_SHARE = 0.2;
+// Points closer than this to the voted line belong to it (m)
+const INLIER_DISTANCE = 0.5;
+
+const DEG = Math.PI / 180;
+
+const intrinsics = (model) => ({
+  focal: (model.height / 2) / Math.tan(model.verticalFov * DEG / 2),
+  cx: model.width / 2,
+  cy: model.height / 2,
+  sin: Math.sin(model.pitch * DEG),
+  cos: Math.cos(model.pitch * DEG)
+});
+
+// Ground point { x, z } seen at pixel (u, v), or null above the horizon.
+// The image's right is the car's -x side (the camera looks along +z with
+// +y up).
+export const pixelToGround = (model, u, v) => {
+  const { focal, cx, cy, sin, cos } = intrinsics(model);
+  const xc = (u - cx) / focal;
+  const yc = (cy - v) / focal;
+  const down = yc * cos - sin;
+  if (down > -1e-3) return null;
+
+  const t = model.mountHeight / -down;
+  return {
+    x: -t * xc,
+    z: t * (yc * sin + cos) + model.mountForward
+  };
+};
+
+// Pixel { u, v } where a ground point { x, z } appears, or null behind the
+// camera
+export const groundToPixel = (model, point) => {
+  const { focal, cx, cy, sin, cos } = intrinsics(model);
+  const forward = point.z - model.mountForward;
+  const depth = forward * cos + model.mountHeight * sin;
+  if (depth < 0.1) return null;
+
+  const up = -model.mountHeight * cos + forward * sin;
+  return {
+    u: cx + focal * -point.x / depth,
+    v: cy - focal * up / depth
+  };
+};
+
+// Marking color of a pixel: 'white', 'yellow' or null. Loose thresholds,
+// so both linear and sRGB encoded renders work.
+export const classifyPixel = (r, g, b) => {
+  if (r > 170 && g > 170 && b > 170 && Math.max(r, g, b) - Math.min(r, g, b) < 60) return 'white';
+  if (r > 150 && g > 90 && b < 80 && r - b > 100) return 'yellow';
+  return null;
+};
+
+// Ground points at the centers of the marking runs in every image row
+export const findMarkingPoints = (image, model) => {
+  const points = [];
+
+  for (let v = image.height - 1; v >= 0; v--) {
+    const ground = pixelToGround(model, image.width / 2, v + 0.5);
+    if (!ground || ground.z > MAX_DISTANCE) break;
+
+    let runStart = -1;
+    let runType = null;
+    for (let u = 0; u <= image.width; u++) {
+      let type = null;
+      if (u < image.width) {
+        const i = (v * image.width + u) * 4;
+        type = classifyPixel(image.data[i], image.data[i + 1], image.data[i + 2]);
+      }
+      if (type !== runType) {
+        if (runType !== null) {
+          const point = pixelToGround(model, (runStart + u) / 2, v + 0.5);
+          points.push({ ...point, type: runType, row: v });
+        }
+        runStart = u;
+        runType = type;
+      }
+    }
+  }
+  return points;
+};
+
+// Least squares fit of x = a + b·z (+ c·z² with enough spread in z)
+const fitBoundary = (points) => {
+  if (points.length < MIN_POINTS) return null;
+
+  const zs = points.map(point => point.z);
+  const quadratic = points.length >= 2 * MIN_POINTS && Math.max(...zs) - Math.min(...zs) > 10;
+  const order = quadratic ? 3 : 2;
+
+  // Normal equations
+  const matrix = Array.from({ length: order }, () => new Array(order + 1).fill(0));
+  points.forEach(({ x, z }) => {
+    const basis = [1, z, z * z].slice(0, order);
+    for (let i = 0; i < order; i++) {
+      for (let j = 0; j < order; j++) matrix[i][j] += basis[i] * basis[j];
+      matrix[i][order] += basis[i] * x;
+    }
+  });
+
+  // Gaussian elimination
+  for (let col = 0; col < order; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < order; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let row = 0; row < order; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= order; k++) matrix[row][k] -= factor * matrix[col][k];
+    }
+  }
+  const coefficients = matrix.map((row, i) => row[order] / row[i]);
+
+  const whites = points.filter(point => point.type === 'white').length;
+  return {
+    a: coefficients[0],
+    b: coefficients[1],
+    c: coefficients[2] || 0,
+    type: whites * 2 > points.length ? 'edge' : 'dashed',
+    count: points.length
+  };
+};
+
+// Votes per intercept bin for lines of slope b through the points
+const voteIntercepts = (points, b) => {
+  const votes = new Map();
+  points.forEach(point => {
+    const bin = Math.round((point.x - b * point.z) / INTERCEPT_BIN);
+    votes.set(bin, (votes.get(bin) || 0) + 1);
+  });
+  return votes;
+};
+
+// Boundary fits on the -x and +x side of the car, null where none is seen
+const findBoundaries = (points) => {
+  // Slope at which the markings are sharpest across all lines
+  let slope = 0;
+  let bestSharpness = -1;
+  for (let b = -MAX_SLOPE; b <= MAX_SLOPE + 1e-9; b += SLOPE_STEP) {
+    let sharpness = 0;
+    voteIntercepts(points, b).forEach(count => { sharpness += count * count; });
+    if (sharpness > bestSharpness) {
+      bestSharpness = sharpness;
+      slope = b;
+    }
+  }
+
+  // Lines at that slope, the nearest strong one on each side
+  const votes = voteIntercepts(points, slope);
+  const maxVotes = Math.max(0, ...votes.values());
+  const lines = [...votes.entries()]
+    .filter(([bin, count]) => (
+      count >= Math.max(MIN_POINTS, maxVotes * MIN_VOTE_SHARE) &&
+      count >= (votes.get(bin - 1) || 0) && count >= (votes.get(bin + 1) || 0)
+    ))
+    .map(([bin]) => bin * INTERCEPT_BIN);
+  const leftLine = Math.max(...lines.filter(a => a < 0));
+  const rightLine = Math.min(...lines.filter(a => a > 0));
+
+  const fitLine = (a) => (Number.isFinite(a)
+    ? fitBoundary(points.filter(point => Math.abs(point.x - a - slope * point.z) < INLIER_DISTANCE))
+    : null);
+  return { left: fitLine(leftLine), right: fitLine(rightLine) };
+};
+
+// Estimate the ego lane from a camera image. laneWidth (m) places the lane
+// center when only one boundary is visible. Returns { valid, offsetInLane,
+// headingError, curvature, laneWidth, left, right } with offsets in m
+// toward local +x and left/right the boundary fits (-x and +x side).
+export const detectLanes = (image, model, { laneWidth = 4 } = {}) => {
+  const points = findMarkingPoints(image, model);
+  const { left, right } = findBoundaries(points);
+
+  if (!left && !right) {
+    return { valid: false, left: null, right: null, pointCount: points.length };
+  }
+
+  let center;
+  let width = laneWidth;
+  if (left && right) {
+    center = { a: (left.a + right.a) / 2, b: (left.b + right.b) / 2, c: (left.c + right.c) / 2 };
+    width = right.a - left.a;
+  } else if (left) {
+    center = { a: left.a + laneWidth / 2, b: left.b, c: left.c };
+  } else {
+    center = { a: right.a - laneWidth / 2, b: right.b, c: right.c };
+  }
+
+  return {
+    valid: true,
+    offsetInLane: -center.a,
+    headingError: Math.atan(center.b),
+    curvature: 2 * center.c / Math.pow(1 + center.b * center.b, 1.5),
+    laneWidth: width,
+    left,
+    right,
+    pointCount: points.length
+  };
+};
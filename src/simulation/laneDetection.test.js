@@ -0,0 +1,60 @@
+import SimulationEngine from './SimulationEngine';
+import { pixelToGround, groundToPixel, detectLanes, DEFAULT_CAMERA_MODEL } from './laneDetection';
+import { renderLaneImage, createImage } from './syntheticCamera';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+// Put the car at a station, offset from its lane center and turned away
+// from the road by a heading error
+const placeCar = (engine, { station, lane = 0, offsetInLane = 0, headingError = 0 }) => {
+  const point = engine.centerline.pointAt(station, engine.lanes.lanes[lane].center + offsetInLane);
+  engine.vehicle.position = { x: point.x, z: point.z };
+  engine.vehicle.heading = point.heading - headingError;
+};
+
+test('pixel and ground coordinates map onto each other', () => {
+  const model = DEFAULT_CAMERA_MODEL;
+  const ground = pixelToGround(model, 30, 100);
+  expect(ground.x).toBeGreaterThan(0);   // image left is the car's +x side
+  expect(ground.z).toBeGreaterThan(model.mountForward);
+
+  const pixel = groundToPixel(model, ground);
+  expect(pixel.u).toBeCloseTo(30);
+  expect(pixel.v).toBeCloseTo(100);
+
+  // Rows above the horizon do not see the ground
+  expect(pixelToGround(model, 100, 0)).toBe(null);
+});
+
+test('measures the offset and heading error in the lane', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  placeCar(engine, { station: 20, offsetInLane: 0.5, headingError: 0.05 });
+
+  const estimate = detectLanes(renderLaneImage(engine), DEFAULT_CAMERA_MODEL, { laneWidth: 4 });
+  expect(estimate.valid).toBe(true);
+  expect(Math.abs(estimate.offsetInLane - 0.5)).toBeLessThan(0.1);
+  expect(Math.abs(estimate.headingError - 0.05)).toBeLessThan(0.01);
+  expect(estimate.laneWidth).toBeCloseTo(4, 0);
+  expect(estimate.left.type).toBe('edge');
+  expect(estimate.right.type).toBe('dashed');
+});
+
+test('finds the lane beside the dashes of the neighbouring lane', () => {
+  const engine = new SimulationEngine({ seed: 1, config: { ...noTraffic, laneCount: 3 } });
+  // Stations where the nearest dashes start far ahead or just behind
+  [20.5, 22, 23.5].forEach(station => {
+    placeCar(engine, { station, lane: 1, offsetInLane: -0.8 });
+
+    const estimate = detectLanes(renderLaneImage(engine), DEFAULT_CAMERA_MODEL, { laneWidth: 4 });
+    expect(Math.abs(estimate.offsetInLane + 0.8)).toBeLessThan(0.1);
+    expect(estimate.left.type).toBe('dashed');
+    expect(estimate.right.type).toBe('dashed');
+  });
+});
+
+test('reports no lane without markings', () => {
+  const image = createImage();
+  image.data.fill(30);
+
+  expect(detectLanes(image, DEFAULT_CAMERA_MODEL).valid).toBe(false);
+});
@@ -0,0 +1,65 @@
+import { headingError } from './roadGeometry';
+import { segmentStarts } from './roadGenerator';
+
+// Everything a lane keeping controller may look at, in SI units. The lane
+// and road come from the map or, with the camera as lane source, from the
+// perceived road. There roadCurves hold a single segment starting beside
+// the car.
+export const buildObservation = (simulation, road = simulation.centerline) => {
+  const { vehicle } = simulation;
+  const projection = road.project(vehicle.position);
+  const roadCurves = road === simulation.centerline
+    ? simulation.roadCurves
+    : segmentStarts(road, [projection.curvature], simulation.segmentLength, projection.station);
+
+  return {
+    time: simulation.time,
+    pose: {
+      position: { ...vehicle.position },
+      heading: vehicle.heading
+    },
+    speed: vehicle.speed,
+    steeringAngle: vehicle.steeringAngle,
+    vehicle: simulation.vehicleParams,
+    lane: {
+      station: projection.station,
+      lateralOffset: projection.lateralOffset,
+      headingError: headingError(projection.heading, vehicle.heading),
+      curvature: projection.curvature,
+      index: simulation.lanes.laneAt(projection.lateralOffset),
+      targetOffset: simulation.targetLateralOffset
+    },
+    road: {
+      roadCurves,
+      pointAt: road.pointAt,
+      project: road.project
+    },
+    sensors: { ...simulation.sensorReadings },
+    // Tracked objects with relative motion and time to collision (see
+    // tracking.js), and the one ahead in the car's path
+    tracks: simulation.tracks,
+    leadTrack: simulation.leadTrack,
+    // Last LiDAR scan (point cloud and nearest vehicle per azimuth), null
+    // when the LiDAR is off
+    lidar: simulation.settings.lidar ? { points: simulation.lidar.points, scan: simulation.lidar.scan } : null
+  };
+};
+
+// Lane keeping: ask the active controller for a steering command. Without
+// a recent camera detection the wheel is held straight.
+export const updateLaneKeeping = (simulation, dt) => {
+  let road = simulation.centerline;
+  if (simulation.settings.laneSource === 'camera') {
+    road = simulation.lanePerception.roadAt(simulation.time);
+    if (!road) {
+      simulation.controls.steeringAngle = 0;
+      return;
+    }
+  }
+  const output = simulation.controller.update(buildObservation(simulation, road), dt);
+
+  simulation.controls.steeringAngle = output.steeringAngle;
+  if (output.acceleration !== undefined) {
+    simulation.controls.acceleration = output.acceleration;
+  }
+};
@@ -0,0 +1,127 @@
+import { rotateDirection } from './geometry';
+
+// Perceived road for lane keeping from camera lane detections (see
+// laneDetection.js). Each detection places a local road model in world
+// coordinates at the pose the image was taken from: a circular arc with
+// the measured heading error and curvature. Between detections the car
+// moves along that model, so controllers see the same queries as on the
+// map's centerline:
+//   pointAt(station, lateralOffset) -> world point, heading, curvature
+//   project(point) -> station, lateral offset, heading, curvature
+// Stations count from the pose of the detection; lateral offsets are
+// measured from the road centerline, placed from the tracked lane index
+// and the known lane layout.
+
+// Detections older than this (s) are not trusted for steering
+export const MAX_DETECTION_AGE = 0.5;
+
+const normalizeAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// Arc of constant curvature through an anchor point on the centerline
+export const createLocalRoad = ({ x, z, heading, curvature }) => {
+  const straight = Math.abs(curvature) < 1e-6;
+
+  const pointAt = (station, lateralOffset = 0) => {
+    const pointHeading = heading + curvature * station;
+    const center = straight
+      ? { x: x + Math.sin(heading) * station, z: z + Math.cos(heading) * station }
+      : {
+        x: x + (Math.cos(heading) - Math.cos(pointHeading)) / curvature,
+        z: z + (Math.sin(pointHeading) - Math.sin(heading)) / curvature
+      };
+    return {
+      x: center.x + Math.cos(pointHeading) * lateralOffset,
+      z: center.z - Math.sin(pointHeading) * lateralOffset,
+      heading: pointHeading,
+      curvature,
+      station
+    };
+  };
+
+  const project = (point) => {
+    let station;
+    let lateralOffset;
+    if (straight) {
+      const dx = point.x - x;
+      const dz = point.z - z;
+      station = dx * Math.sin(heading) + dz * Math.cos(heading);
+      lateralOffset = dx * Math.cos(heading) - dz * Math.sin(heading);
+    } else {
+      // Around the circle's center; points on the inside of the bend have
+      // offsets toward it
+      const radius = 1 / curvature;
+      const dx = point.x - (x + Math.cos(heading) * radius);
+      const dz = point.z - (z - Math.sin(heading) * radius);
+      const side = -Math.sign(curvature);
+      const pointHeading = Math.atan2(-side * dz, side * dx);
+      station = normalizeAngle(pointHeading - heading) / curvature;
+      lateralOffset = radius + side * Math.hypot(dx, dz);
+    }
+    const onRoad = pointAt(station);
+    return {
+      station,
+      lateralOffset,
+      heading: onRoad.heading,
+      curvature,
+      x: onRoad.x,
+      z: onRoad.z
+    };
+  };
+
+  return { pointAt, project };
+};
+
+export const createLanePerception = () => {
+  const state = {
+    laneIndex: 0,       // lane the car is believed to be in
+    estimate: null,     // latest detection
+    road: null,         // local road model from it
+    time: -Infinity     // simulation time of the detection
+  };
+
+  const reset = (laneIndex) => {
+    state.laneIndex = laneIndex;
+    state.estimate = null;
+    state.road = null;
+    state.time = -Infinity;
+  };
+
+  // Take a detection made from a pose at a time. The lane index follows
+  // boundary crossings: the offset in the lane jumps by a lane width when
+  // the detector switches to the neighbouring lane. Edge lines pin it to
+  // the outer lanes.
+  const update = (estimate, pose, layout, time) => {
+    if (!estimate.valid) return;
+
+    const previous = state.estimate;
+    let laneIndex = state.laneIndex;
+    if (previous) {
+      const jump = estimate.offsetInLane - previous.offsetInLane;
+      if (jump < -layout.laneWidth / 2) laneIndex++;
+      if (jump > layout.laneWidth / 2) laneIndex--;
+    }
+    if (estimate.left && estimate.left.type === 'edge') laneIndex = 0;
+    if (estimate.right && estimate.right.type === 'edge') laneIndex = layout.laneCount - 1;
+    laneIndex = Math.min(Math.max(laneIndex, 0), layout.laneCount - 1);
+
+    // Centerline point beside the car, from the car's offset on the road
+    const roadOffset = layout.lanes[laneIndex].center + estimate.offsetInLane;
+    const roadHeading = pose.heading + estimate.headingError;
+    const lateral = rotateDirection(roadHeading, { x: 1, z: 0 });
+
+    state.laneIndex = laneIndex;
+    state.estimate = estimate;
+    state.time = time;
+    state.road = createLocalRoad({
+      x: pose.position.x - lateral.x * roadOffset,
+      z: pose.position.z - lateral.z * roadOffset,
+      heading: roadHeading,
+      curvature: estimate.curvature
+    });
+  };
+
+  // Road model to steer by at a time, or null without a recent detection
+  const roadAt = (time) => (time - state.time <= MAX_DETECTION_AGE ? state.road : null);
+
+  return { state, reset, update, roadAt };
+};
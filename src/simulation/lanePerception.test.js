@@ -0,0 +1,116 @@
+import SimulationEngine from './SimulationEngine';
+import { createLocalRoad, createLanePerception, MAX_DETECTION_AGE } from './lanePerception';
+import { createLaneLayout } from './lanes';
+import { detectLanes, DEFAULT_CAMERA_MODEL } from './laneDetection';
+import { renderLaneImage, createImage } from './syntheticCamera';
+import { buildObservation } from './laneKeeping';
+
+const layout = createLaneLayout({ laneCount: 3, laneWidth: 4, shoulderWidth: 2 });
+
+const detection = (offsetInLane, { left = 'dashed', right = 'dashed' } = {}) => ({
+  valid: true,
+  offsetInLane,
+  headingError: 0,
+  curvature: 0,
+  left: { type: left },
+  right: { type: right }
+});
+
+const pose = { position: { x: 0, z: 0 }, heading: 0 };
+
+describe('createLocalRoad', () => {
+  test.each([0, 0.02, -0.02])('projects its own points back (curvature %p)', (curvature) => {
+    const road = createLocalRoad({ x: 1, z: 2, heading: 0.3, curvature });
+    const point = road.pointAt(25, -1.5);
+    const projection = road.project(point);
+
+    expect(projection.station).toBeCloseTo(25);
+    expect(projection.lateralOffset).toBeCloseTo(-1.5);
+    expect(projection.heading).toBeCloseTo(0.3 + curvature * 25);
+  });
+
+  test('positive curvature bends toward +x', () => {
+    const road = createLocalRoad({ x: 0, z: 0, heading: 0, curvature: 0.02 });
+    expect(road.pointAt(20).x).toBeGreaterThan(0);
+  });
+});
+
+describe('createLanePerception', () => {
+  test('places the road from the lane and the offset in it', () => {
+    const perception = createLanePerception();
+    perception.reset(1);
+    perception.update(detection(0.5), pose, layout, 0);
+
+    // Car 0.5 m to +x of the middle lane center, which is the road center
+    expect(perception.state.road.project(pose.position).lateralOffset).toBeCloseTo(0.5);
+  });
+
+  test('follows lane changes by the jump of the offset in the lane', () => {
+    const perception = createLanePerception();
+    perception.reset(0);
+    perception.update(detection(1.9, { left: 'edge' }), pose, layout, 0);
+    perception.update(detection(-1.9), pose, layout, 0.1);
+    expect(perception.state.laneIndex).toBe(1);
+
+    perception.update(detection(1.9), pose, layout, 0.2);
+    expect(perception.state.laneIndex).toBe(0);
+
+    // An edge line on the +x side means the outermost lane
+    perception.update(detection(0, { right: 'edge' }), pose, layout, 0.3);
+    expect(perception.state.laneIndex).toBe(2);
+  });
+
+  test('forgets old detections', () => {
+    const perception = createLanePerception();
+    expect(perception.roadAt(0)).toBe(null);
+
+    perception.update(detection(0), pose, layout, 1);
+    expect(perception.roadAt(1 + MAX_DETECTION_AGE / 2)).not.toBe(null);
+    expect(perception.roadAt(1 + MAX_DETECTION_AGE * 2)).toBe(null);
+  });
+});
+
+describe('camera lane keeping', () => {
+  const settings = { lidar: false, laneChange: false, laneSource: 'camera' };
+  const config = { traffic: { density: 0, spawnRate: 0 } };
+
+  test('keeps the lane from camera detections', () => {
+    const engine = new SimulationEngine({ seed: 1, config, settings });
+    engine.obstacles = [];
+    const image = createImage();
+    let lastCapture = -Infinity;
+
+    while (!engine.finished && engine.time < 20) {
+      if (engine.time - lastCapture >= 1 / DEFAULT_CAMERA_MODEL.rate - 1e-9) {
+        lastCapture = engine.time;
+        renderLaneImage(engine, DEFAULT_CAMERA_MODEL, image);
+        engine.updateLaneEstimate(detectLanes(image, DEFAULT_CAMERA_MODEL, { laneWidth: engine.lanes.laneWidth }));
+      }
+      engine.step(1 / 60);
+    }
+
+    expect(engine.finished).toBe(false);
+    expect(engine.stats.maxLateralError).toBeLessThan(0.5);
+  });
+
+  test('gives controllers road curves from the perceived road', () => {
+    const engine = new SimulationEngine({ seed: 1, config, settings });
+    // Perceived 1 m right of the map's road, turned and curving
+    const road = createLocalRoad({ x: 1, z: 0, heading: 0.1, curvature: 0.01 });
+    const observation = buildObservation(engine, road);
+
+    const start = road.pointAt(observation.lane.station);
+    expect(observation.road.roadCurves).toHaveLength(1);
+    expect(observation.road.roadCurves[0].position.x).toBeCloseTo(start.x);
+    expect(observation.road.roadCurves[0].position.z).toBeCloseTo(start.z);
+    expect(observation.road.roadCurves[0].angle).toBeCloseTo(0.1 + 0.01 * observation.lane.station);
+  });
+
+  test('holds the wheel straight without detections', () => {
+    const engine = new SimulationEngine({ seed: 1, config, settings });
+    engine.vehicle.steeringAngle = 0.1;
+    engine.step(1 / 60);
+
+    expect(engine.controls.steeringAngle).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+// Lane layout across the road. Lateral offsets are measured from the
+// centerline (see roadGeometry.js); lanes are numbered from 0 starting on the
+// -x side, i.e. the side of the car's "left" sensor.
+
+export const DEFAULT_LANE_CONFIG = {
+  laneCount: 2,
+  laneWidth: 4,
+  shoulderWidth: 2
+};
+
+export const createLaneLayout = ({ laneCount, laneWidth, shoulderWidth }) => {
+  const carriagewayWidth = laneCount * laneWidth;
+  const firstBoundary = -carriagewayWidth / 2;
+
+  const lanes = [];
+  for (let index = 0; index < laneCount; index++) {
+    const left = firstBoundary + index * laneWidth;
+    lanes.push({
+      index,
+      left,
+      right: left + laneWidth,
+      center: left + laneWidth / 2
+    });
+  }
+
+  // Outer boundaries are solid edge lines, the ones between lanes are dashed
+  const boundaries = [];
+  for (let index = 0; index <= laneCount; index++) {
+    boundaries.push({
+      offset: firstBoundary + index * laneWidth,
+      type: index === 0 || index === laneCount ? 'edge' : 'dashed'
+    });
+  }
+
+  // Lane containing a lateral offset, or -1 outside the carriageway
+  const laneAt = (offset) => {
+    const index = Math.floor((offset - firstBoundary) / laneWidth);
+    return index >= 0 && index < laneCount ? index : -1;
+  };
+
+  return {
+    laneCount,
+    laneWidth,
+    shoulderWidth,
+    carriagewayWidth,
+    roadWidth: carriagewayWidth + 2 * shoulderWidth,
+    lanes,
+    boundaries,
+    laneAt
+  };
+};
+
+// Lane information for a world point
+export const locateInLanes = (centerline, layout, point) => {
+  const projection = centerline.project(point);
+  const laneIndex = layout.laneAt(projection.lateralOffset);
+
+  return {
+    station: projection.station,
+    lateralOffset: projection.lateralOffset,
+    laneIndex,
+    offsetInLane: laneIndex === -1 ? null : projection.lateralOffset - layout.lanes[laneIndex].center
+  };
+};
@@ -0,0 +1,270 @@
+import { localToWorld } from './geometry';
+import { createRandom, createGaussian } from './random';
+import { VEHICLE_HALF_LENGTH, ALONGSIDE_OVERLAP, footprintOf, sensedObjects, pathCorridor } from './sensors';
+import { weatherOf } from './weather';
+
+// Scanning LiDAR on the roof of the ego car. The sensor sweeps the
+// horizontal field of view in azimuth steps at its rotation rate; each
+// step fires one beam per channel (vertical layer). Beams hit other
+// vehicles and pedestrians (boxes of OBSTACLE_HEIGHT) or the ground, and the measured
+// ranges carry Gaussian noise. Fog shortens the range and rain adds noise
+// (see weather.js). Results, updated every tick:
+//   points: the latest return of every beam (one whole sweep) in world
+//           coordinates
+//   scan: per azimuth step, the nearest vehicle hit over all channels
+
+export const DEFAULT_LIDAR_CONFIG = {
+  channels: 16,               // vertical layers
+  verticalFov: [-15, 5],      // deg, elevation of the lowest and highest layer
+  horizontalFov: 360,         // deg, centered on the car's heading
+  angularResolution: 1,       // deg between azimuth steps
+  rotationRate: 10,           // sweeps per second
+  maxRange: 80,               // m
+  rangeNoise: 0.03,           // m, standard deviation of the range noise
+  mountHeight: 1.9,           // m above the ground
+  mountOffset: { x: 0, z: -0.5 } // local position on the roof
+};
+
+// Height of the boxes of other vehicles and pedestrians (m)
+export const OBSTACLE_HEIGHT = 1.7;
+
+// Object box relative to the sensor, with its rotation precomputed for
+// the many beams of one scan
+const toSensorFrame = (obstacle, origin) => ({
+  id: obstacle.id,
+  dx: origin.x - obstacle.position.x,
+  dz: origin.z - obstacle.position.z,
+  cos: Math.cos(obstacle.rotation),
+  sin: Math.sin(obstacle.rotation),
+  ...footprintOf(obstacle)
+});
+
+// Distance along a beam to an object box, or Infinity (slab test as in
+// geometry.js, without allocations)
+const beamToBox = (box, directionX, directionZ) => {
+  const ox = box.dx * box.cos - box.dz * box.sin;
+  const oz = box.dx * box.sin + box.dz * box.cos;
+  const rx = directionX * box.cos - directionZ * box.sin;
+  const rz = directionX * box.sin + directionZ * box.cos;
+
+  let tMin = 0;
+  let tMax = Infinity;
+  if (Math.abs(rx) < 1e-12) {
+    if (Math.abs(ox) > box.halfWidth) return Infinity;
+  } else {
+    const t1 = (-box.halfWidth - ox) / rx;
+    const t2 = (box.halfWidth - ox) / rx;
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  }
+  if (Math.abs(rz) < 1e-12) {
+    if (Math.abs(oz) > box.halfLength) return Infinity;
+  } else {
+    const t1 = (-box.halfLength - oz) / rz;
+    const t2 = (box.halfLength - oz) / rz;
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  }
+  return tMin <= tMax ? tMin : Infinity;
+};
+
+const DEG = Math.PI / 180;
+
+// Object id of a slot without a return (beam out of range)
+const NO_RETURN = -2;
+
+export const createLidar = (params = {}, random = createRandom(0)) => {
+  const lidar = {};
+  let gaussian = createGaussian(random);
+  // Latest return of every beam, indexed by azimuth step and channel
+  let slots = null;
+  // Azimuth step where the sweep continues, fractional
+  let cursor = 0;
+
+  // Apply a new configuration and allocate the buffers it needs
+  const configure = (changes = {}) => {
+    const config = { ...DEFAULT_LIDAR_CONFIG, ...lidar.config, ...changes };
+    const fullCircle = config.horizontalFov >= 360;
+    const steps = fullCircle
+      ? Math.round(360 / config.angularResolution)
+      : Math.floor(config.horizontalFov / config.angularResolution) + 1;
+    const start = fullCircle ? -180 : -config.horizontalFov / 2;
+    const [lowest, highest] = config.verticalFov;
+
+    lidar.config = config;
+    lidar.azimuths = Float64Array.from({ length: steps }, (_, i) => (start + i * config.angularResolution) * DEG);
+    lidar.elevations = Float64Array.from({ length: config.channels }, (_, i) => (
+      config.channels === 1 ? (lowest + highest) / 2 : lowest + (highest - lowest) * i / (config.channels - 1)
+    ) * DEG);
+    lidar.channels = Array.from(lidar.elevations, elevation => ({
+      tan: Math.tan(elevation),
+      cos: Math.cos(elevation),
+      sin: Math.sin(elevation)
+    }));
+
+    const capacity = steps * config.channels;
+    slots = {
+      positions: new Float32Array(capacity * 3),
+      ranges: new Float32Array(capacity),
+      objectIds: new Int32Array(capacity)
+    };
+    lidar.points = {
+      count: 0,
+      positions: new Float32Array(capacity * 3),
+      ranges: new Float32Array(capacity),
+      objectIds: new Int32Array(capacity)     // -1 for ground hits
+    };
+    lidar.scan = {
+      ranges: new Float32Array(steps),        // horizontal distance, Infinity if no vehicle
+      objectIds: new Int32Array(steps),
+      positions: new Float32Array(steps * 2)  // x, z of the nearest hit
+    };
+    clear();
+  };
+
+  const clear = () => {
+    slots.objectIds.fill(NO_RETURN);
+    lidar.points.count = 0;
+    lidar.scan.ranges.fill(Infinity);
+    lidar.scan.objectIds.fill(-1);
+    cursor = 0;
+  };
+
+  // Start over with a new noise stream
+  const reset = (randomSource) => {
+    if (randomSource) gaussian = createGaussian(randomSource);
+    clear();
+  };
+
+  // Fire the beams of one azimuth step from the sensor origin, with the
+  // range and noise of the current weather
+  const scanStep = (i, origin, heading, boxes, maxRange, rangeNoise) => {
+    const { config, azimuths, channels, scan } = lidar;
+    const angle = heading + azimuths[i];
+    const directionX = Math.sin(angle);
+    const directionZ = Math.cos(angle);
+
+    // Nearest vehicle along the beam's ground track
+    let hitDistance = Infinity;
+    let hitId = -1;
+    for (const box of boxes) {
+      const distance = beamToBox(box, directionX, directionZ);
+      if (distance < hitDistance) {
+        hitDistance = distance;
+        hitId = box.id;
+      }
+    }
+
+    scan.ranges[i] = Infinity;
+    scan.objectIds[i] = -1;
+
+    for (let j = 0; j < channels.length; j++) {
+      const slot = i * channels.length + j;
+      const { tan, cos, sin } = channels[j];
+
+      // The beam hits the vehicle if it passes at a height within the box,
+      // otherwise it may reach the ground
+      let horizontal = Infinity;
+      let objectId = -1;
+      const height = config.mountHeight + hitDistance * tan;
+      if (hitId !== -1 && height >= 0 && height <= OBSTACLE_HEIGHT) {
+        horizontal = hitDistance;
+        objectId = hitId;
+      } else if (tan < 0) {
+        horizontal = config.mountHeight / -tan;
+      }
+
+      if (horizontal / cos > maxRange) {
+        slots.objectIds[slot] = NO_RETURN;
+        continue;
+      }
+
+      const range = Math.max(0, horizontal / cos + rangeNoise * gaussian());
+      const measured = range * cos;
+      slots.positions[slot * 3] = origin.x + directionX * measured;
+      slots.positions[slot * 3 + 1] = config.mountHeight + range * sin;
+      slots.positions[slot * 3 + 2] = origin.z + directionZ * measured;
+      slots.ranges[slot] = range;
+      slots.objectIds[slot] = objectId;
+
+      if (objectId !== -1 && measured < scan.ranges[i]) {
+        scan.ranges[i] = measured;
+        scan.objectIds[i] = objectId;
+        scan.positions[i * 2] = origin.x + directionX * measured;
+        scan.positions[i * 2 + 1] = origin.z + directionZ * measured;
+      }
+    }
+  };
+
+  // Continue the sweep for dt seconds of sensor rotation (a full sweep
+  // without dt) and rebuild the point cloud from the latest returns, so
+  // the cloud always covers one whole sweep
+  const update = (simulation, dt) => {
+    const { config, azimuths, points } = lidar;
+    const { vehicle } = simulation;
+    const origin = localToWorld({ position: vehicle.position, rotation: vehicle.heading }, config.mountOffset);
+    const condition = weatherOf(simulation);
+    const maxRange = Math.min(config.maxRange, condition.visibility);
+    const rangeNoise = Math.hypot(config.rangeNoise, condition.rangeNoise);
+
+    // Only objects that can be in range
+    const reach = maxRange + VEHICLE_HALF_LENGTH * 2;
+    const boxes = sensedObjects(simulation)
+      .filter(obstacle => Math.hypot(obstacle.position.x - origin.x, obstacle.position.z - origin.z) < reach)
+      .map(obstacle => toSensorFrame(obstacle, origin));
+
+    const sweep = dt === undefined ? azimuths.length : azimuths.length * config.rotationRate * dt;
+    const from = Math.floor(cursor);
+    const to = Math.floor(cursor + Math.min(sweep, azimuths.length));
+    for (let step = from; step < to; step++) {
+      scanStep(step % azimuths.length, origin, vehicle.heading, boxes, maxRange, rangeNoise);
+    }
+    cursor = (cursor + sweep) % azimuths.length;
+
+    let count = 0;
+    for (let slot = 0; slot < slots.objectIds.length; slot++) {
+      if (slots.objectIds[slot] === NO_RETURN) continue;
+      points.positions[count * 3] = slots.positions[slot * 3];
+      points.positions[count * 3 + 1] = slots.positions[slot * 3 + 1];
+      points.positions[count * 3 + 2] = slots.positions[slot * 3 + 2];
+      points.ranges[count] = slots.ranges[slot];
+      points.objectIds[count] = slots.objectIds[slot];
+      count++;
+    }
+    points.count = count;
+  };
+
+  // Gap to the nearest vehicle on the car's path: scan hits are placed on
+  // the road, and those ahead of the car within the path corridor (see
+  // sensors.js) count. The gap runs from the front to an object's nearest
+  // return (its rear, for a car ahead), 0 when noise puts that just behind
+  // the front; an object whose nearest return is well behind the front is
+  // alongside and left out. Follows the road through curves, unlike a
+  // straight ray.
+  const frontDistance = (simulation) => {
+    const { scan } = lidar;
+    const ego = simulation.centerline.project(simulation.vehicle.position);
+    const front = ego.station + VEHICLE_HALF_LENGTH;
+    const { left, right } = pathCorridor(simulation, ego);
+
+    // Nearest return station of every object in the corridor
+    const rears = new Map();
+    for (let i = 0; i < scan.ranges.length; i++) {
+      const id = scan.objectIds[i];
+      if (id === -1) continue;
+      const hit = simulation.centerline.project({ x: scan.positions[i * 2], z: scan.positions[i * 2 + 1] });
+      if (hit.station > ego.station && hit.lateralOffset >= left && hit.lateralOffset <= right) {
+        rears.set(id, Math.min(rears.has(id) ? rears.get(id) : Infinity, hit.station));
+      }
+    }
+
+    let nearest = Infinity;
+    rears.forEach(rear => {
+      if (rear >= front - ALONGSIDE_OVERLAP) nearest = Math.min(nearest, Math.max(0, rear - front));
+    });
+    return nearest;
+  };
+
+  configure(params);
+  return Object.assign(lidar, { configure, reset, clear, update, frontDistance });
+};
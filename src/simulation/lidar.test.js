@@ -0,0 +1,153 @@
+import SimulationEngine from './SimulationEngine';
+import { createLidar, OBSTACLE_HEIGHT } from './lidar';
+import { createTrafficVehicle } from './traffic';
+import { updateSensors } from './sensors';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+const placeCar = (engine, station, lane = 0) => createTrafficVehicle(engine.centerline, {
+  id: 5,
+  station,
+  lane,
+  lateralOffset: engine.lanes.lanes[lane].center
+});
+
+test('scan covers the configured field of view and channels', () => {
+  const lidar = createLidar({ horizontalFov: 90, angularResolution: 1, channels: 4, verticalFov: [-10, 2] });
+
+  expect(lidar.azimuths).toHaveLength(91);
+  expect(lidar.azimuths[0]).toBeCloseTo(-Math.PI / 4);
+  expect(lidar.elevations).toHaveLength(4);
+  expect(lidar.elevations[3]).toBeCloseTo(2 * Math.PI / 180);
+  expect(lidar.points.positions).toHaveLength(91 * 4 * 3);
+});
+
+test('point cloud holds ground and vehicle hits within range', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  engine.obstacles = [placeCar(engine, 20)];
+  updateSensors(engine);
+
+  const { points, config } = engine.lidar;
+  expect(points.count).toBeGreaterThan(0);
+
+  const vehicleHeights = [];
+  const groundHeights = [];
+  for (let i = 0; i < points.count; i++) {
+    const y = points.positions[i * 3 + 1];
+    (points.objectIds[i] === 5 ? vehicleHeights : groundHeights).push(y);
+  }
+  const ranges = Array.from(points.ranges.slice(0, points.count));
+
+  expect(vehicleHeights.length).toBeGreaterThan(0);
+  expect(Math.min(...vehicleHeights)).toBeGreaterThan(-0.2);
+  expect(Math.max(...vehicleHeights)).toBeLessThan(OBSTACLE_HEIGHT + 0.2);
+  expect(Math.max(...groundHeights.map(Math.abs))).toBeLessThan(0.1);
+  expect(Math.max(...ranges)).toBeLessThan(config.maxRange + 0.2);
+});
+
+test('front distance matches the gap to a car ahead in the lane', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  engine.obstacles = [placeCar(engine, 30), placeCar(engine, 15, 1)];
+  updateSensors(engine);
+
+  // Same as the front ray: 30 m to the center minus both half lengths.
+  // The car in the next lane is not on our path.
+  expect(Math.abs(engine.sensorReadings.front - 26)).toBeLessThan(0.2);
+});
+
+test('front distance leaves out a car alongside in the lane the car changes to', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  engine.targetLateralOffset = engine.lanes.lanes[1].center;
+  engine.obstacles = [placeCar(engine, 1, 1)];
+  updateSensors(engine);
+  expect(engine.sensorReadings.front).toBe(Infinity);
+
+  // Once it is ahead, it is on the path into that lane
+  engine.obstacles = [placeCar(engine, 20, 1)];
+  updateSensors(engine);
+  expect(Math.abs(engine.sensorReadings.front - 16)).toBeLessThan(0.2);
+});
+
+test.each([true, false])('during a lane change a car only in the lane left behind stops counting once the car is clear of it (LiDAR %p)', (lidar) => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { lidar } });
+  const ego = engine.centerline.project(engine.vehicle.position);
+  engine.laneChange.state.phase = 'changing';
+  engine.laneChange.state.targetLane = 1;
+  engine.obstacles = [placeCar(engine, ego.station + 12)];
+  updateSensors(engine);
+  expect(Math.abs(engine.sensorReadings.front - 8)).toBeLessThan(0.2);
+
+  const point = engine.centerline.pointAt(ego.station, 1.5);
+  engine.vehicle.position = { x: point.x, z: point.z };
+  updateSensors(engine);
+  expect(engine.sensorReadings.front).toBe(Infinity);
+});
+
+test('front distance is 0, not clear, for a car at contact distance', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  const ego = engine.centerline.project(engine.vehicle.position);
+  // Its rear 0.2 m behind our front, as range noise may also measure it
+  engine.obstacles = [placeCar(engine, ego.station + 4 - 0.2)];
+  updateSensors(engine);
+
+  expect(engine.sensorReadings.front).toBe(0);
+  expect(engine.trueSensorReadings.front).toBe(0);
+});
+
+test('ground truth front distance is exact however noisy the scan', () => {
+  const engine = new SimulationEngine({ seed: 1, config: { ...noTraffic, lidar: { rangeNoise: 0.5 } } });
+  const ego = engine.centerline.project(engine.vehicle.position);
+  engine.obstacles = [placeCar(engine, ego.station + 30)];
+  updateSensors(engine);
+
+  expect(engine.trueSensorReadings.front).toBeCloseTo(26, 6);
+  expect(engine.sensorReadings.front).not.toBeCloseTo(26, 6);
+});
+
+test('sees a car ahead through a bend where the front ray misses', () => {
+  const engine = new SimulationEngine({ config: noTraffic });
+  engine.loadScenario({
+    version: 1,
+    seed: 0,
+    road: { segmentLength: 20, curvatures: [0, 0.03, 0.03, 0.03, 0.03] },
+    lanes: { laneCount: 2, laneWidth: 4, shoulderWidth: 2 },
+    ego: { lane: 0, speed: 6 },
+    vehicles: [{ lane: 0, station: 45, speed: 0, desiredSpeed: 0 }],
+    traffic: { spawnRate: 0, speedRange: [3, 8], spawnGap: 25 },
+    settings: {
+      laneKeeping: true, adaptiveCruise: true, laneChange: false, lidar: false,
+      controller: 'purePursuit', controllerParameters: {}, vehicleModel: 'kinematic'
+    },
+    criteria: { outcome: 'completed', maxTime: 60 }
+  });
+  expect(engine.sensorReadings.front).toBe(Infinity);
+
+  engine.settings.lidar = true;
+  updateSensors(engine);
+  expect(Math.abs(engine.sensorReadings.front - 41)).toBeLessThan(1);
+});
+
+test('each tick continues the sweep at the rotation rate', () => {
+  const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+  engine.obstacles = [placeCar(engine, 20)];
+  engine.step(1 / 60);
+  // Sweep starts behind the car: the car ahead is not scanned yet
+  expect(engine.sensorReadings.front).toBe(Infinity);
+
+  // Half a turn later the sweep passed the front
+  for (let i = 0; i < 3; i++) engine.step(1 / 60);
+  expect(engine.sensorReadings.front).toBeLessThan(20);
+  expect(engine.lidar.points.count).toBeGreaterThan(0);
+});
+
+test('range noise is reproducible for a seed', () => {
+  const scan = (seed) => {
+    const engine = new SimulationEngine({ seed, config: noTraffic });
+    engine.obstacles = [placeCar(engine, 20)];
+    updateSensors(engine);
+    return Array.from(engine.lidar.points.ranges.slice(0, engine.lidar.points.count));
+  };
+
+  expect(scan(3)).toEqual(scan(3));
+  expect(scan(3)).not.toEqual(scan(4));
+});
@@ -0,0 +1,128 @@
+// Manual driving. The driver's input is normalized whatever the device:
+//   steering  -1 (full left) .. 1 (full right), as seen from the driver's seat
+//   throttle  0 .. 1
+//   brake     0 .. 1
+// In manual mode the driver's input drives the car. Lane keeping and
+// adaptive cruise control, when switched on, run alongside on their own
+// axis (steering, speed) and the assist mode decides who wins:
+//   assist    the systems drive while the driver leaves that axis alone;
+//             steering, braking or more throttle than ACC asks for is a
+//             driver takeover of that axis
+//   override  the systems keep control of their axis and the driver's
+//             input on it is ignored
+// Emergency braking runs after this and overrides everyone.
+
+export const DRIVING_MODES = {
+  autonomous: 'Autonomous',
+  manual: 'Manual'
+};
+
+export const ASSIST_MODES = {
+  assist: 'Driver has priority',
+  override: 'Systems have priority'
+};
+
+// Inputs below these count as hands and feet off
+export const STEERING_THRESHOLD = 0.1;
+export const PEDAL_THRESHOLD = 0.05;
+
+// Deceleration (m/s²) when rolling without throttle or brake
+const COAST_DECELERATION = 0.3;
+
+// Keyboard steering ramps instead of jumping to full lock (1/s)
+const KEYBOARD_STEERING_RATE = 1.5;
+const KEYBOARD_CENTERING_RATE = 3;
+
+// Standard gamepad mapping: left stick, right and left trigger
+const GAMEPAD_STEERING_AXIS = 0;
+const GAMEPAD_THROTTLE_BUTTON = 7;
+const GAMEPAD_BRAKE_BUTTON = 6;
+const GAMEPAD_DEADZONE = 0.08;
+
+export const KEY_BINDINGS = {
+  ArrowLeft: 'left',
+  KeyA: 'left',
+  ArrowRight: 'right',
+  KeyD: 'right',
+  ArrowUp: 'throttle',
+  KeyW: 'throttle',
+  ArrowDown: 'brake',
+  KeyS: 'brake'
+};
+
+export const createDriverInput = () => ({ steering: 0, throttle: 0, brake: 0 });
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Driver input from the held keys (a Set of KEY_BINDINGS actions). Steering
+// moves toward the held direction, or back to center, at a limited rate.
+export const updateKeyboardInput = (input, held, dt) => {
+  const direction = (held.has('right') ? 1 : 0) - (held.has('left') ? 1 : 0);
+  const rate = direction === 0 || direction * input.steering < 0 ? KEYBOARD_CENTERING_RATE : KEYBOARD_STEERING_RATE;
+  const change = clamp(direction - input.steering, -rate * dt, rate * dt);
+  return {
+    steering: clamp(input.steering + change, -1, 1),
+    throttle: held.has('throttle') ? 1 : 0,
+    brake: held.has('brake') ? 1 : 0
+  };
+};
+
+const deadzone = (value) => (Math.abs(value) < GAMEPAD_DEADZONE ? 0 : value);
+
+const buttonValue = (button) => {
+  if (!button) return 0;
+  return typeof button === 'object' ? button.value : button;
+};
+
+// Driver input from a Gamepad API gamepad, or null without one
+export const readGamepad = (gamepad) => {
+  if (!gamepad) return null;
+  return {
+    steering: clamp(deadzone(gamepad.axes[GAMEPAD_STEERING_AXIS] || 0), -1, 1),
+    throttle: clamp(buttonValue(gamepad.buttons[GAMEPAD_THROTTLE_BUTTON]), 0, 1),
+    brake: clamp(buttonValue(gamepad.buttons[GAMEPAD_BRAKE_BUTTON]), 0, 1)
+  };
+};
+
+// Several devices at once: the strongest input per axis wins
+export const combineInputs = (...inputs) => inputs.filter(Boolean).reduce((combined, input) => ({
+  steering: Math.abs(input.steering) > Math.abs(combined.steering) ? input.steering : combined.steering,
+  throttle: Math.max(combined.throttle, input.throttle),
+  brake: Math.max(combined.brake, input.brake)
+}), createDriverInput());
+
+// Commands the driver's input asks for: road wheel angle (rad, positive
+// toward +x, which is to the driver's left) and acceleration (m/s²)
+export const driverCommands = (input, params, speed) => {
+  let acceleration = input.throttle * params.maxAcceleration - input.brake * params.maxBraking;
+  if (input.throttle < PEDAL_THRESHOLD && input.brake < PEDAL_THRESHOLD && speed > 0) {
+    acceleration -= COAST_DECELERATION;
+  }
+  return { steeringAngle: -input.steering * params.maxSteeringAngle, acceleration };
+};
+
+// Combine the driver's commands with the ones lane keeping and ACC already
+// put in simulation.controls, and record which axes the driver takes over
+// (assist mode) or is overridden on (override mode)
+export const applyDriverInput = (simulation) => {
+  const { driverInput: input, controls, settings } = simulation;
+  const driver = driverCommands(input, simulation.vehicleParams, simulation.vehicle.speed);
+  const steeringAssisted = settings.laneKeeping;
+  const speedAssisted = settings.adaptiveCruise;
+  const steering = Math.abs(input.steering) >= STEERING_THRESHOLD;
+  const pedals = input.brake >= PEDAL_THRESHOLD ||
+    (input.throttle >= PEDAL_THRESHOLD && driver.acceleration > controls.acceleration);
+  const driverWins = settings.assistMode !== 'override';
+
+  simulation.takeover = {
+    steering: steeringAssisted && steering,
+    speed: speedAssisted && pedals
+  };
+
+  if (!steeringAssisted || (steering && driverWins)) {
+    controls.steeringAngle = driver.steeringAngle;
+  }
+  if (!speedAssisted || (pedals && driverWins)) {
+    controls.acceleration = driver.acceleration;
+  }
+};
@@ -0,0 +1,125 @@
+import SimulationEngine from './SimulationEngine';
+import {
+  updateKeyboardInput,
+  readGamepad,
+  combineInputs,
+  driverCommands,
+  createDriverInput
+} from './manualDriving';
+import { DEFAULT_VEHICLE_PARAMS } from './vehicleModel';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+const manualEngine = (settings) => {
+  const engine = new SimulationEngine({
+    seed: 1,
+    config: noTraffic,
+    settings: { drivingMode: 'manual', laneKeeping: false, adaptiveCruise: false, laneChange: false, ...settings }
+  });
+  engine.obstacles = [];
+  return engine;
+};
+
+const drive = (engine, seconds, input, dt = 1 / 60) => {
+  engine.setDriverInput(input);
+  for (let steps = 0; steps < seconds / dt && !engine.finished; steps++) {
+    engine.step(dt);
+  }
+};
+
+const lateralOffset = (engine) => engine.centerline.project(engine.vehicle.position).lateralOffset;
+
+describe('input devices', () => {
+  test('keyboard steering ramps toward the held direction and back', () => {
+    let input = createDriverInput();
+    input = updateKeyboardInput(input, new Set(['right', 'throttle']), 0.2);
+    expect(input.steering).toBeCloseTo(0.3);
+    expect(input.throttle).toBe(1);
+    expect(input.brake).toBe(0);
+
+    for (let i = 0; i < 10; i++) input = updateKeyboardInput(input, new Set(['right']), 0.2);
+    expect(input.steering).toBe(1);
+
+    input = updateKeyboardInput(input, new Set(), 0.2);
+    expect(input.steering).toBeCloseTo(0.4);
+  });
+
+  test('reads the standard gamepad mapping with a deadzone', () => {
+    const buttons = [];
+    buttons[6] = { value: 0.25 };
+    buttons[7] = { value: 0.75 };
+    expect(readGamepad({ axes: [0.5, 0], buttons })).toEqual({ steering: 0.5, throttle: 0.75, brake: 0.25 });
+    expect(readGamepad({ axes: [0.03, 0], buttons: [] }).steering).toBe(0);
+    expect(readGamepad(null)).toBe(null);
+  });
+
+  test('combines devices by the strongest input per axis', () => {
+    const combined = combineInputs(
+      { steering: -0.2, throttle: 1, brake: 0 },
+      { steering: 0.6, throttle: 0.3, brake: 0.1 },
+      null
+    );
+    expect(combined).toEqual({ steering: 0.6, throttle: 1, brake: 0.1 });
+  });
+
+  test('right steering turns toward -x', () => {
+    const commands = driverCommands({ steering: 1, throttle: 0, brake: 1 }, DEFAULT_VEHICLE_PARAMS, 5);
+    expect(commands.steeringAngle).toBe(-DEFAULT_VEHICLE_PARAMS.maxSteeringAngle);
+    expect(commands.acceleration).toBe(-DEFAULT_VEHICLE_PARAMS.maxBraking);
+  });
+});
+
+describe('manual mode', () => {
+  test('throttle, brake and coasting', () => {
+    const engine = manualEngine();
+    const start = engine.vehicle.speed;
+
+    drive(engine, 1, { throttle: 1 });
+    expect(engine.vehicle.speed).toBeCloseTo(start + DEFAULT_VEHICLE_PARAMS.maxAcceleration, 1);
+
+    const rolling = engine.vehicle.speed;
+    drive(engine, 1, { throttle: 0 });
+    expect(engine.vehicle.speed).toBeLessThan(rolling);
+    expect(engine.vehicle.speed).toBeGreaterThan(rolling - 1);
+
+    drive(engine, 3, { brake: 1 });
+    expect(engine.vehicle.speed).toBe(0);
+  });
+
+  test('without assistance the driver steers', () => {
+    const engine = manualEngine();
+    const start = lateralOffset(engine);
+    drive(engine, 1.5, { steering: -0.3 });
+
+    // Steering left moves toward +x, the side lane 0 starts from
+    expect(lateralOffset(engine)).toBeGreaterThan(start + 0.3);
+    expect(engine.takeover).toEqual({ steering: false, speed: false });
+  });
+
+  test('lane keeping and ACC drive while the driver is hands and feet off', () => {
+    const engine = manualEngine({ laneKeeping: true, adaptiveCruise: true });
+    drive(engine, 10, createDriverInput());
+
+    expect(engine.vehicle.speed).toBeCloseTo(engine.settings.setSpeed, 1);
+    expect(Math.abs(lateralOffset(engine) - engine.targetLateralOffset)).toBeLessThan(0.2);
+    expect(engine.takeover).toEqual({ steering: false, speed: false });
+  });
+
+  test('the driver takes over from the assistance systems', () => {
+    const engine = manualEngine({ laneKeeping: true, adaptiveCruise: true });
+    drive(engine, 1, { steering: 0.5, brake: 0.5 });
+
+    expect(engine.takeover).toEqual({ steering: true, speed: true });
+    expect(engine.controls.steeringAngle).toBeLessThan(0);
+    expect(engine.vehicle.speed).toBeLessThan(engine.settings.setSpeed - 2);
+  });
+
+  test('in override mode the systems ignore the driver', () => {
+    const engine = manualEngine({ laneKeeping: true, adaptiveCruise: true, assistMode: 'override' });
+    drive(engine, 2, { steering: 0.5, brake: 0.5 });
+
+    expect(engine.takeover).toEqual({ steering: true, speed: true });
+    expect(engine.vehicle.speed).toBeCloseTo(engine.settings.setSpeed, 1);
+    expect(Math.abs(lateralOffset(engine) - engine.targetLateralOffset)).toBeLessThan(0.2);
+  });
+});
@@ -0,0 +1,196 @@
+import { VEHICLE_HALF_WIDTH } from './sensors';
+
+// Crosswalks and the pedestrians crossing the road. A pedestrian waits at
+// the curb on one side of the road and walks straight across to the other
+// side when triggered: at a time, when the ego car comes within a distance
+// of it (scripted, in scenarios) or at random at a rate per second
+// (generated roads, one pedestrian per crosswalk). Pedestrians crossing at
+// random wait for a gap, not stepping out in front of the car, while
+// scripted ones go regardless. Pedestrians cross once and then stay at the
+// far curb. They can cross anywhere, but cars only
+// expect them at crosswalks.
+//
+// Cars yield at the stop line before a crosswalk while a pedestrian on it
+// has not yet passed their path, when they can still stop there. The
+// crosswalks come from the map; the pedestrians are also objects for the
+// range sensors, so the car sees them in its path wherever they cross.
+
+export const DEFAULT_PEDESTRIAN_CONFIG = {
+  every: 0,                 // segments from one crosswalk to the next, 0 for none
+  crosswalkWidth: 4,        // m along the road
+  speedRange: [1, 1.6],     // m/s, walking speeds are drawn from this range
+  crossingRate: 0.05        // crossings started per second by a waiting pedestrian
+};
+
+// What starts a crossing, with the unit of its `at` value
+export const PEDESTRIAN_TRIGGERS = { time: 's', approach: 'm', random: '' };
+
+// Footprint of a pedestrian for the sensors and collisions (m)
+export const PEDESTRIAN_HALF_WIDTH = 0.3;
+export const PEDESTRIAN_HALF_LENGTH = 0.3;
+
+// Pedestrian ids start here, apart from the vehicle ids in sensor returns
+export const PEDESTRIAN_ID_BASE = 100000;
+
+// Distance of the waiting spots from the road edge (m)
+const CURB_DISTANCE = 1;
+// Distance between the stop line and the crosswalk (m)
+const STOP_LINE_SETBACK = 1;
+// Margin (m) added to the car's half width for its path over the crosswalk
+const PATH_MARGIN = 0.5;
+// Braking a car accepts to yield to a pedestrian (m/s²)
+const HARD_DECELERATION = 6;
+// Time (s) and distance (m) from the car that pedestrians crossing at
+// random accept as a gap to cross in front of it
+const ACCEPTED_GAP_TIME = 4;
+const ACCEPTED_GAP_DISTANCE = 8;
+
+// Crosswalk record from its description (as in scenario files): the
+// center station and the width along the road (m)
+export const createCrosswalk = ({ station, width = DEFAULT_PEDESTRIAN_CONFIG.crosswalkWidth }) => ({
+  station,
+  width,
+  stopLine: station - width / 2 - STOP_LINE_SETBACK
+});
+
+export const describeCrosswalk = ({ station, width }) => ({ station, width });
+
+// Random crosswalks in every `every`-th segment of segments
+// [first, first + count), a fifth of a segment before its end (clear of
+// the parked cars at segment starts and the intersections in the middle),
+// each with a pedestrian description
+export const placeCrosswalks = (random, first, count, segmentLength, config) => {
+  const crosswalks = [];
+  const pedestrians = [];
+  if (!(config.every > 0)) return { crosswalks, pedestrians };
+  const [slowest, fastest] = config.speedRange;
+
+  for (let i = first; i < first + count; i++) {
+    if ((i + 1) % config.every === 0 && i > 3) {
+      const station = (i + 1) * segmentLength - segmentLength / 5;
+      crosswalks.push(createCrosswalk({ station, width: config.crosswalkWidth }));
+      pedestrians.push({
+        station,
+        side: random() < 0.5 ? 'left' : 'right',
+        speed: slowest + random() * (fastest - slowest),
+        trigger: 'random',
+        rate: config.crossingRate
+      });
+    }
+  }
+  return { crosswalks, pedestrians };
+};
+
+// Lateral offset of the curb a pedestrian waits at on one side of the road
+const curbOffset = (side, lanes) => (side === 'right' ? 1 : -1) * (lanes.roadWidth / 2 + CURB_DISTANCE);
+
+// Place a pedestrian at its lateral offset, facing the way it walks
+const placePedestrian = (pedestrian, centerline) => {
+  const point = centerline.pointAt(pedestrian.station, pedestrian.lateralOffset);
+  pedestrian.position = { x: point.x, z: point.z };
+  pedestrian.rotation = point.heading + pedestrian.direction * Math.PI / 2;
+};
+
+// Pedestrian record from its description: the station it crosses at, the
+// side it starts from, its walking speed (m/s) and what triggers the
+// crossing (`at` s or m, `rate` per second for random triggers)
+export const createPedestrian = (centerline, lanes, {
+  id,
+  station,
+  side = 'right',
+  speed = 1.3,
+  trigger = 'approach',
+  at = 0,
+  rate = DEFAULT_PEDESTRIAN_CONFIG.crossingRate
+}) => {
+  const pedestrian = {
+    id,
+    station,
+    side,
+    speed,
+    trigger,
+    at,
+    rate,
+    state: 'waiting',
+    lateralOffset: curbOffset(side, lanes),
+    direction: side === 'right' ? -1 : 1,
+    halfWidth: PEDESTRIAN_HALF_WIDTH,
+    halfLength: PEDESTRIAN_HALF_LENGTH
+  };
+  placePedestrian(pedestrian, centerline);
+  pedestrian.previousPosition = { ...pedestrian.position };
+  return pedestrian;
+};
+
+// Description of a pedestrian, the inverse of createPedestrian
+export const describePedestrian = ({ station, side, speed, trigger, at, rate }) => ({
+  station, side, speed, trigger, at, rate
+});
+
+const isTriggered = (pedestrian, simulation, egoStation, dt) => {
+  switch (pedestrian.trigger) {
+    case 'time':
+      return simulation.time >= pedestrian.at;
+    case 'approach':
+      return egoStation >= pedestrian.station - pedestrian.at;
+    default: {
+      const wants = simulation.pedestrianRandom() < pedestrian.rate * dt;
+      const gap = pedestrian.station - egoStation;
+      const arriving = gap > -ACCEPTED_GAP_DISTANCE &&
+        gap < simulation.vehicle.speed * ACCEPTED_GAP_TIME + ACCEPTED_GAP_DISTANCE;
+      return wants && !arriving;
+    }
+  }
+};
+
+// Start the crossings that are triggered and walk the pedestrians on the
+// road by dt seconds
+export const updatePedestrians = (simulation, dt) => {
+  const { centerline, lanes } = simulation;
+  const egoStation = centerline.project(simulation.vehicle.position).station;
+
+  simulation.pedestrians.forEach(pedestrian => {
+    pedestrian.previousPosition = { ...pedestrian.position };
+    if (pedestrian.state === 'waiting' && isTriggered(pedestrian, simulation, egoStation, dt)) {
+      pedestrian.state = 'crossing';
+    }
+    if (pedestrian.state !== 'crossing') return;
+
+    const farCurb = curbOffset(pedestrian.side === 'right' ? 'left' : 'right', lanes);
+    pedestrian.lateralOffset += pedestrian.direction * pedestrian.speed * dt;
+    if (pedestrian.direction * (pedestrian.lateralOffset - farCurb) >= 0) {
+      pedestrian.lateralOffset = farCurb;
+      pedestrian.state = 'crossed';
+    }
+    placePedestrian(pedestrian, centerline);
+  });
+};
+
+// First crosswalk whose stop line is at or ahead of a station
+const nextCrosswalk = (crosswalks, station) => crosswalks.reduce(
+  (next, crosswalk) => (
+    crosswalk.stopLine >= station && (!next || crosswalk.stopLine < next.stopLine) ? crosswalk : next
+  ),
+  null
+);
+
+// The crosswalk a car whose front is at `front` (station) approaches at
+// `lateralOffset` and `speed` (m/s): the crosswalk, the distance from the
+// front to its stop line, the pedestrian the car yields to and whether it
+// stops for them. Null with no crosswalk ahead.
+export const approachCrosswalk = (crosswalks, pedestrians, front, lateralOffset, speed) => {
+  const crosswalk = nextCrosswalk(crosswalks, front);
+  if (!crosswalk) return null;
+
+  // Crossing and not past the car's path yet
+  const reach = VEHICLE_HALF_WIDTH + PATH_MARGIN;
+  const pedestrian = pedestrians.find(other =>
+    other.state === 'crossing' &&
+    Math.abs(other.station - crosswalk.station) <= crosswalk.width / 2 &&
+    other.direction * (other.lateralOffset - lateralOffset) < reach
+  ) || null;
+
+  const distance = crosswalk.stopLine - front;
+  const stop = pedestrian !== null && speed * speed / (2 * HARD_DECELERATION) <= Math.max(distance, 0);
+  return { crosswalk, distance, pedestrian, stop };
+};
@@ -0,0 +1,172 @@
+import SimulationEngine from './SimulationEngine';
+import { generateRoadData } from './roadGenerator';
+import { createLaneLayout, DEFAULT_LANE_CONFIG } from './lanes';
+import { createRandom } from './random';
+import { exportScenario, validateScenario } from './scenario';
+import { updateSensors } from './sensors';
+import { createCrosswalk, createPedestrian, placeCrosswalks, DEFAULT_PEDESTRIAN_CONFIG } from './pedestrians';
+
+// Straight 200 m road with the given crosswalks and pedestrians
+const pedestrianScenario = (crosswalks, pedestrians, changes = {}) => {
+  const scenario = {
+    version: 1,
+    road: {
+      segmentLength: 25,
+      curvatures: new Array(8).fill(0),
+      crosswalks
+    },
+    pedestrians,
+    ...changes
+  };
+  expect(validateScenario(scenario)).toEqual([]);
+  return scenario;
+};
+
+const engineFor = (scenario) => {
+  const engine = new SimulationEngine();
+  engine.loadScenario(scenario);
+  return engine;
+};
+
+const stationOf = (engine, position) => engine.centerline.project(position).station;
+
+const runUntil = (engine, time) => {
+  while (!engine.finished && engine.time < time) engine.step(1 / 30);
+};
+
+describe('pedestrians', () => {
+  test('are placed with crosswalks on every n-th segment, apart from the road', () => {
+    expect(createCrosswalk({ station: 100, width: 4 }).stopLine).toBe(97);
+
+    const config = { ...DEFAULT_PEDESTRIAN_CONFIG, every: 5 };
+    const placed = placeCrosswalks(createRandom(1), 0, 20, 25, config);
+    expect(placed.crosswalks.map(crosswalk => crosswalk.station)).toEqual([120, 245, 370, 495]);
+    expect(placed.pedestrians.map(pedestrian => pedestrian.station)).toEqual([120, 245, 370, 495]);
+    expect(placeCrosswalks(createRandom(1), 0, 20, 25, config)).toEqual(placed);
+
+    const lanes = createLaneLayout(DEFAULT_LANE_CONFIG);
+    const plain = generateRoadData({ seed: 5, roadLength: 500, segments: 20, lanes });
+    const walked = generateRoadData({ seed: 5, roadLength: 500, segments: 20, lanes, pedestrians: config });
+    expect(plain.crosswalks).toEqual([]);
+    expect(walked.curvatures).toEqual(plain.curvatures);
+    expect(walked.obstacles).toEqual(plain.obstacles);
+    expect(walked.crosswalks).toHaveLength(4);
+  });
+
+  test('walk across the road when triggered and stay at the far curb', () => {
+    const engine = engineFor(pedestrianScenario([], [{ station: 150, side: 'left', speed: 2, trigger: 'time', at: 1 }]));
+    const [pedestrian] = engine.pedestrians;
+    const curb = engine.lanes.roadWidth / 2 + 1;
+    expect(pedestrian.lateralOffset).toBe(-curb);
+
+    runUntil(engine, 0.9);
+    expect(pedestrian.state).toBe('waiting');
+    runUntil(engine, 2);
+    expect(pedestrian.state).toBe('crossing');
+    expect(engine.centerline.project(pedestrian.position).lateralOffset).toBeCloseTo(-curb + 2, 0);
+
+    runUntil(engine, 1 + curb + 1);
+    expect(pedestrian.state).toBe('crossed');
+    expect(pedestrian.lateralOffset).toBe(curb);
+  });
+
+  test('are seen by the LiDAR and the front ray', () => {
+    [true, false].forEach(lidar => {
+      const engine = new SimulationEngine({ seed: 1, config: { traffic: { density: 0, spawnRate: 0 } }, settings: { lidar } });
+      const pedestrian = createPedestrian(engine.centerline, engine.lanes, { id: 100000, station: 20 });
+      pedestrian.lateralOffset = engine.targetLateralOffset;
+      pedestrian.position = engine.centerline.pointAt(20, pedestrian.lateralOffset);
+      engine.pedestrians = [pedestrian];
+      updateSensors(engine);
+
+      // 20 m to the pedestrian minus half the car and half the pedestrian
+      expect(Math.abs(engine.sensorReadings.front - (20 - 2 - 0.3))).toBeLessThan(0.2);
+    });
+  });
+
+  test('make the car yield at a crosswalk and go on once they have passed', () => {
+    const engine = engineFor(pedestrianScenario(
+      [{ station: 100 }],
+      [{ station: 100, side: 'right', speed: 1.2, trigger: 'approach', at: 40 }]
+    ));
+    const [pedestrian] = engine.pedestrians;
+
+    // Slowing down for the crosswalk before the sensors see the pedestrian
+    // in the car's path, then following them as an object ahead
+    runUntil(engine, 15);
+    expect(pedestrian.state).toBe('crossing');
+    expect(engine.acc.mode).toBe('yield');
+    runUntil(engine, 18.5);
+    expect(engine.vehicle.speed).toBeLessThan(0.3);
+    const front = stationOf(engine, engine.vehicle.position) + 2;
+    expect(front).toBeLessThanOrEqual(97);
+    expect(front).toBeGreaterThan(95);
+
+    runUntil(engine, 25);
+    expect(stationOf(engine, engine.vehicle.position)).toBeGreaterThan(100);
+    expect(engine.finished).toBe(false);
+  });
+
+  test('make the car stop for them away from crosswalks, as objects ahead', () => {
+    const engine = engineFor(pedestrianScenario(
+      [],
+      [{ station: 100, side: 'left', speed: 1, trigger: 'approach', at: 40 }]
+    ));
+    runUntil(engine, 25);
+    expect(engine.outcome).toBe(null);
+    expect(engine.stats.minFrontDistance).toBeGreaterThan(0.5);
+  });
+
+  test('end the run when the car hits one', () => {
+    // Stepping out right in front of the car
+    const engine = engineFor(pedestrianScenario(
+      [],
+      [{ station: 100, side: 'left', speed: 2, trigger: 'approach', at: 12 }]
+    ));
+    runUntil(engine, 30);
+    expect(engine.outcome.type).toBe('pedestrianStrike');
+    expect(engine.outcome.pedestrianId).toBe(engine.pedestrians[0].id);
+    expect(engine.summary.outcome).toBe('pedestrianStrike');
+  });
+
+  test('cross at random only when the car is not about to pass', () => {
+    const engine = new SimulationEngine({
+      seed: 3,
+      config: { pedestrians: { every: 3, crossingRate: 5 }, traffic: { density: 0, spawnRate: 0 } }
+    });
+    expect(engine.pedestrians.length).toBeGreaterThan(0);
+
+    const started = [];
+    while (!engine.finished) {
+      const waiting = engine.pedestrians.filter(pedestrian => pedestrian.state === 'waiting');
+      const { speed } = engine.vehicle;
+      const station = stationOf(engine, engine.vehicle.position);
+      engine.step(1 / 30);
+      waiting.filter(pedestrian => pedestrian.state !== 'waiting').forEach(pedestrian => {
+        started.push({ gap: pedestrian.station - station, speed });
+      });
+    }
+
+    expect(started.length).toBe(engine.pedestrians.length);
+    started.forEach(({ gap, speed }) => {
+      expect(gap <= -8 || gap >= speed * 4 + 8).toBe(true);
+    });
+    expect(engine.outcome.type).toBe('completed');
+  });
+
+  test('are part of exported scenarios', () => {
+    const engine = new SimulationEngine({ seed: 2, config: { pedestrians: { every: 4 } } });
+    const scenario = exportScenario(engine);
+    expect(scenario.road.crosswalks).toHaveLength(4);
+    expect(scenario.pedestrians).toHaveLength(4);
+    expect(validateScenario(scenario)).toEqual([]);
+
+    const loaded = engineFor(scenario);
+    expect(loaded.crosswalks).toEqual(engine.crosswalks);
+    expect(loaded.pedestrians).toEqual(engine.pedestrians);
+
+    const beyond = pedestrianScenario([], [{ station: 100 }]);
+    beyond.pedestrians[0].station = 300;
+    expect(validateScenario(beyond)).toEqual(['/pedestrians/0/station must be on the road (at most 200 m)']);
+  });
+});
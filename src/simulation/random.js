@@ -0,0 +1,75 @@
+// Seedable pseudo-random number generation so that roads and obstacles can be
+// reproduced exactly from a single number.
+
+const MAX_SEED = 0xffffffff;
+
+// Mulberry32: small, fast and good enough for procedural generation.
+// Returns a function producing floats in [0, 1), like Math.random().
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal samples from a uniform random function. Box-Muller gives
+// two independent samples per pair of uniforms; the second one is kept for
+// the next call.
+export const createGaussian = (random) => {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const radius = Math.sqrt(-2 * Math.log(1 - random())); // 1 - random() keeps the log finite
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+};
+
+// Pick a fresh seed for a new, non-reproduced run
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// Turn user input (text field, URL parameter) into a seed.
+// Integers are used as-is, any other text is hashed (FNV-1a) so that
+// readable names like "left-bend-stopped-car" work too.
+export const parseSeed = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+$/.test(text)) {
+    const numeric = Number(text);
+    return numeric <= MAX_SEED ? numeric : null;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Read the seed from a query string such as "?seed=1234"
+export const readSeedFromUrl = (search) => {
+  const params = new URLSearchParams(search);
+  return parseSeed(params.get('seed'));
+};
+
+// Build a shareable URL for the given seed, keeping other query parameters
+export const buildSeedUrl = (href, seed) => {
+  const url = new URL(href);
+  url.searchParams.set('seed', String(seed));
+  return url.toString();
+};
@@ -0,0 +1,43 @@
+import { createRandom, createGaussian, parseSeed, readSeedFromUrl, buildSeedUrl } from './random';
+
+test('same seed produces the same sequence', () => {
+  const a = createRandom(1234);
+  const b = createRandom(1234);
+  const sequenceA = Array.from({ length: 20 }, () => a());
+  const sequenceB = Array.from({ length: 20 }, () => b());
+
+  expect(sequenceA).toEqual(sequenceB);
+  sequenceA.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('different seeds produce different sequences', () => {
+  expect(createRandom(1)()).not.toEqual(createRandom(2)());
+});
+
+test('parses numeric and text seeds', () => {
+  expect(parseSeed('42')).toBe(42);
+  expect(parseSeed(' 7 ')).toBe(7);
+  expect(parseSeed('')).toBeNull();
+  expect(parseSeed(null)).toBeNull();
+  expect(parseSeed('left-bend')).toBe(parseSeed('left-bend'));
+  expect(parseSeed('left-bend')).not.toBe(parseSeed('right-bend'));
+});
+
+test('reads and writes the seed in the URL', () => {
+  expect(readSeedFromUrl('?seed=99')).toBe(99);
+  expect(readSeedFromUrl('?other=1')).toBeNull();
+  expect(buildSeedUrl('http://localhost:3000/?debug=1', 5)).toBe('http://localhost:3000/?debug=1&seed=5');
+});
+
+test('gaussian samples have zero mean and unit variance', () => {
+  const gaussian = createGaussian(createRandom(5));
+  const samples = Array.from({ length: 20000 }, () => gaussian());
+  const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  const variance = samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / samples.length;
+
+  expect(mean).toBeCloseTo(0, 1);
+  expect(variance).toBeCloseTo(1, 1);
+});
@@ -0,0 +1,242 @@
+import { exportScenario, parseScenario } from './scenario';
+import { activeFaults } from './sensorFaults';
+import { DEFAULT_ROAD_STREAM_CONFIG } from './roadStream';
+
+// Run recordings. Every tick of a run is kept as a frame: ego pose and
+// motion, the commands sent to the vehicle, sensor readings, the state of
+// the driver assistance systems, the other vehicles, pedestrians and
+// tracks, and the events of that tick (lane changes, emergency braking,
+// faults, driver takeovers, red lights run, pedestrians starting to cross,
+// the outcome). The header holds the run's scenario, so a recording
+// carries the road it was driven on.
+//
+// Files are JSON ({ version, header, frames, summary }) or NDJSON with one
+// record per line: the header, then the frames, then the summary. Values
+// are rounded to millimeters and milliradians, times to microseconds;
+// readings without a value (Infinity in the engine) are null.
+//
+// A run on an endless road has no end, so its recording keeps only the
+// latest ENDLESS_RECORDING_FRAMES frames; replays start at the first one
+// kept.
+
+export const RECORDING_VERSION = 1;
+
+export const ENDLESS_RECORDING_FRAMES = 60 * 300; // 5 min at 60 steps/s
+
+// Rounded value (+ 0 turns -0 into 0), null for Infinity
+const round = (value, digits = 3) => {
+  if (!Number.isFinite(value)) return null;
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale + 0;
+};
+
+const roundAll = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value)]));
+
+// Events since the previous tick
+const collectEvents = (simulation, previous) => {
+  const events = [];
+
+  const { phase, currentLane, targetLane } = simulation.laneChange.state;
+  if (phase !== previous.lanePhase) {
+    events.push({ type: 'laneChange', phase, from: currentLane, to: targetLane });
+  }
+
+  simulation.emergencyBraking.state.log.slice(previous.aebEntries).forEach(entry => {
+    events.push({ type: 'emergencyBraking', phase: entry.phase, ttc: round(entry.ttc) });
+  });
+
+  const faults = activeFaults(simulation);
+  faults.filter(fault => !previous.faults.includes(fault)).forEach(fault => {
+    events.push({ type: 'fault', fault: { ...fault } });
+  });
+
+  ['steering', 'speed'].forEach(axis => {
+    if (simulation.takeover[axis] && !previous.takeover[axis]) events.push({ type: 'takeover', axis });
+  });
+
+  if (simulation.stats.redLightViolations > previous.redLights) {
+    events.push({ type: 'redLight' });
+  }
+
+  const crossing = simulation.pedestrians.filter(pedestrian => pedestrian.state === 'crossing').map(pedestrian => pedestrian.id);
+  crossing.filter(id => !previous.crossing.includes(id)).forEach(id => {
+    events.push({ type: 'pedestrian', id });
+  });
+
+  if (simulation.finished && !previous.finished) {
+    events.push({ type: 'outcome', outcome: simulation.outcome.type, reason: simulation.outcome.reason });
+  }
+
+  previous.lanePhase = phase;
+  previous.aebEntries = simulation.emergencyBraking.state.log.length;
+  previous.faults = faults;
+  previous.takeover = { ...simulation.takeover };
+  previous.redLights = simulation.stats.redLightViolations;
+  previous.crossing = crossing;
+  previous.finished = simulation.finished;
+  return events;
+};
+
+// Snapshot of one tick
+const captureFrame = (simulation, events) => {
+  const { vehicle } = simulation;
+  const frame = {
+    time: round(simulation.time, 6),
+    distance: round(simulation.distance),
+    ego: {
+      x: round(vehicle.position.x),
+      z: round(vehicle.position.z),
+      heading: round(vehicle.heading),
+      speed: round(vehicle.speed),
+      acceleration: round(vehicle.acceleration),
+      steeringAngle: round(vehicle.steeringAngle),
+      wheelRotation: round(vehicle.wheelRotation)
+    },
+    controls: roundAll(simulation.controls),
+    driverInput: simulation.settings.drivingMode === 'manual' ? roundAll(simulation.driverInput) : null,
+    targetSpeed: round(simulation.targetSpeed),
+    targetLateralOffset: round(simulation.targetLateralOffset),
+    sensors: roundAll(simulation.sensorReadings),
+    trueSensors: roundAll(simulation.trueSensorReadings),
+    lane: simulation.getLanePosition().laneIndex,
+    laneChange: simulation.laneChange.state.phase,
+    acc: simulation.settings.adaptiveCruise ? simulation.acc.mode : null,
+    signal: simulation.signal && { phase: simulation.signal.phase, distance: round(simulation.signal.distance) },
+    aeb: simulation.settings.emergencyBraking ? simulation.emergencyBraking.state.phase : null,
+    takeover: { ...simulation.takeover },
+    obstacles: simulation.obstacles.map(obstacle => ({
+      id: obstacle.id,
+      x: round(obstacle.position.x),
+      z: round(obstacle.position.z),
+      rotation: round(obstacle.rotation),
+      speed: round(obstacle.speed),
+      parked: obstacle.parked,
+      wheelRotation: round(obstacle.wheelRotation || 0)
+    })),
+    pedestrians: simulation.pedestrians.map(pedestrian => ({
+      id: pedestrian.id,
+      x: round(pedestrian.position.x),
+      z: round(pedestrian.position.z),
+      rotation: round(pedestrian.rotation),
+      state: pedestrian.state
+    })),
+    tracks: simulation.tracks.map(track => ({
+      id: track.id,
+      x: round(track.position.x),
+      z: round(track.position.z),
+      heading: round(track.heading),
+      gap: round(track.gap),
+      ttc: round(track.ttc)
+    }))
+  };
+  if (events.length > 0) frame.events = events;
+  return frame;
+};
+
+// Recorder for one run, started from the simulation's initial state
+export const createRecorder = (simulation) => {
+  const recording = {
+    version: RECORDING_VERSION,
+    header: {
+      seed: simulation.seed,
+      scenario: exportScenario(simulation, simulation.scenario ? simulation.scenario.name : undefined),
+      // Endless roads are regenerated from the seed; the scenario holds
+      // their first chunks only
+      ...(simulation.roadStream && {
+        roadStream: { ...DEFAULT_ROAD_STREAM_CONFIG, ...simulation.config.roadStream },
+        intersections: { ...simulation.config.intersections },
+        pedestrians: { ...simulation.config.pedestrians }
+      })
+    },
+    frames: [],
+    summary: null
+  };
+  const previous = {
+    lanePhase: simulation.laneChange.state.phase,
+    aebEntries: 0,
+    faults: [],
+    takeover: { steering: false, speed: false },
+    redLights: 0,
+    crossing: [],
+    finished: false
+  };
+
+  // Frames beyond the limit are dropped from the start a tenth of the
+  // limit at a time, not one per tick
+  const maxFrames = simulation.roadStream ? ENDLESS_RECORDING_FRAMES : Infinity;
+
+  // Add the current tick
+  const record = () => {
+    recording.frames.push(captureFrame(simulation, collectEvents(simulation, previous)));
+    if (recording.frames.length > maxFrames) {
+      recording.frames.splice(0, Math.ceil(maxFrames / 10));
+    }
+    if (simulation.finished) recording.summary = simulation.summary;
+  };
+
+  return { recording, record };
+};
+
+// All events of a recording with their time
+export const recordingEvents = (recording) => recording.frames.flatMap(frame => (
+  (frame.events || []).map(event => ({ time: frame.time, ...event }))
+));
+
+export const recordingToJson = (recording) => JSON.stringify(recording);
+
+export const recordingToNdjson = (recording) => [
+  { type: 'header', version: recording.version, ...recording.header },
+  ...recording.frames.map(frame => ({ type: 'frame', ...frame })),
+  { type: 'summary', summary: recording.summary }
+].map(record => JSON.stringify(record)).join('\n') + '\n';
+
+const fromNdjson = (text) => {
+  const recording = { version: null, header: null, frames: [], summary: null };
+  text.split('\n').forEach((line, i) => {
+    if (line.trim() === '') return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${i + 1} is not valid JSON`);
+    }
+    const { type, ...rest } = record;
+    if (type === 'header') {
+      const { version, ...header } = rest;
+      recording.version = version;
+      recording.header = header;
+    } else if (type === 'frame') {
+      recording.frames.push(rest);
+    } else if (type === 'summary') {
+      recording.summary = rest.summary;
+    } else {
+      throw new Error(`Line ${i + 1} has unknown record type ${type}`);
+    }
+  });
+  return recording;
+};
+
+// Read a recording from JSON or NDJSON text. Throws an Error with a readable
+// message when the file is not a usable recording.
+export const parseRecording = (text) => {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (error) {
+    // A JSON file is a single value; several lines of values are NDJSON
+    recording = fromNdjson(text);
+  }
+  if (!recording || typeof recording !== 'object' || !recording.header) {
+    throw new Error('Not a recording: no header');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version}`);
+  }
+  if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+    throw new Error('The recording has no frames');
+  }
+  return {
+    ...recording,
+    header: { ...recording.header, scenario: parseScenario(JSON.stringify(recording.header.scenario)) }
+  };
+};
@@ -0,0 +1,141 @@
+import SimulationEngine from './SimulationEngine';
+import { parseScenario } from './scenario';
+import { parseRecording, recordingToJson, recordingToNdjson, recordingEvents } from './recording';
+import { createReplay } from './replay';
+
+const dt = 1 / 60;
+
+// Stopped car in lane 2 at 200 m, passed with one lane change
+const stoppedCar = {
+  version: 1,
+  name: 'Stopped car',
+  road: { segmentLength: 25, curvatures: [0, 0, 0, -0.004, -0.006, -0.004, 0, 0, 0, 0, 0, 0] },
+  lanes: { laneCount: 2 },
+  ego: { lane: 1, speed: 6 },
+  vehicles: [{ lane: 1, station: 200 }],
+  criteria: { outcome: 'completed', maxTime: 120 }
+};
+
+// One finished run, shared by the tests (recording it takes a while)
+let engine;
+beforeAll(() => {
+  engine = new SimulationEngine();
+  engine.loadScenario(parseScenario(JSON.stringify(stoppedCar)));
+  for (let steps = 0; !engine.finished && steps < 100000; steps++) {
+    engine.step(dt);
+  }
+});
+
+describe('recording', () => {
+  test('keeps one frame per tick from the initial state', () => {
+    const { frames, header, summary } = engine.recording;
+    const ticks = Math.round(engine.time / dt);
+
+    expect(frames).toHaveLength(ticks + 1);
+    expect(frames[0].time).toBe(0);
+    expect(frames[frames.length - 1].time).toBeCloseTo(engine.time, 3);
+    expect(header.scenario.name).toBe('Stopped car');
+    expect(summary.outcome).toBe('completed');
+
+    const last = frames[frames.length - 1];
+    expect(last.ego.x).toBeCloseTo(engine.vehicle.position.x, 2);
+    expect(last.ego.speed).toBeCloseTo(engine.vehicle.speed, 2);
+    expect(last.obstacles).toHaveLength(1);
+    expect(last.obstacles[0].parked).toBe(true);
+    expect(Object.keys(last.controls)).toEqual(['steeringAngle', 'acceleration']);
+  });
+
+  test('records the events of the run', () => {
+    const events = recordingEvents(engine.recording);
+    const types = events.map(event => event.type);
+
+    expect(events.filter(event => event.type === 'laneChange').map(event => event.phase)).toEqual(['changing', 'keep']);
+    expect(types[types.length - 1]).toBe('outcome');
+    expect(events[events.length - 1].outcome).toBe('completed');
+  });
+
+  test('starts over when the engine is reset', () => {
+    const other = new SimulationEngine({ seed: 4 });
+    other.step(dt);
+    other.reset(5);
+    expect(other.recording.frames).toHaveLength(1);
+    expect(other.recording.header.seed).toBe(5);
+  });
+});
+
+describe('recording files', () => {
+  test('round trips through JSON and NDJSON', () => {
+    const fromJson = parseRecording(recordingToJson(engine.recording));
+    const ndjson = recordingToNdjson(engine.recording);
+    const fromNdjson = parseRecording(ndjson);
+
+    expect(ndjson.trim().split('\n')).toHaveLength(engine.recording.frames.length + 2);
+    expect(fromJson.frames).toEqual(engine.recording.frames);
+    expect(fromNdjson.frames).toEqual(engine.recording.frames);
+    expect(fromNdjson.summary).toEqual(fromJson.summary);
+    expect(fromNdjson.header.scenario.road).toEqual(fromJson.header.scenario.road);
+  });
+
+  test('no reading is stored as null', () => {
+    const frame = engine.recording.frames[0];
+    expect(frame.sensors.left).toBe(null);
+    expect(JSON.parse(JSON.stringify(frame))).toEqual(frame);
+  });
+
+  test('rejects files that are not recordings', () => {
+    expect(() => parseRecording('{"version": 1}')).toThrow('no header');
+    expect(() => parseRecording('{"type":"header","version":1}\nnot json')).toThrow('Line 2 is not valid JSON');
+    const noFrames = { ...engine.recording, frames: [] };
+    expect(() => parseRecording(recordingToJson(noFrames))).toThrow('no frames');
+    const future = { ...engine.recording, version: 99 };
+    expect(() => parseRecording(recordingToJson(future))).toThrow('version 99');
+  });
+});
+
+describe('replay', () => {
+  test('rebuilds the recorded road', () => {
+    const replay = createReplay(parseRecording(recordingToJson(engine.recording)));
+    expect(replay.world.roadLength).toBe(engine.roadLength);
+    expect(replay.duration).toBeCloseTo(engine.time, 3);
+  });
+
+  test('seeks and interpolates between frames', () => {
+    const replay = createReplay(engine.recording);
+    const { frames } = engine.recording;
+
+    replay.seek(10);
+    expect(replay.index).toBe(600);
+    expect(replay.view.carPosition.x).toBeCloseTo(frames[600].ego.x, 3);
+
+    replay.seek(10 + dt / 2);
+    expect(replay.view.carPosition.z).toBeCloseTo((frames[600].ego.z + frames[601].ego.z) / 2, 3);
+
+    replay.seek(-5);
+    expect(replay.time).toBe(0);
+    replay.seek(1e6);
+    expect(replay.index).toBe(frames.length - 1);
+  });
+
+  test('plays at a speed, steps frames and stops at the end', () => {
+    const replay = createReplay(engine.recording);
+    replay.advance(1);
+    expect(replay.time).toBe(0);
+
+    replay.speed = 2;
+    replay.play();
+    replay.advance(1.5);
+    expect(replay.time).toBeCloseTo(3);
+
+    replay.stepFrames(1);
+    expect(replay.playing).toBe(false);
+    expect(replay.index).toBe(181);
+    replay.stepFrames(-5);
+    expect(replay.index).toBe(176);
+
+    replay.play();
+    replay.advance(1000);
+    expect(replay.time).toBe(replay.duration);
+    expect(replay.playing).toBe(false);
+    expect(replay.view.obstacles).toHaveLength(1);
+  });
+});
@@ -0,0 +1,169 @@
+import SimulationEngine from './SimulationEngine';
+
+// Playback of a recording (see recording.js). The recorded scenario is
+// loaded into an engine of its own, which only provides the road for
+// building the scene; the replay never steps it. Endless roads are
+// generated again from the seed and loaded around the replayed car. `view`
+// has the parts of the engine interface SimulationView reads (pose,
+// vehicle, obstacles, pedestrians, tracks, road, signals, crosswalks,
+// weather, settings), filled from the recording at the playback time, with poses
+// interpolated between frames.
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Index of the last frame at or before a time
+const frameIndexAt = (frames, time) => {
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (frames[middle].time <= time) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+const infinityForNull = (values) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, value === null ? Infinity : value])
+);
+
+export const createReplay = (recording) => {
+  const { frames } = recording;
+  const { seed, scenario, roadStream, intersections, pedestrians } = recording.header;
+  let world;
+  if (roadStream) {
+    // One segment of the recorded length makes the road's segment length
+    world = new SimulationEngine({
+      seed,
+      config: {
+        ...scenario.lanes,
+        roadLength: scenario.road.segmentLength,
+        segments: 1,
+        infiniteRoad: true,
+        roadStream,
+        intersections,
+        pedestrians,
+        weather: scenario.weather,
+        traffic: { density: 0, spawnRate: 0 }
+      }
+    });
+  } else {
+    world = new SimulationEngine({ seed });
+    world.loadScenario(scenario);
+  }
+
+  const replay = {
+    recording,
+    world,
+    duration: frames[frames.length - 1].time,
+    time: frames[0].time,
+    index: 0,
+    playing: false,
+    speed: 1,
+    view: null
+  };
+
+  // Rebuild the view state for the current time
+  const updateView = () => {
+    const frame = frames[replay.index];
+    const next = frames[Math.min(replay.index + 1, frames.length - 1)];
+    const span = next.time - frame.time;
+    const t = span > 0 ? Math.min(1, Math.max(0, (replay.time - frame.time) / span)) : 0;
+
+    const pose = {
+      position: { x: lerp(frame.ego.x, next.ego.x, t), z: lerp(frame.ego.z, next.ego.z, t) },
+      rotation: lerp(frame.ego.heading, next.ego.heading, t)
+    };
+    const nextObstacles = new Map(next.obstacles.map(obstacle => [obstacle.id, obstacle]));
+    // Recordings from before pedestrians have none
+    const nextPedestrians = new Map((next.pedestrians || []).map(pedestrian => [pedestrian.id, pedestrian]));
+
+    // The distance driven is close enough to the station to load the road
+    if (world.roadStream) {
+      world.loadRoadAround(frame.distance);
+    }
+
+    replay.view = {
+      frame,
+      time: replay.time,
+      carPosition: pose.position,
+      carRotation: pose.rotation,
+      getInterpolatedPose: () => pose,
+      vehicle: {
+        speed: frame.ego.speed,
+        steeringAngle: frame.ego.steeringAngle,
+        wheelRotation: lerp(frame.ego.wheelRotation, next.ego.wheelRotation, t)
+      },
+      obstacles: frame.obstacles.map(obstacle => {
+        const later = nextObstacles.get(obstacle.id) || obstacle;
+        return {
+          id: obstacle.id,
+          parked: obstacle.parked,
+          position: { x: lerp(obstacle.x, later.x, t), z: lerp(obstacle.z, later.z, t) },
+          rotation: lerp(obstacle.rotation, later.rotation, t),
+          wheelRotation: lerp(obstacle.wheelRotation, later.wheelRotation, t)
+        };
+      }),
+      pedestrians: (frame.pedestrians || []).map(pedestrian => {
+        const later = nextPedestrians.get(pedestrian.id) || pedestrian;
+        return {
+          id: pedestrian.id,
+          state: pedestrian.state,
+          position: { x: lerp(pedestrian.x, later.x, t), z: lerp(pedestrian.z, later.z, t) },
+          rotation: lerp(pedestrian.rotation, later.rotation, t)
+        };
+      }),
+      tracks: frame.tracks.map(track => ({
+        id: track.id,
+        position: { x: track.x, z: track.z },
+        heading: track.heading,
+        gap: track.gap,
+        ttc: track.ttc === null ? Infinity : track.ttc
+      })),
+      sensorReadings: infinityForNull(frame.sensors),
+      lanes: world.lanes,
+      roadChunks: world.roadChunks,
+      intersections: world.intersections,
+      crosswalks: world.crosswalks,
+      weather: world.weather,
+      // No point clouds in recordings
+      lidar: null,
+      settings: { lidar: false }
+    };
+  };
+
+  // Jump to a time, clamped to the recording
+  const seek = (time) => {
+    replay.time = Math.min(replay.duration, Math.max(frames[0].time, time));
+    replay.index = frameIndexAt(frames, replay.time);
+    updateView();
+  };
+
+  // Move by whole frames (negative steps go back) and pause
+  const stepFrames = (count) => {
+    replay.playing = false;
+    const index = Math.min(frames.length - 1, Math.max(0, replay.index + count));
+    seek(frames[index].time);
+  };
+
+  // Advance playback by wall-clock seconds; stops at the end
+  const advance = (delta) => {
+    if (!replay.playing) return;
+    seek(replay.time + delta * replay.speed);
+    if (replay.time >= replay.duration) replay.playing = false;
+  };
+
+  const play = () => {
+    if (replay.time >= replay.duration) seek(0);
+    replay.playing = true;
+  };
+
+  const pause = () => {
+    replay.playing = false;
+  };
+
+  seek(0);
+  return Object.assign(replay, { seek, stepFrames, advance, play, pause });
+};
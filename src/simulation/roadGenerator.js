@@ -0,0 +1,90 @@
+import { createRandom } from './random';
+import { createCenterline } from './roadGeometry';
+import { createTrafficVehicle } from './traffic';
+import { DEFAULT_INTERSECTION_CONFIG, placeIntersections } from './trafficSignals';
+import { DEFAULT_PEDESTRIAN_CONFIG, placeCrosswalks } from './pedestrians';
+
+// Segment start points on a centerline, with the heading change over the
+// segment (rad). `firstStation` is where the first segment starts.
+export const segmentStarts = (centerline, curvatures, segmentLength, firstStation = 0) => curvatures.map((curvature, i) => {
+  const point = centerline.pointAt(firstStation + i * segmentLength);
+  return {
+    position: { x: point.x, z: point.z },
+    angle: point.heading,
+    curvature: curvature * segmentLength
+  };
+});
+
+// Build the centerline and per-segment data from segment curvatures (rad/m),
+// for generated roads as well as roads described by a scenario
+export const createRoad = (curvatures, segmentLength) => {
+  const centerline = createCenterline(curvatures, segmentLength);
+  const roadCurves = segmentStarts(centerline, curvatures, segmentLength);
+
+  return { curvatures, segmentLength, centerline, roadCurves };
+};
+
+// Random curvatures (rad/m) for `count` segments starting at segment index
+// `first` of a road: straight at the start, then gentle curves
+// (positive = right, negative = left)
+export const drawSegmentCurvatures = (random, first, count, segmentLength) => {
+  const curvatures = [];
+  for (let i = first; i < first + count; i++) {
+    curvatures.push(((i < 3) ? 0 : (random() * 0.03 - 0.015)) / segmentLength);
+  }
+  return curvatures;
+};
+
+// Random parked cars on segments [first, first + count), in the middle of
+// a lane of the layout and not in the first few segments of the road.
+// Returns their lane placements.
+export const placeParkedCars = (random, first, count, segmentLength, lanes) => {
+  const placements = [];
+  for (let i = first; i < first + count; i++) {
+    if (random() < 0.2 && i > 3) {
+      const lane = Math.min(Math.floor(random() * lanes.laneCount), lanes.laneCount - 1);
+      placements.push({ station: i * segmentLength, lane, lateralOffset: lanes.lanes[lane].center });
+    }
+  }
+  return placements;
+};
+
+// Generate the road centerline, segment data, obstacle placements,
+// intersections and crosswalks (with their pedestrians) for a seed.
+// Obstacles are placed in the lanes of the given lane layout.
+// Intersections and crosswalks come from random streams of their own, so
+// the road and its parked cars are the same with or without them.
+// Pure data, no rendering.
+export const generateRoadData = ({
+  seed,
+  roadLength,
+  segments,
+  lanes,
+  intersections = DEFAULT_INTERSECTION_CONFIG,
+  pedestrians = DEFAULT_PEDESTRIAN_CONFIG
+}) => {
+  const random = createRandom(seed);
+  const segmentLength = roadLength / segments;
+
+  const { curvatures, centerline, roadCurves } = createRoad(
+    drawSegmentCurvatures(random, 0, segments, segmentLength),
+    segmentLength
+  );
+
+  // Position obstacles aligned with the road
+  const obstacles = placeParkedCars(random, 0, segments, segmentLength, lanes)
+    .map((placement, id) => createTrafficVehicle(centerline, { id, ...placement }));
+
+  const crossings = placeCrosswalks(createRandom((seed ^ 0xc2b2ae35) >>> 0), 0, segments, segmentLength, pedestrians);
+
+  return {
+    roadCurves,
+    obstacles,
+    segmentLength,
+    curvatures,
+    centerline,
+    intersections: placeIntersections(createRandom((seed ^ 0x5bd1e995) >>> 0), 0, segments, segmentLength, intersections),
+    crosswalks: crossings.crosswalks,
+    pedestrians: crossings.pedestrians
+  };
+};
@@ -0,0 +1,157 @@
+// Continuous road centerline. Curvature varies linearly along the road
+// (a clothoid spline), so heading and position have no kinks or gaps. The
+// curve is integrated once into dense samples that back fast queries:
+//   pointAt(station, lateralOffset) -> world point, heading, curvature
+//   project(point) -> station, lateral offset, heading, curvature
+// over stations from `start` to `length`.
+//
+// Lateral offsets are positive toward the local +x side of a car driving
+// along the road (heading h: forward (sin h, cos h), lateral (cos h, -sin h)).
+
+const SAMPLE_SPACING = 0.5;
+const GRID_CELL_SIZE = 10;
+
+const normalizeAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// Heading error between the road and the car, positive when the road turns
+// toward the car's +x side
+export const headingError = (roadHeading, carHeading) => normalizeAngle(roadHeading - carHeading);
+
+// Build a centerline from per-segment curvatures (rad/m). Each value is
+// reached at the middle of its segment and blended linearly in between.
+// The curvature is held over the first and last half segment unless the
+// curvatures of the neighboring segments are given (`before`, `after`), so
+// that consecutive pieces of one road join without a curvature step.
+export const createCenterline = (segmentCurvatures, segmentLength, start = { x: 0, z: 0, heading: 0 }, { before, after } = {}) => {
+  const length = segmentCurvatures.length * segmentLength;
+  const count = Math.ceil(length / SAMPLE_SPACING) + 1;
+  const stations = new Float64Array(count);
+  const xs = new Float64Array(count);
+  const zs = new Float64Array(count);
+  const headings = new Float64Array(count);
+  const curvatures = new Float64Array(count);
+
+  const curvatureAt = (station) => {
+    const position = station / segmentLength - 0.5;
+    const index = Math.floor(position);
+    const t = position - index;
+    const last = segmentCurvatures[segmentCurvatures.length - 1];
+    if (index < 0) return before === undefined ? segmentCurvatures[0] : before * (1 - t) + segmentCurvatures[0] * t;
+    if (index >= segmentCurvatures.length - 1) return after === undefined ? last : last * (1 - t) + after * t;
+    return segmentCurvatures[index] * (1 - t) + segmentCurvatures[index + 1] * t;
+  };
+
+  // Integrate heading (exact for linear curvature) and position (midpoint
+  // rule) sample by sample
+  xs[0] = start.x;
+  zs[0] = start.z;
+  headings[0] = start.heading;
+  curvatures[0] = curvatureAt(0);
+
+  for (let i = 1; i < count; i++) {
+    const station = Math.min(i * SAMPLE_SPACING, length);
+    const ds = station - stations[i - 1];
+
+    stations[i] = station;
+    curvatures[i] = curvatureAt(station);
+    headings[i] = headings[i - 1] + (curvatures[i - 1] + curvatures[i]) / 2 * ds;
+
+    const midHeading = headings[i - 1] + (3 * curvatures[i - 1] + curvatures[i]) / 8 * ds;
+    xs[i] = xs[i - 1] + Math.sin(midHeading) * ds;
+    zs[i] = zs[i - 1] + Math.cos(midHeading) * ds;
+  }
+
+  // Spatial hash of the samples for projection queries
+  const grid = new Map();
+  const cellKey = (x, z) => `${Math.floor(x / GRID_CELL_SIZE)},${Math.floor(z / GRID_CELL_SIZE)}`;
+  for (let i = 0; i < count; i++) {
+    const key = cellKey(xs[i], zs[i]);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  }
+
+  const pointAt = (station, lateralOffset = 0) => {
+    const s = Math.min(Math.max(station, 0), length);
+    const index = Math.min(Math.floor(s / SAMPLE_SPACING), count - 2);
+    const t = (s - stations[index]) / (stations[index + 1] - stations[index]);
+    const heading = headings[index] + (headings[index + 1] - headings[index]) * t;
+
+    return {
+      x: xs[index] + (xs[index + 1] - xs[index]) * t + Math.cos(heading) * lateralOffset,
+      z: zs[index] + (zs[index + 1] - zs[index]) * t - Math.sin(heading) * lateralOffset,
+      heading,
+      curvature: curvatures[index] + (curvatures[index + 1] - curvatures[index]) * t,
+      station: s
+    };
+  };
+
+  // Closest point on the chord between samples i and i + 1
+  const projectOnChord = (point, i) => {
+    const chordX = xs[i + 1] - xs[i];
+    const chordZ = zs[i + 1] - zs[i];
+    const chordLengthSq = chordX * chordX + chordZ * chordZ;
+    const t = Math.min(Math.max(((point.x - xs[i]) * chordX + (point.z - zs[i]) * chordZ) / chordLengthSq, 0), 1);
+    const dx = point.x - (xs[i] + chordX * t);
+    const dz = point.z - (zs[i] + chordZ * t);
+    return { index: i, t, distanceSq: dx * dx + dz * dz };
+  };
+
+  const nearestSample = (point) => {
+    const cellX = Math.floor(point.x / GRID_CELL_SIZE);
+    const cellZ = Math.floor(point.z / GRID_CELL_SIZE);
+    let nearest = -1;
+    let nearestDistanceSq = Infinity;
+
+    const consider = (i) => {
+      const distanceSq = Math.pow(point.x - xs[i], 2) + Math.pow(point.z - zs[i], 2);
+      if (distanceSq < nearestDistanceSq) {
+        nearestDistanceSq = distanceSq;
+        nearest = i;
+      }
+    };
+
+    for (let gx = cellX - 1; gx <= cellX + 1; gx++) {
+      for (let gz = cellZ - 1; gz <= cellZ + 1; gz++) {
+        const cell = grid.get(`${gx},${gz}`);
+        if (cell) cell.forEach(consider);
+      }
+    }
+
+    // Far away from the road: fall back to checking every sample
+    if (nearest === -1 || nearestDistanceSq > GRID_CELL_SIZE * GRID_CELL_SIZE) {
+      for (let i = 0; i < count; i++) consider(i);
+    }
+    return nearest;
+  };
+
+  const project = (point) => {
+    const nearest = nearestSample(point);
+    const candidates = [];
+    if (nearest > 0) candidates.push(projectOnChord(point, nearest - 1));
+    if (nearest < count - 1) candidates.push(projectOnChord(point, nearest));
+    const best = candidates.reduce((a, b) => (b.distanceSq < a.distanceSq ? b : a));
+
+    const station = stations[best.index] + (stations[best.index + 1] - stations[best.index]) * best.t;
+    const onRoad = pointAt(station);
+    const dx = point.x - onRoad.x;
+    const dz = point.z - onRoad.z;
+
+    return {
+      station,
+      lateralOffset: dx * Math.cos(onRoad.heading) - dz * Math.sin(onRoad.heading),
+      heading: onRoad.heading,
+      curvature: onRoad.curvature,
+      x: onRoad.x,
+      z: onRoad.z
+    };
+  };
+
+  return {
+    start: 0,
+    length,
+    sampleSpacing: SAMPLE_SPACING,
+    curvatureAt,
+    pointAt,
+    project
+  };
+};
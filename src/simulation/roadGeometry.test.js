@@ -0,0 +1,46 @@
+import { createCenterline } from './roadGeometry';
+
+test('a straight centerline runs along +z', () => {
+  const centerline = createCenterline([0, 0], 25);
+  const point = centerline.pointAt(30, 2);
+
+  expect(centerline.length).toBe(50);
+  expect(point.x).toBeCloseTo(2);
+  expect(point.z).toBeCloseTo(30);
+  expect(point.heading).toBeCloseTo(0);
+});
+
+test('constant curvature follows a circle', () => {
+  const radius = 50;
+  const centerline = createCenterline([1 / radius, 1 / radius, 1 / radius, 1 / radius], 25);
+  const station = radius * Math.PI / 2;
+  const point = centerline.pointAt(station);
+
+  // Quarter circle turning toward +x
+  expect(point.heading).toBeCloseTo(Math.PI / 2, 3);
+  expect(point.x).toBeCloseTo(radius, 1);
+  expect(point.z).toBeCloseTo(radius, 1);
+  expect(point.curvature).toBeCloseTo(1 / radius);
+});
+
+test('heading and position are continuous across segment boundaries', () => {
+  const centerline = createCenterline([0, 0.01, -0.01, 0.005], 25);
+  for (let station = 0.25; station < centerline.length; station += 0.5) {
+    const a = centerline.pointAt(station - 0.25);
+    const b = centerline.pointAt(station + 0.25);
+    expect(Math.hypot(b.x - a.x, b.z - a.z)).toBeCloseTo(0.5, 3);
+    expect(Math.abs(b.heading - a.heading)).toBeLessThan(0.01);
+  }
+});
+
+test('projection recovers station and lateral offset', () => {
+  const centerline = createCenterline([0, 0.004, 0.008, -0.006, 0], 25);
+  [[10, 0], [37.3, 1.5], [61, -3.2], [99.9, 0.7]].forEach(([station, offset]) => {
+    const point = centerline.pointAt(station, offset);
+    const projection = centerline.project(point);
+
+    expect(projection.station).toBeCloseTo(station, 2);
+    expect(projection.lateralOffset).toBeCloseTo(offset, 2);
+    expect(projection.heading).toBeCloseTo(point.heading, 3);
+  });
+});
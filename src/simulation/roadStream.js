@@ -0,0 +1,185 @@
+import { createRandom } from './random';
+import { createCenterline } from './roadGeometry';
+import { drawSegmentCurvatures, placeParkedCars, segmentStarts } from './roadGenerator';
+import { DEFAULT_INTERSECTION_CONFIG, placeIntersections } from './trafficSignals';
+import { DEFAULT_PEDESTRIAN_CONFIG, placeCrosswalks } from './pedestrians';
+
+// Endless road, generated in chunks of a few segments ahead of the car and
+// dropped again behind it, so memory stays flat however far it drives.
+// Every chunk comes from its own random stream derived from the seed and
+// its index: the road is the same whatever part of it was loaded before.
+// Chunks are pieces of centerline that join without steps in heading or
+// curvature, each starting at the end pose of the one before.
+//
+// `centerline` spans the loaded chunks with the interface of roadGeometry's
+// centerlines, in road stations from the start of the road; queries outside
+// the loaded stretch are clamped to it.
+
+export const DEFAULT_ROAD_STREAM_CONFIG = {
+  segmentsPerChunk: 4,
+  ahead: 300,   // m of road kept loaded ahead of the car
+  behind: 100   // m kept behind it
+};
+
+// Margin around a chunk's bounding box within which points are projected
+// onto it (m)
+const PROJECTION_MARGIN = 30;
+
+const chunkSeed = (seed, index) => (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+
+export const createRoadStream = ({
+  seed,
+  segmentLength,
+  lanes,
+  intersections = DEFAULT_INTERSECTION_CONFIG,
+  pedestrians = DEFAULT_PEDESTRIAN_CONFIG,
+  config = {}
+}) => {
+  const { segmentsPerChunk, ahead, behind } = { ...DEFAULT_ROAD_STREAM_CONFIG, ...config };
+  const chunkLength = segmentsPerChunk * segmentLength;
+
+  // Curvatures of a chunk come first in its random stream
+  const chunkCurvatures = (index) => drawSegmentCurvatures(
+    createRandom(chunkSeed(seed, index)), index * segmentsPerChunk, segmentsPerChunk, segmentLength
+  );
+
+  const buildCenterline = (index, curvatures, start) => createCenterline(curvatures, segmentLength, start, {
+    before: index > 0 ? chunkCurvatures(index - 1)[segmentsPerChunk - 1] : undefined,
+    after: chunkCurvatures(index + 1)[0]
+  });
+
+  // Chunk `index` starting at a pose, with its parked cars, intersections
+  // and crosswalks with their pedestrians (at road stations)
+  const generateChunk = (index, start) => {
+    const random = createRandom(chunkSeed(seed, index));
+    const first = index * segmentsPerChunk;
+    const curvatures = drawSegmentCurvatures(random, first, segmentsPerChunk, segmentLength);
+    const from = index * chunkLength;
+    const centerline = buildCenterline(index, curvatures, start);
+    const crossings = placeCrosswalks(
+      createRandom((chunkSeed(seed, index) ^ 0xc2b2ae35) >>> 0), first, segmentsPerChunk, segmentLength, pedestrians
+    );
+
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    for (let station = 0; station <= chunkLength; station += segmentLength / 4) {
+      const point = centerline.pointAt(station);
+      bounds.minX = Math.min(bounds.minX, point.x - PROJECTION_MARGIN);
+      bounds.maxX = Math.max(bounds.maxX, point.x + PROJECTION_MARGIN);
+      bounds.minZ = Math.min(bounds.minZ, point.z - PROJECTION_MARGIN);
+      bounds.maxZ = Math.max(bounds.maxZ, point.z + PROJECTION_MARGIN);
+    }
+
+    return {
+      id: index,
+      seed: chunkSeed(seed, index),
+      from,
+      to: from + chunkLength,
+      curvatures,
+      centerline,
+      bounds,
+      // Segment start points in world coordinates, as for whole roads
+      roadCurves: segmentStarts(centerline, curvatures, segmentLength),
+      parkedCars: placeParkedCars(random, first, segmentsPerChunk, segmentLength, lanes),
+      intersections: placeIntersections(
+        createRandom((chunkSeed(seed, index) ^ 0x5bd1e995) >>> 0), first, segmentsPerChunk, segmentLength, intersections
+      ),
+      crosswalks: crossings.crosswalks,
+      pedestrians: crossings.pedestrians
+    };
+  };
+
+  const endPose = (chunk) => {
+    const end = chunk.centerline.pointAt(chunkLength);
+    return { x: end.x, z: end.z, heading: end.heading };
+  };
+
+  const stream = { chunks: [], chunkLength };
+
+  // Load the chunks within reach of a station and drop the others. Going
+  // back before the loaded stretch (replay seeking) rebuilds the road from
+  // its start. Returns the chunks added and removed.
+  const update = (station) => {
+    const firstIndex = Math.max(0, Math.floor((station - behind) / chunkLength));
+    const lastIndex = Math.floor((station + ahead) / chunkLength);
+    const { chunks } = stream;
+
+    // Continue after the last chunk loaded, or from the start of the road
+    // when the stretch moved back before the first one
+    const last = chunks.length > 0 && firstIndex >= chunks[0].id ? chunks[chunks.length - 1] : null;
+    const kept = last ? chunks.filter(chunk => chunk.id >= firstIndex && chunk.id <= lastIndex) : [];
+    const removed = chunks.filter(chunk => !kept.includes(chunk));
+    let index = last ? last.id + 1 : 0;
+    let pose = last ? endPose(last) : { x: 0, z: 0, heading: 0 };
+
+    // Only the start poses are needed of the chunks skipped over
+    for (; index < firstIndex; index++) {
+      pose = endPose({ centerline: buildCenterline(index, chunkCurvatures(index), pose) });
+    }
+
+    const added = [];
+    for (; index <= lastIndex; index++) {
+      const chunk = generateChunk(index, pose);
+      added.push(chunk);
+      pose = endPose(chunk);
+    }
+
+    stream.chunks = kept.concat(added);
+    return { added, removed };
+  };
+
+  // Loaded chunk containing a station (clamped to the loaded stretch)
+  const chunkAt = (station) => {
+    const { chunks } = stream;
+    const index = Math.floor((station - chunks[0].from) / chunkLength);
+    return chunks[Math.min(Math.max(index, 0), chunks.length - 1)];
+  };
+
+  const clampStation = (station) => {
+    const { chunks } = stream;
+    return Math.min(Math.max(station, chunks[0].from), chunks[chunks.length - 1].to);
+  };
+
+  const pointAt = (station, lateralOffset = 0) => {
+    const s = clampStation(station);
+    const chunk = chunkAt(s);
+    return { ...chunk.centerline.pointAt(s - chunk.from, lateralOffset), station: s };
+  };
+
+  const curvatureAt = (station) => {
+    const chunk = chunkAt(clampStation(station));
+    return chunk.centerline.curvatureAt(clampStation(station) - chunk.from);
+  };
+
+  // Nearest projection over the chunks around the point (all of them when
+  // it is far from the road)
+  const project = (point) => {
+    const near = stream.chunks.filter(({ bounds }) =>
+      point.x >= bounds.minX && point.x <= bounds.maxX && point.z >= bounds.minZ && point.z <= bounds.maxZ
+    );
+    let best = null;
+    let bestDistanceSq = Infinity;
+    (near.length > 0 ? near : stream.chunks).forEach(chunk => {
+      const projection = chunk.centerline.project(point);
+      const distanceSq = Math.pow(point.x - projection.x, 2) + Math.pow(point.z - projection.z, 2);
+      if (distanceSq < bestDistanceSq) {
+        bestDistanceSq = distanceSq;
+        best = { ...projection, station: projection.station + chunk.from };
+      }
+    });
+    return best;
+  };
+
+  stream.centerline = {
+    get start() {
+      return stream.chunks[0].from;
+    },
+    get length() {
+      return stream.chunks[stream.chunks.length - 1].to;
+    },
+    curvatureAt,
+    pointAt,
+    project
+  };
+
+  return Object.assign(stream, { update });
+};
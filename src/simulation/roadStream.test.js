@@ -0,0 +1,98 @@
+import SimulationEngine from './SimulationEngine';
+import { createLaneLayout, DEFAULT_LANE_CONFIG } from './lanes';
+import { createRoadStream } from './roadStream';
+import { ENDLESS_RECORDING_FRAMES } from './recording';
+
+const lanes = createLaneLayout(DEFAULT_LANE_CONFIG);
+const newStream = (seed = 3) => createRoadStream({ seed, segmentLength: 25, lanes });
+
+describe('road stream', () => {
+  test('loads chunks around the station and drops the ones behind', () => {
+    const stream = newStream();
+    const first = stream.update(0);
+    expect(first.removed).toHaveLength(0);
+    expect(stream.chunks.map(chunk => chunk.id)).toEqual([0, 1, 2, 3]);
+    expect(stream.centerline.start).toBe(0);
+    expect(stream.centerline.length).toBe(400);
+
+    const next = stream.update(250);
+    expect(next.removed.map(chunk => chunk.id)).toEqual([0]);
+    expect(next.added.map(chunk => chunk.id)).toEqual([4, 5]);
+    expect(stream.centerline.start).toBe(100);
+
+    // Driving far keeps the same number of chunks loaded
+    for (let station = 250; station < 20000; station += 50) stream.update(station);
+    expect(stream.chunks.length).toBeLessThanOrEqual(5);
+  });
+
+  test('joins chunks without steps in position, heading or curvature', () => {
+    const stream = newStream();
+    stream.update(1000);
+    for (let i = 1; i < stream.chunks.length; i++) {
+      const before = stream.chunks[i - 1];
+      const after = stream.chunks[i];
+      const end = before.centerline.pointAt(stream.chunkLength);
+      const start = after.centerline.pointAt(0);
+      expect(start.x).toBeCloseTo(end.x, 6);
+      expect(start.z).toBeCloseTo(end.z, 6);
+      expect(start.heading).toBeCloseTo(end.heading, 6);
+      expect(after.centerline.curvatureAt(0)).toBeCloseTo(before.centerline.curvatureAt(stream.chunkLength), 6);
+    }
+  });
+
+  test('generates the same chunks whatever was loaded before', () => {
+    const driven = newStream();
+    for (let station = 0; station <= 1500; station += 20) driven.update(station);
+
+    const jumped = newStream();
+    jumped.update(1500);
+
+    expect(jumped.chunks.map(chunk => chunk.id)).toEqual(driven.chunks.map(chunk => chunk.id));
+    jumped.chunks.forEach((chunk, i) => {
+      expect(chunk.curvatures).toEqual(driven.chunks[i].curvatures);
+      expect(chunk.parkedCars).toEqual(driven.chunks[i].parkedCars);
+      expect(chunk.centerline.pointAt(10).x).toBeCloseTo(driven.chunks[i].centerline.pointAt(10).x, 6);
+    });
+
+    // Seeking back rebuilds the road from its start
+    jumped.update(0);
+    expect(jumped.chunks[0].id).toBe(0);
+  });
+
+  test('projects points onto the loaded road in road stations', () => {
+    const stream = newStream();
+    stream.update(700);
+    [650, 700, 777, 900].forEach(station => {
+      const point = stream.centerline.pointAt(station, 1.5);
+      const projection = stream.centerline.project(point);
+      expect(projection.station).toBeCloseTo(station, 1);
+      expect(projection.lateralOffset).toBeCloseTo(1.5, 1);
+    });
+
+    // Stations outside the loaded stretch are clamped to it
+    expect(stream.centerline.pointAt(0).station).toBe(stream.centerline.start);
+  });
+
+  test('lets the engine drive past the road length and the time limit', () => {
+    const engine = new SimulationEngine({
+      seed: 7,
+      config: { roadLength: 100, segments: 4, infiniteRoad: true, maxTime: 60, traffic: { density: 0, spawnRate: 0 } },
+      settings: { lidar: false }
+    });
+    expect(engine.roadChunks.length).toBeGreaterThan(1);
+
+    const steps = ENDLESS_RECORDING_FRAMES + 100;
+    for (let i = 0; i < steps && !engine.finished; i++) engine.step(1 / 30);
+    expect(engine.finished).toBe(false);
+    expect(engine.time).toBeGreaterThan(60);
+    expect(engine.distance).toBeGreaterThan(engine.roadLength);
+    expect(engine.centerline.start).toBeGreaterThan(0);
+    engine.obstacles.forEach(vehicle => expect(vehicle.station).toBeGreaterThanOrEqual(engine.centerline.start));
+
+    // The recording keeps the latest frames only
+    const { frames } = engine.recording;
+    expect(frames.length).toBeLessThanOrEqual(ENDLESS_RECORDING_FRAMES);
+    expect(frames[0].time).toBeGreaterThan(0);
+    expect(frames[frames.length - 1].time).toBeCloseTo(engine.time, 5);
+  });
+});
@@ -0,0 +1,337 @@
+import Ajv from 'ajv';
+import { CONTROLLERS, DEFAULT_CONTROLLER } from './controllers';
+import { VEHICLE_MODELS } from './vehicleModel';
+import { OUTCOMES } from './episodeStats';
+import { SENSORS, FAULT_TYPES, FAULT_TRIGGERS, validateFault } from './sensorFaults';
+import { TIME_GAPS, MAX_SET_SPEED } from './adaptiveCruiseControl';
+import { DEFAULT_INTERSECTION_CONFIG, INTERSECTION_TYPES, describeIntersection } from './trafficSignals';
+import { DEFAULT_PEDESTRIAN_CONFIG, PEDESTRIAN_TRIGGERS, describeCrosswalk, describePedestrian } from './pedestrians';
+import { WEATHER_CONDITIONS } from './weather';
+
+// Scenario files describe one test case completely: road geometry, lanes,
+// the vehicles and pedestrians on the road with their initial states, the
+// ego start, the weather, driver assistance settings and the criteria a
+// run has to meet. Loading the same scenario always replays the same run.
+//
+// Units are SI; road curvatures are given per segment in rad/m, vehicle,
+// intersection, crosswalk and pedestrian stations in meters from the start
+// of the road.
+
+export const SCENARIO_VERSION = 1;
+
+const vehicleSchema = {
+  type: 'object',
+  required: ['lane', 'station'],
+  additionalProperties: false,
+  properties: {
+    lane: { type: 'integer', minimum: 0 },
+    station: { type: 'number', minimum: 0 },
+    lateralOffset: { type: 'number' },          // m, defaults to the lane center
+    speed: { type: 'number', minimum: 0, default: 0 },
+    desiredSpeed: { type: 'number', minimum: 0, default: 0 } // 0 = parked
+  }
+};
+
+// Signalized intersection, see trafficSignals.js
+const signalTimingSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(Object.entries(DEFAULT_INTERSECTION_CONFIG.timing).map(([phase, duration]) => [
+    phase, { type: 'number', exclusiveMinimum: 0, default: duration }
+  ]))
+};
+
+const intersectionSchema = {
+  type: 'object',
+  required: ['station'],
+  additionalProperties: false,
+  properties: {
+    station: { type: 'number', minimum: 0 },   // m, center of the intersection
+    type: { enum: Object.keys(INTERSECTION_TYPES), default: 'cross' },
+    side: { enum: ['left', 'right'], default: 'right' }, // side road of a T junction
+    width: { type: 'number', exclusiveMinimum: 0, default: DEFAULT_INTERSECTION_CONFIG.sideRoadWidth },
+    timing: { ...signalTimingSchema, default: {} },
+    offset: { type: 'number', minimum: 0, default: 0 } // s into the signal cycle at the start
+  }
+};
+
+// Crosswalk and pedestrian, see pedestrians.js
+const crosswalkSchema = {
+  type: 'object',
+  required: ['station'],
+  additionalProperties: false,
+  properties: {
+    station: { type: 'number', minimum: 0 },   // m, center of the crosswalk
+    width: { type: 'number', exclusiveMinimum: 0, default: DEFAULT_PEDESTRIAN_CONFIG.crosswalkWidth }
+  }
+};
+
+const pedestrianSchema = {
+  type: 'object',
+  required: ['station'],
+  additionalProperties: false,
+  properties: {
+    station: { type: 'number', minimum: 0 },   // m, where the pedestrian crosses
+    side: { enum: ['left', 'right'], default: 'right' }, // side of the road it starts from
+    speed: { type: 'number', exclusiveMinimum: 0, default: 1.3 },
+    trigger: { enum: Object.keys(PEDESTRIAN_TRIGGERS), default: 'approach' },
+    at: { type: 'number', minimum: 0, default: 30 }, // s or m, by trigger
+    rate: { type: 'number', minimum: 0, default: DEFAULT_PEDESTRIAN_CONFIG.crossingRate } // per second, random trigger
+  }
+};
+
+// Noise model of one sensor, see sensorFaults.js
+const sensorModelSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    noise: { type: 'number', minimum: 0 },
+    bias: { type: 'number' },
+    latency: { type: 'integer', minimum: 0 },
+    dropout: { type: 'number', minimum: 0, maximum: 1 },
+    stuck: { type: 'boolean' },
+    stuckAt: { type: ['number', 'null'] },
+    failed: { type: 'boolean' }
+  }
+};
+
+const faultSchema = {
+  type: 'object',
+  required: ['sensor', 'type', 'at'],
+  additionalProperties: false,
+  properties: {
+    sensor: { enum: Object.keys(SENSORS) },
+    type: { enum: Object.keys(FAULT_TYPES) },
+    value: { type: 'number' },
+    trigger: { enum: Object.keys(FAULT_TRIGGERS), default: 'time' },
+    at: { type: 'number', minimum: 0 },         // s or m, by trigger
+    duration: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+export const SCENARIO_SCHEMA = {
+  type: 'object',
+  required: ['version', 'road'],
+  additionalProperties: false,
+  properties: {
+    version: { const: SCENARIO_VERSION },
+    name: { type: 'string', default: 'Untitled scenario' },
+    description: { type: 'string' },
+    // Random stream for traffic entering during the run
+    seed: { type: 'integer', minimum: 0, maximum: 0xffffffff, default: 0 },
+    road: {
+      type: 'object',
+      required: ['segmentLength', 'curvatures'],
+      additionalProperties: false,
+      properties: {
+        segmentLength: { type: 'number', exclusiveMinimum: 0 },
+        curvatures: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'number', minimum: -0.2, maximum: 0.2 }
+        },
+        intersections: { type: 'array', items: intersectionSchema, default: [] },
+        crosswalks: { type: 'array', items: crosswalkSchema, default: [] }
+      }
+    },
+    lanes: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        laneCount: { type: 'integer', minimum: 1, maximum: 6, default: 2 },
+        laneWidth: { type: 'number', minimum: 2.5, maximum: 6, default: 4 },
+        shoulderWidth: { type: 'number', minimum: 0, default: 2 }
+      }
+    },
+    ego: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        lane: { type: 'integer', minimum: 0, default: 0 },
+        lateralOffset: { type: 'number' },
+        speed: { type: 'number', minimum: 0, default: 6 }
+      }
+    },
+    vehicles: { type: 'array', items: vehicleSchema, default: [] },
+    pedestrians: { type: 'array', items: pedestrianSchema, default: [] },
+    traffic: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        spawnRate: { type: 'number', minimum: 0, default: 0 },
+        speedRange: {
+          type: 'array',
+          items: { type: 'number', minimum: 0 },
+          minItems: 2,
+          maxItems: 2,
+          default: [3, 8]
+        },
+        spawnGap: { type: 'number', exclusiveMinimum: 0, default: 25 }
+      }
+    },
+    sensors: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(SENSORS).map(name => [name, sensorModelSchema]))
+    },
+    faults: { type: 'array', items: faultSchema, default: [] },
+    // Weather and time of day (see weather.js)
+    weather: { enum: Object.keys(WEATHER_CONDITIONS), default: 'clear' },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        laneKeeping: { type: 'boolean', default: true },
+        adaptiveCruise: { type: 'boolean', default: true },
+        setSpeed: { type: 'number', minimum: 0, maximum: MAX_SET_SPEED, default: 6 },
+        timeGap: { enum: TIME_GAPS, default: 1.5 },
+        laneChange: { type: 'boolean', default: true },
+        lidar: { type: 'boolean', default: true },
+        laneSource: { enum: ['groundTruth', 'camera'], default: 'groundTruth' },
+        emergencyBraking: { type: 'boolean', default: false },
+        controller: { enum: Object.keys(CONTROLLERS), default: DEFAULT_CONTROLLER },
+        controllerParameters: { type: 'object', additionalProperties: { type: 'number' }, default: {} },
+        vehicleModel: { enum: VEHICLE_MODELS, default: 'kinematic' }
+      }
+    },
+    criteria: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        outcome: { enum: Object.keys(OUTCOMES), default: 'completed' },
+        maxTime: { type: 'number', exclusiveMinimum: 0, default: 300 },
+        maxLateralError: { type: 'number', minimum: 0 },
+        minFrontDistance: { type: 'number', minimum: 0 },
+        minAverageSpeed: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateSchema = ajv.compile(SCENARIO_SCHEMA);
+
+// Check a scenario object against the schema and the constraints between
+// its fields. Fills in defaults for missing optional fields. Returns a
+// list of error messages, empty when the scenario is valid.
+export const validateScenario = (scenario) => {
+  if (!validateSchema(scenario)) {
+    return validateSchema.errors.map(error => `${error.instancePath || 'scenario'} ${error.message}`);
+  }
+
+  const errors = [];
+  const { laneCount } = scenario.lanes;
+  const roadLength = scenario.road.segmentLength * scenario.road.curvatures.length;
+  if (scenario.ego.lane >= laneCount) {
+    errors.push(`/ego/lane must be less than the lane count (${laneCount})`);
+  }
+  scenario.vehicles.forEach((vehicle, i) => {
+    if (vehicle.lane >= laneCount) {
+      errors.push(`/vehicles/${i}/lane must be less than the lane count (${laneCount})`);
+    }
+    if (vehicle.station > roadLength) {
+      errors.push(`/vehicles/${i}/station must be on the road (at most ${roadLength} m)`);
+    }
+  });
+  const onRoad = (items, path) => items.forEach((item, i) => {
+    if (item.station > roadLength) {
+      errors.push(`${path}/${i}/station must be on the road (at most ${roadLength} m)`);
+    }
+  });
+  onRoad(scenario.road.intersections, '/road/intersections');
+  onRoad(scenario.road.crosswalks, '/road/crosswalks');
+  onRoad(scenario.pedestrians, '/pedestrians');
+  scenario.faults.forEach((fault, i) => {
+    const problem = validateFault(fault);
+    if (problem) errors.push(`/faults/${i}: ${problem}`);
+  });
+  return errors;
+};
+
+// Parse and validate scenario JSON; throws with all problems found
+export const parseScenario = (text) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Scenario is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+  }
+  return scenario;
+};
+
+// Describe the engine's current road as a scenario: the road, the vehicles
+// and pedestrians as they were placed at the start of the run, and the
+// current settings
+export const exportScenario = (engine, name = `Seed ${engine.seed}`) => ({
+  version: SCENARIO_VERSION,
+  name,
+  seed: engine.seed,
+  road: {
+    segmentLength: engine.segmentLength,
+    curvatures: [...engine.curvatures],
+    intersections: engine.initialState.intersections.map(describeIntersection),
+    crosswalks: engine.initialState.crosswalks.map(describeCrosswalk)
+  },
+  lanes: {
+    laneCount: engine.lanes.laneCount,
+    laneWidth: engine.lanes.laneWidth,
+    shoulderWidth: engine.lanes.shoulderWidth
+  },
+  ego: { ...engine.initialState.ego },
+  vehicles: engine.initialState.vehicles.map(vehicle => ({ ...vehicle })),
+  pedestrians: engine.initialState.pedestrians.map(describePedestrian),
+  traffic: {
+    spawnRate: engine.config.traffic.spawnRate,
+    speedRange: [...engine.config.traffic.speedRange],
+    spawnGap: engine.config.traffic.spawnGap
+  },
+  sensors: Object.fromEntries(Object.entries(engine.config.sensors).map(([name, model]) => [name, { ...model }])),
+  faults: engine.config.faults.map(fault => ({ ...fault })),
+  weather: engine.weather,
+  settings: {
+    laneKeeping: engine.settings.laneKeeping,
+    adaptiveCruise: engine.settings.adaptiveCruise,
+    setSpeed: engine.settings.setSpeed,
+    timeGap: engine.settings.timeGap,
+    laneChange: engine.settings.laneChange,
+    lidar: engine.settings.lidar,
+    laneSource: engine.settings.laneSource,
+    emergencyBraking: engine.settings.emergencyBraking,
+    controller: engine.settings.controller,
+    controllerParameters: { ...engine.settings.controllerParameters },
+    vehicleModel: engine.vehicleParams.model
+  },
+  criteria: {
+    outcome: 'completed',
+    maxTime: engine.config.maxTime
+  }
+});
+
+// Compare a run summary with the scenario's success criteria
+export const evaluateCriteria = (criteria, summary) => {
+  const failures = [];
+  if (summary.outcome !== criteria.outcome) {
+    failures.push(`Outcome ${OUTCOMES[summary.outcome]}, expected ${OUTCOMES[criteria.outcome]}`);
+  }
+  if (criteria.maxLateralError !== undefined && summary.maxLateralError > criteria.maxLateralError) {
+    failures.push(`Lateral error ${summary.maxLateralError.toFixed(2)} m above ${criteria.maxLateralError} m`);
+  }
+  if (criteria.minFrontDistance !== undefined && summary.minFrontDistance < criteria.minFrontDistance) {
+    failures.push(`Front distance ${summary.minFrontDistance.toFixed(1)} m below ${criteria.minFrontDistance} m`);
+  }
+  if (criteria.minAverageSpeed !== undefined && summary.averageSpeed < criteria.minAverageSpeed) {
+    failures.push(`Average speed ${summary.averageSpeed.toFixed(1)} m/s below ${criteria.minAverageSpeed} m/s`);
+  }
+  return { passed: failures.length === 0, failures };
+};
@@ -0,0 +1,127 @@
+import SimulationEngine from './SimulationEngine';
+import { parseScenario, validateScenario, exportScenario, evaluateCriteria } from './scenario';
+
+const runToEnd = (engine, dt = 1 / 60, maxSteps = 100000) => {
+  for (let steps = 0; !engine.finished && steps < maxSteps; steps++) {
+    engine.step(dt);
+  }
+};
+
+// Stopped car in lane 2 at 200 m, just after a left bend
+const stoppedCarAfterBend = {
+  version: 1,
+  name: 'Stopped car after left bend',
+  road: {
+    segmentLength: 25,
+    curvatures: [0, 0, 0, -0.004, -0.006, -0.004, 0, 0, 0, 0, 0, 0]
+  },
+  lanes: { laneCount: 2 },
+  ego: { lane: 1, speed: 6 },
+  vehicles: [{ lane: 1, station: 200 }],
+  criteria: { outcome: 'completed', maxTime: 120 }
+};
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+describe('validateScenario', () => {
+  test('accepts a minimal scenario and fills in defaults', () => {
+    const scenario = copy(stoppedCarAfterBend);
+    expect(validateScenario(scenario)).toEqual([]);
+    expect(scenario.lanes.laneWidth).toBe(4);
+    expect(scenario.vehicles[0].desiredSpeed).toBe(0);
+    expect(scenario.settings.controller).toBe('purePursuit');
+    expect(scenario.traffic.spawnRate).toBe(0);
+  });
+
+  test('reports schema violations', () => {
+    const scenario = copy(stoppedCarAfterBend);
+    delete scenario.road;
+    scenario.ego.speed = -1;
+    scenario.settings = { controller: 'autopilot' };
+
+    const errors = validateScenario(scenario);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('road'),
+      expect.stringMatching(/^\/ego\/speed/),
+      expect.stringMatching(/^\/settings\/controller/)
+    ]));
+  });
+
+  test('reports vehicles outside the lanes or the road', () => {
+    const scenario = copy(stoppedCarAfterBend);
+    scenario.vehicles.push({ lane: 2, station: 10 }, { lane: 0, station: 400 });
+
+    expect(validateScenario(scenario)).toEqual([
+      '/vehicles/1/lane must be less than the lane count (2)',
+      '/vehicles/2/station must be on the road (at most 300 m)'
+    ]);
+  });
+
+  test('parseScenario throws on bad JSON and invalid scenarios', () => {
+    expect(() => parseScenario('{')).toThrow('not valid JSON');
+    expect(() => parseScenario('{"version": 2}')).toThrow('Invalid scenario');
+  });
+});
+
+describe('running scenarios', () => {
+  test('places the road, ego car and vehicles from the scenario', () => {
+    const engine = new SimulationEngine();
+    engine.loadScenario(parseScenario(JSON.stringify(stoppedCarAfterBend)));
+
+    expect(engine.roadLength).toBe(300);
+    expect(engine.obstacles).toHaveLength(1);
+    expect(engine.obstacles[0].parked).toBe(true);
+    expect(engine.getLanePosition().laneIndex).toBe(1);
+    expect(engine.centerline.pointAt(150).heading).toBeLessThan(-0.2);
+
+    runToEnd(engine);
+    expect(engine.outcome.type).toBe('completed');
+    expect(engine.summary.laneChanges).toBe(1);
+    expect(engine.summary.criteria).toEqual({ passed: true, failures: [] });
+  });
+
+  test('exported roads replay the generated run exactly', () => {
+    const generated = new SimulationEngine({ seed: 7 });
+    const text = JSON.stringify(exportScenario(generated));
+    runToEnd(generated);
+
+    const replay = new SimulationEngine();
+    replay.loadScenario(parseScenario(text));
+    runToEnd(replay);
+
+    expect(replay.outcome).toEqual(generated.outcome);
+    expect(replay.carPosition).toEqual(generated.carPosition);
+    expect(replay.summary).toEqual({ ...generated.summary, criteria: expect.any(Object) });
+  });
+
+  test('unloading a scenario goes back to generated roads', () => {
+    const engine = new SimulationEngine({
+      seed: 3,
+      config: { vehicle: { model: 'dynamic' } },
+      settings: { setSpeed: 9, lidar: false, controller: 'stanley' }
+    });
+    const roadCurves = engine.roadCurves;
+    const settings = { ...engine.settings };
+    engine.loadScenario(parseScenario(JSON.stringify(stoppedCarAfterBend)));
+    expect(engine.settings.setSpeed).toBe(6);
+    expect(engine.vehicleParams.model).toBe('kinematic');
+    engine.unloadScenario();
+
+    expect(engine.scenario).toBe(null);
+    expect(engine.roadLength).toBe(500);
+    expect(engine.roadCurves).toEqual(roadCurves);
+    expect(engine.settings).toEqual(settings);
+    expect(engine.vehicleParams.model).toBe('dynamic');
+  });
+});
+
+test('evaluateCriteria lists every failed criterion', () => {
+  const summary = { outcome: 'collision', maxLateralError: 1.5, minFrontDistance: 0, averageSpeed: 5 };
+  const result = evaluateCriteria({ outcome: 'completed', maxLateralError: 0.5, minAverageSpeed: 4 }, summary);
+
+  expect(result.passed).toBe(false);
+  expect(result.failures).toEqual([
+    'Outcome Collision, expected Completed',
+    'Lateral error 1.50 m above 0.5 m'
+  ]);
+});
@@ -0,0 +1,148 @@
+import { createRandom, createGaussian } from './random';
+import { weatherOf, withRangeNoise } from './weather';
+
+// Imperfect sensors. Every sensor reading passes through a noise model
+// before the driver assistance systems see it:
+//   latency   the reading is the true value from that many ticks ago
+//   noise     Gaussian noise with this standard deviation is added
+//   bias      a constant offset is added
+//   dropout   probability per tick that there is no reading
+//   stuck     the output freezes, at stuckAt or (null) at its last value
+//   failed    there is never a reading
+// Faults switch parts of a sensor's model on during a run, starting at a
+// simulation time (s) or a distance driven (m), optionally for a limited
+// duration in the same unit:
+//   { sensor: 'front', type: 'stuck', value: 30, trigger: 'time', at: 10, duration: 5 }
+
+// Scalar readings with their unit, the value reported without a reading
+// and whether they are distances measured by a range sensor
+export const SENSORS = {
+  front: { label: 'Front', unit: 'm', noReading: Infinity, minimum: 0, range: true },
+  left: { label: 'Left', unit: 'm', noReading: Infinity, minimum: 0, range: true },
+  right: { label: 'Right', unit: 'm', noReading: Infinity, minimum: 0, range: true },
+  // Camera lane detection: the offset in the lane, no reading = no lane
+  lane: { label: 'Lane offset', unit: 'm', noReading: null, minimum: -Infinity }
+};
+
+export const DEFAULT_SENSOR_MODEL = {
+  noise: 0,
+  bias: 0,
+  latency: 0,
+  dropout: 0,
+  stuck: false,
+  stuckAt: null,
+  failed: false
+};
+
+export const FAULT_TYPES = {
+  noise: 'Noise σ',
+  bias: 'Bias',
+  latency: 'Latency (ticks)',
+  dropout: 'Dropout probability',
+  stuck: 'Stuck',
+  failure: 'Failure'
+};
+
+export const FAULT_TRIGGERS = { time: 's', distance: 'm' };
+
+export const defaultSensorModels = () => Object.fromEntries(
+  Object.keys(SENSORS).map(name => [name, { ...DEFAULT_SENSOR_MODEL }])
+);
+
+// Problem with a fault description, or null when it is usable
+export const validateFault = (fault) => {
+  if (!SENSORS[fault.sensor]) return `Unknown sensor ${fault.sensor}`;
+  if (!FAULT_TYPES[fault.type]) return `Unknown fault type ${fault.type}`;
+  if (!FAULT_TRIGGERS[fault.trigger]) return `Unknown trigger ${fault.trigger}`;
+  if (!(fault.at >= 0)) return 'Faults start at a time or distance of 0 or more';
+  if (fault.duration !== undefined && !(fault.duration > 0)) return 'Fault durations must be positive';
+  const needsValue = !['stuck', 'failure'].includes(fault.type);
+  if (needsValue && !Number.isFinite(fault.value)) return `A ${FAULT_TYPES[fault.type].toLowerCase()} fault needs a value`;
+  if (fault.type === 'dropout' && (fault.value < 0 || fault.value > 1)) return 'Dropout probabilities are between 0 and 1';
+  if ((fault.type === 'noise' || fault.type === 'latency') && fault.value < 0) return `${FAULT_TYPES[fault.type]} can't be negative`;
+  return null;
+};
+
+// Whether a fault applies at a point of the run ({ time, distance })
+export const isFaultActive = (fault, progress) => {
+  const position = progress[fault.trigger];
+  return position >= fault.at && (fault.duration === undefined || position < fault.at + fault.duration);
+};
+
+// Model changes a fault makes while it is active
+const faultOverrides = (fault) => {
+  switch (fault.type) {
+    case 'stuck':
+      return { stuck: true, stuckAt: fault.value === undefined ? null : fault.value };
+    case 'failure':
+      return { failed: true };
+    default:
+      return { [fault.type]: fault.value };
+  }
+};
+
+// A sensor's model with the faults active at a point of the run
+export const effectiveSensorModel = (model, faults, sensor, progress) => faults
+  .filter(fault => fault.sensor === sensor && isFaultActive(fault, progress))
+  .reduce((current, fault) => ({ ...current, ...faultOverrides(fault) }), { ...DEFAULT_SENSOR_MODEL, ...model });
+
+// Noise model state of one sensor: past true values for the latency, the
+// last output and the frozen value while stuck
+export const createSensorChannel = (random = createRandom(0)) => {
+  const gaussian = createGaussian(random);
+  const history = [];
+  let lastOutput;
+  let stuckValue;
+
+  // Measured value for a true value under a model; noReading without one
+  const read = (value, model, { noReading = Infinity, minimum = -Infinity } = {}) => {
+    history.push(value);
+    while (history.length > model.latency + 1) history.shift();
+    const delayed = history[0];
+
+    let output;
+    if (model.failed) {
+      output = noReading;
+    } else if (model.stuck) {
+      if (stuckValue === undefined) {
+        stuckValue = model.stuckAt === null ? (lastOutput === undefined ? delayed : lastOutput) : model.stuckAt;
+      }
+      output = stuckValue;
+    } else if (model.dropout > 0 && random() < model.dropout) {
+      output = noReading;
+    } else if (Number.isFinite(delayed)) {
+      output = Math.max(minimum, delayed + model.bias + (model.noise > 0 ? model.noise * gaussian() : 0));
+    } else {
+      output = delayed;
+    }
+
+    if (!model.stuck) stuckValue = undefined;
+    lastOutput = output;
+    return output;
+  };
+
+  return { read };
+};
+
+// One channel per sensor, each with its own random stream
+export const createSensorChannels = (seed) => Object.fromEntries(
+  Object.keys(SENSORS).map((name, i) => [name, createSensorChannel(createRandom((seed + i * 0x9e3779b9) >>> 0))])
+);
+
+// Pass a true reading of a sensor through its noise model and the active
+// faults of the simulation, with the extra noise of the weather on ranges
+export const readSensor = (simulation, sensor, value) => {
+  const faulty = effectiveSensorModel(
+    simulation.config.sensors[sensor],
+    simulation.config.faults,
+    sensor,
+    { time: simulation.time, distance: simulation.distance }
+  );
+  const model = SENSORS[sensor].range ? withRangeNoise(faulty, weatherOf(simulation)) : faulty;
+  return simulation.sensorChannels[sensor].read(value, model, SENSORS[sensor]);
+};
+
+// Faults active at the simulation's current time and distance
+export const activeFaults = (simulation) => simulation.config.faults.filter(fault => (
+  isFaultActive(fault, { time: simulation.time, distance: simulation.distance })
+));
@@ -0,0 +1,151 @@
+import SimulationEngine from './SimulationEngine';
+import {
+  createSensorChannel,
+  effectiveSensorModel,
+  isFaultActive,
+  validateFault,
+  DEFAULT_SENSOR_MODEL
+} from './sensorFaults';
+import { createRandom } from './random';
+import { createTrafficVehicle } from './traffic';
+import { updateSensors } from './sensors';
+import { updateAdaptiveCruiseControl } from './adaptiveCruiseControl';
+import { parseScenario, exportScenario } from './scenario';
+
+const model = (changes) => ({ ...DEFAULT_SENSOR_MODEL, ...changes });
+
+// Readings of a channel for a sequence of true values
+const readAll = (channel, values, sensorModel) => values.map(value => channel.read(value, sensorModel));
+
+describe('sensor channel', () => {
+  test('passes readings through unchanged by default', () => {
+    expect(readAll(createSensorChannel(), [5, 6, Infinity], model())).toEqual([5, 6, Infinity]);
+  });
+
+  test('delays readings by the latency in ticks', () => {
+    expect(readAll(createSensorChannel(), [1, 2, 3, 4], model({ latency: 2 }))).toEqual([1, 1, 1, 2]);
+  });
+
+  test('adds bias and Gaussian noise', () => {
+    const channel = createSensorChannel(createRandom(4));
+    const readings = readAll(channel, new Array(2000).fill(20), model({ bias: 1.5, noise: 0.5 }));
+    const mean = readings.reduce((sum, value) => sum + value, 0) / readings.length;
+    const deviation = Math.sqrt(readings.reduce((sum, value) => sum + (value - mean) ** 2, 0) / readings.length);
+
+    expect(mean).toBeCloseTo(21.5, 1);
+    expect(deviation).toBeCloseTo(0.5, 1);
+  });
+
+  test('drops readings with the dropout probability', () => {
+    const channel = createSensorChannel(createRandom(4));
+    const readings = readAll(channel, new Array(2000).fill(20), model({ dropout: 0.25 }));
+    const dropped = readings.filter(value => value === Infinity).length / readings.length;
+
+    expect(dropped).toBeGreaterThan(0.2);
+    expect(dropped).toBeLessThan(0.3);
+  });
+
+  test('stuck sensors freeze at a value or their last reading', () => {
+    expect(readAll(createSensorChannel(), [5, 6], model({ stuck: true, stuckAt: 30 }))).toEqual([30, 30]);
+
+    const channel = createSensorChannel();
+    channel.read(8, model());
+    expect(readAll(channel, [7, 6], model({ stuck: true }))).toEqual([8, 8]);
+    expect(channel.read(5, model())).toBe(5);
+  });
+
+  test('failed sensors report no reading', () => {
+    const channel = createSensorChannel();
+    expect(channel.read(5, model({ failed: true }))).toBe(Infinity);
+    expect(channel.read(5, model({ failed: true }), { noReading: null })).toBe(null);
+  });
+});
+
+describe('faults', () => {
+  const fault = { sensor: 'front', type: 'bias', value: -5, trigger: 'distance', at: 100, duration: 50 };
+
+  test('are active from their trigger for their duration', () => {
+    expect(isFaultActive(fault, { time: 0, distance: 99 })).toBe(false);
+    expect(isFaultActive(fault, { time: 0, distance: 100 })).toBe(true);
+    expect(isFaultActive(fault, { time: 0, distance: 150 })).toBe(false);
+    expect(isFaultActive({ ...fault, duration: undefined }, { time: 0, distance: 1000 })).toBe(true);
+  });
+
+  test('override the sensor model while active', () => {
+    const faults = [fault, { sensor: 'front', type: 'failure', trigger: 'time', at: 10 }];
+
+    expect(effectiveSensorModel(model(), faults, 'front', { time: 0, distance: 120 }).bias).toBe(-5);
+    expect(effectiveSensorModel(model(), faults, 'left', { time: 0, distance: 120 }).bias).toBe(0);
+    expect(effectiveSensorModel(model(), faults, 'front', { time: 10, distance: 0 }).failed).toBe(true);
+  });
+
+  test('are checked for usable values', () => {
+    expect(validateFault(fault)).toBe(null);
+    expect(validateFault({ ...fault, value: undefined })).toMatch('needs a value');
+    expect(validateFault({ ...fault, type: 'dropout', value: 2 })).toMatch('between 0 and 1');
+    expect(validateFault({ ...fault, sensor: 'radar' })).toMatch('Unknown sensor');
+  });
+});
+
+describe('faults in the simulation', () => {
+  const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+  // Stopped car 8 m ahead of the ego car
+  const carAhead = (engine) => {
+    const ego = engine.centerline.project(engine.carPosition);
+    engine.obstacles = [createTrafficVehicle(engine.centerline, {
+      id: 9,
+      station: ego.station + 12,
+      lane: 0,
+      lateralOffset: engine.lanes.lanes[0].center
+    })];
+    updateSensors(engine);
+  };
+
+  test('a failed front sensor leaves adaptive cruise control blind', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { lidar: false } });
+    carAhead(engine);
+    updateAdaptiveCruiseControl(engine);
+    const healthyTarget = engine.targetSpeed;
+
+    engine.config.faults = [{ sensor: 'front', type: 'failure', trigger: 'time', at: 0 }];
+    updateSensors(engine);
+    updateAdaptiveCruiseControl(engine);
+
+    expect(engine.trueSensorReadings.front).toBeCloseTo(8);
+    expect(engine.sensorReadings.front).toBe(Infinity);
+    expect(engine.targetSpeed).toBeGreaterThan(healthyTarget);
+  });
+
+  test('noisy runs replay exactly from the seed', () => {
+    const config = {
+      sensors: { front: { noise: 0.5, dropout: 0.1 } },
+      faults: [{ sensor: 'front', type: 'stuck', trigger: 'distance', at: 50, duration: 20 }]
+    };
+    const run = () => {
+      const engine = new SimulationEngine({ seed: 2, config });
+      for (let i = 0; i < 600; i++) engine.step(1 / 60);
+      return engine.getPose();
+    };
+
+    expect(run()).toEqual(run());
+  });
+
+  test('scenarios carry sensor models and faults', () => {
+    const engine = new SimulationEngine({
+      seed: 2,
+      config: { sensors: { left: { bias: 0.3 } }, faults: [{ sensor: 'lane', type: 'latency', value: 3, trigger: 'time', at: 5 }] }
+    });
+    const scenario = parseScenario(JSON.stringify(exportScenario(engine)));
+    expect(scenario.sensors.left.bias).toBe(0.3);
+    expect(scenario.faults).toHaveLength(1);
+
+    const replay = new SimulationEngine();
+    replay.loadScenario(scenario);
+    expect(replay.config.sensors.left.bias).toBe(0.3);
+    expect(replay.config.faults[0].sensor).toBe('lane');
+
+    scenario.faults[0].value = -1;
+    expect(() => parseScenario(JSON.stringify(scenario))).toThrow("can't be negative");
+  });
+});
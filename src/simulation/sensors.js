@@ -0,0 +1,148 @@
+import { localToWorld, rotateDirection, intersectRayBox } from './geometry';
+import { readSensor } from './sensorFaults';
+import { weatherOf, limitRange } from './weather';
+
+// Mounting positions and ray directions in the car's local frame
+export const SENSOR_LAYOUT = {
+  front: { offset: { x: 0, z: 2 }, direction: { x: 0, z: 1 } },
+  left: { offset: { x: -1, z: 0 }, direction: { x: -1, z: 0 } },
+  right: { offset: { x: 1, z: 0 }, direction: { x: 1, z: 0 } }
+};
+
+// Footprint used for ray hits against other cars
+export const VEHICLE_HALF_WIDTH = 1;
+export const VEHICLE_HALF_LENGTH = 2;
+
+// Half width and length of an object the sensors see: its own footprint
+// when it has one (pedestrians), a car's otherwise
+export const footprintOf = (object) => ({
+  halfWidth: object.halfWidth || VEHICLE_HALF_WIDTH,
+  halfLength: object.halfLength || VEHICLE_HALF_LENGTH
+});
+
+// Other vehicles and pedestrians, the objects the sensors see
+export const sensedObjects = (simulation) => simulation.obstacles.concat(simulation.pedestrians);
+
+// Margin (m) added to the car's half width for the path ahead
+const CORRIDOR_MARGIN = 0.5;
+
+// An object in the path whose nearest point is more than this (m) behind
+// the car's front is alongside, not ahead. Well above the range noise, so
+// that noise never drops a car right in front.
+export const ALONGSIDE_OVERLAP = 1;
+
+// Lateral offsets (m) bounding the path ahead: the car's width with a
+// margin, swept from its lateral offset `ego.lateralOffset` to the target
+// one. During a lane change it is swept to the target lane's center
+// instead, and without the margin on the side of the lane being left, so
+// what the car has already moved away from there does not hold it up.
+export const pathCorridor = (simulation, ego) => {
+  const halfWidth = VEHICLE_HALF_WIDTH + CORRIDOR_MARGIN;
+  const { phase, targetLane } = simulation.laneChange.state;
+  if (phase === 'changing') {
+    const { center } = simulation.lanes.lanes[targetLane];
+    return center >= ego.lateralOffset
+      ? { left: ego.lateralOffset - VEHICLE_HALF_WIDTH, right: center + halfWidth }
+      : { left: center - halfWidth, right: ego.lateralOffset + VEHICLE_HALF_WIDTH };
+  }
+  return {
+    left: Math.min(ego.lateralOffset, simulation.targetLateralOffset) - halfWidth,
+    right: Math.max(ego.lateralOffset, simulation.targetLateralOffset) + halfWidth
+  };
+};
+
+// Where an object is on the road: the projection of its center, and how
+// far its footprint reaches along and across the road
+const placeOnRoad = (simulation, object) => {
+  const projection = simulation.centerline.project(object.position);
+  const { halfWidth, halfLength } = footprintOf(object);
+  const angle = object.rotation - projection.heading;
+  return {
+    station: projection.station,
+    lateralOffset: projection.lateralOffset,
+    along: Math.abs(halfLength * Math.cos(angle)) + Math.abs(halfWidth * Math.sin(angle)),
+    across: Math.abs(halfLength * Math.sin(angle)) + Math.abs(halfWidth * Math.cos(angle))
+  };
+};
+
+const inCorridor = (place, corridor) =>
+  place.lateralOffset + place.across >= corridor.left && place.lateralOffset - place.across <= corridor.right;
+
+// Exact gap along the road to the nearest object in the path ahead, the
+// ground truth of the LiDAR's front distance (see lidar.js)
+export const pathDistance = (simulation) => {
+  const ego = simulation.centerline.project(simulation.vehicle.position);
+  const front = ego.station + VEHICLE_HALF_LENGTH;
+  const corridor = pathCorridor(simulation, ego);
+
+  let nearest = Infinity;
+  sensedObjects(simulation).forEach(object => {
+    const place = placeOnRoad(simulation, object);
+    if (place.station <= ego.station || !inCorridor(place, corridor)) return;
+    const rear = place.station - place.along;
+    if (rear >= front - ALONGSIDE_OVERLAP) nearest = Math.min(nearest, Math.max(0, rear - front));
+  });
+  return nearest;
+};
+
+// Objects the front ray sees: during a lane change only those in the path
+// (see pathCorridor), as the LiDAR's front distance
+const frontRayObjects = (simulation, objects) => {
+  if (simulation.laneChange.state.phase !== 'changing') return objects;
+  const corridor = pathCorridor(simulation, simulation.centerline.project(simulation.vehicle.position));
+  return objects.filter(object => inCorridor(placeOnRoad(simulation, object), corridor));
+};
+
+// Distance to the nearest obstacle along a ray, or Infinity
+export const castRay = (origin, direction, obstacles) => {
+  let nearest = Infinity;
+  
+  obstacles.forEach(obstacle => {
+    const distance = intersectRayBox(origin, direction, {
+      position: obstacle.position,
+      rotation: obstacle.rotation,
+      ...footprintOf(obstacle)
+    });
+    nearest = Math.min(nearest, distance);
+  });
+  
+  return nearest;
+};
+
+// Update sensor readings after dt seconds (a full LiDAR sweep without dt).
+// The exact distances go to trueSensorReadings, the readings through the
+// weather and the sensors' noise models to sensorReadings.
+export const updateSensors = (simulation, dt) => {
+  const readings = simulation.trueSensorReadings;
+  const measured = {};
+  const pose = {
+    position: simulation.carPosition,
+    rotation: simulation.carRotation
+  };
+  const objects = sensedObjects(simulation);
+  
+  Object.keys(SENSOR_LAYOUT).forEach(name => {
+    const sensor = SENSOR_LAYOUT[name];
+    const origin = localToWorld(pose, sensor.offset);
+    const direction = rotateDirection(simulation.carRotation, sensor.direction);
+    readings[name] = castRay(origin, direction, name === 'front' ? frontRayObjects(simulation, objects) : objects);
+  });
+  
+  // With the LiDAR on, the front distance follows the path ahead (also
+  // through curves) instead of the straight front ray. It is measured from
+  // the noisy scan; the ground truth is the exact path distance.
+  if (simulation.settings.lidar) {
+    simulation.lidar.update(simulation, dt);
+    readings.front = pathDistance(simulation);
+    measured.front = simulation.lidar.frontDistance(simulation);
+  } else {
+    simulation.lidar.clear();
+  }
+
+  // Fog hides what is beyond the visibility
+  const condition = weatherOf(simulation);
+  Object.keys(readings).forEach(name => {
+    const distance = name in measured ? measured[name] : readings[name];
+    simulation.sensorReadings[name] = readSensor(simulation, name, limitRange(distance, condition));
+  });
+};
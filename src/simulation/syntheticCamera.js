@@ -0,0 +1,74 @@
+import { localToWorld } from './geometry';
+import { pixelToGround, DEFAULT_CAMERA_MODEL } from './laneDetection';
+import { applyCameraContrast, weatherOf } from './weather';
+
+// Software stand-in for the rendered camera, for headless runs (tests,
+// Node): draws the lane markings of the simulation's road the way the 3D
+// view paints them (white edge lines, yellow dashes on asphalt) into an
+// RGBA image. Other vehicles and lighting are left out; the weather only
+// lowers the image contrast (at night).
+
+// Marking dimensions as in rendering/roadMeshes.js (m)
+const LINE_WIDTH = 0.3;
+const DASH_LENGTH = 3;
+const DASH_GAP = 2;
+
+const ASPHALT = [26, 26, 26];
+const GRASS = [60, 110, 50];
+const WHITE = [255, 255, 255];
+const YELLOW = [255, 153, 0];
+const SKY = [135, 206, 235];
+
+// Ground beyond this distance (m) is drawn plain, the markings there are
+// below a pixel anyway
+const DRAW_DISTANCE = 60;
+
+// Image buffer for a camera model
+export const createImage = (model = DEFAULT_CAMERA_MODEL) => ({
+  width: model.width,
+  height: model.height,
+  data: new Uint8ClampedArray(model.width * model.height * 4)
+});
+
+// Color of the road surface at a point given by its station and offset
+const surfaceColor = (lanes, station, lateralOffset) => {
+  if (Math.abs(lateralOffset) > lanes.roadWidth / 2) return GRASS;
+
+  for (const boundary of lanes.boundaries) {
+    if (Math.abs(lateralOffset - boundary.offset) > LINE_WIDTH / 2) continue;
+    if (boundary.type === 'edge') return WHITE;
+    const phase = station % (DASH_LENGTH + DASH_GAP);
+    return phase >= 0 && phase < DASH_LENGTH ? YELLOW : ASPHALT;
+  }
+  return ASPHALT;
+};
+
+// Draw the camera image for the car's current pose. The road is projected
+// once per image row and taken as straight along the row.
+export const renderLaneImage = (simulation, model = DEFAULT_CAMERA_MODEL, image = createImage(model)) => {
+  const { centerline, lanes, vehicle } = simulation;
+  const pose = { position: vehicle.position, rotation: vehicle.heading };
+
+  for (let v = 0; v < image.height; v++) {
+    const middle = pixelToGround(model, image.width / 2, v + 0.5);
+    const road = middle && middle.z <= DRAW_DISTANCE ? centerline.project(localToWorld(pose, middle)) : null;
+
+    for (let u = 0; u < image.width; u++) {
+      let color = middle ? GRASS : SKY;
+      if (road) {
+        const point = localToWorld(pose, pixelToGround(model, u + 0.5, v + 0.5));
+        const dx = point.x - road.x;
+        const dz = point.z - road.z;
+        const station = road.station + dx * Math.sin(road.heading) + dz * Math.cos(road.heading);
+        const lateralOffset = dx * Math.cos(road.heading) - dz * Math.sin(road.heading);
+        color = surfaceColor(lanes, station, lateralOffset);
+      }
+      const i = (v * image.width + u) * 4;
+      image.data[i] = color[0];
+      image.data[i + 1] = color[1];
+      image.data[i + 2] = color[2];
+      image.data[i + 3] = 255;
+    }
+  }
+  return applyCameraContrast(image, weatherOf(simulation));
+};
@@ -0,0 +1,129 @@
+import { headingError } from './roadGeometry';
+import { STEP_RATES } from './fixedTimestep';
+
+// Telemetry for tuning the controllers: a few signals sampled every tick,
+// with the last `window` seconds kept for scrolling charts and min, max
+// and RMS over the whole run. Non-finite samples (no front reading, no
+// time to collision) are kept as gaps and left out of the statistics.
+
+export const TELEMETRY_WINDOW = 20; // s of samples kept for the charts
+
+// Charts and the signals drawn on them
+export const TELEMETRY_CHANNELS = [
+  { key: 'speed', label: 'Speed', unit: 'm/s', signals: ['speed', 'targetSpeed'] },
+  { key: 'lateralOffset', label: 'Lateral offset from lane center', unit: 'm', signals: ['lateralOffset'], symmetric: true },
+  { key: 'headingError', label: 'Heading error', unit: 'rad', signals: ['headingError'], symmetric: true },
+  { key: 'steering', label: 'Steering command', unit: 'rad', signals: ['steering'], symmetric: true },
+  { key: 'frontDistance', label: 'Front distance', unit: 'm', signals: ['frontDistance'] },
+  // Charted up to maxValue; longer times are as good as no collision
+  { key: 'ttc', label: 'Time to collision', unit: 's', signals: ['ttc'], maxValue: 10 }
+];
+
+export const SIGNAL_LABELS = {
+  speed: 'Speed',
+  targetSpeed: 'Target speed',
+  lateralOffset: 'Lateral offset',
+  headingError: 'Heading error',
+  steering: 'Steering',
+  frontDistance: 'Front distance',
+  ttc: 'TTC'
+};
+
+// Signal values of the current tick
+export const sampleSignals = (simulation) => {
+  const { vehicle } = simulation;
+  const projection = simulation.centerline.project(vehicle.position);
+  const laneIndex = simulation.lanes.laneAt(projection.lateralOffset);
+  const front = simulation.sensorReadings.front;
+
+  return {
+    speed: vehicle.speed,
+    targetSpeed: simulation.targetSpeed,
+    lateralOffset: laneIndex === -1 ? NaN : projection.lateralOffset - simulation.lanes.lanes[laneIndex].center,
+    headingError: headingError(projection.heading, vehicle.heading),
+    steering: simulation.controls.steeringAngle,
+    frontDistance: front,
+    ttc: vehicle.speed > 0 ? front / vehicle.speed : Infinity
+  };
+};
+
+// Fixed capacity ring buffer of (time, value) samples
+const createSeries = (capacity) => {
+  const times = new Float64Array(capacity);
+  const values = new Float64Array(capacity);
+  const series = { length: 0 };
+  let start = 0;
+
+  series.clear = () => {
+    start = 0;
+    series.length = 0;
+  };
+
+  series.push = (time, value) => {
+    const index = (start + series.length) % capacity;
+    times[index] = time;
+    values[index] = value;
+    if (series.length < capacity) series.length++;
+    else start = (start + 1) % capacity;
+  };
+
+  // Visit samples oldest first
+  series.forEach = (visit) => {
+    for (let i = 0; i < series.length; i++) {
+      const index = (start + i) % capacity;
+      visit(times[index], values[index]);
+    }
+  };
+
+  return series;
+};
+
+const createStats = () => ({ min: Infinity, max: -Infinity, squares: 0, count: 0 });
+
+const addToStats = (stats, value) => {
+  if (!Number.isFinite(value)) return;
+  stats.min = Math.min(stats.min, value);
+  stats.max = Math.max(stats.max, value);
+  stats.squares += value * value;
+  stats.count++;
+};
+
+// { min, max, rms } of a signal over the run, nulls before any sample
+export const describeStats = (stats) => (stats.count === 0
+  ? { min: null, max: null, rms: null }
+  : { min: stats.min, max: stats.max, rms: Math.sqrt(stats.squares / stats.count) });
+
+// Keeps `window` seconds of samples at up to `rate` ticks per second
+export const createTelemetry = ({ window = TELEMETRY_WINDOW, rate = Math.max(...STEP_RATES) } = {}) => {
+  const capacity = Math.ceil(window * rate) + 1;
+  const signals = Object.keys(SIGNAL_LABELS);
+  const telemetry = {
+    window,
+    time: 0,
+    series: Object.fromEntries(signals.map(signal => [signal, createSeries(capacity)])),
+    stats: Object.fromEntries(signals.map(signal => [signal, createStats()]))
+  };
+
+  const reset = () => {
+    telemetry.time = 0;
+    signals.forEach(signal => {
+      telemetry.series[signal].clear();
+      telemetry.stats[signal] = createStats();
+    });
+  };
+
+  // Sample the simulation at its current time
+  const record = (simulation) => {
+    const values = sampleSignals(simulation);
+    telemetry.time = simulation.time;
+    signals.forEach(signal => {
+      telemetry.series[signal].push(simulation.time, values[signal]);
+      addToStats(telemetry.stats[signal], values[signal]);
+    });
+  };
+
+  // min, max and RMS of every signal so far
+  const summary = () => Object.fromEntries(signals.map(signal => [signal, describeStats(telemetry.stats[signal])]));
+
+  return Object.assign(telemetry, { reset, record, summary });
+};
@@ -0,0 +1,73 @@
+import SimulationEngine from './SimulationEngine';
+import { createTrafficVehicle } from './traffic';
+import { createTelemetry, sampleSignals } from './telemetry';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+const drive = (engine, seconds, dt = 1 / 60) => {
+  for (let steps = 0; steps < seconds / dt && !engine.finished; steps++) {
+    engine.step(dt);
+  }
+};
+
+// Collect the samples of a signal, oldest first
+const samples = (telemetry, signal) => {
+  const result = [];
+  telemetry.series[signal].forEach((time, value) => result.push({ time, value }));
+  return result;
+};
+
+describe('telemetry', () => {
+  test('samples the signals the controllers are tuned on', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { lidar: false } });
+    const ego = engine.centerline.project(engine.carPosition);
+    engine.obstacles = [createTrafficVehicle(engine.centerline, {
+      id: 2, station: ego.station + 24, lane: 0, lateralOffset: engine.lanes.lanes[0].center
+    })];
+    engine.step(1 / 60);
+
+    const signals = sampleSignals(engine);
+    expect(signals.speed).toBe(engine.vehicle.speed);
+    expect(signals.targetSpeed).toBe(engine.targetSpeed);
+    expect(Math.abs(signals.lateralOffset)).toBeLessThan(0.05);
+    expect(signals.frontDistance).toBeCloseTo(20, 0);
+    expect(signals.ttc).toBeCloseTo(signals.frontDistance / signals.speed);
+  });
+
+  test('keeps a sliding window and run statistics', () => {
+    const telemetry = createTelemetry({ window: 1, rate: 10 });
+    const simulation = new SimulationEngine({ seed: 1, config: noTraffic });
+    simulation.obstacles = [];
+
+    for (let i = 1; i <= 30; i++) {
+      simulation.time = i / 10;
+      simulation.vehicle.speed = i;
+      telemetry.record(simulation);
+    }
+
+    const speeds = samples(telemetry, 'speed');
+    expect(speeds).toHaveLength(11);
+    expect(speeds[0]).toEqual({ time: 2, value: 20 });
+    expect(speeds[10]).toEqual({ time: 3, value: 30 });
+
+    const { speed, frontDistance } = telemetry.summary();
+    expect(speed.min).toBe(1);
+    expect(speed.max).toBe(30);
+    // RMS of 1..30
+    expect(speed.rms).toBeCloseTo(Math.sqrt(30 * 31 * 61 / 6 / 30));
+    // No front reading: gaps in the chart, no statistics
+    expect(frontDistance).toEqual({ min: null, max: null, rms: null });
+  });
+
+  test('the engine records every tick and starts over on reset', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+    drive(engine, 2);
+
+    expect(samples(engine.telemetry, 'steering')).toHaveLength(121);
+    expect(engine.telemetry.time).toBeCloseTo(2);
+    expect(engine.telemetry.summary().lateralOffset.rms).toBeLessThan(0.1);
+
+    engine.reset();
+    expect(samples(engine.telemetry, 'steering')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,248 @@
+import { localToWorld, rotateDirection } from './geometry';
+import { SENSOR_LAYOUT, VEHICLE_HALF_WIDTH, VEHICLE_HALF_LENGTH, pathCorridor } from './sensors';
+
+// Object tracking on top of the range sensors. Every tick the sensors give
+// detections (world points on the nearest surface of other road users): the
+// LiDAR scan split into clusters, or without it the hit points of the
+// distance rays. Detections are associated with tracks by gated nearest
+// neighbour, and each track runs a constant velocity Kalman filter, so it
+// has a velocity estimate even though every detection is just a position.
+// Tracks are confirmed after a few hits and dropped when no detection
+// matched them for a while. For the ego car each track reports where it is
+// (ahead, aside), how fast it closes in and the time to collision (TTC).
+
+export const DEFAULT_TRACKER_CONFIG = {
+  gate: 3,                  // m, largest distance to associate a detection
+  confirmHits: 3,           // detections before a track is confirmed
+  maxMissedTime: 0.5,       // s without detections before a track is dropped
+  accelerationNoise: 2,     // m/s², process noise of the constant velocity model
+  initialSpeedVariance: 100 // (m/s)², velocity uncertainty of new tracks
+};
+
+// Measurement noise (standard deviation, m) per detection source
+const LIDAR_NOISE = 0.3;
+const RAY_NOISE = 0.1;
+
+// Consecutive scan hits farther apart than this belong to different objects
+const CLUSTER_GAP = 1.5;
+
+// Margin (m) added to the widths of the car and a tracked object for
+// telling whether they overlap sideways
+const CORRIDOR_MARGIN = 0.5;
+
+// One axis of the constant velocity filter: position p, velocity v and
+// their covariance [[pp, pv], [pv, vv]]
+const createAxis = (position, velocityVariance, noise) => ({
+  p: position,
+  v: 0,
+  pp: noise * noise,
+  pv: 0,
+  vv: velocityVariance
+});
+
+const predictAxis = (axis, dt, accelerationNoise) => {
+  const q = accelerationNoise * accelerationNoise;
+  axis.p += axis.v * dt;
+  axis.pp += dt * (2 * axis.pv + dt * axis.vv) + q * dt * dt * dt * dt / 4;
+  axis.pv += dt * axis.vv + q * dt * dt * dt / 2;
+  axis.vv += q * dt * dt;
+};
+
+const updateAxis = (axis, measurement, noise) => {
+  const innovationVariance = axis.pp + noise * noise;
+  const gainP = axis.pp / innovationVariance;
+  const gainV = axis.pv / innovationVariance;
+  const innovation = measurement - axis.p;
+  axis.p += gainP * innovation;
+  axis.v += gainV * innovation;
+  axis.vv -= gainV * axis.pv;
+  axis.pv -= gainP * axis.pv;
+  axis.pp -= gainP * axis.pp;
+};
+
+// Multi-object tracker in world coordinates
+export const createTracker = (params = {}) => {
+  const config = { ...DEFAULT_TRACKER_CONFIG, ...params };
+  const tracker = { config, tracks: [] };
+  let nextId = 1;
+
+  const reset = () => {
+    tracker.tracks = [];
+    nextId = 1;
+  };
+
+  // Advance all tracks by dt and fold in the detections ({ x, z, noise })
+  const update = (detections, dt) => {
+    tracker.tracks.forEach(track => {
+      predictAxis(track.x, dt, config.accelerationNoise);
+      predictAxis(track.z, dt, config.accelerationNoise);
+      track.age += dt;
+      track.missedTime += dt;
+    });
+
+    // Gated nearest neighbour: closest pairs first
+    const pairs = [];
+    tracker.tracks.forEach(track => {
+      detections.forEach((detection, i) => {
+        const distance = Math.hypot(detection.x - track.x.p, detection.z - track.z.p);
+        if (distance < config.gate) pairs.push({ track, i, distance });
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+    pairs.forEach(({ track, i }) => {
+      if (matchedTracks.has(track) || matchedDetections.has(i)) return;
+      matchedTracks.add(track);
+      matchedDetections.add(i);
+
+      const detection = detections[i];
+      updateAxis(track.x, detection.x, detection.noise);
+      updateAxis(track.z, detection.z, detection.noise);
+      track.hits++;
+      track.missedTime = 0;
+      track.confirmed = track.confirmed || track.hits >= config.confirmHits;
+    });
+
+    tracker.tracks = tracker.tracks.filter(track => track.missedTime <= config.maxMissedTime);
+
+    detections.forEach((detection, i) => {
+      if (matchedDetections.has(i)) return;
+      tracker.tracks.push({
+        id: nextId++,
+        x: createAxis(detection.x, config.initialSpeedVariance, detection.noise),
+        z: createAxis(detection.z, config.initialSpeedVariance, detection.noise),
+        hits: 1,
+        age: 0,
+        missedTime: 0,
+        confirmed: config.confirmHits <= 1
+      });
+    });
+  };
+
+  return Object.assign(tracker, { reset, update });
+};
+
+// Detections from the LiDAR scan: runs of neighbouring azimuth steps with
+// vehicle hits close to each other, reported at their mean point
+const lidarDetections = (scan) => {
+  const steps = scan.ranges.length;
+  const hits = [];
+  for (let i = 0; i < steps; i++) {
+    if (scan.objectIds[i] !== -1) hits.push(i);
+  }
+  if (hits.length === 0) return [];
+
+  const clusters = [];
+  let cluster = null;
+  let previous = null;
+  hits.forEach(i => {
+    const point = { x: scan.positions[i * 2], z: scan.positions[i * 2 + 1] };
+    const joins = previous && previous.i === i - 1 &&
+      Math.hypot(point.x - previous.point.x, point.z - previous.point.z) < CLUSTER_GAP;
+    if (!joins) {
+      cluster = [];
+      clusters.push(cluster);
+    }
+    cluster.push(point);
+    previous = { i, point };
+  });
+
+  // A cluster across the end of a full circle continues at the start
+  const first = hits[0];
+  const last = hits[hits.length - 1];
+  if (clusters.length > 1 && first === 0 && last === steps - 1) {
+    const start = clusters.shift();
+    const end = clusters[clusters.length - 1];
+    const gap = Math.hypot(start[0].x - end[end.length - 1].x, start[0].z - end[end.length - 1].z);
+    if (gap < CLUSTER_GAP) end.push(...start);
+    else clusters.unshift(start);
+  }
+
+  return clusters.map(points => ({
+    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+    z: points.reduce((sum, point) => sum + point.z, 0) / points.length,
+    noise: LIDAR_NOISE
+  }));
+};
+
+// Detections from the distance rays: their hit points
+const rayDetections = (simulation) => {
+  const pose = { position: simulation.carPosition, rotation: simulation.carRotation };
+  return Object.keys(SENSOR_LAYOUT)
+    .filter(name => Number.isFinite(simulation.sensorReadings[name]))
+    .map(name => {
+      const sensor = SENSOR_LAYOUT[name];
+      const origin = localToWorld(pose, sensor.offset);
+      const direction = rotateDirection(simulation.carRotation, sensor.direction);
+      const range = simulation.sensorReadings[name];
+      return { x: origin.x + direction.x * range, z: origin.z + direction.z * range, noise: RAY_NOISE };
+    });
+};
+
+export const detectObjects = (simulation) => (
+  simulation.settings.lidar ? lidarDetections(simulation.lidar.scan) : rayDetections(simulation)
+);
+
+// A track as seen from the ego car: position and velocity relative to it
+// (longitudinal ahead, lateral toward local +x), its lateral offset on the
+// road, the gap along the car's
+// axis, the closing speed and the time to collision (only for tracks that
+// overlap the car sideways; others pass by). inPath marks tracks ahead
+// of the car's front in the corridor it drives through (see pathCorridor);
+// what is alongside is not in the path, and a side ray sliding along it
+// would make it look as fast as the car.
+export const describeTrack = (simulation, track, corridor) => {
+  const { vehicle } = simulation;
+  const forward = { x: Math.sin(vehicle.heading), z: Math.cos(vehicle.heading) };
+  const side = { x: Math.cos(vehicle.heading), z: -Math.sin(vehicle.heading) };
+  const dx = track.x.p - vehicle.position.x;
+  const dz = track.z.p - vehicle.position.z;
+  const rvx = track.x.v - forward.x * vehicle.speed;
+  const rvz = track.z.v - forward.z * vehicle.speed;
+
+  const longitudinal = dx * forward.x + dz * forward.z;
+  const lateral = dx * side.x + dz * side.z;
+  const relativeSpeed = rvx * forward.x + rvz * forward.z;
+  const gap = Math.max(0, Math.abs(longitudinal) - VEHICLE_HALF_LENGTH);
+
+  // Closing in: ahead and slower, or behind and faster
+  const closingSpeed = longitudinal >= 0 ? -relativeSpeed : relativeSpeed;
+  const overlapping = Math.abs(lateral) < 2 * VEHICLE_HALF_WIDTH + CORRIDOR_MARGIN;
+  const projection = simulation.centerline.project({ x: track.x.p, z: track.z.p });
+
+  return {
+    id: track.id,
+    confirmed: track.confirmed,
+    position: { x: track.x.p, z: track.z.p },
+    velocity: { x: track.x.v, z: track.z.v },
+    speed: Math.hypot(track.x.v, track.z.v),
+    heading: projection.heading,
+    lateralOffset: projection.lateralOffset,
+    longitudinal,
+    lateral,
+    relativeSpeed,
+    gap,
+    closingSpeed,
+    ttc: overlapping && closingSpeed > 0 ? gap / closingSpeed : Infinity,
+    inPath: longitudinal > VEHICLE_HALF_LENGTH && projection.lateralOffset >= corridor.left && projection.lateralOffset <= corridor.right
+  };
+};
+
+// Run the tracker on this tick's detections and describe the confirmed
+// tracks for the controllers: simulation.tracks, and simulation.leadTrack,
+// the nearest one in the path ahead (or null)
+export const updateTracking = (simulation, dt) => {
+  simulation.tracker.update(detectObjects(simulation), dt);
+
+  const ego = simulation.centerline.project(simulation.vehicle.position);
+  const corridor = pathCorridor(simulation, ego);
+
+  simulation.tracks = simulation.tracker.tracks
+    .filter(track => track.confirmed)
+    .map(track => describeTrack(simulation, track, corridor));
+  simulation.leadTrack = simulation.tracks
+    .filter(track => track.inPath)
+    .reduce((lead, track) => (!lead || track.longitudinal < lead.longitudinal ? track : lead), null);
+};
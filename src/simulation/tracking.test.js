@@ -0,0 +1,110 @@
+import SimulationEngine from './SimulationEngine';
+import { createTracker } from './tracking';
+import { createRandom, createGaussian } from './random';
+import { createTrafficVehicle } from './traffic';
+import { updateAdaptiveCruiseControl } from './adaptiveCruiseControl';
+
+const dt = 1 / 60;
+
+describe('createTracker', () => {
+  test('estimates the velocity of a moving object from noisy positions', () => {
+    const tracker = createTracker();
+    const gaussian = createGaussian(createRandom(3));
+
+    for (let t = 0; t < 3; t += dt) {
+      tracker.update([{ x: 2 + 0.1 * gaussian(), z: 10 + 5 * t + 0.1 * gaussian(), noise: 0.1 }], dt);
+    }
+
+    expect(tracker.tracks).toHaveLength(1);
+    const [track] = tracker.tracks;
+    expect(track.confirmed).toBe(true);
+    expect(Math.abs(track.z.v - 5)).toBeLessThan(0.3);
+    expect(Math.abs(track.x.v)).toBeLessThan(0.3);
+  });
+
+  test('keeps track identities and drops tracks without detections', () => {
+    const tracker = createTracker();
+    for (let i = 0; i < 5; i++) {
+      tracker.update([{ x: 0, z: 20 + i * 0.1, noise: 0.1 }, { x: 4, z: 30, noise: 0.1 }], dt);
+    }
+    expect(tracker.tracks.map(track => track.id)).toEqual([1, 2]);
+
+    for (let t = 0; t < 0.6; t += dt) {
+      tracker.update([{ x: 4, z: 30, noise: 0.1 }], dt);
+    }
+    expect(tracker.tracks.map(track => track.id)).toEqual([2]);
+  });
+
+  test('confirms tracks after a few detections', () => {
+    const tracker = createTracker({ confirmHits: 3 });
+    tracker.update([{ x: 0, z: 20, noise: 0.1 }], dt);
+    tracker.update([{ x: 0, z: 20, noise: 0.1 }], dt);
+    expect(tracker.tracks[0].confirmed).toBe(false);
+
+    tracker.update([{ x: 0, z: 20, noise: 0.1 }], dt);
+    expect(tracker.tracks[0].confirmed).toBe(true);
+  });
+});
+
+describe('tracking in the simulation', () => {
+  const config = { traffic: { density: 0, spawnRate: 0 } };
+
+  // Vehicle in the ego lane at a distance ahead of the start
+  const vehicleAhead = (engine, station, speed = 0) => createTrafficVehicle(engine.centerline, {
+    id: 7,
+    station,
+    lane: 0,
+    lateralOffset: engine.lanes.lanes[0].center,
+    speed,
+    desiredSpeed: speed
+  });
+
+  const drive = (engine, seconds) => {
+    for (let t = 0; t < seconds; t += dt) engine.step(dt);
+  };
+
+  test.each([true, false])('tells a stopped car from one pulling away (LiDAR %p)', (lidar) => {
+    const settings = { lidar, laneChange: false, adaptiveCruise: false };
+
+    const stopped = new SimulationEngine({ seed: 1, config, settings });
+    stopped.obstacles = [vehicleAhead(stopped, 25)];
+    drive(stopped, 1);
+    expect(stopped.leadTrack).not.toBe(null);
+    expect(Math.abs(stopped.leadTrack.relativeSpeed + stopped.vehicle.speed)).toBeLessThan(1);
+    expect(stopped.leadTrack.ttc).toBeCloseTo(stopped.leadTrack.gap / stopped.leadTrack.closingSpeed);
+    expect(stopped.leadTrack.ttc).toBeLessThan(5);
+
+    const leaving = new SimulationEngine({ seed: 1, config, settings });
+    leaving.obstacles = [vehicleAhead(leaving, 15, 9)];
+    drive(leaving, 1);
+    expect(leaving.leadTrack.relativeSpeed).toBeGreaterThan(1);
+    expect(leaving.leadTrack.ttc).toBe(Infinity);
+  });
+
+  test('vehicles beside the car have no time to collision', () => {
+    const engine = new SimulationEngine({ seed: 1, config, settings: { laneChange: false, adaptiveCruise: false } });
+    engine.obstacles = [createTrafficVehicle(engine.centerline, {
+      id: 3, station: 8, lane: 1, lateralOffset: engine.lanes.lanes[1].center
+    })];
+    drive(engine, 0.5);
+
+    expect(engine.tracks).toHaveLength(1);
+    expect(engine.tracks[0].inPath).toBe(false);
+    expect(engine.tracks[0].ttc).toBe(Infinity);
+    expect(engine.leadTrack).toBe(null);
+  });
+
+  test('adaptive cruise control slows earlier for a car it closes in on', () => {
+    const engine = new SimulationEngine({ seed: 1, config });
+    engine.sensorReadings.front = 12;
+
+    engine.leadTrack = { relativeSpeed: -6 };
+    updateAdaptiveCruiseControl(engine);
+    const closingTarget = engine.targetSpeed;
+
+    engine.leadTrack = { relativeSpeed: 3 };
+    updateAdaptiveCruiseControl(engine);
+
+    expect(closingTarget).toBeLessThan(engine.targetSpeed);
+  });
+});
@@ -0,0 +1,255 @@
+import { approachSignal } from './trafficSignals';
+import { VEHICLE_HALF_WIDTH } from './sensors';
+
+// Other road users. Every vehicle drives along its lane with the Intelligent
+// Driver Model (IDM); parked vehicles are vehicles with no desired speed.
+// Moving vehicles enter at the start of the road and leave at its end (the
+// start and end of the loaded stretch on endless roads), and stop at the
+// stop lines of red and amber signals (see trafficSignals.js).
+
+export const DEFAULT_TRAFFIC_CONFIG = {
+  density: 6,              // initial vehicles per km and lane
+  speedRange: [3, 8],      // m/s, desired speeds are drawn from this range
+  spawnRate: 0.05,         // vehicles per second and lane entering the road
+  spawnGap: 25             // m of free lane needed to spawn or place a vehicle
+};
+
+export const DEFAULT_IDM_PARAMS = {
+  maxAcceleration: 1.5,        // m/s²
+  comfortableDeceleration: 2,  // m/s²
+  minimumGap: 2,               // m
+  timeHeadway: 1.5,            // s
+  exponent: 4
+};
+
+export const VEHICLE_LENGTH = 4;
+
+// Distance to a parked vehicle ahead at which traffic looks for another lane
+const PASSING_DISTANCE = 30;
+// Lateral speed of traffic lane changes (m/s)
+const LANE_CHANGE_SPEED = 1.2;
+
+// IDM acceleration for a vehicle at `speed` behind a leader `gap` meters
+// ahead closing in at `approachRate` (our speed minus the leader's)
+export const idmAcceleration = ({ speed, desiredSpeed, gap, approachRate }, params = DEFAULT_IDM_PARAMS) => {
+  if (desiredSpeed <= 0) return -params.comfortableDeceleration;
+
+  const freeRoad = 1 - Math.pow(speed / desiredSpeed, params.exponent);
+  if (!Number.isFinite(gap)) {
+    return params.maxAcceleration * freeRoad;
+  }
+
+  const desiredGap = params.minimumGap + Math.max(0,
+    speed * params.timeHeadway +
+    speed * approachRate / (2 * Math.sqrt(params.maxAcceleration * params.comfortableDeceleration))
+  );
+  return params.maxAcceleration * (freeRoad - Math.pow(desiredGap / Math.max(gap, 0.1), 2));
+};
+
+// Create a vehicle record on the road
+export const createTrafficVehicle = (centerline, { id, station, lane, lateralOffset, speed = 0, desiredSpeed = 0 }) => {
+  const point = centerline.pointAt(station, lateralOffset);
+  return {
+    id,
+    station,
+    lane,
+    lateralOffset,
+    speed,
+    desiredSpeed,
+    parked: desiredSpeed === 0,
+    position: { x: point.x, z: point.z },
+    rotation: point.heading,
+    previousPosition: { x: point.x, z: point.z },
+    previousRotation: point.heading,
+    wheelRotation: 0
+  };
+};
+
+const drawDesiredSpeed = (random, config) =>
+  config.speedRange[0] + random() * (config.speedRange[1] - config.speedRange[0]);
+
+// Lanes a car's width covers at a lateral offset
+const lanesCovered = (layout, lateralOffset) => new Set([
+  layout.laneAt(lateralOffset - VEHICLE_HALF_WIDTH),
+  layout.laneAt(lateralOffset + VEHICLE_HALF_WIDTH)
+]);
+
+// Lanes a vehicle is in: those it covers, drifting across both during a
+// lane change, and the one it changes to
+const lanesOf = (vehicle, layout) => lanesCovered(layout, vehicle.lateralOffset).add(vehicle.lane);
+
+const sharesLane = (lanes, others) => [...lanes].some(lane => others.has(lane));
+
+// Lanes the ego car occupies, with its station on the road
+const egoFootprint = (simulation) => {
+  const projection = simulation.centerline.project(simulation.vehicle.position);
+  const lanes = lanesCovered(simulation.lanes, projection.lateralOffset);
+  return { station: projection.station, speed: simulation.vehicle.speed, lanes };
+};
+
+// Stand-in for the ego car before the run starts
+const NO_EGO = { lanes: new Set() };
+
+// Whether no vehicle, the ego car included, is in a lane between two stations
+const isLaneClear = (vehicles, ego, layout, lane, from, to) =>
+  vehicles.every(other => !lanesOf(other, layout).has(lane) || other.station < from || other.station > to) &&
+  (!ego.lanes.has(lane) || ego.station < from || ego.station > to);
+
+// Place initial moving traffic along the road between two stations (by
+// default away from the ego start), clear of the other vehicles
+export const generateTraffic = ({
+  random,
+  centerline,
+  lanes,
+  config,
+  obstacles,
+  firstId,
+  from = config.spawnGap,
+  to = centerline.length - config.spawnGap
+}) => {
+  const vehicles = [];
+  if (config.density <= 0) return vehicles;
+
+  const meanSpacing = 1000 / config.density;
+  let id = firstId;
+
+  lanes.lanes.forEach(lane => {
+    let station = from + random() * meanSpacing;
+    while (station < to) {
+      const others = obstacles.concat(vehicles);
+      if (isLaneClear(others, NO_EGO, lanes, lane.index, station - config.spawnGap, station + config.spawnGap)) {
+        const desiredSpeed = drawDesiredSpeed(random, config);
+        vehicles.push(createTrafficVehicle(centerline, {
+          id: id++,
+          station,
+          lane: lane.index,
+          lateralOffset: lane.center,
+          speed: desiredSpeed,
+          desiredSpeed
+        }));
+      }
+      station += meanSpacing * (0.5 + random());
+    }
+  });
+
+  return vehicles;
+};
+
+// Nearest road user ahead in any of a vehicle's lanes (see lanesOf):
+// returns its gap and speed
+const findLeader = (vehicle, vehicles, ego, layout) => {
+  const lanes = lanesOf(vehicle, layout);
+  let gap = Infinity;
+  let speed = 0;
+
+  vehicles.forEach(other => {
+    if (other === vehicle || other.station <= vehicle.station || !sharesLane(lanesOf(other, layout), lanes)) return;
+    const distance = other.station - vehicle.station - VEHICLE_LENGTH;
+    if (distance < gap) {
+      gap = distance;
+      speed = other.speed;
+    }
+  });
+
+  if (sharesLane(ego.lanes, lanes) && ego.station > vehicle.station) {
+    const distance = ego.station - vehicle.station - VEHICLE_LENGTH;
+    if (distance < gap) {
+      gap = distance;
+      speed = ego.speed;
+    }
+  }
+
+  return { gap, speed };
+};
+
+// Leader standing at the stop line ahead when the vehicle stops there,
+// closer than a vehicle leader
+const withSignal = (vehicle, leader, simulation) => {
+  const front = vehicle.station + VEHICLE_LENGTH / 2;
+  const signal = approachSignal(
+    simulation.intersections, simulation.time, front, vehicle.speed, DEFAULT_IDM_PARAMS.comfortableDeceleration
+  );
+  return signal && signal.stop && signal.distance < leader.gap ? { gap: signal.distance, speed: 0 } : leader;
+};
+
+// Advance all traffic by dt seconds: car following, passing parked
+// vehicles, stopping at signals, despawning at the road end and spawning
+// at its start
+export const updateTraffic = (simulation, dt) => {
+  const { centerline, lanes, random } = simulation;
+  const config = simulation.config.traffic;
+  const ego = egoFootprint(simulation);
+  const vehicles = simulation.obstacles;
+
+  vehicles.forEach(vehicle => {
+    vehicle.previousPosition = { ...vehicle.position };
+    vehicle.previousRotation = vehicle.rotation;
+    if (vehicle.parked) return;
+
+    let leader = findLeader(vehicle, vehicles, ego, lanes);
+
+    // Stuck behind a parked vehicle: move to an adjacent lane with room,
+    // once done with any lane change before. Until the vehicle is in the
+    // new lane only, it follows the leaders of both lanes.
+    const settled = vehicle.lateralOffset === lanes.lanes[vehicle.lane].center;
+    const leaderParked = settled && vehicles.some(other =>
+      other.parked && other.lane === vehicle.lane &&
+      other.station > vehicle.station && other.station - vehicle.station < PASSING_DISTANCE
+    );
+    if (leaderParked) {
+      const target = [vehicle.lane - 1, vehicle.lane + 1].find(lane =>
+        lane >= 0 && lane < lanes.laneCount &&
+        isLaneClear(vehicles.filter(other => other !== vehicle), ego, lanes, lane,
+          vehicle.station - config.spawnGap / 2, vehicle.station + config.spawnGap)
+      );
+      if (target !== undefined) {
+        vehicle.lane = target;
+        leader = findLeader(vehicle, vehicles, ego, lanes);
+      }
+    }
+
+    leader = withSignal(vehicle, leader, simulation);
+    const acceleration = idmAcceleration({
+      speed: vehicle.speed,
+      desiredSpeed: vehicle.desiredSpeed,
+      gap: leader.gap,
+      approachRate: vehicle.speed - leader.speed
+    });
+    const previousSpeed = vehicle.speed;
+    vehicle.speed = Math.max(0, vehicle.speed + acceleration * dt);
+    const travelled = (previousSpeed + vehicle.speed) / 2 * dt;
+    vehicle.station += travelled;
+    vehicle.wheelRotation += travelled / 0.4;
+
+    // Drift toward the center of the lane (after a lane change)
+    const laneCenter = lanes.lanes[vehicle.lane].center;
+    const maxShift = LANE_CHANGE_SPEED * dt;
+    vehicle.lateralOffset += Math.min(Math.max(laneCenter - vehicle.lateralOffset, -maxShift), maxShift);
+
+    const point = centerline.pointAt(vehicle.station, vehicle.lateralOffset);
+    vehicle.position = { x: point.x, z: point.z };
+    vehicle.rotation = point.heading;
+  });
+
+  // Leave at the end of the road
+  simulation.obstacles = vehicles.filter(vehicle => vehicle.station <= centerline.length);
+
+  // Enter at the start of the road when the lane entrance is free
+  const entrance = centerline.start;
+  if (config.spawnRate > 0) {
+    lanes.lanes.forEach(lane => {
+      if (random() >= config.spawnRate * dt) return;
+      if (!isLaneClear(simulation.obstacles, ego, lanes, lane.index, entrance - VEHICLE_LENGTH, entrance + config.spawnGap)) return;
+
+      const desiredSpeed = drawDesiredSpeed(random, config);
+      simulation.obstacles.push(createTrafficVehicle(centerline, {
+        id: simulation.nextObstacleId++,
+        station: entrance,
+        lane: lane.index,
+        lateralOffset: lane.center,
+        speed: desiredSpeed,
+        desiredSpeed
+      }));
+    });
+  }
+};
@@ -0,0 +1,83 @@
+import { idmAcceleration, updateTraffic, createTrafficVehicle, VEHICLE_LENGTH } from './traffic';
+import { VEHICLE_HALF_WIDTH } from './sensors';
+import SimulationEngine from './SimulationEngine';
+
+test('IDM accelerates on a free road and stops short of a stopped leader', () => {
+  expect(idmAcceleration({ speed: 5, desiredSpeed: 10, gap: Infinity, approachRate: 0 })).toBeGreaterThan(0);
+  expect(idmAcceleration({ speed: 10, desiredSpeed: 10, gap: Infinity, approachRate: 0 })).toBeCloseTo(0);
+  expect(idmAcceleration({ speed: 10, desiredSpeed: 10, gap: 10, approachRate: 10 })).toBeLessThan(-2);
+
+  // Follow a stopped leader to standstill
+  let speed = 10;
+  let gap = 60;
+  for (let i = 0; i < 600; i++) {
+    const acceleration = idmAcceleration({ speed, desiredSpeed: 10, gap, approachRate: speed });
+    speed = Math.max(0, speed + acceleration * 0.05);
+    gap -= speed * 0.05;
+  }
+  expect(speed).toBeLessThan(0.1);
+  expect(gap).toBeGreaterThan(1);
+});
+
+test('traffic drives along its lane and leaves at the end of the road', () => {
+  const engine = new SimulationEngine({ seed: 3, config: { traffic: { spawnRate: 0 } } });
+  const moving = engine.obstacles.filter(vehicle => !vehicle.parked);
+  expect(moving.length).toBeGreaterThan(0);
+
+  const vehicle = moving[0];
+  const startStation = vehicle.station;
+  for (let i = 0; i < 60; i++) {
+    updateTraffic(engine, 1 / 60);
+  }
+  expect(vehicle.station).toBeGreaterThan(startStation);
+
+  vehicle.station = engine.centerline.length + 1;
+  updateTraffic(engine, 1 / 60);
+  expect(engine.obstacles).not.toContain(vehicle);
+});
+
+test('parked vehicles stay where they are', () => {
+  const engine = new SimulationEngine({ seed: 3 });
+  const parked = engine.obstacles.filter(vehicle => vehicle.parked);
+  const positions = parked.map(vehicle => ({ ...vehicle.position }));
+
+  for (let i = 0; i < 120; i++) {
+    updateTraffic(engine, 1 / 60);
+  }
+  expect(parked.map(vehicle => vehicle.position)).toEqual(positions);
+});
+
+test('spawns vehicles at the start of the road', () => {
+  const engine = new SimulationEngine({ seed: 3, config: { traffic: { density: 0, spawnRate: 100 } } });
+  engine.vehicle.position.z = 100;
+  updateTraffic(engine, 1 / 60);
+
+  expect(engine.obstacles.filter(vehicle => !vehicle.parked && vehicle.station === 0).length).toBe(engine.lanes.laneCount);
+});
+
+test('a vehicle passing a parked one keeps behind the ego car until it has left its lane', () => {
+  const engine = new SimulationEngine({ seed: 3, config: { traffic: { density: 0, spawnRate: 0 } } });
+  const { centerline, lanes } = engine;
+  const egoLane = lanes.lanes[0].center;
+  const point = centerline.pointAt(100, egoLane);
+  engine.vehicle.position = { x: point.x, z: point.z };
+  engine.vehicle.speed = 0;
+
+  const vehicle = createTrafficVehicle(centerline, {
+    id: 1, station: 90, lane: 0, lateralOffset: egoLane, speed: 3, desiredSpeed: 8
+  });
+  engine.obstacles = [createTrafficVehicle(centerline, { id: 2, station: 110, lane: 0, lateralOffset: egoLane }), vehicle];
+
+  // Farthest it gets while still in the ego car's lane
+  let farthest = -Infinity;
+  for (let i = 0; i < 600; i++) {
+    updateTraffic(engine, 1 / 60);
+    if (vehicle.lateralOffset - VEHICLE_HALF_WIDTH < lanes.boundaries[1].offset) {
+      farthest = Math.max(farthest, vehicle.station);
+    }
+  }
+  expect(farthest).toBeLessThan(100 - VEHICLE_LENGTH);
+  // It did pass in the other lane
+  expect(vehicle.lane).toBe(1);
+  expect(vehicle.station).toBeGreaterThan(110);
+});
@@ -0,0 +1,121 @@
+// Signalized intersections on the road. Side roads join the road at right
+// angles, on one side (T junction) or both (four-way); their traffic is not
+// simulated, red on the road stands for green on the side roads. Each
+// signal cycles green → amber → red with its own timing, shifted by an
+// offset so that neighbouring signals are not in step.
+//
+// Vehicles stop at the stop line, before the side road: always on red when
+// they still can, and on amber only when they can do so comfortably,
+// otherwise they are past the point of no return and drive on.
+
+export const DEFAULT_INTERSECTION_CONFIG = {
+  every: 0,             // segments from one intersection to the next, 0 for none
+  sideRoadWidth: 8,     // m
+  timing: {
+    green: 12,          // s
+    amber: 3,           // s
+    red: 10             // s
+  }
+};
+
+export const SIGNAL_PHASES = {
+  green: 'Green',
+  amber: 'Amber',
+  red: 'Red'
+};
+
+export const INTERSECTION_TYPES = {
+  T: 'T junction',
+  cross: 'Four-way'
+};
+
+// Distance between the stop line and the edge of the side road (m)
+export const STOP_LINE_SETBACK = 2;
+
+// Braking a vehicle accepts to stop for a red light (m/s²)
+const HARD_DECELERATION = 6;
+
+// Intersection record from its description (as in scenario files): the
+// center station, type, side of a T junction's side road, side road width
+// (m), signal timing (s) and offset into the cycle (s)
+export const createIntersection = ({
+  station,
+  type = 'cross',
+  side = 'right',
+  width = DEFAULT_INTERSECTION_CONFIG.sideRoadWidth,
+  timing = DEFAULT_INTERSECTION_CONFIG.timing,
+  offset = 0
+}) => ({
+  station,
+  type,
+  side,
+  width,
+  timing: { ...timing },
+  offset,
+  stopLine: station - width / 2 - STOP_LINE_SETBACK
+});
+
+// Description of an intersection, the inverse of createIntersection
+export const describeIntersection = ({ station, type, side, width, timing, offset }) => ({
+  station, type, side, width, timing: { ...timing }, offset
+});
+
+// Random intersections in the middle of every `every`-th segment of
+// segments [first, first + count), not in the first few segments of the road
+export const placeIntersections = (random, first, count, segmentLength, config) => {
+  const intersections = [];
+  if (!(config.every > 0)) return intersections;
+  const { green, amber, red } = config.timing;
+
+  for (let i = first; i < first + count; i++) {
+    if ((i + 1) % config.every === 0 && i > 3) {
+      const type = random() < 0.5 ? 'T' : 'cross';
+      const side = random() < 0.5 ? 'left' : 'right';
+      intersections.push(createIntersection({
+        station: (i + 0.5) * segmentLength,
+        type,
+        side,
+        width: config.sideRoadWidth,
+        timing: config.timing,
+        offset: random() * (green + amber + red)
+      }));
+    }
+  }
+  return intersections;
+};
+
+// Phase of an intersection's signal at a time (s)
+export const signalPhase = ({ timing, offset }, time) => {
+  const cycle = timing.green + timing.amber + timing.red;
+  const t = (((time + offset) % cycle) + cycle) % cycle;
+  if (t < timing.green) return 'green';
+  if (t < timing.green + timing.amber) return 'amber';
+  return 'red';
+};
+
+// First intersection whose stop line is at or ahead of a station
+export const nextIntersection = (intersections, station) => intersections.reduce(
+  (next, intersection) => (
+    intersection.stopLine >= station && (!next || intersection.stopLine < next.stopLine) ? intersection : next
+  ),
+  null
+);
+
+// Whether a vehicle `distance` m before a stop line at `speed` (m/s) stops
+// there; `deceleration` is the braking it accepts on amber (m/s²)
+export const mustStop = (phase, distance, speed, deceleration) => {
+  if (phase === 'green') return false;
+  const accepted = phase === 'red' ? Math.max(deceleration, HARD_DECELERATION) : deceleration;
+  return speed * speed / (2 * accepted) <= Math.max(distance, 0);
+};
+
+// The signal a vehicle whose front is at `front` (station) approaches:
+// the intersection, its phase, the distance from the front to the stop
+// line and whether the vehicle stops there. Null with no signal ahead.
+export const approachSignal = (intersections, time, front, speed, deceleration) => {
+  const intersection = nextIntersection(intersections, front);
+  if (!intersection) return null;
+  const phase = signalPhase(intersection, time);
+  const distance = intersection.stopLine - front;
+  return { intersection, phase, distance, stop: mustStop(phase, distance, speed, deceleration) };
+};
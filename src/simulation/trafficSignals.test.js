@@ -0,0 +1,142 @@
+import SimulationEngine from './SimulationEngine';
+import { generateRoadData } from './roadGenerator';
+import { createLaneLayout, DEFAULT_LANE_CONFIG } from './lanes';
+import { createRandom } from './random';
+import { exportScenario, validateScenario } from './scenario';
+import { VEHICLE_HALF_LENGTH } from './sensors';
+import {
+  createIntersection,
+  mustStop,
+  placeIntersections,
+  signalPhase,
+  DEFAULT_INTERSECTION_CONFIG
+} from './trafficSignals';
+
+// Straight 200 m road with one intersection at 100 m (stop line at 94 m)
+const signalScenario = (intersection, changes = {}) => {
+  const scenario = {
+    version: 1,
+    road: {
+      segmentLength: 25,
+      curvatures: new Array(8).fill(0),
+      intersections: [{ station: 100, ...intersection }]
+    },
+    settings: { lidar: false },
+    ...changes
+  };
+  expect(validateScenario(scenario)).toEqual([]);
+  return scenario;
+};
+
+const engineFor = (scenario) => {
+  const engine = new SimulationEngine();
+  engine.loadScenario(scenario);
+  return engine;
+};
+
+const stationOf = (engine, position) => engine.centerline.project(position).station;
+
+const runUntil = (engine, time) => {
+  while (!engine.finished && engine.time < time) engine.step(1 / 30);
+};
+
+describe('traffic signals', () => {
+  test('cycle through green, amber and red with their timing and offset', () => {
+    const intersection = createIntersection({ station: 100, timing: { green: 10, amber: 2, red: 8 }, offset: 5 });
+    expect(intersection.stopLine).toBe(100 - 4 - 2);
+    expect(signalPhase(intersection, 0)).toBe('green');
+    expect(signalPhase(intersection, 5)).toBe('amber');
+    expect(signalPhase(intersection, 7)).toBe('red');
+    expect(signalPhase(intersection, 15)).toBe('green');
+    expect(signalPhase(intersection, 15 + 20 * 3)).toBe('green');
+  });
+
+  test('stop on red when possible and on amber only when comfortable', () => {
+    expect(mustStop('green', 5, 10, 3)).toBe(false);
+    expect(mustStop('amber', 20, 10, 3)).toBe(true);
+    expect(mustStop('amber', 10, 10, 3)).toBe(false);
+    expect(mustStop('red', 10, 10, 3)).toBe(true);
+    expect(mustStop('red', 2, 10, 3)).toBe(false);
+    expect(mustStop('red', 0.5, 0, 3)).toBe(true);
+  });
+
+  test('are placed in the middle of every n-th segment, apart from the road', () => {
+    const config = { ...DEFAULT_INTERSECTION_CONFIG, every: 4 };
+    expect(placeIntersections(createRandom(1), 0, 20, 25, DEFAULT_INTERSECTION_CONFIG)).toEqual([]);
+
+    const intersections = placeIntersections(createRandom(1), 0, 20, 25, config);
+    expect(intersections.map(intersection => intersection.station)).toEqual([187.5, 287.5, 387.5, 487.5]);
+    expect(placeIntersections(createRandom(1), 0, 20, 25, config)).toEqual(intersections);
+
+    const lanes = createLaneLayout(DEFAULT_LANE_CONFIG);
+    const plain = generateRoadData({ seed: 5, roadLength: 500, segments: 20, lanes });
+    const signalized = generateRoadData({ seed: 5, roadLength: 500, segments: 20, lanes, intersections: config });
+    expect(signalized.curvatures).toEqual(plain.curvatures);
+    expect(signalized.obstacles).toEqual(plain.obstacles);
+    expect(signalized.intersections).toHaveLength(4);
+  });
+
+  test('stop the car at the stop line on red and let it go on green', () => {
+    // Red until 30 s, then green
+    const engine = engineFor(signalScenario({ timing: { green: 5, amber: 3, red: 30 }, offset: 8 }));
+
+    runUntil(engine, 29);
+    expect(engine.vehicle.speed).toBeLessThan(0.05);
+    const front = stationOf(engine, engine.vehicle.position) + VEHICLE_HALF_LENGTH;
+    expect(front).toBeLessThanOrEqual(94);
+    expect(front).toBeGreaterThan(92);
+    expect(engine.acc.mode).toBe('stop');
+
+    runUntil(engine, 45);
+    expect(stationOf(engine, engine.vehicle.position)).toBeGreaterThan(100);
+    expect(engine.stats.redLightViolations).toBe(0);
+  });
+
+  test('stop the car in plain cruise control as well', () => {
+    const engine = engineFor(signalScenario(
+      { timing: { green: 5, amber: 3, red: 30 }, offset: 8 },
+      { settings: { lidar: false, adaptiveCruise: false } }
+    ));
+    runUntil(engine, 29);
+    expect(engine.vehicle.speed).toBeLessThan(0.05);
+    expect(stationOf(engine, engine.vehicle.position) + VEHICLE_HALF_LENGTH).toBeLessThanOrEqual(94);
+  });
+
+  test('stop traffic ahead of the car', () => {
+    const engine = engineFor(signalScenario(
+      { timing: { green: 5, amber: 3, red: 30 }, offset: 8 },
+      { vehicles: [{ lane: 1, station: 40, speed: 6, desiredSpeed: 6 }] }
+    ));
+    runUntil(engine, 25);
+    const [vehicle] = engine.obstacles;
+    expect(vehicle.speed).toBeLessThan(0.05);
+    expect(vehicle.station + 2).toBeLessThanOrEqual(94);
+  });
+
+  test('count a red light the car could not stop for', () => {
+    // Red from the start with the stop line 2 m ahead of the car's front
+    const engine = engineFor(signalScenario({
+      station: VEHICLE_HALF_LENGTH + 2 + 6,
+      timing: { green: 10, amber: 3, red: 10 },
+      offset: 14
+    }));
+    expect(engine.signal.stop).toBe(false);
+    runUntil(engine, 3);
+    expect(engine.stats.redLightViolations).toBe(1);
+    expect(engine.recording.frames.some(frame => (frame.events || []).some(event => event.type === 'redLight'))).toBe(true);
+  });
+
+  test('are part of exported scenarios', () => {
+    const engine = new SimulationEngine({ seed: 2, config: { intersections: { every: 4 } } });
+    const scenario = exportScenario(engine);
+    expect(scenario.road.intersections).toHaveLength(4);
+    expect(validateScenario(scenario)).toEqual([]);
+
+    const loaded = engineFor(scenario);
+    expect(loaded.intersections).toEqual(engine.intersections);
+
+    const beyond = signalScenario({});
+    beyond.road.intersections[0].station = 300;
+    expect(validateScenario(beyond)).toEqual(['/road/intersections/0/station must be on the road (at most 200 m)']);
+  });
+});
@@ -0,0 +1,118 @@
+// Bicycle model of the ego car. Both axles are collapsed to a single wheel
+// each; the front wheel steers. Units are SI (meters, seconds, radians).
+//
+// Frame: heading 0 drives along +z, positive heading and positive steering
+// turn toward +x, matching a Three.js rotation about the Y axis.
+
+export const VEHICLE_MODELS = ['kinematic', 'dynamic'];
+
+export const DEFAULT_VEHICLE_PARAMS = {
+  model: 'kinematic',
+  wheelbase: 2.4,              // m, matches the wheel meshes at z = ±1.2
+  centerToFrontAxle: 1.2,      // m, center of gravity in the middle
+  wheelRadius: 0.4,            // m
+  maxSteeringAngle: 0.6,       // rad at the road wheels
+  maxSteeringRate: 1.5,        // rad/s
+  maxAcceleration: 3.0,        // m/s²
+  maxBraking: 8.0,             // m/s² (positive number)
+  maxLateralAcceleration: 7.0, // m/s², tire grip limit
+  // Dynamic model only
+  mass: 1500,                  // kg
+  yawInertia: 2500,            // kg·m²
+  corneringStiffnessFront: 80000, // N/rad
+  corneringStiffnessRear: 80000   // N/rad
+};
+
+// Below this speed the dynamic model's slip angles are ill-defined, so it
+// falls back to the kinematic equations
+const DYNAMIC_MIN_SPEED = 3;
+
+export const createVehicleState = ({ x = 0, z = 0, heading = 0, speed = 0 } = {}) => ({
+  position: { x, z },
+  heading,
+  speed,                // m/s along the heading
+  lateralVelocity: 0,   // m/s toward local +x (dynamic model)
+  yawRate: 0,           // rad/s
+  steeringAngle: 0,     // rad, actual road wheel angle
+  acceleration: 0,      // m/s², actual longitudinal acceleration
+  wheelRotation: 0      // rad, accumulated wheel spin for rendering
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Largest steering angle the tires can hold at the current speed
+const gripLimitedSteering = (params, speed) => {
+  if (speed < 0.1) return params.maxSteeringAngle;
+  const maxTan = params.maxLateralAcceleration * params.wheelbase / (speed * speed);
+  return Math.min(params.maxSteeringAngle, Math.atan(maxTan));
+};
+
+// Steering angle needed to follow a path of the given curvature (1/m)
+export const steeringForCurvature = (params, curvature) =>
+  Math.atan(params.wheelbase * curvature);
+
+const stepKinematic = (state, speed, params, dt) => {
+  const rearToCenter = params.wheelbase - params.centerToFrontAxle;
+  const slip = Math.atan(rearToCenter / params.wheelbase * Math.tan(state.steeringAngle));
+  const direction = state.heading + slip;
+
+  state.position.x += Math.sin(direction) * speed * dt;
+  state.position.z += Math.cos(direction) * speed * dt;
+  state.yawRate = speed / rearToCenter * Math.sin(slip);
+  state.heading += state.yawRate * dt;
+  state.lateralVelocity = 0;
+};
+
+const stepDynamic = (state, speed, params, dt) => {
+  const lf = params.centerToFrontAxle;
+  const lr = params.wheelbase - lf;
+  const vx = speed;
+  const delta = state.steeringAngle;
+
+  // Linear tires, saturated at the grip limit shared by the axles
+  const gripForce = params.mass * params.maxLateralAcceleration;
+  const slipFront = delta - (state.lateralVelocity + lf * state.yawRate) / vx;
+  const slipRear = -(state.lateralVelocity - lr * state.yawRate) / vx;
+  const forceFront = clamp(params.corneringStiffnessFront * slipFront, -gripForce * lr / params.wheelbase, gripForce * lr / params.wheelbase);
+  const forceRear = clamp(params.corneringStiffnessRear * slipRear, -gripForce * lf / params.wheelbase, gripForce * lf / params.wheelbase);
+
+  const lateralAcceleration = (forceFront * Math.cos(delta) + forceRear) / params.mass - vx * state.yawRate;
+  const yawAcceleration = (lf * forceFront * Math.cos(delta) - lr * forceRear) / params.yawInertia;
+
+  state.lateralVelocity += lateralAcceleration * dt;
+  state.yawRate += yawAcceleration * dt;
+  state.heading += state.yawRate * dt;
+
+  // Velocity in the body frame: forward (sin, cos), lateral (cos, -sin)
+  const sin = Math.sin(state.heading);
+  const cos = Math.cos(state.heading);
+  state.position.x += (sin * vx + cos * state.lateralVelocity) * dt;
+  state.position.z += (cos * vx - sin * state.lateralVelocity) * dt;
+};
+
+// Advance the vehicle by dt seconds. The command holds the requested road
+// wheel angle (rad) and longitudinal acceleration (m/s²); the model applies
+// the steering angle/rate, acceleration/braking and grip limits.
+export const stepVehicle = (state, command, params, dt) => {
+  // Steering actuator: rate then angle (and grip) limited
+  const steeringLimit = gripLimitedSteering(params, state.speed);
+  const targetSteering = clamp(command.steeringAngle, -steeringLimit, steeringLimit);
+  const maxSteeringChange = params.maxSteeringRate * dt;
+  state.steeringAngle += clamp(targetSteering - state.steeringAngle, -maxSteeringChange, maxSteeringChange);
+
+  // Longitudinal: limited acceleration and braking, no reversing
+  const acceleration = clamp(command.acceleration, -params.maxBraking, params.maxAcceleration);
+  const previousSpeed = state.speed;
+  state.speed = Math.max(0, state.speed + acceleration * dt);
+  state.acceleration = (state.speed - previousSpeed) / (dt || 1);
+  const averageSpeed = (previousSpeed + state.speed) / 2;
+
+  if (params.model === 'dynamic' && averageSpeed > DYNAMIC_MIN_SPEED) {
+    stepDynamic(state, averageSpeed, params, dt);
+  } else {
+    stepKinematic(state, averageSpeed, params, dt);
+  }
+
+  state.wheelRotation += averageSpeed * dt / params.wheelRadius;
+  return state;
+};
@@ -0,0 +1,51 @@
+import { createVehicleState, stepVehicle, DEFAULT_VEHICLE_PARAMS } from './vehicleModel';
+
+const dt = 1 / 60;
+
+const drive = (state, command, params, seconds) => {
+  for (let i = 0; i < Math.round(seconds / dt); i++) {
+    stepVehicle(state, command, params, dt);
+  }
+  return state;
+};
+
+test('drives straight along +z with the wheel centered', () => {
+  const state = createVehicleState({ speed: 10 });
+  drive(state, { steeringAngle: 0, acceleration: 0 }, DEFAULT_VEHICLE_PARAMS, 1);
+
+  expect(state.position.x).toBeCloseTo(0);
+  expect(state.position.z).toBeCloseTo(10);
+  expect(state.wheelRotation).toBeCloseTo(10 / DEFAULT_VEHICLE_PARAMS.wheelRadius);
+});
+
+test('limits steering rate and angle', () => {
+  const state = createVehicleState({ speed: 1 });
+  const params = DEFAULT_VEHICLE_PARAMS;
+
+  stepVehicle(state, { steeringAngle: 1, acceleration: 0 }, params, 0.1);
+  expect(state.steeringAngle).toBeCloseTo(params.maxSteeringRate * 0.1);
+
+  drive(state, { steeringAngle: 1, acceleration: 0 }, params, 2);
+  expect(state.steeringAngle).toBeCloseTo(params.maxSteeringAngle);
+});
+
+test('limits acceleration and braking and never reverses', () => {
+  const params = DEFAULT_VEHICLE_PARAMS;
+  const accelerating = drive(createVehicleState(), { steeringAngle: 0, acceleration: 100 }, params, 1);
+  expect(accelerating.speed).toBeCloseTo(params.maxAcceleration);
+
+  const braking = drive(createVehicleState({ speed: 20 }), { steeringAngle: 0, acceleration: -100 }, params, 1);
+  expect(braking.speed).toBeCloseTo(20 - params.maxBraking);
+
+  const stopped = drive(createVehicleState({ speed: 2 }), { steeringAngle: 0, acceleration: -100 }, params, 1);
+  expect(stopped.speed).toBe(0);
+});
+
+test('keeps lateral acceleration within the grip limit', () => {
+  const params = DEFAULT_VEHICLE_PARAMS;
+  ['kinematic', 'dynamic'].forEach(model => {
+    const state = drive(createVehicleState({ speed: 25 }), { steeringAngle: 0.5, acceleration: 0 }, { ...params, model }, 3);
+    expect(Math.abs(state.yawRate * state.speed)).toBeLessThanOrEqual(params.maxLateralAcceleration * 1.05);
+    expect(state.heading).toBeGreaterThan(0);
+  });
+});
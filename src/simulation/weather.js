@@ -0,0 +1,51 @@
+// Weather and time of day. A condition changes what the sensors get and
+// how much grip the road gives; the 3D view draws it as well (scene fog,
+// light, headlights, see rendering/weatherEffects.js):
+//   visibility: fog hides objects farther than this from the range
+//               sensors and the LiDAR (m)
+//   rangeNoise: noise rain adds to measured ranges, on top of the sensors'
+//               own (m, standard deviation)
+//   cameraContrast: factor on the contrast of camera images
+//   friction: share of the dry road's grip, which limits braking and
+//             cornering; wet roads make braking distances longer
+export const WEATHER_CONDITIONS = {
+  clear: { label: 'Clear', visibility: Infinity, rangeNoise: 0, cameraContrast: 1, friction: 1 },
+  rain: { label: 'Rain', visibility: Infinity, rangeNoise: 0.15, cameraContrast: 1, friction: 0.6 },
+  fog: { label: 'Fog', visibility: 40, rangeNoise: 0, cameraContrast: 1, friction: 1 },
+  night: { label: 'Night', visibility: Infinity, rangeNoise: 0, cameraContrast: 0.5, friction: 1 }
+};
+
+// Gray level contrast is lowered toward (0-255)
+const CONTRAST_PIVOT = 128;
+
+// Condition of a simulation (clear for those without weather)
+export const weatherOf = (simulation) => WEATHER_CONDITIONS[simulation.weather || 'clear'];
+
+// Vehicle parameters with the grip limits of the road in a condition
+export const withRoadFriction = (params, condition) => (condition.friction === 1 ? params : {
+  ...params,
+  maxBraking: params.maxBraking * condition.friction,
+  maxLateralAcceleration: params.maxLateralAcceleration * condition.friction
+});
+
+// A range as seen through the condition: Infinity beyond the visibility
+export const limitRange = (distance, condition) => (distance > condition.visibility ? Infinity : distance);
+
+// Noise model of a range sensor with the condition's extra range noise
+export const withRangeNoise = (model, condition) => (condition.rangeNoise === 0 ? model : {
+  ...model,
+  noise: Math.hypot(model.noise, condition.rangeNoise)
+});
+
+// Lower the contrast of an RGBA image in place by the condition's factor
+export const applyCameraContrast = (image, condition) => {
+  const contrast = condition.cameraContrast;
+  if (contrast === 1) return image;
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = CONTRAST_PIVOT + (data[i] - CONTRAST_PIVOT) * contrast;
+    data[i + 1] = CONTRAST_PIVOT + (data[i + 1] - CONTRAST_PIVOT) * contrast;
+    data[i + 2] = CONTRAST_PIVOT + (data[i + 2] - CONTRAST_PIVOT) * contrast;
+  }
+  return image;
+};
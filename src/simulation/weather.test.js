@@ -0,0 +1,110 @@
+import SimulationEngine from './SimulationEngine';
+import { exportScenario, validateScenario } from './scenario';
+import { updateSensors, VEHICLE_HALF_LENGTH } from './sensors';
+import { readSensor } from './sensorFaults';
+import { createTrafficVehicle } from './traffic';
+import { detectLanes, DEFAULT_CAMERA_MODEL } from './laneDetection';
+import { renderLaneImage, createImage } from './syntheticCamera';
+import { WEATHER_CONDITIONS } from './weather';
+
+const noTraffic = { traffic: { density: 0, spawnRate: 0 } };
+
+// Standard deviation of many readings of one true value
+const spread = (read, count = 2000) => {
+  const values = Array.from({ length: count }, read);
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count);
+};
+
+// Brightest and darkest channel value of an image
+const levels = (image) => {
+  let brightest = 0;
+  let darkest = 255;
+  for (let i = 0; i < image.data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      brightest = Math.max(brightest, image.data[i + c]);
+      darkest = Math.min(darkest, image.data[i + c]);
+    }
+  }
+  return { brightest, darkest };
+};
+
+describe('weather', () => {
+  test('makes braking distances longer on wet roads', () => {
+    const brakingDistance = (weather) => {
+      const engine = new SimulationEngine({
+        seed: 1,
+        config: { ...noTraffic, weather },
+        settings: { drivingMode: 'manual', adaptiveCruise: false, laneChange: false, setSpeed: 10 }
+      });
+      engine.setDriverInput({ brake: 1 });
+      while (engine.vehicle.speed > 0 && engine.time < 10) engine.step(1 / 60);
+      return engine.distance;
+    };
+
+    const dry = brakingDistance('clear');
+    const wet = brakingDistance('rain');
+    expect(dry).toBeCloseTo(10 * 10 / (2 * 8), 0);
+    expect(wet / dry).toBeCloseTo(1 / WEATHER_CONDITIONS.rain.friction, 1);
+  });
+
+  test('hides objects beyond the visibility from the sensors in fog', () => {
+    [true, false].forEach(lidar => {
+      const engine = new SimulationEngine({ seed: 1, config: noTraffic, settings: { lidar } });
+      const ahead = (station) => {
+        engine.obstacles = [createTrafficVehicle(engine.centerline, {
+          id: 1, station, lane: 0, lateralOffset: engine.targetLateralOffset
+        })];
+        updateSensors(engine);
+        return engine.sensorReadings.front;
+      };
+
+      expect(ahead(60)).toBeCloseTo(60 - 2 * VEHICLE_HALF_LENGTH, 0);
+      engine.setWeather('fog');
+      expect(ahead(60)).toBe(Infinity);
+      expect(ahead(30)).toBeCloseTo(30 - 2 * VEHICLE_HALF_LENGTH, 0);
+      expect(engine.trueSensorReadings.front).toBeLessThan(Infinity);
+    });
+  });
+
+  test('adds range noise in rain', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+    expect(spread(() => readSensor(engine, 'front', 20))).toBe(0);
+
+    engine.setWeather('rain');
+    const noise = spread(() => readSensor(engine, 'front', 20));
+    expect(Math.abs(noise - WEATHER_CONDITIONS.rain.rangeNoise)).toBeLessThan(0.02);
+    // The camera's lane offset is no range
+    expect(readSensor(engine, 'lane', 0.5)).toBe(0.5);
+  });
+
+  test('lowers the contrast of camera images at night', () => {
+    const engine = new SimulationEngine({ seed: 1, config: noTraffic });
+    const day = levels(renderLaneImage(engine));
+    engine.setWeather('night');
+    const image = createImage();
+    renderLaneImage(engine, DEFAULT_CAMERA_MODEL, image);
+    const night = levels(image);
+
+    expect(night.brightest - night.darkest).toBeLessThan((day.brightest - day.darkest) * 0.6);
+    // Still bright enough for the markings to be found
+    expect(detectLanes(image, DEFAULT_CAMERA_MODEL, { laneWidth: 4 }).valid).toBe(true);
+  });
+
+  test('is part of exported scenarios and checked', () => {
+    const engine = new SimulationEngine({ seed: 2, config: { weather: 'fog' } });
+    const scenario = exportScenario(engine);
+    expect(scenario.weather).toBe('fog');
+    expect(validateScenario(scenario)).toEqual([]);
+
+    const loaded = new SimulationEngine();
+    loaded.loadScenario(scenario);
+    expect(loaded.weather).toBe('fog');
+    loaded.unloadScenario();
+    expect(loaded.weather).toBe('clear');
+
+    expect(validateScenario({ ...scenario, weather: 'snow' })).toHaveLength(1);
+    expect(() => engine.setWeather('snow')).toThrow('Unknown weather "snow"');
+    expect(() => new SimulationEngine({ config: { weather: 'snow' } })).toThrow('Unknown weather "snow"');
+  });
+});